@@ -103,19 +103,38 @@ Core commands:
 
 Scene analysis options:
   --threshold N              Hard-cut threshold (0.0-1.0]
-  --split-mode MODE          cut | motion | visual | hybrid (default: hybrid)
+  --split-mode MODE          cut | motion | visual | audio | hybrid (default: hybrid)
                             Hybrid defaults: motion-threshold 0.12, min-scene-duration 1.0
   --motion-threshold N       Sensitivity for motion-aware splitting
   --min-scene-duration SEC   Merge boundaries closer than this duration
+  --auto                     Tune the thresholds to this video automatically
+  --target-scene-length SEC  Auto: desired average scene length (default 6)
+  --min-scenes N             Auto: minimum scene count
+  --max-scenes N             Auto: maximum scene count
   --visual-threshold N       Visual-window score floor for gradual transitions
   --visual-sample-fps N      Frames per second for visual-window detection
   --visual-window SEC        Seconds before/after each visual boundary candidate
   --visual-min-gap SEC       Minimum spacing between visual-window boundaries
+  --transition-fps N         Frames per second for fade/dissolve/wipe detection
+  --include-audio            Hybrid: also split at audio pauses and sound changes
+  --audio-silence-db DB      Silence level in dB for audio pause detection (e.g. -35)
+  --audio-min-silence SEC    Minimum pause length in seconds for an audio boundary
+  --audio-threshold N        Audio loudness/spectral change score floor
+  --audio-window SEC         Seconds before/after each audio change candidate
+  --audio-min-gap SEC        Minimum spacing between audio boundaries
   --fps N, --frame-fps N     Sample at least N frames per second within each scene
+  --frame-strategy NAME      Frame selection: keyframes, fps or best
+  --best-frames N            Frames to keep per scene with --frame-strategy best
+  --candidate-fps N          Candidate sampling rate for --frame-strategy best
+  --no-dedupe-frames         Describe scenes with near-duplicate frames included
+  --frame-hash-distance N    Max differing hash bits for near-identical frames (0-32)
+  --reuse-similar-scenes     Reuse descriptions of near-identical earlier scenes
   --extract-frames           Extract representative frames
   --describe-scenes          Generate descriptions for each scene
   --transcribe-audio         Transcribe scene audio when available
   --language NAME            Force output language
+  --prompt-id ID             Describe scenes with this prompt instead of the FPO global prompt
+  --provider NAME            AI provider tried first for this request's model calls
 
 Article commands:
   fetch-news [--query TEXT]
@@ -124,16 +143,40 @@ Article commands:
   article ARTICLE_ID
   dashboard
   batch-add [--count N]
-  article-describe ARTICLE_ID [--threshold N]
-  article-rate ARTICLE_ID
+  article-describe ARTICLE_ID [--threshold N] [--prompt-id ID] [--priority high|normal|low]
+  article-rate ARTICLE_ID [--prompt-id ID] [--priority high|normal|low]
+  article-human-score ARTICLE_ID SCORE
   article-delete ARTICLE_ID [--yes]
   articles-delete-all [--yes]
 
 FPO and status commands:
-  fpo-run [--iterations N] [--evolution-interval N] [--no-evolution]
+  fpo-run [--iterations N] [--evolution-interval N] [--no-evolution] [--sample-scenes N]
+          [--aggregation mean|weighted|median|trimmed]
+          [--strategy ucb1|thompson-beta|thompson-gaussian|epsilon-greedy] [--arms-per-round N]
+          [--population video-scene-description|video-article-match]
   fpo-status
   flags-status
+  flags
+  flag-clear NAME [--yes]
+  flags-cleanup
   queue-status
+  queue-cancel TYPE JOB_ID
+  queue-priority TYPE JOB_ID high|normal|low
+  dead-letters [TYPE]
+  dead-letter-retry TYPE JOB_ID
+  dead-letter-purge TYPE [JOB_ID] [--yes]
+
+Schedule commands:
+  schedules
+  schedule-add TYPE CRON [--id ID] [--payload JSON] [--disabled]
+  schedule-delete SCHEDULE_ID
+
+Webhook commands:
+  webhooks
+  webhook-add URL [--events EVENT,...] [--secret SECRET] [--description TEXT]
+  webhook-delete WEBHOOK_ID
+  webhook-deliveries WEBHOOK_ID
+  webhook-ping WEBHOOK_ID
 
 Generic fallback:
   request METHOD PATH [--json STRING | --json-file FILE] [--content-type TYPE] [--output FILE]
@@ -144,6 +187,7 @@ Examples:
   ./reels.sh describe-video <VIDEO_ID> --fps 4 --language English
   ./reels.sh -v fetch-news --query "technology news video"
   ./reels.sh article-describe <ARTICLE_ID> --threshold 0.3
+  ./reels.sh schedule-add fetch "0 3 * * *" --id nightly-fetch --payload '{"count": 10}'
   ./reels.sh request GET /api/thumbnails/<ARTICLE_ID>.mp4 --output article-thumb.mp4
 EOF
 }
@@ -441,11 +485,30 @@ cmd_detect_scenes_common() {
   local visual_sample_fps=""
   local visual_window_seconds=""
   local visual_min_boundary_spacing=""
+  local transition_sample_fps=""
+  local auto=0
+  local auto_target_scene_length=""
+  local auto_min_scenes=""
+  local auto_max_scenes=""
+  local include_audio=0
+  local audio_silence_threshold=""
+  local audio_min_silence_duration=""
+  local audio_change_threshold=""
+  local audio_window_seconds=""
+  local audio_min_boundary_spacing=""
   local frame_fps=""
+  local frame_strategy=""
+  local best_frame_count=""
+  local best_candidate_fps=""
   local language=""
+  local prompt_id=""
+  local provider=""
   local extract_frames=0
   local describe_scenes=0
   local transcribe_audio=0
+  local no_dedupe_frames=0
+  local frame_hash_distance=""
+  local reuse_similar_scenes=0
 
   if [[ "$force_describe" == "1" ]]; then
     extract_frames=1
@@ -494,11 +557,79 @@ cmd_detect_scenes_common() {
         visual_min_boundary_spacing="$2"
         shift 2
         ;;
+      --auto)
+        auto=1
+        shift
+        ;;
+      --include-audio)
+        include_audio=1
+        shift
+        ;;
+      --target-scene-length)
+        [[ $# -ge 2 ]] || die "--target-scene-length requires a numeric value"
+        auto_target_scene_length="$2"
+        shift 2
+        ;;
+      --min-scenes)
+        [[ $# -ge 2 ]] || die "--min-scenes requires a numeric value"
+        auto_min_scenes="$2"
+        shift 2
+        ;;
+      --max-scenes)
+        [[ $# -ge 2 ]] || die "--max-scenes requires a numeric value"
+        auto_max_scenes="$2"
+        shift 2
+        ;;
+      --transition-fps)
+        [[ $# -ge 2 ]] || die "--transition-fps requires a numeric value"
+        transition_sample_fps="$2"
+        shift 2
+        ;;
+      --audio-silence-db)
+        [[ $# -ge 2 ]] || die "--audio-silence-db requires a numeric value"
+        audio_silence_threshold="$2"
+        shift 2
+        ;;
+      --audio-min-silence)
+        [[ $# -ge 2 ]] || die "--audio-min-silence requires a numeric value"
+        audio_min_silence_duration="$2"
+        shift 2
+        ;;
+      --audio-threshold)
+        [[ $# -ge 2 ]] || die "--audio-threshold requires a numeric value"
+        audio_change_threshold="$2"
+        shift 2
+        ;;
+      --audio-window)
+        [[ $# -ge 2 ]] || die "--audio-window requires a numeric value"
+        audio_window_seconds="$2"
+        shift 2
+        ;;
+      --audio-min-gap)
+        [[ $# -ge 2 ]] || die "--audio-min-gap requires a numeric value"
+        audio_min_boundary_spacing="$2"
+        shift 2
+        ;;
       --fps|--frame-fps)
         [[ $# -ge 2 ]] || die "$1 requires a numeric value"
         frame_fps="$2"
         shift 2
         ;;
+      --frame-strategy)
+        [[ $# -ge 2 ]] || die "--frame-strategy requires keyframes, fps or best"
+        frame_strategy="$2"
+        shift 2
+        ;;
+      --best-frames)
+        [[ $# -ge 2 ]] || die "--best-frames requires a numeric value"
+        best_frame_count="$2"
+        shift 2
+        ;;
+      --candidate-fps)
+        [[ $# -ge 2 ]] || die "--candidate-fps requires a numeric value"
+        best_candidate_fps="$2"
+        shift 2
+        ;;
       --extract-frames)
         extract_frames=1
         shift
@@ -511,11 +642,34 @@ cmd_detect_scenes_common() {
         transcribe_audio=1
         shift
         ;;
+      --no-dedupe-frames)
+        no_dedupe_frames=1
+        shift
+        ;;
+      --frame-hash-distance)
+        [[ $# -ge 2 ]] || die "--frame-hash-distance requires a numeric value"
+        frame_hash_distance="$2"
+        shift 2
+        ;;
+      --reuse-similar-scenes)
+        reuse_similar_scenes=1
+        shift
+        ;;
       --language)
         [[ $# -ge 2 ]] || die "--language requires a value"
         language="$2"
         shift 2
         ;;
+      --prompt-id)
+        [[ $# -ge 2 ]] || die "--prompt-id requires a value"
+        prompt_id="$2"
+        shift 2
+        ;;
+      --provider)
+        [[ $# -ge 2 ]] || die "--provider requires a provider name"
+        provider="$2"
+        shift 2
+        ;;
       -*)
         die "Unknown option for $command_name: $1"
         ;;
@@ -541,8 +695,23 @@ cmd_detect_scenes_common() {
   local has_visual_sample_fps=0
   local has_visual_window_seconds=0
   local has_visual_min_boundary_spacing=0
+  local has_transition_sample_fps=0
+  local has_auto_target_scene_length=0
+  local has_auto_min_scenes=0
+  local has_auto_max_scenes=0
+  local has_audio_silence_threshold=0
+  local has_audio_min_silence_duration=0
+  local has_audio_change_threshold=0
+  local has_audio_window_seconds=0
+  local has_audio_min_boundary_spacing=0
   local has_frame_fps=0
+  local has_frame_strategy=0
+  local has_best_frame_count=0
+  local has_best_candidate_fps=0
+  local has_frame_hash_distance=0
   local has_language=0
+  local has_prompt_id=0
+  local has_provider=0
   [[ -n "$threshold" ]] && has_threshold=1
   [[ -n "$split_mode" ]] && has_split_mode=1
   [[ -n "$motion_threshold" ]] && has_motion_threshold=1
@@ -551,8 +720,23 @@ cmd_detect_scenes_common() {
   [[ -n "$visual_sample_fps" ]] && has_visual_sample_fps=1
   [[ -n "$visual_window_seconds" ]] && has_visual_window_seconds=1
   [[ -n "$visual_min_boundary_spacing" ]] && has_visual_min_boundary_spacing=1
+  [[ -n "$transition_sample_fps" ]] && has_transition_sample_fps=1
+  [[ -n "$auto_target_scene_length" ]] && has_auto_target_scene_length=1
+  [[ -n "$auto_min_scenes" ]] && has_auto_min_scenes=1
+  [[ -n "$auto_max_scenes" ]] && has_auto_max_scenes=1
+  [[ -n "$audio_silence_threshold" ]] && has_audio_silence_threshold=1
+  [[ -n "$audio_min_silence_duration" ]] && has_audio_min_silence_duration=1
+  [[ -n "$audio_change_threshold" ]] && has_audio_change_threshold=1
+  [[ -n "$audio_window_seconds" ]] && has_audio_window_seconds=1
+  [[ -n "$audio_min_boundary_spacing" ]] && has_audio_min_boundary_spacing=1
   [[ -n "$frame_fps" ]] && has_frame_fps=1
+  [[ -n "$frame_strategy" ]] && has_frame_strategy=1
+  [[ -n "$best_frame_count" ]] && has_best_frame_count=1
+  [[ -n "$best_candidate_fps" ]] && has_best_candidate_fps=1
+  [[ -n "$frame_hash_distance" ]] && has_frame_hash_distance=1
   [[ -n "$language" ]] && has_language=1
+  [[ -n "$prompt_id" ]] && has_prompt_id=1
+  [[ -n "$provider" ]] && has_provider=1
 
   local body
   body="$(jq -n \
@@ -565,8 +749,23 @@ cmd_detect_scenes_common() {
     --arg visualSampleFps "$visual_sample_fps" \
     --arg visualWindowSeconds "$visual_window_seconds" \
     --arg visualMinBoundarySpacing "$visual_min_boundary_spacing" \
+    --arg transitionSampleFps "$transition_sample_fps" \
+    --arg autoTargetSceneLength "$auto_target_scene_length" \
+    --arg autoMinScenes "$auto_min_scenes" \
+    --arg autoMaxScenes "$auto_max_scenes" \
+    --arg audioSilenceThreshold "$audio_silence_threshold" \
+    --arg audioMinSilenceDuration "$audio_min_silence_duration" \
+    --arg audioChangeThreshold "$audio_change_threshold" \
+    --arg audioWindowSeconds "$audio_window_seconds" \
+    --arg audioMinBoundarySpacing "$audio_min_boundary_spacing" \
     --arg frameFps "$frame_fps" \
+    --arg frameStrategy "$frame_strategy" \
+    --arg bestFrameCount "$best_frame_count" \
+    --arg bestCandidateFps "$best_candidate_fps" \
+    --arg frameHashDistance "$frame_hash_distance" \
     --arg language "$language" \
+    --arg promptId "$prompt_id" \
+    --arg provider "$provider" \
     --argjson hasThreshold "$(json_bool "$has_threshold")" \
     --argjson hasSplitMode "$(json_bool "$has_split_mode")" \
     --argjson hasMotionThreshold "$(json_bool "$has_motion_threshold")" \
@@ -575,8 +774,27 @@ cmd_detect_scenes_common() {
     --argjson hasVisualSampleFps "$(json_bool "$has_visual_sample_fps")" \
     --argjson hasVisualWindowSeconds "$(json_bool "$has_visual_window_seconds")" \
     --argjson hasVisualMinBoundarySpacing "$(json_bool "$has_visual_min_boundary_spacing")" \
+    --argjson hasTransitionSampleFps "$(json_bool "$has_transition_sample_fps")" \
+    --argjson hasAutoTargetSceneLength "$(json_bool "$has_auto_target_scene_length")" \
+    --argjson hasAutoMinScenes "$(json_bool "$has_auto_min_scenes")" \
+    --argjson hasAutoMaxScenes "$(json_bool "$has_auto_max_scenes")" \
+    --argjson auto "$(json_bool "$auto")" \
+    --argjson includeAudio "$(json_bool "$include_audio")" \
+    --argjson hasAudioSilenceThreshold "$(json_bool "$has_audio_silence_threshold")" \
+    --argjson hasAudioMinSilenceDuration "$(json_bool "$has_audio_min_silence_duration")" \
+    --argjson hasAudioChangeThreshold "$(json_bool "$has_audio_change_threshold")" \
+    --argjson hasAudioWindowSeconds "$(json_bool "$has_audio_window_seconds")" \
+    --argjson hasAudioMinBoundarySpacing "$(json_bool "$has_audio_min_boundary_spacing")" \
     --argjson hasFrameFps "$(json_bool "$has_frame_fps")" \
+    --argjson hasFrameStrategy "$(json_bool "$has_frame_strategy")" \
+    --argjson hasBestFrameCount "$(json_bool "$has_best_frame_count")" \
+    --argjson hasBestCandidateFps "$(json_bool "$has_best_candidate_fps")" \
+    --argjson hasFrameHashDistance "$(json_bool "$has_frame_hash_distance")" \
+    --argjson noDedupeFrames "$(json_bool "$no_dedupe_frames")" \
+    --argjson reuseSimilarScenes "$(json_bool "$reuse_similar_scenes")" \
     --argjson hasLanguage "$(json_bool "$has_language")" \
+    --argjson hasPromptId "$(json_bool "$has_prompt_id")" \
+    --argjson hasProvider "$(json_bool "$has_provider")" \
     --argjson extractFrames "$(json_bool "$extract_frames")" \
     --argjson describeScenes "$(json_bool "$describe_scenes")" \
     --argjson transcribeAudio "$(json_bool "$transcribe_audio")" \
@@ -590,11 +808,30 @@ cmd_detect_scenes_common() {
       + (if $hasVisualSampleFps then {visualSampleFps: ($visualSampleFps | tonumber)} else {} end)
       + (if $hasVisualWindowSeconds then {visualWindowSeconds: ($visualWindowSeconds | tonumber)} else {} end)
       + (if $hasVisualMinBoundarySpacing then {visualMinBoundarySpacing: ($visualMinBoundarySpacing | tonumber)} else {} end)
+      + (if $auto then {auto: true} else {} end)
+      + (if $hasAutoTargetSceneLength then {autoTargetSceneLength: ($autoTargetSceneLength | tonumber)} else {} end)
+      + (if $hasAutoMinScenes then {autoMinScenes: ($autoMinScenes | tonumber)} else {} end)
+      + (if $hasAutoMaxScenes then {autoMaxScenes: ($autoMaxScenes | tonumber)} else {} end)
+      + (if $hasTransitionSampleFps then {transitionSampleFps: ($transitionSampleFps | tonumber)} else {} end)
+      + (if $includeAudio then {includeAudio: true} else {} end)
+      + (if $hasAudioSilenceThreshold then {audioSilenceThreshold: ($audioSilenceThreshold | tonumber)} else {} end)
+      + (if $hasAudioMinSilenceDuration then {audioMinSilenceDuration: ($audioMinSilenceDuration | tonumber)} else {} end)
+      + (if $hasAudioChangeThreshold then {audioChangeThreshold: ($audioChangeThreshold | tonumber)} else {} end)
+      + (if $hasAudioWindowSeconds then {audioWindowSeconds: ($audioWindowSeconds | tonumber)} else {} end)
+      + (if $hasAudioMinBoundarySpacing then {audioMinBoundarySpacing: ($audioMinBoundarySpacing | tonumber)} else {} end)
       + (if $hasFrameFps then {frameFps: ($frameFps | tonumber)} else {} end)
+      + (if $hasFrameStrategy then {frameStrategy: $frameStrategy} else {} end)
+      + (if $hasBestFrameCount then {bestFrameCount: ($bestFrameCount | tonumber)} else {} end)
+      + (if $hasBestCandidateFps then {bestCandidateFps: ($bestCandidateFps | tonumber)} else {} end)
+      + (if $noDedupeFrames then {dedupeFrames: false} else {} end)
+      + (if $hasFrameHashDistance then {frameHashDistance: ($frameHashDistance | tonumber)} else {} end)
+      + (if $reuseSimilarScenes then {reuseSimilarScenes: true} else {} end)
       + (if $extractFrames then {extractFrames: true} else {} end)
       + (if $describeScenes then {describeScenes: true} else {} end)
       + (if $transcribeAudio then {transcribeAudio: true} else {} end)
       + (if $hasLanguage then {language: $language} else {} end)
+      + (if $hasPromptId then {promptId: $promptId} else {} end)
+      + (if $hasProvider then {provider: $provider} else {} end)
     '
   )"
 
@@ -623,6 +860,11 @@ cmd_fpo_run() {
   local evolution_interval=""
   local evolution_set=0
   local evolution_enabled=1
+  local sample_scenes=""
+  local aggregation=""
+  local strategy=""
+  local arms_per_round=""
+  local population=""
 
   while (($#)); do
     case "$1" in
@@ -646,6 +888,31 @@ cmd_fpo_run() {
         evolution_enabled=1
         shift
         ;;
+      --sample-scenes)
+        [[ $# -ge 2 ]] || die "--sample-scenes requires a numeric value"
+        sample_scenes="$2"
+        shift 2
+        ;;
+      --aggregation)
+        [[ $# -ge 2 ]] || die "--aggregation requires mean, weighted, median or trimmed"
+        aggregation="$2"
+        shift 2
+        ;;
+      --strategy)
+        [[ $# -ge 2 ]] || die "--strategy requires ucb1, thompson-beta, thompson-gaussian or epsilon-greedy"
+        strategy="$2"
+        shift 2
+        ;;
+      --arms-per-round)
+        [[ $# -ge 2 ]] || die "--arms-per-round requires a numeric value"
+        arms_per_round="$2"
+        shift 2
+        ;;
+      --population)
+        [[ $# -ge 2 ]] || die "--population requires video-scene-description or video-article-match"
+        population="$2"
+        shift 2
+        ;;
       -*)
         die "Unknown option for fpo-run: $1"
         ;;
@@ -657,15 +924,35 @@ cmd_fpo_run() {
 
   local has_iterations=0
   local has_interval=0
+  local has_sample_scenes=0
+  local has_aggregation=0
+  local has_strategy=0
+  local has_arms_per_round=0
+  local has_population=0
   [[ -n "$iterations" ]] && has_iterations=1
   [[ -n "$evolution_interval" ]] && has_interval=1
+  [[ -n "$sample_scenes" ]] && has_sample_scenes=1
+  [[ -n "$aggregation" ]] && has_aggregation=1
+  [[ -n "$strategy" ]] && has_strategy=1
+  [[ -n "$arms_per_round" ]] && has_arms_per_round=1
+  [[ -n "$population" ]] && has_population=1
 
   local body
   body="$(jq -n \
     --arg iterations "$iterations" \
     --arg evolutionInterval "$evolution_interval" \
+    --arg sampleScenes "$sample_scenes" \
+    --arg aggregation "$aggregation" \
+    --arg strategy "$strategy" \
+    --arg armsPerRound "$arms_per_round" \
+    --arg population "$population" \
     --argjson hasIterations "$(json_bool "$has_iterations")" \
     --argjson hasInterval "$(json_bool "$has_interval")" \
+    --argjson hasSampleScenes "$(json_bool "$has_sample_scenes")" \
+    --argjson hasAggregation "$(json_bool "$has_aggregation")" \
+    --argjson hasStrategy "$(json_bool "$has_strategy")" \
+    --argjson hasArmsPerRound "$(json_bool "$has_arms_per_round")" \
+    --argjson hasPopulation "$(json_bool "$has_population")" \
     --argjson hasEvolution "$(json_bool "$evolution_set")" \
     --argjson enableEvolution "$(json_bool "$evolution_enabled")" \
     '
@@ -673,6 +960,11 @@ cmd_fpo_run() {
       + (if $hasIterations then {iterations: ($iterations | tonumber)} else {} end)
       + (if $hasEvolution then {enableEvolution: $enableEvolution} else {} end)
       + (if $hasInterval then {evolutionInterval: ($evolutionInterval | tonumber)} else {} end)
+      + (if $hasSampleScenes then {sampleScenes: ($sampleScenes | tonumber)} else {} end)
+      + (if $hasAggregation then {aggregation: $aggregation} else {} end)
+      + (if $hasStrategy then {strategy: $strategy} else {} end)
+      + (if $hasArmsPerRound then {armsPerRound: ($armsPerRound | tonumber)} else {} end)
+      + (if $hasPopulation then {population: $population} else {} end)
     '
   )"
 
@@ -832,14 +1124,26 @@ cmd_batch_add() {
 cmd_article_describe() {
   local article_id=""
   local threshold=""
+  local prompt_id=""
+  local priority=""
 
   while (($#)); do
     case "$1" in
+      --priority)
+        [[ $# -ge 2 ]] || die "--priority requires high, normal or low"
+        priority="$2"
+        shift 2
+        ;;
       --threshold)
         [[ $# -ge 2 ]] || die "--threshold requires a numeric value"
         threshold="$2"
         shift 2
         ;;
+      --prompt-id)
+        [[ $# -ge 2 ]] || die "--prompt-id requires a value"
+        prompt_id="$2"
+        shift 2
+        ;;
       -*)
         die "Unknown option for article-describe: $1"
         ;;
@@ -854,15 +1158,25 @@ cmd_article_describe() {
   [[ -n "$article_id" ]] || die "article-describe requires ARTICLE_ID"
 
   local has_threshold=0
+  local has_prompt_id=0
+  local has_priority=0
   [[ -n "$threshold" ]] && has_threshold=1
+  [[ -n "$prompt_id" ]] && has_prompt_id=1
+  [[ -n "$priority" ]] && has_priority=1
 
   local body
   body="$(jq -n \
     --arg threshold "$threshold" \
+    --arg promptId "$prompt_id" \
+    --arg priority "$priority" \
     --argjson hasThreshold "$(json_bool "$has_threshold")" \
+    --argjson hasPromptId "$(json_bool "$has_prompt_id")" \
+    --argjson hasPriority "$(json_bool "$has_priority")" \
     '
       {}
       + (if $hasThreshold then {threshold: ($threshold | tonumber)} else {} end)
+      + (if $hasPromptId then {promptId: $promptId} else {} end)
+      + (if $hasPriority then {priority: $priority} else {} end)
     '
   )"
 
@@ -870,8 +1184,55 @@ cmd_article_describe() {
 }
 
 cmd_article_rate() {
-  [[ $# -eq 1 ]] || die "article-rate requires ARTICLE_ID"
-  json_request POST "/api/articles/$1/rate" '{}' "article-rate"
+  local article_id=""
+  local prompt_id=""
+  local priority=""
+
+  while (($#)); do
+    case "$1" in
+      --prompt-id)
+        [[ $# -ge 2 ]] || die "--prompt-id requires a value"
+        prompt_id="$2"
+        shift 2
+        ;;
+      --priority)
+        [[ $# -ge 2 ]] || die "--priority requires high, normal or low"
+        priority="$2"
+        shift 2
+        ;;
+      -*)
+        die "Unknown option for article-rate: $1"
+        ;;
+      *)
+        [[ -z "$article_id" ]] || die "article-rate accepts only one ARTICLE_ID"
+        article_id="$1"
+        shift
+        ;;
+    esac
+  done
+
+  [[ -n "$article_id" ]] || die "article-rate requires ARTICLE_ID"
+
+  local body
+  body="$(jq -n --arg promptId "$prompt_id" --arg priority "$priority" \
+    '
+      {}
+      + (if $promptId == "" then {} else {promptId: $promptId} end)
+      + (if $priority == "" then {} else {priority: $priority} end)
+    '
+  )"
+
+  json_request POST "/api/articles/$article_id/rate" "$body" "article-rate"
+}
+
+cmd_article_human_score() {
+  [[ $# -eq 2 ]] || die "article-human-score requires ARTICLE_ID SCORE"
+  [[ "$2" =~ ^[0-9]+(\.[0-9]+)?$ ]] || die "SCORE must be a number between 0 and 100"
+
+  local body
+  body="$(jq -n --arg score "$2" '{score: ($score | tonumber)}')"
+
+  json_request POST "/api/articles/$1/human-score" "$body" "article-human-score"
 }
 
 cmd_article_delete() {
@@ -932,10 +1293,261 @@ cmd_flags_status() {
   json_request GET /api/flags/status "" "flags-status"
 }
 
+cmd_flags() {
+  json_request GET /api/flags "" "flags"
+}
+
+cmd_flag_clear() {
+  local flag_name=""
+  local confirmed=0
+
+  while (($#)); do
+    case "$1" in
+      --yes)
+        confirmed=1
+        shift
+        ;;
+      -*)
+        die "Unknown option for flag-clear: $1"
+        ;;
+      *)
+        [[ -z "$flag_name" ]] || die "Unexpected argument for flag-clear: $1"
+        flag_name="$1"
+        shift
+        ;;
+    esac
+  done
+
+  [[ -n "$flag_name" ]] || die "flag-clear requires NAME"
+
+  if (( ! confirmed )); then
+    confirm_or_die "Force-clear flag $flag_name, even if its owner is still running?"
+  fi
+
+  json_request DELETE "/api/flags/$flag_name" "" "flag-clear"
+}
+
+cmd_flags_cleanup() {
+  json_request POST /api/flags/cleanup "" "flags-cleanup"
+}
+
 cmd_queue_status() {
   json_request GET /api/queue/status "" "queue-status"
 }
 
+cmd_queue_cancel() {
+  [[ $# -eq 2 ]] || die "queue-cancel requires TYPE JOB_ID"
+  json_request DELETE "/api/queue/$1/$2" "" "queue-cancel"
+}
+
+cmd_queue_priority() {
+  [[ $# -eq 3 ]] || die "queue-priority requires TYPE JOB_ID PRIORITY"
+
+  local body
+  body="$(jq -n --arg priority "$3" '{priority: $priority}')"
+
+  json_request PATCH "/api/queue/$1/$2" "$body" "queue-priority"
+}
+
+cmd_dead_letters() {
+  [[ $# -le 1 ]] || die "dead-letters accepts at most one TYPE"
+
+  if [[ $# -eq 1 ]]; then
+    json_request GET "/api/queue/dead-letter?type=$1" "" "dead-letters"
+  else
+    json_request GET /api/queue/dead-letter "" "dead-letters"
+  fi
+}
+
+cmd_dead_letter_retry() {
+  [[ $# -eq 2 ]] || die "dead-letter-retry requires TYPE JOB_ID"
+  json_request POST "/api/queue/$1/dead-letter/$2/retry" "" "dead-letter-retry"
+}
+
+cmd_dead_letter_purge() {
+  local queue_type=""
+  local job_id=""
+  local confirmed=0
+
+  while (($#)); do
+    case "$1" in
+      --yes)
+        confirmed=1
+        shift
+        ;;
+      -*)
+        die "Unknown option for dead-letter-purge: $1"
+        ;;
+      *)
+        if [[ -z "$queue_type" ]]; then
+          queue_type="$1"
+        elif [[ -z "$job_id" ]]; then
+          job_id="$1"
+        else
+          die "Unexpected argument for dead-letter-purge: $1"
+        fi
+        shift
+        ;;
+    esac
+  done
+
+  [[ -n "$queue_type" ]] || die "dead-letter-purge requires TYPE"
+
+  if [[ -n "$job_id" ]]; then
+    json_request DELETE "/api/queue/$queue_type/dead-letter/$job_id" "" "dead-letter-purge"
+    return
+  fi
+
+  if (( ! confirmed )); then
+    confirm_or_die "Purge all dead-lettered $queue_type jobs?"
+  fi
+
+  json_request DELETE "/api/queue/$queue_type/dead-letter" "" "dead-letter-purge"
+}
+
+cmd_schedules() {
+  json_request GET /api/schedules "" "schedules"
+}
+
+cmd_schedule_add() {
+  local schedule_type=""
+  local cron=""
+  local schedule_id=""
+  local payload="{}"
+  local enabled=1
+
+  while (($#)); do
+    case "$1" in
+      --id)
+        [[ $# -ge 2 ]] || die "--id requires a value"
+        schedule_id="$2"
+        shift 2
+        ;;
+      --payload)
+        [[ $# -ge 2 ]] || die "--payload requires a JSON object"
+        payload="$2"
+        shift 2
+        ;;
+      --disabled)
+        enabled=0
+        shift
+        ;;
+      -*)
+        die "Unknown option for schedule-add: $1"
+        ;;
+      *)
+        if [[ -z "$schedule_type" ]]; then
+          schedule_type="$1"
+        elif [[ -z "$cron" ]]; then
+          cron="$1"
+        else
+          die "Unexpected argument for schedule-add: $1"
+        fi
+        shift
+        ;;
+    esac
+  done
+
+  [[ -n "$schedule_type" && -n "$cron" ]] || die "schedule-add requires TYPE and CRON"
+  jq -e 'type == "object"' >/dev/null 2>&1 <<<"$payload" || die "--payload must be a JSON object"
+
+  local has_id=0
+  [[ -n "$schedule_id" ]] && has_id=1
+
+  local body
+  body="$(jq -n \
+    --arg type "$schedule_type" \
+    --arg cron "$cron" \
+    --arg id "$schedule_id" \
+    --argjson payload "$payload" \
+    --argjson hasId "$(json_bool "$has_id")" \
+    --argjson enabled "$(json_bool "$enabled")" \
+    '
+      {type: $type, cron: $cron, payload: $payload, enabled: $enabled}
+      + (if $hasId then {id: $id} else {} end)
+    '
+  )"
+
+  json_request POST /api/schedules "$body" "schedule-add"
+}
+
+cmd_schedule_delete() {
+  [[ $# -eq 1 ]] || die "schedule-delete requires SCHEDULE_ID"
+  json_request DELETE "/api/schedules/$1" "" "schedule-delete"
+}
+
+cmd_webhooks() {
+  json_request GET /api/webhooks "" "webhooks"
+}
+
+cmd_webhook_add() {
+  local url=""
+  local events=""
+  local secret=""
+  local description=""
+
+  while (($#)); do
+    case "$1" in
+      --events)
+        [[ $# -ge 2 ]] || die "--events requires a comma-separated list"
+        events="$2"
+        shift 2
+        ;;
+      --secret)
+        [[ $# -ge 2 ]] || die "--secret requires a value"
+        secret="$2"
+        shift 2
+        ;;
+      --description)
+        [[ $# -ge 2 ]] || die "--description requires a value"
+        description="$2"
+        shift 2
+        ;;
+      -*)
+        die "Unknown option for webhook-add: $1"
+        ;;
+      *)
+        [[ -z "$url" ]] || die "Unexpected argument for webhook-add: $1"
+        url="$1"
+        shift
+        ;;
+    esac
+  done
+
+  [[ -n "$url" ]] || die "webhook-add requires URL"
+
+  local body
+  body="$(jq -n \
+    --arg url "$url" \
+    --arg events "$events" \
+    --arg secret "$secret" \
+    --arg description "$description" \
+    '
+      {url: $url}
+      + (if $events == "" then {} else {events: ($events | split(",") | map(gsub("^\\s+|\\s+$"; "")))} end)
+      + (if $secret == "" then {} else {secret: $secret} end)
+      + (if $description == "" then {} else {description: $description} end)
+    '
+  )"
+
+  json_request POST /api/webhooks "$body" "webhook-add"
+}
+
+cmd_webhook_delete() {
+  [[ $# -eq 1 ]] || die "webhook-delete requires WEBHOOK_ID"
+  json_request DELETE "/api/webhooks/$1" "" "webhook-delete"
+}
+
+cmd_webhook_deliveries() {
+  [[ $# -eq 1 ]] || die "webhook-deliveries requires WEBHOOK_ID"
+  json_request GET "/api/webhooks/$1/deliveries" "" "webhook-deliveries"
+}
+
+cmd_webhook_ping() {
+  [[ $# -eq 1 ]] || die "webhook-ping requires WEBHOOK_ID"
+  json_request POST "/api/webhooks/$1/ping" "" "webhook-ping"
+}
+
 cmd_reprocess() {
   [[ $# -eq 1 ]] || die "reprocess requires VIDEO_ID"
   local body
@@ -1121,6 +1733,9 @@ case "$COMMAND" in
   article-rate)
     cmd_article_rate "$@"
     ;;
+  article-human-score)
+    cmd_article_human_score "$@"
+    ;;
   article-delete)
     cmd_article_delete "$@"
     ;;
@@ -1130,9 +1745,57 @@ case "$COMMAND" in
   flags-status)
     cmd_flags_status "$@"
     ;;
+  flags)
+    cmd_flags "$@"
+    ;;
+  flag-clear)
+    cmd_flag_clear "$@"
+    ;;
+  flags-cleanup)
+    cmd_flags_cleanup "$@"
+    ;;
   queue-status)
     cmd_queue_status "$@"
     ;;
+  queue-cancel)
+    cmd_queue_cancel "$@"
+    ;;
+  queue-priority)
+    cmd_queue_priority "$@"
+    ;;
+  dead-letters)
+    cmd_dead_letters "$@"
+    ;;
+  dead-letter-retry)
+    cmd_dead_letter_retry "$@"
+    ;;
+  dead-letter-purge)
+    cmd_dead_letter_purge "$@"
+    ;;
+  schedules)
+    cmd_schedules "$@"
+    ;;
+  schedule-add)
+    cmd_schedule_add "$@"
+    ;;
+  schedule-delete)
+    cmd_schedule_delete "$@"
+    ;;
+  webhooks)
+    cmd_webhooks "$@"
+    ;;
+  webhook-add)
+    cmd_webhook_add "$@"
+    ;;
+  webhook-delete)
+    cmd_webhook_delete "$@"
+    ;;
+  webhook-deliveries)
+    cmd_webhook_deliveries "$@"
+    ;;
+  webhook-ping)
+    cmd_webhook_ping "$@"
+    ;;
   reprocess)
     cmd_reprocess "$@"
     ;;
@@ -124,6 +124,17 @@ echo -e "${YELLOW}This may take a few minutes...${NC}"
 echo -e "${GRAY}Steps: Scene detection → Frame extraction → AI description${NC}"
 echo ""
 
+# Wait until a queued job has left the queues (finished, or failed after its retries)
+wait_for_job() {
+    local job_id=$1
+    while curl -s "$BASE_URL/api/queue/status" | jq -e --arg id "$job_id" \
+        '[.[] | .processing[], .items[]] | any(.id == $id)' > /dev/null; do
+        echo -ne "${GRAY}.${NC}"
+        sleep 5
+    done
+    echo ""
+}
+
 # Make request
 response=$(curl -s -w "\n%{http_code}" -X POST "$BASE_URL/api/articles/$ARTICLE_ID/describe" \
   -H "Content-Type: application/json" \
@@ -134,15 +145,23 @@ body=$(echo "$response" | sed '$d')
 
 # Check response
 if [ "$http_code" -ge 200 ] && [ "$http_code" -lt 300 ]; then
-    echo -e "${GREEN}✓ Scene description complete!${NC}"
-    echo ""
+    job_id=$(echo "$body" | jq -r '.jobId')
+    echo -e "${BLUE}Queued as $job_id (position $(echo "$body" | jq -r '.position'))${NC}"
+    echo -ne "${GRAY}Waiting for describe job${NC}"
+    wait_for_job "$job_id"
     
-    # Parse response
-    scene_count=$(echo "$body" | jq -r '.sceneCount')
-    output_path=$(echo "$body" | jq -r '.outputPath')
+    # Read the result from the article
+    article=$(curl -s "$BASE_URL/api/articles/$ARTICLE_ID")
+    scene_count=$(echo "$article" | jq -r '.sceneData.sceneCount // empty')
     
+    if [ -z "$scene_count" ]; then
+        echo -e "${RED}Error: describe job failed (see server logs)${NC}"
+        exit 1
+    fi
+    
+    echo -e "${GREEN}✓ Scene description complete!${NC}"
+    echo ""
     echo -e "${GREEN}Scenes detected: $scene_count${NC}"
-    echo -e "${GRAY}Output: $output_path${NC}"
     echo ""
     
     echo -e "${BLUE}View scenes:${NC}"
@@ -103,6 +103,17 @@ echo ""
 echo -e "${YELLOW}Analyzing video-article match with AI...${NC}"
 echo ""
 
+# Wait until a queued job has left the queues (finished, or failed after its retries)
+wait_for_job() {
+    local job_id=$1
+    while curl -s "$BASE_URL/api/queue/status" | jq -e --arg id "$job_id" \
+        '[.[] | .processing[], .items[]] | any(.id == $id)' > /dev/null; do
+        echo -ne "${GRAY}.${NC}"
+        sleep 5
+    done
+    echo ""
+}
+
 # Make request
 response=$(curl -s -w "\n%{http_code}" -X POST "$BASE_URL/api/articles/$ARTICLE_ID/rate" \
   -H "Content-Type: application/json")
@@ -112,13 +123,24 @@ body=$(echo "$response" | sed '$d')
 
 # Check response
 if [ "$http_code" -ge 200 ] && [ "$http_code" -lt 300 ]; then
+    job_id=$(echo "$body" | jq -r '.jobId')
+    echo -e "${BLUE}Queued as $job_id (position $(echo "$body" | jq -r '.position'))${NC}"
+    echo -ne "${GRAY}Waiting for rate job${NC}"
+    wait_for_job "$job_id"
+    
+    # Read the result from the article
+    article=$(curl -s "$BASE_URL/api/articles/$ARTICLE_ID")
+    match_score=$(echo "$article" | jq -r '.workflow.matchScore // empty')
+    rating=$(echo "$article" | jq -r '.workflow.ratingDetails.explanation // empty')
+    
+    if [ -z "$match_score" ]; then
+        echo -e "${RED}Error: rate job failed (see server logs)${NC}"
+        exit 1
+    fi
+    
     echo -e "${GREEN}✓ Rating complete!${NC}"
     echo ""
     
-    # Parse response
-    match_score=$(echo "$body" | jq -r '.matchScore')
-    rating=$(echo "$body" | jq -r '.rating')
-    
     # Color code the score
     if [ "$match_score" -ge 70 ]; then
         score_color=$GREEN
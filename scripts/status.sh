@@ -17,7 +17,7 @@ WATCH_MODE=false
 show_help() {
     echo "Usage: ./scripts/status.sh [OPTIONS] [ENVIRONMENT]"
     echo ""
-    echo "Show action status (flags) and queue state"
+    echo "Show action status (flags), queue state and AI provider state"
     echo ""
     echo "Options:"
     echo "  -w, --watch             Watch mode (refresh every 3s)"
@@ -79,7 +79,7 @@ show_status() {
     
     # Get flags status
     echo -e "${BLUE}🚩 Active Flags (Temporary)${NC}"
-    echo -e "${GRAY}Flags are cleared on Docker restart${NC}"
+    echo -e "${GRAY}Flags expire unless their owner process refreshes them${NC}"
     echo ""
     
     flags_response=$(curl -s "$BASE_URL/api/flags/status" 2>/dev/null)
@@ -94,8 +94,10 @@ show_status() {
             batch_data=$(echo "$flags_response" | jq -r '.batchAddingData')
             target=$(echo "$batch_data" | jq -r '.targetCount // "?"')
             started=$(echo "$batch_data" | jq -r '.startedAt // "unknown"')
+            owner=$(echo "$batch_data" | jq -r '"\(.owner.hostname // "?"):\(.owner.pid // "?")"')
             echo -e "   ${YELLOW}⏳ Batch Adding${NC}: Adding $target articles"
             echo -e "      Started: $started"
+            echo -e "      ${GRAY}Owner: $owner${NC}"
             active_flags=$((active_flags + 1))
         fi
         
@@ -103,11 +105,30 @@ show_status() {
             fpo_data=$(echo "$flags_response" | jq -r '.fpoRunningData')
             iterations=$(echo "$fpo_data" | jq -r '.iterations // "?"')
             started=$(echo "$fpo_data" | jq -r '.startedAt // "unknown"')
+            owner=$(echo "$fpo_data" | jq -r '"\(.owner.hostname // "?"):\(.owner.pid // "?")"')
             echo -e "   ${PURPLE}🧠 FPO Running${NC}: $iterations iterations"
             echo -e "      Started: $started"
+            echo -e "      ${GRAY}Owner: $owner${NC}"
             active_flags=$((active_flags + 1))
         fi
         
+        # Per-article locks (describing-*, rating-*) with owner and expiry
+        lock_flags=$(curl -s "$BASE_URL/api/flags" 2>/dev/null | jq -r '
+            .flags[]?
+            | select(.name != "batch-adding" and .name != "fpo-running")
+            | "\(.name)|\(.owner.hostname // "?"):\(.owner.pid // "?")|\(.expiresAt // "never")|\(.staleReason // "")"
+        ')
+        while IFS='|' read -r flag_name owner expires stale_reason; do
+            [ -z "$flag_name" ] && continue
+            if [ -n "$stale_reason" ]; then
+                echo -e "   ${RED}🔒 $flag_name${NC} ${GRAY}(stale: $stale_reason)${NC}"
+            else
+                echo -e "   ${YELLOW}🔒 $flag_name${NC}"
+            fi
+            echo -e "      ${GRAY}Owner: $owner, expires: $expires${NC}"
+            active_flags=$((active_flags + 1))
+        done <<< "$lock_flags"
+        
         if [ $active_flags -eq 0 ]; then
             echo -e "   ${GREEN}✓ No active flags${NC}"
         fi
@@ -125,109 +146,111 @@ show_status() {
     queue_response=$(curl -s "$BASE_URL/api/queue/status" 2>/dev/null)
     
     if [ $? -eq 0 ] && [ -n "$queue_response" ]; then
-        # Fetch queue
-        fetch_processing=$(echo "$queue_response" | jq -r '.fetch.processing')
-        fetch_queued=$(echo "$queue_response" | jq -r '.fetch.queued')
-        
-        echo -e "   ${PURPLE}📥 Fetch Queue${NC}"
-        if [ "$fetch_processing" != "null" ]; then
-            item_id=$(echo "$fetch_processing" | jq -r '.id // .articleId // "unknown"')
-            started=$(echo "$fetch_processing" | jq -r '.startedAt // "unknown"')
-            echo -e "      ${YELLOW}▶ Processing${NC}: $item_id"
-            echo -e "         Started: $(echo $started | cut -c12-19)"
-        else
-            echo -e "      ${GRAY}○ Idle${NC}"
-        fi
-        echo -e "      Queued: $fetch_queued"
-        echo ""
-        
-        # Describe queue
-        describe_processing=$(echo "$queue_response" | jq -r '.describe.processing')
-        describe_queued=$(echo "$queue_response" | jq -r '.describe.queued')
-        
-        echo -e "   ${PURPLE}🎬 Describe Queue${NC}"
-        if [ "$describe_processing" != "null" ]; then
-            item_id=$(echo "$describe_processing" | jq -r '.articleId // "unknown"')
-            started=$(echo "$describe_processing" | jq -r '.startedAt // "unknown"')
-            echo -e "      ${YELLOW}▶ Processing${NC}: $item_id"
-            echo -e "         Started: $(echo $started | cut -c12-19)"
-        else
-            echo -e "      ${GRAY}○ Idle${NC}"
-        fi
-        echo -e "      Queued: $describe_queued"
-        echo ""
-        
-        # Rate queue
-        rate_processing=$(echo "$queue_response" | jq -r '.rate.processing')
-        rate_queued=$(echo "$queue_response" | jq -r '.rate.queued')
-        
-        echo -e "   ${PURPLE}⭐ Rate Queue${NC}"
-        if [ "$rate_processing" != "null" ]; then
-            item_id=$(echo "$rate_processing" | jq -r '.articleId // "unknown"')
-            started=$(echo "$rate_processing" | jq -r '.startedAt // "unknown"')
-            echo -e "      ${YELLOW}▶ Processing${NC}: $item_id"
-            echo -e "         Started: $(echo $started | cut -c12-19)"
-        else
-            echo -e "      ${GRAY}○ Idle${NC}"
-        fi
-        echo -e "      Queued: $rate_queued"
-        echo ""
-        
-        # FPO queue
-        fpo_processing=$(echo "$queue_response" | jq -r '.fpo.processing')
-        fpo_queued=$(echo "$queue_response" | jq -r '.fpo.queued')
-        
-        echo -e "   ${PURPLE}🧠 FPO Queue${NC}"
-        if [ "$fpo_processing" != "null" ]; then
-            started=$(echo "$fpo_processing" | jq -r '.startedAt // "unknown"')
-            echo -e "      ${YELLOW}▶ Processing${NC}"
-            echo -e "         Started: $(echo $started | cut -c12-19)"
-        else
-            echo -e "      ${GRAY}○ Idle${NC}"
-        fi
-        echo -e "      Queued: $fpo_queued"
-        echo ""
+        for queue_type in fetch describe rate fpo; do
+            case $queue_type in
+                fetch) label="📥 Fetch Queue" ;;
+                describe) label="🎬 Describe Queue" ;;
+                rate) label="⭐ Rate Queue" ;;
+                fpo) label="🧠 FPO Queue" ;;
+            esac
+            
+            queue=$(echo "$queue_response" | jq ".$queue_type")
+            running=$(echo "$queue" | jq -r '.running // 0')
+            concurrency=$(echo "$queue" | jq -r '.concurrency // 1')
+            queued=$(echo "$queue" | jq -r '.queued // 0')
+            dead=$(echo "$queue" | jq -r '.deadLetter // 0')
+            
+            echo -e "   ${PURPLE}$label${NC} ${GRAY}($running/$concurrency running)${NC}"
+            if [ "$running" -gt 0 ]; then
+                echo "$queue" | jq -r '.processing[] | "\(.id) \(.articleId // "-") \(.startedAt // "unknown") \(.leaseExpiresAt // "unknown") \(.progress.percent // 0) \(if .cancelRequested then "cancelling" else "-" end) \(.progress.message // "")"' | \
+                while read -r item_id article_id started lease percent cancelling message; do
+                    echo -e "      ${YELLOW}▶ Processing${NC}: $item_id"
+                    [ "$article_id" != "-" ] && echo -e "         Article: $article_id"
+                    echo -e "         Started: $(echo $started | cut -c12-19)  Lease until: $(echo $lease | cut -c12-19)"
+                    
+                    # Progress bar (20 chars)
+                    filled=$((percent / 5))
+                    bar="$(printf '%*s' "$filled" '' | tr ' ' '#')$(printf '%*s' "$((20 - filled))" '' | tr ' ' '.')"
+                    echo -e "         Progress: [${GREEN}$bar${NC}] $percent% ${GRAY}$message${NC}"
+                    [ "$cancelling" = "cancelling" ] && echo -e "         ${RED}Cancelling...${NC}"
+                done
+            else
+                echo -e "      ${GRAY}○ Idle${NC}"
+            fi
+            echo -e "      Queued: $queued"
+            if [ "$queued" -gt 0 ]; then
+                priorities=$(echo "$queue" | jq -r '[.items[] | .priority // "normal"] | group_by(.) | map("\(.[0]): \(length)") | join(", ")')
+                echo -e "      ${GRAY}By priority: $priorities${NC}"
+            fi
+            
+            # Items waiting out a retry backoff
+            backoff=$(echo "$queue" | jq -r '[.items[] | select(.availableAt != null)] | length')
+            if [ "$backoff" -gt 0 ]; then
+                echo -e "      ${YELLOW}Retrying later: $backoff${NC}"
+            fi
+            if [ "$dead" -gt 0 ]; then
+                echo -e "      ${RED}Dead letters: $dead${NC} ${GRAY}(GET /api/queue/dead-letter?type=$queue_type)${NC}"
+            fi
+            echo ""
+        done
     else
         echo -e "   ${RED}✗ Cannot connect to API${NC}"
         echo ""
     fi
     
-    # Show concurrent processing summary
-    echo -e "${BLUE}⚡ Concurrent Processing${NC}"
-    echo -e "${GRAY}Up to 4 actions can run simultaneously (1 of each type)${NC}"
+    # AI provider circuit breakers and rate limits
+    echo -e "${BLUE}🤖 AI Providers${NC}"
+    echo -e "${GRAY}Circuit breaker state and requests/tokens in the last minute${NC}"
     echo ""
     
-    active_count=0
-    if [ "$fetch_processing" != "null" ]; then
-        echo -e "   ${GREEN}✓${NC} Fetch: Active"
-        active_count=$((active_count + 1))
-    else
-        echo -e "   ${GRAY}○${NC} Fetch: Idle"
-    fi
+    provider_states=$(curl -s "$BASE_URL/health" 2>/dev/null | jq -r '
+        .config.providerHealth // {} | to_entries[]
+        | "\(.key)|\(.value.state)|\(.value.openUntil // "-")|\(.value.consecutiveFailures)|\(.value.lastError // "")|\(.value.rateLimit.requestsLastMinute)|\(.value.rateLimit.effectiveRpm // "-")|\(.value.rateLimit.tokensLastMinute)|\(.value.rateLimit.tpm // "-")|\(.value.rateLimit.blockedUntil // "-")|\(.value.rateLimit.rateLimited)"
+    ' 2>/dev/null)
     
-    if [ "$describe_processing" != "null" ]; then
-        echo -e "   ${GREEN}✓${NC} Describe: Active"
-        active_count=$((active_count + 1))
+    if [ -n "$provider_states" ]; then
+        while IFS='|' read -r name state open_until failures last_error requests rpm tokens tpm blocked_until rate_limited; do
+            case $state in
+                closed) echo -e "   ${GREEN}✓ $name${NC} ${GRAY}(circuit closed)${NC}" ;;
+                half-open) echo -e "   ${YELLOW}◐ $name${NC} ${GRAY}(circuit half-open, probing)${NC}" ;;
+                *) echo -e "   ${RED}✗ $name${NC} ${GRAY}(circuit open until $(echo $open_until | cut -c12-19))${NC}" ;;
+            esac
+            echo -e "      Requests: $requests/$rpm per min  Tokens: $tokens/$tpm per min"
+            [ "$blocked_until" != "-" ] && echo -e "      ${YELLOW}Rate limited until $(echo $blocked_until | cut -c12-19)${NC}"
+            [ "$rate_limited" -gt 0 ] && echo -e "      ${GRAY}429 responses: $rate_limited${NC}"
+            [ "$failures" -gt 0 ] && echo -e "      ${RED}Consecutive failures: $failures${NC} ${GRAY}$last_error${NC}"
+        done <<< "$provider_states"
     else
-        echo -e "   ${GRAY}○${NC} Describe: Idle"
+        echo -e "   ${GRAY}○ No provider state${NC}"
     fi
+    echo ""
     
-    if [ "$rate_processing" != "null" ]; then
-        echo -e "   ${GREEN}✓${NC} Rate: Active"
-        active_count=$((active_count + 1))
-    else
-        echo -e "   ${GRAY}○${NC} Rate: Idle"
-    fi
+    # Show concurrent processing summary
+    echo -e "${BLUE}⚡ Concurrent Processing${NC}"
+    echo -e "${GRAY}Each queue runs up to its configured concurrency (QUEUE_CONCURRENCY_*)${NC}"
+    echo ""
     
-    if [ "$fpo_processing" != "null" ]; then
-        echo -e "   ${GREEN}✓${NC} FPO: Active"
-        active_count=$((active_count + 1))
-    else
-        echo -e "   ${GRAY}○${NC} FPO: Idle"
-    fi
+    active_count=0
+    total_slots=0
+    for queue_type in fetch describe rate fpo; do
+        running=$(echo "$queue_response" | jq -r ".$queue_type.running // 0" 2>/dev/null)
+        concurrency=$(echo "$queue_response" | jq -r ".$queue_type.concurrency // 1" 2>/dev/null)
+        running=${running:-0}
+        concurrency=${concurrency:-1}
+        name="$(echo ${queue_type:0:1} | tr '[:lower:]' '[:upper:]')${queue_type:1}"
+        [ "$queue_type" = "fpo" ] && name="FPO"
+        
+        if [ "$running" -gt 0 ]; then
+            echo -e "   ${GREEN}✓${NC} $name: Active ($running/$concurrency)"
+        else
+            echo -e "   ${GRAY}○${NC} $name: Idle"
+        fi
+        active_count=$((active_count + running))
+        total_slots=$((total_slots + concurrency))
+    done
     
     echo ""
-    echo -e "   Active: ${GREEN}$active_count/4${NC}"
+    echo -e "   Active: ${GREEN}$active_count/$total_slots${NC}"
     echo ""
     
     if [ "$WATCH_MODE" = true ]; then
@@ -5,23 +5,27 @@ const fs = require('fs');
 const crypto = require('crypto');
 const config = require('../config');
 const { log } = require('../utils/logger');
+const { isInvalidOption } = require('../utils/errors');
 const { processVideo } = require('../core/videoProcessor');
-const { describeImage, describeScene, generateSceneTitle, generateVideoTitle, formatTranscript } = require('../core/gemini');
-const { loadPrompts, runFPOIteration } = require('../core/promptOptimizer');
+const { describeImage, generateSceneTitle, generateVideoTitle, formatTranscript } = require('../core/gemini');
+const { loadPrompts, runFPOIteration, getScenePrompt } = require('../core/promptOptimizer');
 const { logVideoAnalysis } = require('../core/weave');
 const {
   detectScenes,
   extractSceneFrames,
   normalizeDetectionOptions,
+  autoTuneDetectionOptions,
   normalizeFrameExtractionOptions,
 } = require('../core/sceneDetection');
-const { transcribeSceneAudio, getWhisperDeploymentName } = require('../core/audioTranscription');
+const { normalizeDedupOptions } = require('../core/frameDedup');
+const { describeScenesWithDedup } = require('../core/sceneDescription');
+const { transcribeSceneAudio, getWhisperDeploymentName, getTranscriptionProvider } = require('../core/audioTranscription');
+const { createProviderContext } = require('../providers');
 const { fetchNewsArticle } = require('../core/newsFetcher');
 const {
   listArticles,
   getArticleDetails,
-  linkArticleToScenes,
-  rateArticleMatch,
+  setHumanMatchScore,
 } = require('../core/articleWorkflow');
 
 const router = express.Router();
@@ -180,7 +184,7 @@ function getTranscriptForLanguage(transcript, language = 'English', formatted =
   return getTranscriptText(transcript, shouldPreferOriginal ? 'original' : 'english', formatted);
 }
 
-async function formatTranscriptVariants(transcript, originalLanguage = 'English') {
+async function formatTranscriptVariants(transcript, originalLanguage = 'English', providerContext = null) {
   if (!transcript) {
     return transcript;
   }
@@ -191,7 +195,7 @@ async function formatTranscriptVariants(transcript, originalLanguage = 'English'
 
   if (englishText) {
     try {
-      transcript.formattedEnglishText = await formatTranscript(englishText, 'English');
+      transcript.formattedEnglishText = await formatTranscript(englishText, 'English', { context: providerContext });
     } catch (error) {
       transcript.formattedEnglishText = englishText;
     }
@@ -202,7 +206,9 @@ async function formatTranscriptVariants(transcript, originalLanguage = 'English'
       transcript.formattedOriginalText = transcript.formattedEnglishText || originalText;
     } else {
       try {
-        transcript.formattedOriginalText = await formatTranscript(originalText, normalizedOriginalLanguage || 'English');
+        transcript.formattedOriginalText = await formatTranscript(originalText, normalizedOriginalLanguage || 'English', {
+          context: providerContext,
+        });
       } catch (error) {
         transcript.formattedOriginalText = originalText;
       }
@@ -219,6 +225,11 @@ async function formatTranscriptVariants(transcript, originalLanguage = 'English'
 }
 
 function ensureTranscriptionConfigured() {
+  const transcriptionProvider = getTranscriptionProvider();
+  if (transcriptionProvider) {
+    return transcriptionProvider.name;
+  }
+
   if (config.azureOpenAI.whisperEndpoint && (config.azureOpenAI.whisperKey || config.azureOpenAI.apiKey)) {
     return 'WHISPER_ENDPOINT';
   }
@@ -501,7 +512,26 @@ router.post('/detect-scenes', async (req, res) => {
       visualSampleFps = undefined,
       visualWindowSeconds = undefined,
       visualMinBoundarySpacing = undefined,
+      includeAudio = undefined,
+      audioSilenceThreshold = undefined,
+      audioMinSilenceDuration = undefined,
+      audioChangeThreshold = undefined,
+      audioWindowSeconds = undefined,
+      audioMinBoundarySpacing = undefined,
+      transitionSampleFps = undefined,
+      auto = undefined,
+      autoTargetSceneLength = undefined,
+      autoMinScenes = undefined,
+      autoMaxScenes = undefined,
       frameFps = null,
+      frameStrategy = undefined,
+      bestFrameCount = undefined,
+      bestCandidateFps = undefined,
+      dedupeFrames = undefined,
+      frameHashDistance = undefined,
+      reuseSimilarScenes = undefined,
+      promptId = null,
+      provider = null,
     } = req.body;
     
     if (!videoId) {
@@ -517,7 +547,7 @@ router.post('/detect-scenes', async (req, res) => {
     }
 
     const videoPath = path.join(config.uploadDir, videoFiles[0]);
-    const detectionOptions = normalizeDetectionOptions({
+    let detectionOptions = normalizeDetectionOptions({
       threshold,
       splitMode,
       motionThreshold,
@@ -526,11 +556,33 @@ router.post('/detect-scenes', async (req, res) => {
       visualSampleFps,
       visualWindowSeconds,
       visualMinBoundarySpacing,
+      includeAudio,
+      audioSilenceThreshold,
+      audioMinSilenceDuration,
+      audioChangeThreshold,
+      audioWindowSeconds,
+      audioMinBoundarySpacing,
+      transitionSampleFps,
+      auto,
+      autoTargetSceneLength,
+      autoMinScenes,
+      autoMaxScenes,
     });
     const frameExtractionOptions = normalizeFrameExtractionOptions({
       frameFps,
+      frameStrategy,
+      bestFrameCount,
+      bestCandidateFps,
+    });
+    const dedupOptions = normalizeDedupOptions({
+      dedupeFrames,
+      frameHashDistance,
+      reuseSimilarScenes,
     });
+    // Provider for this request's model calls (default: the chains)
+    const providerContext = createProviderContext({ provider });
     const shouldExtractFrames = extractFrames || describeScenes;
+    const scenePrompt = describeScenes ? getScenePrompt(promptId) : null;
     
     // Start timing
     const timings = {
@@ -551,6 +603,10 @@ router.post('/detect-scenes', async (req, res) => {
     sendProgress(videoId, '🎬 Detecting scenes...', 10);
     const sceneDetectStart = Date.now();
     timings.setup = sceneDetectStart - timings.start;
+    if (detectionOptions.auto) {
+      sendProgress(videoId, '🎚️ Tuning thresholds...', 10);
+      detectionOptions = await autoTuneDetectionOptions(videoPath, detectionOptions);
+    }
     let scenes = await detectScenes(videoPath, detectionOptions);
     timings.sceneDetection = Date.now() - sceneDetectStart;
     console.log(`✓ Detected ${scenes.length} scenes (${(timings.sceneDetection / 1000).toFixed(1)}s)\n`);
@@ -558,6 +614,7 @@ router.post('/detect-scenes', async (req, res) => {
     
     // Language handling (user-specified or auto-detected)
     let detectedLanguage = language;
+    let deduplication = null;
     
     // Optionally extract frames
     if (shouldExtractFrames) {
@@ -674,7 +731,7 @@ router.post('/detect-scenes', async (req, res) => {
             const scene = scenes[i];
             
             if (scene.transcript && scene.transcript.text) {
-              await formatTranscriptVariants(scene.transcript, targetLang);
+              await formatTranscriptVariants(scene.transcript, targetLang, providerContext);
               console.log(`  ✓ Scene ${scene.sceneId}: Formatted`);
             }
           }
@@ -689,44 +746,40 @@ router.post('/detect-scenes', async (req, res) => {
         const descriptionsStart = Date.now();
         const targetLanguage = detectedLanguage || 'English';
         console.log(`\n📝 Generating scene descriptions in ${targetLanguage}...`);
-        
-        for (let i = 0; i < scenes.length; i++) {
-          const scene = scenes[i];
-          
-          if (scene.frames && scene.frames.length > 0) {
-            try {
-              console.log(`  Describing scene ${scene.sceneId}...`);
-              sendProgress(videoId, `📝 Describing scene ${scene.sceneId}/${scenes.length}...`, 40 + (i / scenes.length * 40));
-              
-              // Get absolute paths to frame files
-              const framePaths = scene.frames.map(frame => frame.path);
-              
-              // Add language instruction if not English
-              const languagePrompt = (detectedLanguage && detectedLanguage.toLowerCase() !== 'english') 
-                ? `Please provide your response in ${detectedLanguage} language.`
-                : undefined;
-              
-              // Generate description in target language
-              const description = await describeScene(
-                framePaths,
-                scene.sceneId,
-                scene.start,
-                scene.end,
-                languagePrompt
-              );
-              
-              // Add description to scene
-              scene.description = description;
-              console.log(`  ✓ Scene ${scene.sceneId}: ${description.substring(0, 60)}...`);
-            } catch (error) {
-              console.error(`  ✗ Failed to describe scene ${scene.sceneId}:`, error.message);
-              scene.description = null;
-            }
-          }
+        if (scenePrompt) {
+          console.log(`   Prompt: ${scenePrompt.id} (${scenePrompt.version})`);
         }
         
+        // Near-identical frames are left out of the description request and
+        // near-identical scenes can reuse an earlier description
+        deduplication = await describeScenesWithDedup(scenes, {
+          dedup: dedupOptions,
+          scenePrompt,
+          // Add language instruction if not English
+          languageInstruction: (detectedLanguage && detectedLanguage.toLowerCase() !== 'english')
+            ? `Please provide your response in ${detectedLanguage} language.`
+            : null,
+          context: providerContext,
+          continueOnError: true,
+          onCompareFrames: () => sendProgress(videoId, '🔍 Comparing frames...', 40),
+          onScene: (scene, i, similarScene) => sendProgress(
+            videoId,
+            similarScene
+              ? `♻️ Scene ${scene.sceneId} matches scene ${similarScene.sceneId}, reusing its description`
+              : `📝 Describing scene ${scene.sceneId}/${scenes.length}...`,
+            40 + (i / scenes.length * 40)
+          ),
+        });
+        
         timings.descriptions = Date.now() - descriptionsStart;
         console.log(`✓ Scene descriptions complete (${(timings.descriptions / 1000).toFixed(1)}s)\n`);
+        if (deduplication.duplicateFrames > 0 || deduplication.modelCallsSaved > 0) {
+          sendProgress(
+            videoId,
+            `♻️ Saved ${deduplication.modelCallsSaved} describeScene calls, skipped ${deduplication.duplicateFrames} duplicate frames`,
+            80
+          );
+        }
         
         // Step 4: Generate scene titles
         const sceneTitlesStart = Date.now();
@@ -741,7 +794,8 @@ router.post('/detect-scenes', async (req, res) => {
               const title = await generateSceneTitle(
                 scene.description,
                 dialogue,
-                targetLanguage
+                targetLanguage,
+                { context: providerContext }
               );
               scene.title = title;
               console.log(`  ✓ Scene ${scene.sceneId}: "${title}"`);
@@ -766,7 +820,7 @@ router.post('/detect-scenes', async (req, res) => {
     if (describeScenes && scenes.some(s => s.description || s.transcript)) {
       console.log(`\n📋 Generating video title...`);
       try {
-        videoTitle = await generateVideoTitle(scenes, detectedLanguage || 'English');
+        videoTitle = await generateVideoTitle(scenes, detectedLanguage || 'English', { context: providerContext });
         console.log(`✓ Video title: "${videoTitle}"\n`);
       } catch (error) {
         console.error(`✗ Failed to generate video title:`, error.message);
@@ -788,10 +842,25 @@ router.post('/detect-scenes', async (req, res) => {
       visualSampleFps: detectionOptions.visualSampleFps,
       visualWindowSeconds: detectionOptions.visualWindowSeconds,
       visualMinBoundarySpacing: detectionOptions.visualMinBoundarySpacing,
+      includeAudio: detectionOptions.includeAudio,
+      audioSilenceThreshold: detectionOptions.audioSilenceThreshold,
+      audioMinSilenceDuration: detectionOptions.audioMinSilenceDuration,
+      audioChangeThreshold: detectionOptions.audioChangeThreshold,
+      audioWindowSeconds: detectionOptions.audioWindowSeconds,
+      audioMinBoundarySpacing: detectionOptions.audioMinBoundarySpacing,
+      transitionSampleFps: detectionOptions.transitionSampleFps,
+      auto: detectionOptions.auto,
+      autoTargetSceneLength: detectionOptions.auto ? detectionOptions.autoTargetSceneLength : null,
+      autoMinScenes: detectionOptions.autoMinScenes,
+      autoMaxScenes: detectionOptions.autoMaxScenes,
+      autoTuning: detectionOptions.autoTuning,
       frameSampling: {
-        strategy: frameExtractionOptions.frameFps ? 'fps' : 'keyframes',
+        strategy: frameExtractionOptions.strategy,
         fps: frameExtractionOptions.frameFps,
+        bestFrameCount: frameExtractionOptions.strategy === 'best' ? frameExtractionOptions.bestFrameCount : null,
+        bestCandidateFps: frameExtractionOptions.strategy === 'best' ? frameExtractionOptions.bestCandidateFps : null,
       },
+      deduplication,
       timestamp: new Date().toISOString(),
       language: detectedLanguage || 'English',
       scenes: scenes.map(scene => ({
@@ -800,9 +869,14 @@ router.post('/detect-scenes', async (req, res) => {
         start: scene.start,
         end: scene.end,
         duration: scene.end - scene.start,
+        transitionIn: scene.transitionIn || null,
+        transitionOut: scene.transitionOut || null,
         frames: scene.frames || [],
         frameSampling: scene.frameSampling || null,
         description: scene.description || null,
+        descriptionReusedFrom: scene.descriptionReusedFrom || null,
+        promptId: scene.promptId || null,
+        promptVersion: scene.promptVersion || null,
         transcript: scene.transcript || null,
       })),
     };
@@ -859,23 +933,33 @@ router.post('/detect-scenes', async (req, res) => {
       visualSampleFps: detectionOptions.visualSampleFps,
       visualWindowSeconds: detectionOptions.visualWindowSeconds,
       visualMinBoundarySpacing: detectionOptions.visualMinBoundarySpacing,
+      includeAudio: detectionOptions.includeAudio,
+      audioSilenceThreshold: detectionOptions.audioSilenceThreshold,
+      audioMinSilenceDuration: detectionOptions.audioMinSilenceDuration,
+      audioChangeThreshold: detectionOptions.audioChangeThreshold,
+      audioWindowSeconds: detectionOptions.audioWindowSeconds,
+      audioMinBoundarySpacing: detectionOptions.audioMinBoundarySpacing,
+      transitionSampleFps: detectionOptions.transitionSampleFps,
+      auto: detectionOptions.auto,
+      autoTargetSceneLength: detectionOptions.auto ? detectionOptions.autoTargetSceneLength : null,
+      autoMinScenes: detectionOptions.autoMinScenes,
+      autoMaxScenes: detectionOptions.autoMaxScenes,
+      autoTuning: detectionOptions.autoTuning,
       frameSampling: {
-        strategy: frameExtractionOptions.frameFps ? 'fps' : 'keyframes',
+        strategy: frameExtractionOptions.strategy,
         fps: frameExtractionOptions.frameFps,
+        bestFrameCount: frameExtractionOptions.strategy === 'best' ? frameExtractionOptions.bestFrameCount : null,
+        bestCandidateFps: frameExtractionOptions.strategy === 'best' ? frameExtractionOptions.bestCandidateFps : null,
       },
+      deduplication,
+      promptId: scenePrompt?.id || null,
+      promptVersion: scenePrompt?.version || null,
       scenesFile: `${videoId}_scenes.json`,
       processingTime: timings.total / 1000,
     });
   } catch (error) {
     console.error('Scene detection error:', error);
-    const statusCode = (
-      error.message.includes('splitMode') ||
-      error.message.includes('threshold') ||
-      error.message.includes('sceneDuration') ||
-      error.message.includes('visual') ||
-      error.message.includes('frameFps') ||
-      error.message.includes('framesPerScene')
-    ) ? 400 : 500;
+    const statusCode = isInvalidOption(error) ? 400 : 500;
     res.status(statusCode).json({ error: error.message });
   }
 });
@@ -921,11 +1005,23 @@ router.post('/fpo/run', async (req, res) => {
   const { enqueue, QUEUE_TYPES, getStatus } = require('../utils/queue');
   
   try {
-    const { 
-      iterations = 3,
-      enableEvolution = true,
-      evolutionInterval = 2,
-    } = req.body;
+    const { normalizeFpoOptions } = require('../workers/fpoWorker');
+    let options;
+    try {
+      options = normalizeFpoOptions(req.body || {});
+    } catch (error) {
+      return res.status(400).json({ error: error.message });
+    }
+    const {
+      iterations,
+      enableEvolution,
+      evolutionInterval,
+      sampleScenes,
+      aggregation,
+      strategy,
+      armsPerRound,
+      population,
+    } = options;
     
     // Check for described articles before queueing
     const { listArticles } = require('../core/articleWorkflow');
@@ -939,29 +1035,33 @@ router.post('/fpo/run', async (req, res) => {
     }
     
     // Queue the FPO job
-    const jobId = `fpo-${Date.now()}`;
-    const position = enqueue(QUEUE_TYPES.FPO, {
-      id: jobId,
+    const { jobId, position } = enqueue(QUEUE_TYPES.FPO, {
+      id: `fpo-${Date.now()}`,
       iterations,
       enableEvolution,
       evolutionInterval,
+      sampleScenes,
+      aggregation,
+      strategy,
+      armsPerRound,
+      population,
     });
     
     const queueStatus = getStatus(QUEUE_TYPES.FPO);
     
-    console.log(`✓ FPO job queued: ${iterations} iterations (position: ${position})`);
+    console.log(`✓ FPO job queued: ${population}, ${iterations} iterations, ${strategy} selection (position: ${position})`);
     
     res.json({
       success: true,
       queued: true,
       jobId,
       position,
-      message: queueStatus.processing 
+      message: queueStatus.running >= queueStatus.concurrency
         ? `Job queued at position ${position}. Another FPO job is currently running.`
         : 'Job queued and will start shortly.',
       queueStatus: {
         queued: queueStatus.queued,
-        processing: queueStatus.processing ? true : false,
+        processing: queueStatus.running > 0,
       },
     });
   } catch (error) {
@@ -976,10 +1076,12 @@ router.post('/fpo/run', async (req, res) => {
  */
 router.get('/fpo/status', (req, res) => {
   try {
+    const { getPosteriorSummary } = require('../core/promptSelection');
     const prompts = loadPrompts();
     
     const status = {
       globalPrompt: prompts.global_prompt,
+      selection: prompts.selection || null,
       populationSize: prompts.templates.length,
       maxGeneration: Math.max(...prompts.templates.map(t => t.generation || 0)),
       templates: prompts.templates
@@ -993,8 +1095,37 @@ router.get('/fpo/status', (req, res) => {
           parents: t.parents || [],
           performanceHistory: t.performance,
           latestScore: t.performance[t.performance.length - 1]?.score,
+          latestVariance: t.performance[t.performance.length - 1]?.variance ?? null,
+          latestCi95: t.performance[t.performance.length - 1]?.ci95 ?? null,
+          latestSamples: t.performance[t.performance.length - 1]?.samples ?? null,
+          posterior: getPosteriorSummary(t),
         })),
     };
+    
+    // Second population: video-article match prompts
+    try {
+      const { loadMatchPrompts } = require('../core/matchPrompts');
+      const matchPrompts = loadMatchPrompts();
+      status.matchPrompts = {
+        globalPrompt: matchPrompts.global_prompt,
+        populationSize: matchPrompts.templates.length,
+        selection: matchPrompts.selection || null,
+        templates: matchPrompts.templates
+          .sort((a, b) => b.weight - a.weight)
+          .map(t => ({
+            id: t.id,
+            name: t.name,
+            template: t.template,
+            weight: t.weight,
+            generation: t.generation || 0,
+            parents: t.parents || [],
+            latestScore: t.performance[t.performance.length - 1]?.score ?? null,
+            posterior: getPosteriorSummary(t),
+          })),
+      };
+    } catch (error) {
+      status.matchPrompts = null;
+    }
 
     res.json(status);
   } catch (error) {
@@ -1236,6 +1367,11 @@ router.get('/scenes/:videoId', (req, res) => {
       color: #71767b;
       margin-left: 10px;
     }
+    .scene-transitions {
+      font-size: 0.8em;
+      color: #71767b;
+      margin: -5px 0 10px;
+    }
     .frames-container {
       display: grid;
       grid-template-columns: repeat(auto-fit, minmax(200px, 1fr));
@@ -1397,6 +1533,13 @@ router.get('/scenes/:videoId', (req, res) => {
         const transcriptDuration = typeof scene.transcript === 'object' && typeof scene.transcript?.duration === 'number'
           ? scene.transcript.duration.toFixed(1)
           : null;
+        const formatTransition = (transition) => escapeHtml(
+          `${transition.type}${transition.direction ? ` ${transition.direction}` : ''} (${transition.duration}s)`
+        );
+        const transitionLabels = [
+          scene.transitionIn ? `↘ In: ${formatTransition(scene.transitionIn)}` : null,
+          scene.transitionOut ? `↗ Out: ${formatTransition(scene.transitionOut)}` : null,
+        ].filter(Boolean);
 
         return `
         <div class="scene" id="scene-${scene.sceneId}">
@@ -1409,6 +1552,9 @@ router.get('/scenes/:videoId', (req, res) => {
               ${formatTime(scene.start)} → ${formatTime(scene.end)}
             </div>
           </div>
+          ${transitionLabels.length > 0 ? `
+            <div class="scene-transitions">${transitionLabels.join(' • ')}</div>
+          ` : ''}
 
           ${scene.frames && scene.frames.length > 0 ? `
             <div class="frames-container">
@@ -1416,7 +1562,7 @@ router.get('/scenes/:videoId', (req, res) => {
                 <div class="frame">
                   <img src="/${frame.relativePath}" alt="Frame ${frame.frameId}">
                   <div class="frame-label">
-                    Frame ${frame.frameId} • ${formatTime(frame.timestamp)}
+                    Frame ${frame.frameId} • ${formatTime(frame.timestamp)}${frame.duplicateOf ? ` • same as ${frame.duplicateOf}` : ''}
                   </div>
                 </div>
               `).join('')}
@@ -1428,6 +1574,7 @@ router.get('/scenes/:videoId', (req, res) => {
           ${scene.description ? `
             <div class="description">
               <strong>🎬 Visual:</strong> ${escapeHtml(scene.description)}
+              ${scene.descriptionReusedFrom ? `<em>(same as scene ${scene.descriptionReusedFrom})</em>` : ''}
             </div>
           ` : ''}
           
@@ -1720,7 +1867,7 @@ router.post('/fetch-from-url', async (req, res) => {
     // Extract video using BrowserBase
     const { extractVideoWithBrowserBase, downloadVideo } = require('../core/newsFetcher');
     const { fetchArticleByURL } = require('../core/rssFetcher');
-    const { ArticleStatus } = require('../core/articleWorkflow');
+    const { ArticleStatus, updateArticleStatus } = require('../core/articleWorkflow');
     
     // Get basic article info
     const articleInfo = await fetchArticleByURL(url);
@@ -1776,14 +1923,6 @@ router.post('/fetch-from-url', async (req, res) => {
       published: null,
       fetchedAt: new Date().toISOString(),
       images: [],
-      workflow: {
-        status: ArticleStatus.FETCHED,
-        updatedAt: new Date().toISOString(),
-      },
-      statusHistory: [{
-        status: ArticleStatus.FETCHED,
-        timestamp: new Date().toISOString(),
-      }],
     };
     
     // Save article metadata
@@ -1797,9 +1936,12 @@ router.post('/fetch-from-url', async (req, res) => {
     log.info(`Metadata saved: ${metadataPath}`);
     log.info(`✓ Success! Article fetched from manual URL`);
     
+    // Sets workflow/statusHistory and fires article.fetched
+    const savedArticle = updateArticleStatus(articleId, ArticleStatus.FETCHED);
+    
     res.json({
       success: true,
-      article: articleData,
+      article: savedArticle,
       message: 'Article fetched successfully from provided URL',
     });
   } catch (error) {
@@ -1979,189 +2121,62 @@ router.get('/dashboard', (req, res) => {
   }
 });
 
+/**
+ * Find a queued or running job for an article
+ * @returns {object|null} Queue item, or null if the article has no job of this type
+ */
+function findArticleJob(queueType, articleId) {
+  const { getStatus } = require('../utils/queue');
+  const status = getStatus(queueType);
+  return [...status.processing, ...status.items].find(job => job.articleId === articleId) || null;
+}
+
 /**
  * POST /api/articles/batch-add
- * Add multiple articles (fetch, describe, rate) until target count is reached
+ * Queue a fetch job that adds articles until target count is reached
+ * New articles are described and rated by chained describe/rate jobs.
  */
-router.post('/articles/batch-add', async (req, res) => {
-  const { setFlag, clearFlag, hasFlag } = require('../utils/flags');
+router.post('/articles/batch-add', (req, res) => {
+  const { enqueue, getStatus, QUEUE_TYPES } = require('../utils/queue');
   
   try {
-    // Check if already processing
-    if (hasFlag('batch-adding')) {
+    // Check if already queued or processing
+    const fetchStatus = getStatus(QUEUE_TYPES.FETCH);
+    if (fetchStatus.running > 0 || fetchStatus.queued > 0) {
       return res.status(409).json({ error: 'Batch add already in progress' });
     }
     
     const targetCount = req.body.count || 10;
     
-    if (targetCount < 1 || targetCount > 100) {
+    if (!Number.isInteger(targetCount) || targetCount < 1 || targetCount > 100) {
       return res.status(400).json({ error: 'Count must be between 1 and 100' });
     }
     
-    // Set flag
-    setFlag('batch-adding', { targetCount, startedAt: new Date().toISOString() });
-    
-    const initialCount = listArticles().length;
-    let attempts = 0;
-    let added = 0;
-    const maxAttempts = targetCount * 10; // Allow 10x attempts for duplicates/errors
-    
-    console.log(`\n📦 Batch add: targeting ${targetCount} new articles`);
-    console.log(`Initial count: ${initialCount}`);
-    
-    while (added < targetCount && attempts < maxAttempts) {
-      attempts++;
-      const beforeCount = listArticles().length;
-      
-      try {
-        console.log(`[Attempt ${attempts}] Fetching article... (${added}/${targetCount} added)`);
-        
-        // Fetch article
-        const article = await fetchNewsArticle();
-        
-        if (!article || !article.articleId) {
-          console.log('No article returned, skipping...');
-          continue;
-        }
-        
-        const afterFetch = listArticles().length;
-        
-        // Check if article was actually added (not a duplicate)
-        if (afterFetch <= beforeCount) {
-          console.log('Article was duplicate, skipping...');
-          continue;
-        }
-        
-        console.log(`✓ Article added: ${article.articleId}`);
-        added++;
-        
-        // Describe scenes (if video exists)
-        if (article.video.localPath) {
-          try {
-            console.log(`  Describing scenes...`);
-            const fullVideoPath = path.join(process.cwd(), article.video.localPath);
-            const threshold = 0.3;
-            const scenes = await detectScenes(fullVideoPath, threshold);
-            const scenesDir = path.join(config.outputDir, `${article.articleId}_frames`);
-            const scenesWithFrames = await extractSceneFrames(fullVideoPath, scenes, scenesDir);
-            
-            // Describe each scene
-            for (let scene of scenesWithFrames) {
-              if (scene.frames && scene.frames.length > 0) {
-                const framePaths = scene.frames.map(f => f.path);
-                const description = await describeScene(
-                  framePaths,
-                  scene.sceneId,
-                  scene.start,
-                  scene.end
-                );
-                scene.description = description;
-              }
-              
-              // Transcribe audio
-              const transcript = await transcribeSceneAudio(
-                fullVideoPath,
-                scene.sceneId,
-                scene.start,
-                scene.end,
-                scenesDir
-              );
-              
-              if (transcript) {
-                scene.transcript = transcript;
-              }
-            }
-            
-            // Save scene data
-            const sceneData = {
-              articleId: article.articleId,
-              videoId: article.articleId,
-              videoPath: article.video.localPath,
-              sceneCount: scenes.length,
-              threshold,
-              detectedAt: new Date().toISOString(),
-              scenes: scenesWithFrames,
-            };
-            
-            const scenesPath = path.join(config.outputDir, `${article.articleId}_scenes.json`);
-            fs.writeFileSync(scenesPath, JSON.stringify(sceneData, null, 2));
-            linkArticleToScenes(article.articleId, article.articleId, scenes.length);
-            
-            console.log(`  ✓ Scenes described: ${scenes.length}`);
-            
-            // Rate video-article match
-            console.log(`  Rating match...`);
-            const articleDetails = getArticleDetails(article.articleId);
-            const articleText = articleDetails.text || articleDetails.description;
-            const sceneAnalysis = scenesWithFrames
-              .map(s => {
-                let analysis = '';
-                if (s.description) analysis += `Visual: ${s.description}`;
-                if (s.transcript) analysis += `\nDialogue: "${s.transcript.text}"`;
-                return analysis;
-              })
-              .filter(a => a)
-              .join('\n\n');
-            
-            const ratingPrompt = `Rate how well this video matches the article on a scale of 0-100.
-
-Article Title: ${articleDetails.title}
-
-Article Text:
-${articleText.substring(0, 1000)}${articleText.length > 1000 ? '...' : ''}
-
-Video Analysis (${scenes.length} scenes):
-${sceneAnalysis.substring(0, 1500)}${sceneAnalysis.length > 1500 ? '...' : ''}
-
-Provide a rating (0-100) and brief explanation.
-Format: RATING: [number]
-EXPLANATION: [text]`;
-            
-            const rating = await describeImage(scenesWithFrames[0]?.frames[0]?.path || '', ratingPrompt);
-            const ratingMatch = rating.match(/RATING:\s*(\d+)/i);
-            const matchScore = ratingMatch ? parseInt(ratingMatch[1]) : 50;
-            
-            rateArticleMatch(article.articleId, matchScore, rating);
-            console.log(`  ✓ Match rated: ${matchScore}/100`);
-            
-          } catch (error) {
-            console.error(`  Error processing article: ${error.message}`);
-          }
-        }
-        
-      } catch (error) {
-        console.error(`Error in batch add attempt ${attempts}: ${error.message}`);
-      }
-    }
-    
-    const finalCount = listArticles().length;
-    console.log(`\n✓ Batch add complete: ${added} articles added in ${attempts} attempts`);
-    console.log(`Final count: ${finalCount}\n`);
-    
-    // Clear flag
-    clearFlag('batch-adding');
+    const { jobId, position } = enqueue(QUEUE_TYPES.FETCH, {
+      id: `fetch-${Date.now()}`,
+      count: targetCount,
+    });
     
-    res.json({
+    res.status(202).json({
       success: true,
-      added,
-      attempts,
-      initialCount,
-      finalCount,
+      queued: true,
+      jobId,
+      position,
+      count: targetCount,
+      message: `Batch add queued (position ${position})`,
     });
-    
   } catch (error) {
-    // Clear flag on error
-    const { clearFlag } = require('../utils/flags');
-    clearFlag('batch-adding');
     res.status(500).json({ error: error.message });
   }
 });
 
 /**
  * POST /api/articles/:articleId/describe
- * Describe article video (detect and describe scenes)
+ * Queue a describe job for the article video (detect and describe scenes)
  */
-router.post('/articles/:articleId/describe', async (req, res) => {
+router.post('/articles/:articleId/describe', (req, res) => {
+  const { enqueue, setPriority, PRIORITIES, QUEUE_TYPES } = require('../utils/queue');
+  
   try {
     const { articleId } = req.params;
     const articleDetails = getArticleDetails(articleId);
@@ -2174,79 +2189,71 @@ router.post('/articles/:articleId/describe', async (req, res) => {
       return res.status(400).json({ error: 'Article has no local video to analyze' });
     }
     
-    const videoPath = articleDetails.video.localPath;
-    const fullVideoPath = path.join(process.cwd(), videoPath);
+    const fullVideoPath = path.join(process.cwd(), articleDetails.video.localPath);
     
     if (!fs.existsSync(fullVideoPath)) {
       return res.status(404).json({ error: 'Video file not found' });
     }
     
-    // Detect scenes
-    const threshold = req.body.threshold || 0.3;
-    const scenes = await detectScenes(fullVideoPath, threshold);
+    const promptId = req.body.promptId || null;
+    const provider = req.body.provider || null;
+    let dedup;
+    try {
+      getScenePrompt(promptId);
+      createProviderContext({ provider });
+      dedup = normalizeDedupOptions({
+        dedupeFrames: req.body.dedupeFrames,
+        frameHashDistance: req.body.frameHashDistance,
+        reuseSimilarScenes: req.body.reuseSimilarScenes,
+      });
+    } catch (error) {
+      return res.status(400).json({ error: error.message });
+    }
     
-    // Extract frames and describe scenes
-    const scenesDir = path.join(config.outputDir, `${articleId}_frames`);
-    const scenesWithFrames = await extractSceneFrames(fullVideoPath, scenes, scenesDir);
-    
-    // Describe each scene with visual and audio analysis
-    console.log(`\n🎯 Analyzing ${scenesWithFrames.length} scenes...`);
-    for (let scene of scenesWithFrames) {
-      // Visual description
-      if (scene.frames && scene.frames.length > 0) {
-        console.log(`  Scene ${scene.sceneId}: Generating visual description...`);
-        const framePaths = scene.frames.map(f => f.path);
-        const description = await describeScene(
-          framePaths,
-          scene.sceneId,
-          scene.start,
-          scene.end
-        );
-        scene.description = description;
-      }
-      
-      // Audio transcription
-      console.log(`  Scene ${scene.sceneId}: Transcribing audio...`);
-      const transcript = await transcribeSceneAudio(
-        fullVideoPath,
-        scene.sceneId,
-        scene.start,
-        scene.end,
-        scenesDir
-      );
-      
-      if (transcript) {
-        scene.transcript = transcript;
-        console.log(`  Scene ${scene.sceneId}: Found dialogue (${transcript.text.length} chars)`);
-      } else {
-        console.log(`  Scene ${scene.sceneId}: No dialogue detected`);
-      }
+    // User-triggered describes run ahead of batch work by default
+    const priority = req.body.priority || 'high';
+    if (!PRIORITIES.includes(priority)) {
+      return res.status(400).json({ error: `priority must be one of: ${PRIORITIES.join(', ')}` });
     }
     
-    console.log(`✓ Scene analysis complete\n`);
+    // An already queued job (e.g. from a batch add) is moved up instead
+    const existingJob = findArticleJob(QUEUE_TYPES.DESCRIBE, articleId);
+    if (existingJob) {
+      const bumped = existingJob.status === 'queued'
+        && PRIORITIES.indexOf(priority) < PRIORITIES.indexOf(existingJob.priority || 'normal')
+        ? setPriority(QUEUE_TYPES.DESCRIBE, existingJob.id, priority)
+        : null;
+      if (!bumped) {
+        return res.status(409).json({ error: 'Describe already queued for this article', jobId: existingJob.id });
+      }
+      return res.status(202).json({
+        success: true,
+        queued: true,
+        jobId: existingJob.id,
+        position: bumped.position,
+        priority,
+        articleId,
+        message: `Queued describe moved to ${priority} priority (position ${bumped.position})`,
+      });
+    }
     
-    // Save scene data
-    const sceneData = {
+    const { jobId, position } = enqueue(QUEUE_TYPES.DESCRIBE, {
       articleId,
-      videoId: articleId,  // Use same ID for now
-      videoPath: videoPath,  // Store relative path for scene viewer
-      sceneCount: scenes.length,
-      threshold,
-      detectedAt: new Date().toISOString(),
-      scenes: scenesWithFrames,
-    };
-    
-    const scenesPath = path.join(config.outputDir, `${articleId}_scenes.json`);
-    fs.writeFileSync(scenesPath, JSON.stringify(sceneData, null, 2));
-    
-    // Update article status
-    linkArticleToScenes(articleId, articleId, scenes.length);
+      threshold: req.body.threshold || 0.3,
+      promptId,
+      dedup,
+      provider,
+      priority,
+    });
     
-    res.json({
+    res.status(202).json({
       success: true,
+      queued: true,
+      jobId,
+      position,
+      priority,
       articleId,
-      sceneCount: scenes.length,
-      outputPath: scenesPath,
+      message: `Describe queued (position ${position})`,
     });
   } catch (error) {
     res.status(500).json({ error: error.message });
@@ -2364,18 +2371,18 @@ router.delete('/articles', (req, res) => {
 
 /**
  * POST /api/articles/:articleId/rate
- * Rate how well the video matches the article
+ * Queue a rate job: how well the video matches the article
  */
-router.post('/articles/:articleId/rate', async (req, res) => {
-  const { setFlag, clearFlag, hasFlag } = require('../utils/flags');
+router.post('/articles/:articleId/rate', (req, res) => {
+  const { enqueue, PRIORITIES, QUEUE_TYPES } = require('../utils/queue');
   
   try {
     const { articleId } = req.params;
     
     // Check if already rating this article
-    const flagName = `rating-${articleId}`;
-    if (hasFlag(flagName)) {
-      return res.status(409).json({ error: 'Rating already in progress for this article' });
+    const existingJob = findArticleJob(QUEUE_TYPES.RATE, articleId);
+    if (existingJob) {
+      return res.status(409).json({ error: 'Rating already in progress for this article', jobId: existingJob.id });
     }
     
     const articleDetails = getArticleDetails(articleId);
@@ -2388,126 +2395,68 @@ router.post('/articles/:articleId/rate', async (req, res) => {
       return res.status(400).json({ error: 'Article has no scene descriptions yet. Run describe first.' });
     }
     
-    // Set flag
-    setFlag(flagName, { articleId, startedAt: new Date().toISOString() });
-    
-    // Rate video-article match using both visual and audio information
-    const articleText = articleDetails.text || articleDetails.description;
-    
-    // Build comprehensive scene analysis with visual + audio
-    const sceneAnalysis = articleDetails.sceneData.scenes
-      .map(s => {
-        let analysis = '';
-        if (s.description) {
-          analysis += `Visual: ${s.description}`;
-        }
-        if (s.transcript) {
-          analysis += `\nDialogue: "${s.transcript.text}"`;
-        }
-        return analysis;
-      })
-      .filter(a => a)
-      .join('\n\n');
+    // Validate the match prompt override (population global prompt otherwise)
+    const { getMatchPrompt } = require('../core/matchPrompts');
+    const promptId = req.body?.promptId || null;
+    const provider = req.body?.provider || null;
+    try {
+      getMatchPrompt(promptId);
+      createProviderContext({ provider });
+    } catch (error) {
+      return res.status(400).json({ error: error.message });
+    }
     
-    // Extract just transcripts for dialogue analysis
-    const transcripts = articleDetails.sceneData.scenes
-      .map(s => s.transcript?.text)
-      .filter(t => t)
-      .join(' ');
+    const priority = req.body?.priority || 'high';
+    if (!PRIORITIES.includes(priority)) {
+      return res.status(400).json({ error: `priority must be one of: ${PRIORITIES.join(', ')}` });
+    }
     
-    const hasAudio = transcripts.length > 0;
+    const { jobId, position } = enqueue(QUEUE_TYPES.RATE, {
+      articleId,
+      promptId,
+      provider,
+      priority,
+    });
     
-    const ratingPrompt = `Rate how well this video matches the article on a scale of 0-100.
-
-Article Title: ${articleDetails.title}
-
-Article Text:
-${articleText.substring(0, 1000)}${articleText.length > 1000 ? '...' : ''}
-
-Video Analysis (${articleDetails.sceneData.sceneCount} scenes):
-${sceneAnalysis.substring(0, 1500)}${sceneAnalysis.length > 1500 ? '...' : ''}
-
-${hasAudio ? `\nNote: This video contains dialogue/narration, which provides additional context for matching.` : ''}
+    res.status(202).json({
+      success: true,
+      queued: true,
+      jobId,
+      position,
+      priority,
+      articleId,
+      message: `Rating queued (position ${position})`,
+    });
+  } catch (error) {
+    res.status(500).json({ error: error.message });
+  }
+});
 
-Provide a rating (0-100) and brief explanation of how well the video illustrates the article content.
-Consider both visual content and dialogue (if present).
-Format: RATING: [number]
-EXPLANATION: [text]`;
-    
-    const { describeImage } = require('../core/gemini');
-    
-    // Use AI to rate (we can improve this later)
-    const rating = await describeImage(articleDetails.sceneData.scenes[0]?.frames[0]?.path || '', ratingPrompt);
-    
-    // Parse rating from response
-    const ratingMatch = rating.match(/RATING:\s*(\d+)/i);
-    const matchScore = ratingMatch ? parseInt(ratingMatch[1]) : 50;
+/**
+ * POST /api/articles/:articleId/human-score
+ * Record a human match score (0-100), used to optimize the match prompts
+ */
+router.post('/articles/:articleId/human-score', (req, res) => {
+  try {
+    const { articleId } = req.params;
+    const { score, note } = req.body || {};
     
-    // Update article with rating
-    rateArticleMatch(articleId, matchScore, {
-      rating,
-      ratedAt: new Date().toISOString(),
-    });
+    if (typeof score !== 'number' || score < 0 || score > 100) {
+      return res.status(400).json({ error: 'score must be a number between 0 and 100' });
+    }
     
-    // Trigger FPO evaluation with actual article data
-    try {
-      console.log(`\n🎯 Triggering FPO evaluation with article ${articleId}...`);
-      const { evaluatePrompt } = require('../core/promptOptimizer');
-      const prompts = loadPrompts();
-      
-      // Use first scene frame and article text for evaluation
-      if (articleDetails.sceneData && articleDetails.sceneData.scenes.length > 0) {
-        const firstFrame = articleDetails.sceneData.scenes[0]?.frames[0];
-        const articleText = articleDetails.text || articleDetails.description;
-        
-        if (firstFrame && articleText) {
-          // Evaluate all prompts on this article
-          for (const template of prompts.templates) {
-            const result = await evaluatePrompt(
-              template.template,
-              firstFrame.path,
-              articleText.substring(0, 500) // Use first 500 chars as reference
-            );
-            
-            // Update template performance
-            if (!template.performance) {
-              template.performance = [];
-            }
-            template.performance.push({
-              score: result.score,
-              timestamp: new Date().toISOString(),
-              articleId,
-            });
-            
-            console.log(`   ${template.id}: score=${result.score.toFixed(4)}`);
-          }
-          
-          // Save updated prompts
-          const { savePrompts } = require('../core/promptOptimizer');
-          savePrompts(prompts);
-          console.log(`✓ FPO evaluation complete, prompts updated!\n`);
-        }
-      }
-    } catch (fpoError) {
-      // Don't fail the rating if FPO fails
-      console.error('FPO evaluation error (non-fatal):', fpoError.message);
+    if (!getArticleDetails(articleId)) {
+      return res.status(404).json({ error: 'Article not found' });
     }
     
-    // Clear flag
-    clearFlag(flagName);
+    const humanMatchScore = setHumanMatchScore(articleId, score, note ? { note } : {});
     
     res.json({
       success: true,
       articleId,
-      matchScore,
-      rating,
+      humanMatchScore,
     });
   } catch (error) {
-    // Clear flag on error
-    const { clearFlag } = require('../utils/flags');
-    if (req.params.articleId) {
-      clearFlag(`rating-${req.params.articleId}`);
-    }
     res.status(500).json({ error: error.message });
   }
 });
@@ -2527,6 +2476,113 @@ router.get('/flags/status', (req, res) => {
   });
 });
 
+/**
+ * GET /api/flags
+ * List all flags (locks) with owner, expiry and staleness
+ */
+router.get('/flags', (req, res) => {
+  try {
+    const { listFlags } = require('../utils/flags');
+    res.json({ flags: listFlags() });
+  } catch (error) {
+    res.status(500).json({ error: error.message });
+  }
+});
+
+/**
+ * POST /api/flags/cleanup
+ * Remove stale flags (expired, owner process gone, or set before a reboot)
+ */
+router.post('/flags/cleanup', (req, res) => {
+  try {
+    const { cleanupStaleFlags } = require('../utils/flags');
+    const removed = cleanupStaleFlags();
+    res.json({ success: true, removed });
+  } catch (error) {
+    res.status(500).json({ error: error.message });
+  }
+});
+
+/**
+ * DELETE /api/flags/:name
+ * Force-clear a flag regardless of its owner
+ */
+router.delete('/flags/:name', (req, res) => {
+  try {
+    const { clearFlag, isValidFlagName } = require('../utils/flags');
+    
+    if (!isValidFlagName(req.params.name)) {
+      return res.status(400).json({ error: 'Invalid flag name' });
+    }
+    
+    if (!clearFlag(req.params.name, { force: true })) {
+      return res.status(404).json({ error: 'Flag not found' });
+    }
+    
+    console.log(`⚠️  Flag ${req.params.name} force-cleared`);
+    res.json({ success: true, name: req.params.name });
+  } catch (error) {
+    res.status(500).json({ error: error.message });
+  }
+});
+
+/**
+ * Primary provider, registered providers, chains and health
+ */
+function getProviderStatus() {
+  const { getPrimaryProvider, listProviders, getChains, getProviderStates } = require('../providers');
+  return {
+    primary: getPrimaryProvider(),
+    providers: listProviders(),
+    chains: getChains(),
+    health: getProviderStates(),
+  };
+}
+
+/**
+ * GET /api/provider
+ * Primary AI provider, registered providers, fallback chains and provider health
+ */
+router.get('/provider', (req, res) => {
+  try {
+    res.json(getProviderStatus());
+  } catch (error) {
+    res.status(500).json({ error: error.message });
+  }
+});
+
+/**
+ * POST /api/provider
+ * Change the primary AI provider (first in every chain without a task override)
+ * Body: { provider }
+ */
+router.post('/provider', (req, res) => {
+  try {
+    const { getProvider, setPrimaryProvider } = require('../providers');
+    const { provider } = req.body || {};
+    
+    if (!provider || typeof provider !== 'string') {
+      return res.status(400).json({ error: 'provider is required' });
+    }
+    
+    let selected;
+    try {
+      selected = getProvider(provider);
+    } catch (error) {
+      return res.status(400).json({ error: error.message });
+    }
+    
+    if (!selected.isConfigured()) {
+      return res.status(400).json({ error: `AI provider "${provider}" is not configured` });
+    }
+    
+    setPrimaryProvider(provider);
+    res.json({ success: true, ...getProviderStatus() });
+  } catch (error) {
+    res.status(500).json({ error: error.message });
+  }
+});
+
 /**
  * GET /api/queue/status
  * Get status of all processing queues
@@ -2541,6 +2597,280 @@ router.get('/queue/status', (req, res) => {
   }
 });
 
+/**
+ * Validate the :type route param against the queue types
+ * @returns {boolean} False if a 400 response was sent
+ */
+function checkQueueType(req, res) {
+  const { QUEUE_TYPES } = require('../utils/queue');
+  if (!Object.values(QUEUE_TYPES).includes(req.params.type)) {
+    res.status(400).json({ error: `type must be one of: ${Object.values(QUEUE_TYPES).join(', ')}` });
+    return false;
+  }
+  return true;
+}
+
+/**
+ * GET /api/queue/dead-letter
+ * List jobs that exhausted their attempts (?type= for one queue)
+ */
+router.get('/queue/dead-letter', (req, res) => {
+  try {
+    const { getDeadLetters, QUEUE_TYPES } = require('../utils/queue');
+    const { type = 'all' } = req.query;
+    
+    if (type !== 'all' && !Object.values(QUEUE_TYPES).includes(type)) {
+      return res.status(400).json({ error: `type must be one of: all, ${Object.values(QUEUE_TYPES).join(', ')}` });
+    }
+    
+    res.json(getDeadLetters(type));
+  } catch (error) {
+    res.status(500).json({ error: error.message });
+  }
+});
+
+/**
+ * POST /api/queue/:type/dead-letter/:jobId/retry
+ * Move a dead-lettered job back to its queue with fresh attempts
+ */
+router.post('/queue/:type/dead-letter/:jobId/retry', (req, res) => {
+  try {
+    if (!checkQueueType(req, res)) {
+      return;
+    }
+    
+    const { retryDeadLetter } = require('../utils/queue');
+    const job = retryDeadLetter(req.params.type, req.params.jobId);
+    
+    if (!job) {
+      return res.status(404).json({ error: 'Dead-lettered job not found' });
+    }
+    
+    res.json({ success: true, job });
+  } catch (error) {
+    res.status(500).json({ error: error.message });
+  }
+});
+
+/**
+ * DELETE /api/queue/:type/dead-letter[/:jobId]
+ * Purge one dead-lettered job, or all of them for the queue type
+ */
+router.delete('/queue/:type/dead-letter/:jobId?', (req, res) => {
+  try {
+    if (!checkQueueType(req, res)) {
+      return;
+    }
+    
+    const { purgeDeadLetters } = require('../utils/queue');
+    const removed = purgeDeadLetters(req.params.type, req.params.jobId || null);
+    
+    if (req.params.jobId && removed === 0) {
+      return res.status(404).json({ error: 'Dead-lettered job not found' });
+    }
+    
+    res.json({ success: true, removed });
+  } catch (error) {
+    res.status(500).json({ error: error.message });
+  }
+});
+
+/**
+ * DELETE /api/queue/:type/:jobId
+ * Cancel a job: queued jobs are removed, running jobs stop at their next
+ * cancellation check (between FPO iterations, describe scenes, fetch attempts)
+ */
+router.delete('/queue/:type/:jobId', (req, res) => {
+  try {
+    if (!checkQueueType(req, res)) {
+      return;
+    }
+    
+    const { cancelJob } = require('../utils/queue');
+    const result = cancelJob(req.params.type, req.params.jobId);
+    
+    if (!result) {
+      return res.status(404).json({ error: 'Job not found in queue' });
+    }
+    
+    res.status(result.state === 'cancelling' ? 202 : 200).json({ success: true, ...result });
+  } catch (error) {
+    res.status(500).json({ error: error.message });
+  }
+});
+
+/**
+ * PATCH /api/queue/:type/:jobId
+ * Change the priority of a queued job ({ priority: 'high' | 'normal' | 'low' })
+ */
+router.patch('/queue/:type/:jobId', (req, res) => {
+  try {
+    if (!checkQueueType(req, res)) {
+      return;
+    }
+    
+    const { setPriority, PRIORITIES } = require('../utils/queue');
+    const { priority } = req.body || {};
+    
+    if (!PRIORITIES.includes(priority)) {
+      return res.status(400).json({ error: `priority must be one of: ${PRIORITIES.join(', ')}` });
+    }
+    
+    const result = setPriority(req.params.type, req.params.jobId, priority);
+    
+    if (!result) {
+      return res.status(404).json({ error: 'Job is not waiting in the queue' });
+    }
+    
+    res.json({ success: true, ...result });
+  } catch (error) {
+    res.status(500).json({ error: error.message });
+  }
+});
+
+/**
+ * GET /api/schedules
+ * List scheduled recurring jobs with their next run times
+ */
+router.get('/schedules', (req, res) => {
+  try {
+    const { listSchedules } = require('../utils/scheduler');
+    res.json({
+      enabled: config.scheduler.enabled,
+      schedules: listSchedules(),
+    });
+  } catch (error) {
+    res.status(500).json({ error: error.message });
+  }
+});
+
+/**
+ * POST /api/schedules
+ * Create or replace (by id) a schedule
+ * Body: { id?, cron: '0 3 * * *', type: 'fetch' | 'describe' | 'rate' | 'fpo', payload?, enabled? }
+ */
+router.post('/schedules', (req, res) => {
+  try {
+    const { saveSchedule } = require('../utils/scheduler');
+    const schedule = saveSchedule(req.body || {});
+    res.status(201).json({ success: true, schedule });
+  } catch (error) {
+    if (error.code === 'INVALID_SCHEDULE') {
+      return res.status(400).json({ error: error.message });
+    }
+    res.status(500).json({ error: error.message });
+  }
+});
+
+/**
+ * DELETE /api/schedules/:id
+ * Delete a schedule (jobs it already queued keep running)
+ */
+router.delete('/schedules/:id', (req, res) => {
+  try {
+    const { deleteSchedule } = require('../utils/scheduler');
+    
+    if (!deleteSchedule(req.params.id)) {
+      return res.status(404).json({ error: 'Schedule not found' });
+    }
+    
+    res.json({ success: true, id: req.params.id });
+  } catch (error) {
+    res.status(500).json({ error: error.message });
+  }
+});
+
+/**
+ * GET /api/webhooks
+ * List registered webhooks (secrets masked) and the supported events
+ */
+router.get('/webhooks', (req, res) => {
+  try {
+    const { listWebhooks, WEBHOOK_EVENTS } = require('../utils/webhooks');
+    res.json({
+      events: WEBHOOK_EVENTS,
+      webhooks: listWebhooks(),
+    });
+  } catch (error) {
+    res.status(500).json({ error: error.message });
+  }
+});
+
+/**
+ * POST /api/webhooks
+ * Register a webhook
+ * Body: { url, events?: ['article.rated', ...] (default ['*']), secret?, description? }
+ * The response is the only place the secret is returned in full.
+ */
+router.post('/webhooks', (req, res) => {
+  try {
+    const { createWebhook } = require('../utils/webhooks');
+    const webhook = createWebhook(req.body || {});
+    res.status(201).json({ success: true, webhook });
+  } catch (error) {
+    if (error.code === 'INVALID_WEBHOOK') {
+      return res.status(400).json({ error: error.message });
+    }
+    res.status(500).json({ error: error.message });
+  }
+});
+
+/**
+ * DELETE /api/webhooks/:id
+ * Remove a webhook and its delivery log
+ */
+router.delete('/webhooks/:id', (req, res) => {
+  try {
+    const { deleteWebhook } = require('../utils/webhooks');
+    
+    if (!deleteWebhook(req.params.id)) {
+      return res.status(404).json({ error: 'Webhook not found' });
+    }
+    
+    res.json({ success: true, id: req.params.id });
+  } catch (error) {
+    res.status(500).json({ error: error.message });
+  }
+});
+
+/**
+ * GET /api/webhooks/:id/deliveries
+ * Delivery log of a webhook, newest first
+ */
+router.get('/webhooks/:id/deliveries', (req, res) => {
+  try {
+    const { getDeliveries } = require('../utils/webhooks');
+    const deliveries = getDeliveries(req.params.id);
+    
+    if (!deliveries) {
+      return res.status(404).json({ error: 'Webhook not found' });
+    }
+    
+    res.json({ webhookId: req.params.id, deliveries });
+  } catch (error) {
+    res.status(500).json({ error: error.message });
+  }
+});
+
+/**
+ * POST /api/webhooks/:id/ping
+ * Send a `ping` event to test a receiver
+ */
+router.post('/webhooks/:id/ping', (req, res) => {
+  try {
+    const { pingWebhook } = require('../utils/webhooks');
+    const deliveryId = pingWebhook(req.params.id);
+    
+    if (!deliveryId) {
+      return res.status(404).json({ error: 'Webhook not found' });
+    }
+    
+    res.status(202).json({ success: true, deliveryId });
+  } catch (error) {
+    res.status(500).json({ error: error.message });
+  }
+});
+
 async function runReprocessJob(videoId) {
   // Find video file
   const videoFiles = fs.readdirSync(config.uploadDir)
@@ -2562,7 +2892,21 @@ async function runReprocessJob(videoId) {
   let visualSampleFps = null;
   let visualWindowSeconds = null;
   let visualMinBoundarySpacing = null;
+  let audioSilenceThreshold = null;
+  let audioMinSilenceDuration = null;
+  let audioChangeThreshold = null;
+  let audioWindowSeconds = null;
+  let audioMinBoundarySpacing = null;
+  let transitionSampleFps = null;
+  let includeAudio = null;
+  let auto = null;
+  let autoTargetSceneLength = null;
+  let autoMinScenes = null;
+  let autoMaxScenes = null;
   let frameFps = null;
+  let frameStrategy = undefined;
+  let bestFrameCount = null;
+  let bestCandidateFps = null;
 
   if (fs.existsSync(outputPath)) {
     existingSceneData = JSON.parse(fs.readFileSync(outputPath, 'utf8'));
@@ -2574,7 +2918,21 @@ async function runReprocessJob(videoId) {
     visualSampleFps = typeof existingSceneData.visualSampleFps === 'number' ? existingSceneData.visualSampleFps : visualSampleFps;
     visualWindowSeconds = typeof existingSceneData.visualWindowSeconds === 'number' ? existingSceneData.visualWindowSeconds : visualWindowSeconds;
     visualMinBoundarySpacing = typeof existingSceneData.visualMinBoundarySpacing === 'number' ? existingSceneData.visualMinBoundarySpacing : visualMinBoundarySpacing;
+    audioSilenceThreshold = typeof existingSceneData.audioSilenceThreshold === 'number' ? existingSceneData.audioSilenceThreshold : audioSilenceThreshold;
+    audioMinSilenceDuration = typeof existingSceneData.audioMinSilenceDuration === 'number' ? existingSceneData.audioMinSilenceDuration : audioMinSilenceDuration;
+    audioChangeThreshold = typeof existingSceneData.audioChangeThreshold === 'number' ? existingSceneData.audioChangeThreshold : audioChangeThreshold;
+    audioWindowSeconds = typeof existingSceneData.audioWindowSeconds === 'number' ? existingSceneData.audioWindowSeconds : audioWindowSeconds;
+    audioMinBoundarySpacing = typeof existingSceneData.audioMinBoundarySpacing === 'number' ? existingSceneData.audioMinBoundarySpacing : audioMinBoundarySpacing;
+    transitionSampleFps = typeof existingSceneData.transitionSampleFps === 'number' ? existingSceneData.transitionSampleFps : transitionSampleFps;
+    includeAudio = typeof existingSceneData.includeAudio === 'boolean' ? existingSceneData.includeAudio : includeAudio;
+    auto = typeof existingSceneData.auto === 'boolean' ? existingSceneData.auto : auto;
+    autoTargetSceneLength = typeof existingSceneData.autoTargetSceneLength === 'number' ? existingSceneData.autoTargetSceneLength : autoTargetSceneLength;
+    autoMinScenes = typeof existingSceneData.autoMinScenes === 'number' ? existingSceneData.autoMinScenes : autoMinScenes;
+    autoMaxScenes = typeof existingSceneData.autoMaxScenes === 'number' ? existingSceneData.autoMaxScenes : autoMaxScenes;
     frameFps = typeof existingSceneData.frameSampling?.fps === 'number' ? existingSceneData.frameSampling.fps : frameFps;
+    frameStrategy = typeof existingSceneData.frameSampling?.strategy === 'string' ? existingSceneData.frameSampling.strategy : frameStrategy;
+    bestFrameCount = typeof existingSceneData.frameSampling?.bestFrameCount === 'number' ? existingSceneData.frameSampling.bestFrameCount : bestFrameCount;
+    bestCandidateFps = typeof existingSceneData.frameSampling?.bestCandidateFps === 'number' ? existingSceneData.frameSampling.bestCandidateFps : bestCandidateFps;
     scenes = Array.isArray(existingSceneData.scenes)
       ? existingSceneData.scenes.map((scene, index) => ({
           ...scene,
@@ -2589,7 +2947,7 @@ async function runReprocessJob(videoId) {
       : [];
   }
 
-  const detectionOptions = normalizeDetectionOptions({
+  let detectionOptions = normalizeDetectionOptions({
     threshold,
     splitMode,
     motionThreshold,
@@ -2598,14 +2956,39 @@ async function runReprocessJob(videoId) {
     visualSampleFps,
     visualWindowSeconds,
     visualMinBoundarySpacing,
+    includeAudio,
+    audioSilenceThreshold,
+    audioMinSilenceDuration,
+    audioChangeThreshold,
+    audioWindowSeconds,
+    audioMinBoundarySpacing,
+    transitionSampleFps,
+    auto,
+    autoTargetSceneLength,
+    autoMinScenes,
+    autoMaxScenes,
+    // Saved thresholds are already tuned; keep them unless scenes are detected again
+    autoTuning: existingSceneData.autoTuning,
   });
   const frameExtractionOptions = normalizeFrameExtractionOptions({
     frameFps,
+    frameStrategy,
+    bestFrameCount,
+    bestCandidateFps,
+  });
+  const savedDedup = existingSceneData.deduplication || {};
+  const dedupOptions = normalizeDedupOptions({
+    dedupeFrames: savedDedup.dedupeFrames,
+    frameHashDistance: savedDedup.frameHashDistance,
+    reuseSimilarScenes: savedDedup.reuseSimilarScenes,
   });
 
   sendProgress(videoId, '🔄 Re-processing video...', 5);
 
   if (scenes.length === 0) {
+    if (detectionOptions.auto) {
+      detectionOptions = await autoTuneDetectionOptions(videoPath, detectionOptions);
+    }
     sendProgress(videoId, '🎬 Detecting scenes...', 15);
     scenes = await detectScenes(videoPath, detectionOptions);
     sendProgress(videoId, `✓ Detected ${scenes.length} scenes`, 25);
@@ -2671,6 +3054,21 @@ async function runReprocessJob(videoId) {
     }
   }
 
+  // Scenes detected again (or never described) get descriptions; existing ones are kept
+  let deduplication = existingSceneData.deduplication || null;
+  if (scenes.some(scene => !scene.description && scene.frames?.length > 0)) {
+    sendProgress(videoId, '📝 Describing scenes...', 85);
+    deduplication = await describeScenesWithDedup(scenes, {
+      dedup: dedupOptions,
+      scenePrompt: getScenePrompt(),
+      languageInstruction: targetLanguage.toLowerCase() !== 'english'
+        ? `Please provide your response in ${targetLanguage} language.`
+        : null,
+      skipDescribed: true,
+      continueOnError: true,
+    });
+  }
+
   sendProgress(videoId, '📝 Refreshing scene metadata...', 90);
   for (let i = 0; i < scenes.length; i++) {
     const scene = scenes[i];
@@ -2704,10 +3102,25 @@ async function runReprocessJob(videoId) {
     visualSampleFps: detectionOptions.visualSampleFps,
     visualWindowSeconds: detectionOptions.visualWindowSeconds,
     visualMinBoundarySpacing: detectionOptions.visualMinBoundarySpacing,
+    includeAudio: detectionOptions.includeAudio,
+    audioSilenceThreshold: detectionOptions.audioSilenceThreshold,
+    audioMinSilenceDuration: detectionOptions.audioMinSilenceDuration,
+    audioChangeThreshold: detectionOptions.audioChangeThreshold,
+    audioWindowSeconds: detectionOptions.audioWindowSeconds,
+    audioMinBoundarySpacing: detectionOptions.audioMinBoundarySpacing,
+    transitionSampleFps: detectionOptions.transitionSampleFps,
+    auto: detectionOptions.auto,
+    autoTargetSceneLength: detectionOptions.auto ? detectionOptions.autoTargetSceneLength : null,
+    autoMinScenes: detectionOptions.autoMinScenes,
+    autoMaxScenes: detectionOptions.autoMaxScenes,
+    autoTuning: detectionOptions.autoTuning,
     frameSampling: {
-      strategy: frameExtractionOptions.frameFps ? 'fps' : 'keyframes',
+      strategy: frameExtractionOptions.strategy,
       fps: frameExtractionOptions.frameFps,
+      bestFrameCount: frameExtractionOptions.strategy === 'best' ? frameExtractionOptions.bestFrameCount : null,
+      bestCandidateFps: frameExtractionOptions.strategy === 'best' ? frameExtractionOptions.bestCandidateFps : null,
     },
+    deduplication,
     language: targetLanguage || existingSceneData.language || 'English',
     scenes: scenes.map(scene => ({
       ...scene,
@@ -0,0 +1,93 @@
+/**
+ * Scene detection benchmark CLI
+ *
+ * Usage:
+ *   npm run benchmark -- [--synthetic] [--suite DIR] [--grid JSON|FILE] [--tolerance SEC] [--output DIR]
+ *
+ * --synthetic renders the built-in synthetic videos into the suite directory
+ * first (default suite: test-videos/scene-benchmark). Reports are written to
+ * output/benchmarks/.
+ */
+
+const fs = require('fs');
+const path = require('path');
+const {
+  DEFAULT_GRID,
+  DEFAULT_TOLERANCE,
+  runBenchmark,
+  writeReport,
+  generateSyntheticSuite,
+} = require('./core/sceneBenchmark');
+
+const ROOT_DIR = path.join(__dirname, '..');
+
+const parseArgs = (args) => {
+  const options = {
+    suiteDir: path.join(ROOT_DIR, 'test-videos', 'scene-benchmark'),
+    outputDir: path.join(ROOT_DIR, process.env.OUTPUT_DIR || 'output', 'benchmarks'),
+    grid: DEFAULT_GRID,
+    tolerance: DEFAULT_TOLERANCE,
+    synthetic: false,
+    force: false,
+  };
+
+  for (let index = 0; index < args.length; index++) {
+    const arg = args[index];
+    const value = args[index + 1];
+    switch (arg) {
+      case '--synthetic':
+        options.synthetic = true;
+        break;
+      case '--force':
+        options.force = true;
+        break;
+      case '--suite':
+        options.suiteDir = path.resolve(value);
+        index++;
+        break;
+      case '--output':
+        options.outputDir = path.resolve(value);
+        index++;
+        break;
+      case '--grid':
+        // Inline JSON or a path to a JSON file
+        options.grid = JSON.parse(fs.existsSync(value) ? fs.readFileSync(value, 'utf8') : value);
+        index++;
+        break;
+      case '--tolerance':
+        options.tolerance = Number(value);
+        if (!Number.isFinite(options.tolerance) || options.tolerance <= 0) {
+          throw new Error('--tolerance must be a positive number of seconds');
+        }
+        index++;
+        break;
+      default:
+        throw new Error(`Unknown option: ${arg}`);
+    }
+  }
+
+  return options;
+};
+
+const main = async () => {
+  const options = parseArgs(process.argv.slice(2));
+
+  if (options.synthetic) {
+    await generateSyntheticSuite(options.suiteDir, { force: options.force });
+  }
+
+  const report = await runBenchmark(options);
+  const { jsonPath, markdownPath } = writeReport(report, options.outputDir);
+
+  console.log('\n📊 Results (best first):');
+  for (const result of report.results) {
+    console.log(`   F1 ${(result.f1 * 100).toFixed(1).padStart(5)}%  P ${(result.precision * 100).toFixed(1).padStart(5)}%  R ${(result.recall * 100).toFixed(1).padStart(5)}%  ${result.label}`);
+  }
+  console.log(`\n✓ Report: ${markdownPath}`);
+  console.log(`✓ Details: ${jsonPath}`);
+};
+
+main().catch((error) => {
+  console.error('✗ Benchmark failed:', error.message);
+  process.exit(1);
+});
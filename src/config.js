@@ -1,13 +1,85 @@
 require('dotenv').config();
 
+// Comma-separated list from an env var (null when unset or empty)
+const parseList = (value) => {
+  const items = (value || '').split(',').map(item => item.trim()).filter(Boolean);
+  return items.length > 0 ? items : null;
+};
+
+// { name: { rpm, tpm } } from PROVIDER_RPM_<NAME> / PROVIDER_TPM_<NAME> env vars
+const parseProviderLimits = (env) => {
+  const limits = {};
+  for (const [key, value] of Object.entries(env)) {
+    const match = key.match(/^PROVIDER_(RPM|TPM)_(\w+)$/);
+    const limit = parseInt(value, 10);
+    if (match && limit > 0) {
+      const name = match[2].toLowerCase();
+      limits[name] = { ...limits[name], [match[1].toLowerCase()]: limit };
+    }
+  }
+  return limits;
+};
+
 const config = {
   // Server
   port: process.env.PORT || 15000,
   nodeEnv: process.env.NODE_ENV || 'development',
 
-  // AI Provider: 'azure' or 'gemini'
+  // Primary AI provider: 'azure', 'gemini', 'openai' (OpenAI-compatible), 'mock' (offline) or any module in src/providers/
   aiProvider: process.env.AI_PROVIDER || 'azure',
 
+  // Provider fallback chains (comma-separated provider names, tried in order)
+  providers: {
+    // Tasks without their own chain: AI_PROVIDER first, then this chain
+    // (default: every other configured provider)
+    chain: parseList(process.env.PROVIDER_CHAIN),
+    tasks: {
+      describe: parseList(process.env.PROVIDER_CHAIN_DESCRIBE),
+      title: parseList(process.env.PROVIDER_CHAIN_TITLE),
+      format: parseList(process.env.PROVIDER_CHAIN_FORMAT),
+      text: parseList(process.env.PROVIDER_CHAIN_TEXT),
+      rating: parseList(process.env.PROVIDER_CHAIN_RATING),
+      evolution: parseList(process.env.PROVIDER_CHAIN_EVOLUTION),
+      embedding: parseList(process.env.PROVIDER_CHAIN_EMBEDDING),
+    },
+    // Circuit breaker: consecutive failures that open a provider's circuit, and how
+    // long it stays open before one probe call is let through
+    health: {
+      failureThreshold: parseInt(process.env.PROVIDER_FAILURE_THRESHOLD || '3', 10),
+      cooldownMs: parseInt(process.env.PROVIDER_COOLDOWN_SECONDS || '60', 10) * 1000,
+    },
+    // Requests / estimated tokens per minute per provider: PROVIDER_RPM_<NAME>, PROVIDER_TPM_<NAME>
+    // (e.g. PROVIDER_RPM_AZURE=60); no limit when unset
+    limits: parseProviderLimits(process.env),
+    // Longest a call waits for its provider's budget or retry-after before the chain moves on
+    maxWaitMs: parseFloat(process.env.PROVIDER_MAX_WAIT_SECONDS || '60') * 1000,
+  },
+
+  // Generic OpenAI-compatible endpoint (OpenAI, or a local vLLM / llama.cpp / Ollama server)
+  openaiCompatible: {
+    baseUrl: process.env.OPENAI_COMPATIBLE_BASE_URL || '',
+    apiKey: process.env.OPENAI_COMPATIBLE_API_KEY || '',
+    model: process.env.OPENAI_COMPATIBLE_MODEL || '',
+    embeddingModel: process.env.OPENAI_COMPATIBLE_EMBEDDING_MODEL || '',
+  },
+
+  // Offline mock provider (AI_PROVIDER=mock): deterministic outputs, no API keys needed
+  mock: {
+    enabled: process.env.AI_PROVIDER === 'mock',
+    // Directory of recorded outputs to replay (<key>.json, see src/providers/mock.js)
+    fixturesDir: process.env.MOCK_FIXTURES_DIR || '',
+  },
+
+  // Record-and-replay cache of model calls (data/model-cache/)
+  modelCache: {
+    // off, read-write, replay-only (fail on miss) or record (always call, overwrite)
+    mode: process.env.MODEL_CACHE_MODE || 'off',
+    // Entries older than this are misses (0: never expire; replay-only ignores it)
+    ttlMs: parseFloat(process.env.MODEL_CACHE_TTL_HOURS || '0') * 3600 * 1000,
+    // Least recently used entries are evicted beyond this size (0: unlimited)
+    maxBytes: parseFloat(process.env.MODEL_CACHE_MAX_MB || '500') * 1024 * 1024,
+  },
+
   // Google Gemini
   googleApiKey: process.env.GOOGLE_API_KEY,
   geminiModel: process.env.GEMINI_MODEL || 'gemini-2.5-pro',
@@ -35,6 +107,94 @@ const config = {
       '2024-06-01',
   },
 
+  // Embeddings (used for FPO scoring): 'auto', 'local' or a provider name ('gemini', 'azure', 'openai')
+  embeddings: {
+    provider: process.env.EMBEDDING_PROVIDER || 'auto',
+    geminiModel: process.env.GEMINI_EMBEDDING_MODEL || 'text-embedding-004',
+    azureDeploymentName: process.env.AZURE_EMBEDDING_DEPLOYMENT_NAME || '',
+    localDimensions: parseInt(process.env.LOCAL_EMBEDDING_DIMENSIONS || '1024', 10),
+    cacheEnabled: process.env.EMBEDDING_CACHE !== 'false',
+  },
+
+  // Federated Prompt Optimization
+  fpo: {
+    // Scenes each federated client evaluates per template in each FPO iteration
+    sampleScenes: parseInt(process.env.FPO_SAMPLE_SCENES || '3', 10),
+    // Share of articles reserved as the held-out FPO evaluation pool
+    holdoutFraction: parseFloat(process.env.FPO_HOLDOUT_FRACTION || '0.3'),
+    // How articles are assigned to client domains: 'source', 'topic' or 'hybrid'
+    domainAssignment: process.env.FPO_DOMAIN_ASSIGNMENT || 'hybrid',
+    // How client scores are combined: 'mean', 'weighted', 'median' or 'trimmed'
+    aggregation: process.env.FPO_AGGREGATION || 'weighted',
+    // Share of client scores dropped from each end for 'trimmed'
+    trimFraction: parseFloat(process.env.FPO_TRIM_FRACTION || '0.2'),
+    // Bandit selection of which templates get evaluated each iteration
+    selection: {
+      // 'ucb1', 'thompson-beta', 'thompson-gaussian' or 'epsilon-greedy'
+      strategy: process.env.FPO_SELECTION_STRATEGY || 'ucb1',
+      // Templates evaluated per iteration
+      armsPerRound: parseInt(process.env.FPO_ARMS_PER_ROUND || '3', 10),
+      epsilon: parseFloat(process.env.FPO_EPSILON || '0.1'),
+      // UCB1 exploration weight (scores are similarities, so differences are small)
+      ucbExploration: parseFloat(process.env.FPO_UCB_EXPLORATION || '0.1'),
+    },
+  },
+
+  // Video-article match prompt population
+  matchPrompts: {
+    // Labelled articles each selected template rates per iteration
+    sampleArticles: parseInt(process.env.MATCH_SAMPLE_ARTICLES || '5', 10),
+    // Scene keyframes sent with match ratings (0 = text-only)
+    keyframes: parseInt(process.env.MATCH_KEYFRAMES || '0', 10),
+  },
+
+  // Scene ↔ paragraph alignment (stored with match ratings)
+  alignment: {
+    // Scenes below this similarity are not aligned to any paragraph
+    minSimilarity: parseFloat(process.env.ALIGNMENT_MIN_SIMILARITY || '0.2'),
+    maxParagraphs: parseInt(process.env.ALIGNMENT_MAX_PARAGRAPHS || '40', 10),
+  },
+
+  // Persistent job queues (data/queues/)
+  queue: {
+    // Jobs of each type that may run at the same time
+    concurrency: {
+      fetch: parseInt(process.env.QUEUE_CONCURRENCY_FETCH || '1', 10),
+      describe: parseInt(process.env.QUEUE_CONCURRENCY_DESCRIBE || '1', 10),
+      rate: parseInt(process.env.QUEUE_CONCURRENCY_RATE || '1', 10),
+      fpo: parseInt(process.env.QUEUE_CONCURRENCY_FPO || '1', 10),
+    },
+    // A running job's lease; renewed by a heartbeat every third of it
+    leaseMs: parseInt(process.env.QUEUE_LEASE_SECONDS || '60', 10) * 1000,
+    // Attempts before a job is moved to the dead-letter queue
+    maxAttempts: parseInt(process.env.QUEUE_MAX_ATTEMPTS || '3', 10),
+    // Retry backoff: base * 2^(attempt - 1), capped at max
+    retryBaseMs: parseInt(process.env.QUEUE_RETRY_BASE_SECONDS || '30', 10) * 1000,
+    retryMaxMs: parseInt(process.env.QUEUE_RETRY_MAX_SECONDS || '900', 10) * 1000,
+  },
+
+  // Operation flags (locks): expire after the TTL unless the owner's heartbeat refreshes them
+  flags: {
+    dir: process.env.FLAGS_DIR || '/tmp/prompt-reels-flags',
+    ttlMs: parseInt(process.env.FLAG_TTL_SECONDS || '120', 10) * 1000,
+  },
+
+  // Webhook deliveries: timeout per attempt, attempts, retry backoff, log entries kept per webhook
+  webhooks: {
+    timeoutMs: parseInt(process.env.WEBHOOK_TIMEOUT_SECONDS || '10', 10) * 1000,
+    maxAttempts: parseInt(process.env.WEBHOOK_MAX_ATTEMPTS || '5', 10),
+    retryBaseMs: parseInt(process.env.WEBHOOK_RETRY_BASE_SECONDS || '10', 10) * 1000,
+    retryMaxMs: parseInt(process.env.WEBHOOK_RETRY_MAX_SECONDS || '600', 10) * 1000,
+    logSize: parseInt(process.env.WEBHOOK_LOG_SIZE || '50', 10),
+  },
+
+  // Scheduled recurring jobs (definitions in data/schedules.json)
+  scheduler: {
+    enabled: process.env.SCHEDULER_ENABLED !== 'false',
+    // How often due schedules are checked
+    tickMs: parseInt(process.env.SCHEDULER_TICK_SECONDS || '30', 10) * 1000,
+  },
+
   // Directories
   uploadDir: process.env.UPLOAD_DIR || './uploads',
   outputDir: process.env.OUTPUT_DIR || './output',
@@ -51,6 +211,12 @@ const config = {
 
 // Validate required config
 const validateConfig = () => {
+  // The mock provider runs entirely offline (tests, local development)
+  if (config.mock.enabled) {
+    console.log('⚠️  AI_PROVIDER=mock: using deterministic mock outputs, no AI provider is called');
+    return;
+  }
+
   const errors = [];
 
   if (config.aiProvider === 'azure') {
@@ -72,8 +238,12 @@ const validateConfig = () => {
     errors.push('AI_PROVIDER is set to gemini but GOOGLE_API_KEY is not configured');
   }
 
-  if (!config.googleApiKey && !config.azureOpenAI.apiKey) {
-    errors.push('Either GOOGLE_API_KEY or AZURE_OPENAI_API_KEY must be set');
+  if (config.aiProvider === 'openai' && (!config.openaiCompatible.baseUrl || !config.openaiCompatible.model)) {
+    errors.push('AI_PROVIDER is set to openai but OPENAI_COMPATIBLE_BASE_URL or OPENAI_COMPATIBLE_MODEL is not configured');
+  }
+
+  if (!config.googleApiKey && !config.azureOpenAI.apiKey && !config.openaiCompatible.baseUrl) {
+    errors.push('One of GOOGLE_API_KEY, AZURE_OPENAI_API_KEY or OPENAI_COMPATIBLE_BASE_URL must be set');
   }
 
   if (!config.wandbApiKey) {
@@ -8,6 +8,7 @@ const fs = require('fs');
 const path = require('path');
 const config = require('../config');
 const { log } = require('../utils/logger');
+const { emitEvent, WEBHOOK_EVENTS } = require('../utils/webhooks');
 
 /**
  * Article status enum
@@ -22,6 +23,7 @@ const ArticleStatus = {
 
 /**
  * Update article status
+ * Fires the `article.<status>` webhook event (fetched, described, rated).
  */
 const updateArticleStatus = (articleId, status, metadata = {}) => {
   const articlesDir = path.join(config.outputDir, 'articles');
@@ -32,6 +34,7 @@ const updateArticleStatus = (articleId, status, metadata = {}) => {
   }
   
   const articleData = JSON.parse(fs.readFileSync(articlePath, 'utf8'));
+  const previousStatus = articleData.workflow?.status || null;
   
   articleData.workflow = {
     status,
@@ -52,6 +55,18 @@ const updateArticleStatus = (articleId, status, metadata = {}) => {
   fs.writeFileSync(articlePath, JSON.stringify(articleData, null, 2));
   log.info(`Article ${articleId} status: ${status}`);
   
+  const event = `article.${status}`;
+  if (WEBHOOK_EVENTS.includes(event)) {
+    emitEvent(event, {
+      articleId,
+      title: articleData.title,
+      url: articleData.source?.url || null,
+      status,
+      previousStatus,
+      workflow: articleData.workflow,
+    });
+  }
+  
   return articleData;
 };
 
@@ -153,6 +168,48 @@ const rateArticleMatch = (articleId, matchScore, details = {}) => {
   });
 };
 
+/**
+ * Write top-level fields to the article JSON
+ * Kept outside `workflow`, which is replaced on every status update.
+ */
+const setArticleFields = (articleId, fields) => {
+  const articlePath = path.join(config.outputDir, 'articles', `${articleId}.json`);
+  
+  if (!fs.existsSync(articlePath)) {
+    throw new Error(`Article not found: ${articleId}`);
+  }
+  
+  const articleData = JSON.parse(fs.readFileSync(articlePath, 'utf8'));
+  Object.assign(articleData, fields);
+  fs.writeFileSync(articlePath, JSON.stringify(articleData, null, 2));
+  
+  return articleData;
+};
+
+/**
+ * Record a human-provided match score (reference for match prompt optimization)
+ */
+const setHumanMatchScore = (articleId, score, details = {}) => {
+  const humanMatchScore = {
+    score,
+    ...details,
+    ratedAt: new Date().toISOString(),
+  };
+  
+  setArticleFields(articleId, { humanMatchScore });
+  log.info(`Article ${articleId} human match score: ${score}`);
+  
+  return humanMatchScore;
+};
+
+/**
+ * Store the scene ↔ paragraph alignment computed during rating
+ */
+const setArticleAlignment = (articleId, alignment) => {
+  setArticleFields(articleId, { alignment });
+  log.info(`Article ${articleId} alignment: ${alignment.paragraphs.length} paragraphs, ${alignment.uncoveredParagraphs.length} without coverage`);
+};
+
 module.exports = {
   ArticleStatus,
   updateArticleStatus,
@@ -161,4 +218,6 @@ module.exports = {
   getArticleDetails,
   linkArticleToScenes,
   rateArticleMatch,
+  setHumanMatchScore,
+  setArticleAlignment,
 };
@@ -1,6 +1,7 @@
 /**
  * Audio Transcription using Whisper (Azure OpenAI)
- * Extracts audio from video scenes and transcribes dialogue
+ * Extracts audio from video scenes and transcribes dialogue. A primary AI
+ * provider with its own transcribe() (the mock provider) replaces Whisper.
  */
 
 const { execSync } = require('child_process');
@@ -10,6 +11,7 @@ const { URL } = require('url');
 const FormData = require('form-data');
 const axios = require('axios');
 const config = require('../config');
+const { getProvider, getPrimaryProvider } = require('../providers');
 const { log } = require('../utils/logger');
 
 /**
@@ -257,6 +259,15 @@ const extractAudioSegment = async (videoPath, start, end, outputPath) => {
   }
 };
 
+/**
+ * Primary AI provider if it transcribes audio itself
+ * @returns {object|null} Provider with transcribe(audioPath, { targetLanguage, mode }), or null for Whisper
+ */
+const getTranscriptionProvider = () => {
+  const provider = getProvider(getPrimaryProvider());
+  return typeof provider.transcribe === 'function' ? provider : null;
+};
+
 /**
  * Transcribe audio using Azure OpenAI Whisper
  * @param {string} audioPath - Path to audio file
@@ -264,6 +275,15 @@ const extractAudioSegment = async (videoPath, start, end, outputPath) => {
  * @returns {Promise<Object|null>} Object with {text, language} or null if no speech detected
  */
 const transcribeAudio = async (audioPath, targetLanguage = null, mode = 'transcriptions') => {
+  const transcriptionProvider = getTranscriptionProvider();
+  if (transcriptionProvider) {
+    // Same "no audio" cut-off as Whisper below
+    if (fs.statSync(audioPath).size < 1024) {
+      return null;
+    }
+    return transcriptionProvider.transcribe(audioPath, { targetLanguage, mode });
+  }
+
   const whisperRequest = getWhisperRequestConfig(mode);
   if (!whisperRequest?.apiKey) {
     log.warn('Whisper API key is not configured, skipping transcription');
@@ -410,6 +430,7 @@ const transcribeSceneAudio = async (videoPath, sceneId, start, end, tempDir, tar
 module.exports = {
   extractAudioSegment,
   getWhisperDeploymentName,
+  getTranscriptionProvider,
   transcribeAudio,
   transcribeSceneAudio,
 };
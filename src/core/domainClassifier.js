@@ -0,0 +1,163 @@
+/**
+ * Domain assignment for federated FPO clients
+ * Each article belongs to exactly one client domain (news, sports, reels),
+ * decided by its source site, a keyword topic classifier, or both.
+ *
+ * Assignment modes (FPO_DOMAIN_ASSIGNMENT):
+ * - source: match the article's source hostname against known sites
+ * - topic: classify article title + text by keywords
+ * - hybrid: source first, topic classifier when the source is unknown (default)
+ *
+ * An explicit `domain` field in the article JSON always wins.
+ */
+
+const config = require('../config');
+
+const DEFAULT_DOMAIN = 'news';
+const SUPPORTED_MODES = new Set(['source', 'topic', 'hybrid']);
+
+// Hostname suffixes (and optional path prefixes) for each client domain
+const SOURCE_RULES = {
+  sports: [
+    'espn.com',
+    'skysports.com',
+    'cbssports.com',
+    'si.com',
+    'nba.com',
+    'nfl.com',
+    'mlb.com',
+    'nhl.com',
+    'theathletic.com',
+    'bleacherreport.com',
+    'eurosport.com',
+    'foxsports.com',
+    { host: 'bbc.co.uk', path: '/sport' },
+    { host: 'bbc.com', path: '/sport' },
+    { host: 'nbcnews.com', path: '/sports' },
+  ],
+  reels: [
+    'tiktok.com',
+    'instagram.com',
+    'youtube.com',
+    'youtu.be',
+    'vimeo.com',
+    'dailymotion.com',
+    'facebook.com',
+    'x.com',
+    'twitter.com',
+    'reddit.com',
+  ],
+};
+
+// Keywords for the topic classifier (news is the fallback)
+const TOPIC_KEYWORDS = {
+  sports: [
+    'match', 'game', 'season', 'league', 'coach', 'player', 'players', 'team', 'score',
+    'scored', 'goal', 'goals', 'championship', 'tournament', 'playoff', 'playoffs',
+    'olympic', 'olympics', 'football', 'soccer', 'basketball', 'baseball', 'tennis',
+    'golf', 'hockey', 'cricket', 'rugby', 'nba', 'nfl', 'mlb', 'nhl', 'fifa', 'uefa',
+    'stadium', 'quarterback', 'striker', 'finals', 'medal', 'athlete', 'race', 'champion',
+  ],
+  reels: [
+    'viral', 'tiktok', 'instagram', 'influencer', 'trend', 'trending', 'meme', 'creator',
+    'followers', 'challenge', 'reel', 'reels', 'shorts', 'youtuber', 'livestream', 'clip',
+  ],
+};
+
+// Minimum keyword hits before the topic classifier overrides the default
+const MIN_TOPIC_HITS = 3;
+
+const hostMatches = (hostname, host) => hostname === host || hostname.endsWith(`.${host}`);
+
+/**
+ * Match an article URL against the source rules
+ * @returns {string|null} Domain or null when the source is unknown
+ */
+const classifyBySource = (url) => {
+  let parsed;
+  try {
+    parsed = new URL(url);
+  } catch (error) {
+    return null;
+  }
+
+  const hostname = parsed.hostname.toLowerCase();
+  for (const [domain, rules] of Object.entries(SOURCE_RULES)) {
+    for (const rule of rules) {
+      const host = typeof rule === 'string' ? rule : rule.host;
+      const pathPrefix = typeof rule === 'string' ? null : rule.path;
+      if (hostMatches(hostname, host) && (!pathPrefix || parsed.pathname.startsWith(pathPrefix))) {
+        return domain;
+      }
+    }
+  }
+
+  return null;
+};
+
+/**
+ * Keyword topic classifier over title and text
+ * @returns {string|null} Domain with the most keyword hits, or null if too few
+ */
+const classifyByTopic = (text) => {
+  const words = String(text || '').toLowerCase().match(/[a-z]+/g) || [];
+  let bestDomain = null;
+  let bestHits = 0;
+
+  for (const [domain, keywords] of Object.entries(TOPIC_KEYWORDS)) {
+    const keywordSet = new Set(keywords);
+    const hits = words.filter(word => keywordSet.has(word)).length;
+    if (hits > bestHits) {
+      bestHits = hits;
+      bestDomain = domain;
+    }
+  }
+
+  return bestHits >= MIN_TOPIC_HITS ? bestDomain : null;
+};
+
+/**
+ * Assign an article to a federated client domain
+ * @param {object} article - Article data (full JSON or listArticles() entry)
+ * @param {Array<string>} domains - Available client domains (from prompts.json)
+ * @param {string} mode - source | topic | hybrid
+ * @returns {{domain: string, reason: string}}
+ */
+const assignArticleDomain = (article, domains, mode = config.fpo.domainAssignment) => {
+  if (!SUPPORTED_MODES.has(mode)) {
+    throw new Error(`Unsupported domain assignment "${mode}". Supported: source, topic, hybrid`);
+  }
+
+  const fallback = domains.includes(DEFAULT_DOMAIN) ? DEFAULT_DOMAIN : domains[0];
+  const accept = (domain, reason) => (
+    domain && domains.includes(domain) ? { domain, reason } : null
+  );
+
+  const explicit = accept(article.domain, 'explicit');
+  if (explicit) {
+    return explicit;
+  }
+
+  if (mode === 'source' || mode === 'hybrid') {
+    const bySource = accept(classifyBySource(article.source?.url), 'source');
+    if (bySource) {
+      return bySource;
+    }
+  }
+
+  if (mode === 'topic' || mode === 'hybrid') {
+    const text = `${article.title || ''} ${article.text || article.description || ''}`;
+    const byTopic = accept(classifyByTopic(text), 'topic');
+    if (byTopic) {
+      return byTopic;
+    }
+  }
+
+  return { domain: fallback, reason: 'default' };
+};
+
+module.exports = {
+  classifyBySource,
+  classifyByTopic,
+  assignArticleDomain,
+};
@@ -0,0 +1,252 @@
+/**
+ * Embedding subsystem
+ * Turns text into vectors for semantic similarity scoring (FPO, rating).
+ *
+ * Providers:
+ * - any AI provider with an embedding model (src/providers/: gemini,
+ *   azure, openai, ...)
+ * - local: hashed bag-of-words (no external API, always available)
+ *
+ * Remote embeddings are cached on disk in data/embeddings/, keyed by
+ * a hash of provider, model and text.
+ */
+
+const fs = require('fs');
+const path = require('path');
+const crypto = require('crypto');
+const config = require('../config');
+const { getProvider, getProviderNames, getProviderChain, runWithFallback } = require('../providers');
+
+const EMBEDDINGS_DIR = path.join(config.dataDir, 'embeddings');
+
+// Common words that carry no meaning for the local bag-of-words model
+const STOPWORDS = new Set([
+  'a', 'an', 'the', 'and', 'or', 'but', 'if', 'then', 'of', 'to', 'in', 'on', 'at', 'by',
+  'for', 'with', 'from', 'as', 'is', 'are', 'was', 'were', 'be', 'been', 'being', 'it',
+  'its', 'this', 'that', 'these', 'those', 'there', 'here', 'has', 'have', 'had', 'do',
+  'does', 'did', 'not', 'no', 'so', 'such', 'than', 'too', 'very', 'can', 'will', 'just',
+  'into', 'over', 'under', 'about', 'while', 'which', 'who', 'whom', 'what', 'when',
+  'where', 'why', 'how', 'all', 'any', 'each', 'some', 'other', 'their', 'they', 'them',
+  'he', 'she', 'his', 'her', 'we', 'our', 'you', 'your', 'i', 'me', 'my', 'also',
+]);
+
+/**
+ * Resolve which provider to use for a request
+ * 'auto' picks the first provider of the embedding chain that has an embedding
+ * model configured, else the local model
+ */
+const resolveProvider = (requested = config.embeddings.provider) => {
+  const provider = (requested || 'auto').toLowerCase();
+  const supported = ['auto', 'local', ...getProviderNames()];
+  if (!supported.includes(provider)) {
+    throw new Error(`Unsupported embedding provider "${requested}". Supported: ${supported.join(', ')}`);
+  }
+
+  if (provider !== 'auto') {
+    return provider;
+  }
+
+  const available = getProviderChain('embedding').find(candidate => candidate.getEmbeddingModel());
+  return available ? available.name : 'local';
+};
+
+/**
+ * Get model name recorded for a provider (part of the cache key)
+ */
+const getModelName = (provider) => {
+  if (provider === 'local') {
+    return `hashed-bow-${config.embeddings.localDimensions}`;
+  }
+  return getProvider(provider).getEmbeddingModel();
+};
+
+/**
+ * Split text into lowercase word tokens without stopwords
+ */
+const tokenize = (text) => {
+  return (String(text || '').toLowerCase().match(/[\p{L}\p{N}]+/gu) || [])
+    .filter(token => token.length > 1 && !STOPWORDS.has(token));
+};
+
+/**
+ * 32-bit FNV-1a hash of a string
+ */
+const hashToken = (token) => {
+  let hash = 0x811c9dc5;
+  for (let i = 0; i < token.length; i++) {
+    hash ^= token.charCodeAt(i);
+    hash = Math.imul(hash, 0x01000193);
+  }
+  return hash >>> 0;
+};
+
+/**
+ * Local embedding: hashed bag of unigrams and bigrams
+ * Uses sublinear term frequency, signed feature hashing and L2 normalization,
+ * so cosine similarity reflects shared vocabulary between texts.
+ */
+const localEmbedding = (text, dimensions = config.embeddings.localDimensions) => {
+  const tokens = tokenize(text);
+  const counts = new Map();
+
+  tokens.forEach((token, index) => {
+    counts.set(token, (counts.get(token) || 0) + 1);
+    if (index > 0) {
+      const bigram = `${tokens[index - 1]}_${token}`;
+      counts.set(bigram, (counts.get(bigram) || 0) + 0.5);
+    }
+  });
+
+  const vector = new Array(dimensions).fill(0);
+  for (const [term, count] of counts) {
+    const hash = hashToken(term);
+    const sign = (hash & 1) ? 1 : -1;
+    vector[(hash >>> 1) % dimensions] += sign * (1 + Math.log(count));
+  }
+
+  const norm = Math.sqrt(vector.reduce((sum, value) => sum + value * value, 0));
+  return norm > 0 ? vector.map(value => value / norm) : vector;
+};
+
+/**
+ * Cache file path for a provider/model/text combination
+ */
+const getCachePath = (provider, model, text) => {
+  const key = crypto
+    .createHash('sha256')
+    .update(`${provider}\n${model}\n${text}`)
+    .digest('hex');
+  return path.join(EMBEDDINGS_DIR, key.substring(0, 2), `${key}.json`);
+};
+
+const readCache = (cachePath) => {
+  if (!config.embeddings.cacheEnabled || !fs.existsSync(cachePath)) {
+    return null;
+  }
+  try {
+    return JSON.parse(fs.readFileSync(cachePath, 'utf8')).embedding;
+  } catch (error) {
+    return null;
+  }
+};
+
+const writeCache = (cachePath, provider, model, embedding) => {
+  if (!config.embeddings.cacheEnabled) {
+    return;
+  }
+  try {
+    fs.mkdirSync(path.dirname(cachePath), { recursive: true });
+    fs.writeFileSync(cachePath, JSON.stringify({
+      provider,
+      model,
+      dimensions: embedding.length,
+      embedding,
+      createdAt: new Date().toISOString(),
+    }));
+  } catch (error) {
+    console.error(`Error writing embedding cache: ${error.message}`);
+  }
+};
+
+/**
+ * Embed text with a specific (resolved) provider, using the disk cache
+ */
+const embedWithProvider = async (text, provider) => {
+  if (provider === 'local') {
+    return localEmbedding(text);
+  }
+
+  const model = getModelName(provider);
+  const cachePath = getCachePath(provider, model, text);
+  const cached = readCache(cachePath);
+  if (cached) {
+    return cached;
+  }
+
+  // Only this provider: vectors of different models can't be compared
+  const embedding = await runWithFallback('embedding', 'embed text', (remote) => remote.embed(text), {
+    provider,
+    fallback: false,
+  });
+  writeCache(cachePath, provider, model, embedding);
+  return embedding;
+};
+
+/**
+ * Generate an embedding for text
+ * Falls back to the local model when the remote provider fails.
+ * @param {string} text - Text to embed
+ * @param {Object} options - { provider }
+ * @returns {Promise<{embedding: Array<number>, provider: string, model: string}>}
+ */
+const generateEmbedding = async (text, options = {}) => {
+  const provider = resolveProvider(options.provider);
+
+  try {
+    const embedding = await embedWithProvider(text, provider);
+    return { embedding, provider, model: getModelName(provider) };
+  } catch (error) {
+    console.error(`Embedding error with ${provider}, using local fallback: ${error.message}`);
+    return { embedding: localEmbedding(text), provider: 'local', model: getModelName('local') };
+  }
+};
+
+/**
+ * Calculate cosine similarity between two embeddings
+ */
+const cosineSimilarity = (a, b) => {
+  if (a.length !== b.length) {
+    throw new Error('Embeddings must have the same length');
+  }
+
+  let dotProduct = 0;
+  let normA = 0;
+  let normB = 0;
+
+  for (let i = 0; i < a.length; i++) {
+    dotProduct += a[i] * b[i];
+    normA += a[i] * a[i];
+    normB += b[i] * b[i];
+  }
+
+  if (normA === 0 || normB === 0) {
+    return 0;
+  }
+
+  return dotProduct / (Math.sqrt(normA) * Math.sqrt(normB));
+};
+
+/**
+ * Semantic similarity between two texts
+ * Both texts are always embedded by the same provider so vectors are comparable.
+ * @returns {Promise<{score: number, provider: string, model: string}>}
+ */
+const textSimilarity = async (textA, textB, options = {}) => {
+  const provider = resolveProvider(options.provider);
+
+  try {
+    const [a, b] = await Promise.all([
+      embedWithProvider(textA, provider),
+      embedWithProvider(textB, provider),
+    ]);
+    return { score: cosineSimilarity(a, b), provider, model: getModelName(provider) };
+  } catch (error) {
+    if (provider === 'local') {
+      throw error;
+    }
+    console.error(`Embedding error with ${provider}, using local fallback: ${error.message}`);
+    return {
+      score: cosineSimilarity(localEmbedding(textA), localEmbedding(textB)),
+      provider: 'local',
+      model: getModelName('local'),
+    };
+  }
+};
+
+module.exports = {
+  resolveProvider,
+  generateEmbedding,
+  localEmbedding,
+  cosineSimilarity,
+  textSimilarity,
+};
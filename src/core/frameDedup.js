@@ -0,0 +1,256 @@
+/**
+ * Near-duplicate frame and scene suppression
+ *
+ * Extracted frames get a 64-bit difference hash (dHash) and DCT perceptual
+ * hash (pHash). Two frames are near-identical when both hashes are within
+ * `frameHashDistance` bits of each other. Within a scene, later near-identical
+ * frames are marked `duplicateOf` and left out of the description request;
+ * with `reuseSimilarScenes`, a scene whose distinct frames all match an
+ * already described scene (and vice versa) reuses that scene's description
+ * instead of another model call.
+ */
+
+const { spawn } = require('child_process');
+const { invalidOption } = require('../utils/errors');
+
+const DEFAULT_FRAME_HASH_DISTANCE = 6;
+const HASH_IMAGE_SIZE = 32;
+const HASH_SIZE = 8;
+
+const normalizeDedupOptions = (options = {}) => {
+  const {
+    dedupeFrames = true,
+    frameHashDistance = DEFAULT_FRAME_HASH_DISTANCE,
+    reuseSimilarScenes = false,
+  } = options;
+
+  for (const [label, value] of Object.entries({ dedupeFrames, reuseSimilarScenes })) {
+    if (typeof value !== 'boolean') {
+      throw invalidOption(`${label} must be true or false`);
+    }
+  }
+
+  const distance = frameHashDistance === null ? DEFAULT_FRAME_HASH_DISTANCE : Number(frameHashDistance);
+  if (!Number.isInteger(distance) || distance < 0 || distance > 32) {
+    throw invalidOption('frameHashDistance must be an integer between 0 and 32');
+  }
+
+  return { dedupeFrames, frameHashDistance: distance, reuseSimilarScenes };
+};
+
+/**
+ * Decode an image file to a small grayscale bitmap
+ */
+const decodeGrayImage = (imagePath) => {
+  return new Promise((resolve, reject) => {
+    const ffmpeg = spawn('ffmpeg', [
+      '-v', 'error',
+      '-i', imagePath,
+      '-frames:v', '1',
+      '-vf', `scale=${HASH_IMAGE_SIZE}:${HASH_IMAGE_SIZE}:flags=area,format=gray`,
+      '-f', 'rawvideo',
+      '-',
+    ]);
+
+    const chunks = [];
+    let stderr = '';
+
+    ffmpeg.stdout.on('data', (chunk) => {
+      chunks.push(chunk);
+    });
+
+    ffmpeg.stderr.on('data', (data) => {
+      stderr += data.toString();
+    });
+
+    ffmpeg.on('close', (code) => {
+      const buffer = Buffer.concat(chunks);
+      if (code !== 0 || buffer.length < HASH_IMAGE_SIZE * HASH_IMAGE_SIZE) {
+        reject(new Error(`ffmpeg frame hashing exited with code ${code}: ${stderr}`));
+        return;
+      }
+      resolve(buffer.subarray(0, HASH_IMAGE_SIZE * HASH_IMAGE_SIZE));
+    });
+
+    ffmpeg.on('error', (error) => {
+      reject(error);
+    });
+  });
+};
+
+const bitsToHex = (bits) => {
+  let value = 0n;
+  for (const bit of bits) {
+    value = (value << 1n) | (bit ? 1n : 0n);
+  }
+  return value.toString(16).padStart(HASH_SIZE * HASH_SIZE / 4, '0');
+};
+
+/**
+ * dHash: is each cell brighter than its right neighbour (9×8 grid)
+ */
+const computeDifferenceHash = (pixels, size = HASH_IMAGE_SIZE) => {
+  const width = HASH_SIZE + 1;
+  const sums = new Array(width * HASH_SIZE).fill(0);
+  const counts = new Array(width * HASH_SIZE).fill(0);
+
+  for (let y = 0; y < size; y++) {
+    for (let x = 0; x < size; x++) {
+      const index = Math.floor((y * HASH_SIZE) / size) * width + Math.floor((x * width) / size);
+      sums[index] += pixels[y * size + x];
+      counts[index]++;
+    }
+  }
+
+  const cells = sums.map((sum, index) => sum / counts[index]);
+  const bits = [];
+  for (let y = 0; y < HASH_SIZE; y++) {
+    for (let x = 0; x < HASH_SIZE; x++) {
+      bits.push(cells[y * width + x] > cells[y * width + x + 1]);
+    }
+  }
+  return bitsToHex(bits);
+};
+
+/**
+ * pHash: low 8×8 DCT coefficients compared to their median (DC term excluded
+ * from the median)
+ */
+const computePerceptualHash = (pixels, size = HASH_IMAGE_SIZE) => {
+  const cosines = [];
+  for (let u = 0; u < HASH_SIZE; u++) {
+    cosines.push(Array.from({ length: size }, (_, x) => Math.cos(((2 * x + 1) * u * Math.PI) / (2 * size))));
+  }
+
+  const coefficients = [];
+  for (let v = 0; v < HASH_SIZE; v++) {
+    for (let u = 0; u < HASH_SIZE; u++) {
+      let sum = 0;
+      for (let y = 0; y < size; y++) {
+        const rowWeight = cosines[v][y];
+        for (let x = 0; x < size; x++) {
+          sum += pixels[y * size + x] * cosines[u][x] * rowWeight;
+        }
+      }
+      coefficients.push(sum);
+    }
+  }
+
+  const sorted = coefficients.slice(1).sort((a, b) => a - b);
+  const median = (sorted[Math.floor((sorted.length - 1) / 2)] + sorted[Math.ceil((sorted.length - 1) / 2)]) / 2;
+  return bitsToHex(coefficients.map(value => value > median));
+};
+
+/**
+ * Hash an image file
+ * @returns {Promise<Object>} { dHash, pHash } as 16-digit hex strings
+ */
+const computeFrameHashes = async (imagePath) => {
+  const pixels = await decodeGrayImage(imagePath);
+  return {
+    dHash: computeDifferenceHash(pixels),
+    pHash: computePerceptualHash(pixels),
+  };
+};
+
+/**
+ * Number of differing bits between two hex hashes
+ */
+const hammingDistance = (left, right) => {
+  let value = BigInt(`0x${left}`) ^ BigInt(`0x${right}`);
+  let count = 0;
+  while (value > 0n) {
+    value &= value - 1n;
+    count++;
+  }
+  return count;
+};
+
+const areFramesNearIdentical = (left, right, maxDistance) => {
+  if (!left.hashes || !right.hashes) {
+    return false;
+  }
+  return hammingDistance(left.hashes.dHash, right.hashes.dHash) <= maxDistance
+    && hammingDistance(left.hashes.pHash, right.hashes.pHash) <= maxDistance;
+};
+
+/**
+ * Frames of a scene that are not near-duplicates of an earlier frame
+ */
+const getDistinctFrames = (scene) => (scene.frames || []).filter(frame => !frame.duplicateOf);
+
+/**
+ * Hash the frames of every scene and mark near-duplicates within each scene
+ * Frames are updated in place (`hashes`, and `duplicateOf` with the frameId of
+ * the earlier matching frame). Frames that fail to decode stay distinct.
+ * @param {Array} scenes - Scenes with extracted frames
+ * @param {object} options - Normalized dedup options
+ * @returns {Promise<number>} Number of frames marked as duplicates
+ */
+const hashSceneFrames = async (scenes, options) => {
+  let duplicateCount = 0;
+
+  for (const scene of scenes) {
+    const kept = [];
+    for (const frame of scene.frames || []) {
+      if (!frame.hashes) {
+        try {
+          frame.hashes = await computeFrameHashes(frame.path);
+        } catch (error) {
+          console.error(`   ✗ Failed to hash frame ${frame.frameId} of scene ${scene.sceneId}: ${error.message}`);
+          frame.hashes = null;
+        }
+      }
+
+      delete frame.duplicateOf;
+      const original = options.dedupeFrames
+        ? kept.find(candidate => areFramesNearIdentical(frame, candidate, options.frameHashDistance))
+        : null;
+      if (original) {
+        frame.duplicateOf = original.frameId;
+        duplicateCount++;
+      } else {
+        kept.push(frame);
+      }
+    }
+  }
+
+  return duplicateCount;
+};
+
+/**
+ * Find an already described scene that looks the same as `scene`
+ * Every distinct frame of either scene must match a distinct frame of the other.
+ * @param {object} scene - Scene with hashed frames
+ * @param {Array} candidates - Earlier scenes
+ * @param {object} options - Normalized dedup options
+ * @returns {object|null} Matching scene with a description
+ */
+const findNearIdenticalScene = (scene, candidates, options) => {
+  const frames = getDistinctFrames(scene);
+  if (frames.length === 0 || frames.some(frame => !frame.hashes)) {
+    return null;
+  }
+
+  const covers = (from, to) => from.every(frame =>
+    to.some(candidate => areFramesNearIdentical(frame, candidate, options.frameHashDistance))
+  );
+
+  return candidates.find(candidate => {
+    if (!candidate.description || candidate.descriptionReusedFrom) {
+      return false;
+    }
+    const candidateFrames = getDistinctFrames(candidate);
+    return candidateFrames.length > 0 && covers(frames, candidateFrames) && covers(candidateFrames, frames);
+  }) || null;
+};
+
+module.exports = {
+  DEFAULT_FRAME_HASH_DISTANCE,
+  normalizeDedupOptions,
+  computeFrameHashes,
+  hammingDistance,
+  hashSceneFrames,
+  getDistinctFrames,
+  findNearIdenticalScene,
+};
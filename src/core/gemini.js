@@ -1,140 +1,38 @@
-const { GoogleGenerativeAI } = require('@google/generative-ai');
-const { AzureOpenAI } = require('openai');
-const config = require('../config');
-const fs = require('fs');
-
-let geminiClient = null;
-let azureClient = null;
-let currentProvider = config.aiProvider; // Track current provider
-
 /**
- * Initialize AI clients
+ * Model-backed text tasks (scene descriptions, titles, transcript formatting,
+ * match ratings). Calls go through the provider registry (src/providers/), so
+ * they work with any provider and fall back along the task's provider chain.
+ * Every task takes an optional provider `context` (createProviderContext) for
+ * the request it belongs to.
  */
-const initClients = () => {
-  if (config.googleApiKey) {
-    geminiClient = new GoogleGenerativeAI(config.googleApiKey);
-  }
-  
-  if (config.azureOpenAI.apiKey) {
-    azureClient = new AzureOpenAI({
-      apiKey: config.azureOpenAI.apiKey,
-      endpoint: config.azureOpenAI.endpoint,
-      apiVersion: config.azureOpenAI.apiVersion,
-    });
-  }
-  
-  // Don't log here - weave.js will log AI provider during initialization
-  console.log(`✓ AI clients initialized (Primary: ${config.aiProvider})`);
-  if (config.aiProvider === 'azure') {
-    console.log(`  → Azure: ${config.azureOpenAI.deploymentName}`);
-    console.log(`  → Gemini fallback: ${config.geminiModel}`);
-  } else {
-    console.log(`  → Gemini: ${config.geminiModel}`);
-    console.log(`  → Azure fallback: ${config.azureOpenAI.deploymentName}`);
-  }
-};
+
+const fs = require('fs');
+const { runWithFallback } = require('../providers');
 
 /**
- * Describe an image using selected AI provider
+ * Read image files for generateWithImages
  */
-const describeImage = async (imagePath, prompt) => {
-  const imageBuffer = fs.readFileSync(imagePath);
-  const imageBase64 = imageBuffer.toString('base64');
-  
-  try {
-    if (currentProvider === 'azure') {
-      if (!azureClient) {
-        throw new Error('Azure OpenAI client not initialized');
-      }
-      
-      console.log(`🤖 Using Azure OpenAI: ${config.azureOpenAI.deploymentName}`);
-      
-      const response = await azureClient.chat.completions.create({
-        model: config.azureOpenAI.deploymentName,
-        messages: [
-          {
-            role: 'user',
-            content: [
-              { type: 'text', text: prompt },
-              {
-                type: 'image_url',
-                image_url: {
-                  url: `data:image/jpeg;base64,${imageBase64}`,
-                },
-              },
-            ],
-          },
-        ],
-        max_completion_tokens: 1000,
-      });
-      
-      return response.choices[0].message.content;
-    } else {
-      // Use Gemini
-      if (!geminiClient) {
-        throw new Error('Gemini client not initialized');
-      }
-      
-      console.log(`🤖 Using Google Gemini: ${config.geminiModel}`);
-      
-      const model = geminiClient.getGenerativeModel({ model: config.geminiModel });
-      const result = await model.generateContent([
-        prompt,
-        {
-          inlineData: {
-            data: imageBase64,
-            mimeType: 'image/jpeg',
-          },
-        },
-      ]);
-      
-      const response = await result.response;
-      return response.text();
-    }
-  } catch (error) {
-    console.error(`Error with ${currentProvider}:`, error.message);
-    
-    // Try fallback provider
-    const fallbackProvider = currentProvider === 'azure' ? 'gemini' : 'azure';
-    const fallbackClient = fallbackProvider === 'azure' ? azureClient : geminiClient;
-    
-    if (fallbackClient) {
-      console.log(`Switching to ${fallbackProvider}`);
-      currentProvider = fallbackProvider;
-      return describeImage(imagePath, prompt);
-    }
-    
-    throw error;
-  }
-};
+const readImages = (imagePaths) => imagePaths.map(imagePath => ({
+  data: fs.readFileSync(imagePath).toString('base64'),
+  mimeType: 'image/jpeg',
+}));
 
 /**
- * Describe a scene based on multiple frames
- * @param {Array<string>} framePaths - Paths to frame images
- * @param {number} sceneId - Scene identifier
- * @param {number} start - Scene start time
- * @param {number} end - Scene end time
- * @param {string} languageInstruction - Optional language instruction
- * @param {number} retryCount - Internal retry counter (do not pass manually)
+ * Describe an image using the describe provider chain
+ * @param {Object} options - { context }
  */
-const describeScene = async (framePaths, sceneId, start, end, languageInstruction = null, retryCount = 0) => {
-  const MAX_RETRIES = 1; // Only try both providers once
-  
-  try {
-    // Read all frame images
-    const frameData = framePaths.map(path => {
-      const buffer = fs.readFileSync(path);
-      return buffer.toString('base64');
-    });
+const describeImage = async (imagePath, prompt, options = {}) => {
+  const images = readImages([imagePath]);
 
-    const sequenceHint = frameData.length === 1
-      ? 'This frame is a representative still from the scene.'
-      : frameData.length <= 3
-        ? 'The frames are representative keyframes from earlier, middle, and later in the scene.'
-        : 'The frames are ordered chronologically and sample the scene across time, including motion within a continuous shot.';
+  return runWithFallback('describe', 'describe image', (provider) => {
+    console.log(`🤖 Using ${provider.label}: ${provider.getModel()}`);
+    return provider.generateWithImages(prompt, images, { maxTokens: 1000 });
+  }, options.context);
+};
 
-    let prompt = `Analyze these ${frameData.length} video frames from Scene ${sceneId} (${start.toFixed(1)}s - ${end.toFixed(1)}s).
-${sequenceHint}
+// Built-in scene prompt, used when no FPO template is supplied
+const DEFAULT_SCENE_PROMPT = `Analyze these {{frameCount}} video frames from Scene {{sceneId}} ({{start}}s - {{end}}s).
+{{sequenceHint}}
 
 Write a concise visual description in 2-4 sentences. Focus on:
 - Main subjects, setting, and visible action
@@ -145,91 +43,96 @@ Write a concise visual description in 2-4 sentences. Focus on:
 
 If the visuals stay mostly continuous, say that clearly instead of inventing cuts.
 Do NOT mention frame numbers.
-Do NOT start with phrases like "In this scene" or "This scene shows".`;
+Do NOT start with phrases like "In this scene" or "This scene shows".
 
-    // Add language instruction if provided
-    if (languageInstruction) {
-      prompt += `\n\n${languageInstruction}`;
-    }
+{{languageInstruction}}`;
 
-    if (currentProvider === 'azure') {
-      if (!azureClient) {
-        throw new Error('Azure OpenAI client not initialized');
-      }
-      
-      const content = [
-        { type: 'text', text: prompt }
-      ];
-      
-      // Add all frames
-      frameData.forEach(base64 => {
-        content.push({
-          type: 'image_url',
-          image_url: {
-            url: `data:image/jpeg;base64,${base64}`,
-          },
-        });
-      });
-      
-      const response = await azureClient.chat.completions.create({
-        model: config.azureOpenAI.deploymentName,
-        messages: [
-          {
-            role: 'user',
-            content,
-          },
-        ],
-        max_completion_tokens: 300,
-      });
-      
-      return response.choices[0].message.content;
-    } else {
-      // Use Gemini
-      if (!geminiClient) {
-        throw new Error('Gemini client not initialized');
-      }
-      
-      const model = geminiClient.getGenerativeModel({ model: config.geminiModel });
-      
-      // Build content array with prompt and all images
-      const content = [prompt];
-      frameData.forEach(base64 => {
-        content.push({
-          inlineData: {
-            data: base64,
-            mimeType: 'image/jpeg',
-          },
-        });
-      });
-      
-      const result = await model.generateContent(content);
-      const response = await result.response;
-      return response.text();
-    }
-  } catch (error) {
-    console.error(`Error describing scene ${sceneId} with ${currentProvider}:`, error.message);
-    
-    // Check if we've exceeded retry limit
-    if (retryCount >= MAX_RETRIES) {
-      console.error(`Max retries (${MAX_RETRIES}) exceeded for scene ${sceneId}`);
-      throw new Error(`Failed to describe scene after trying both providers: ${error.message}`);
-    }
-    
-    // Try fallback provider
-    const fallbackProvider = currentProvider === 'azure' ? 'gemini' : 'azure';
-    const fallbackClient = fallbackProvider === 'azure' ? azureClient : geminiClient;
-    
-    if (fallbackClient) {
-      console.log(`Switching to ${fallbackProvider} for scene description (retry ${retryCount + 1}/${MAX_RETRIES})`);
-      const prevProvider = currentProvider;
-      currentProvider = fallbackProvider;
-      const result = await describeScene(framePaths, sceneId, start, end, languageInstruction, retryCount + 1);
-      currentProvider = prevProvider; // Restore provider
-      return result;
-    }
-    
-    throw error;
-  }
+// Wrapper for FPO templates that don't reference any scene variables
+// (keeps the output rules of the default prompt, so both compete on equal terms)
+const SCENE_CONTEXT_WRAPPER = `Analyze these {{frameCount}} video frames from Scene {{sceneId}} ({{start}}s - {{end}}s).
+{{sequenceHint}}
+
+{{template}}
+
+Write the description in 2-4 sentences.
+Do NOT mention frame numbers.
+Do NOT start with phrases like "In this scene" or "This scene shows".
+
+{{languageInstruction}}`;
+
+const TEMPLATE_VARIABLE_PATTERN = /\{\{\s*(\w+)\s*\}\}/g;
+
+/**
+ * Render a prompt template by substituting {{variable}} placeholders
+ * Unknown variables render as empty strings
+ * @param {string} template - Template text
+ * @param {Object} variables - Values for placeholders
+ * @returns {string} Rendered prompt
+ */
+const renderPromptTemplate = (template, variables = {}) => {
+  return template
+    .replace(TEMPLATE_VARIABLE_PATTERN, (match, name) => {
+      const value = variables[name];
+      return value === undefined || value === null ? '' : String(value);
+    })
+    .replace(/\n{3,}/g, '\n\n')
+    .trim();
+};
+
+/**
+ * Build the scene description prompt from a template
+ * Templates without placeholders (e.g. FPO-evolved frame prompts) are wrapped
+ * with scene timing, sequence hint and language instruction.
+ * @param {string|null} template - Prompt template (defaults to built-in scene prompt)
+ * @param {Object} variables - frameCount, sceneId, start, end, languageInstruction
+ * @returns {string} Rendered prompt
+ */
+const buildScenePrompt = (template, variables) => {
+  const { frameCount, start, end } = variables;
+  const sequenceHint = frameCount === 1
+    ? 'This frame is a representative still from the scene.'
+    : frameCount <= 3
+      ? 'The frames are representative keyframes from earlier, middle, and later in the scene.'
+      : 'The frames are ordered chronologically and sample the scene across time, including motion within a continuous shot.';
+
+  const templateText = template || DEFAULT_SCENE_PROMPT;
+  const hasVariables = new RegExp(TEMPLATE_VARIABLE_PATTERN.source).test(templateText);
+
+  return renderPromptTemplate(hasVariables ? templateText : SCENE_CONTEXT_WRAPPER, {
+    ...variables,
+    template: templateText,
+    start: start.toFixed(1),
+    end: end.toFixed(1),
+    duration: (end - start).toFixed(1),
+    sequenceHint,
+    languageInstruction: variables.languageInstruction || '',
+  });
+};
+
+/**
+ * Describe a scene based on multiple frames
+ * @param {Array<string>} framePaths - Paths to frame images
+ * @param {number} sceneId - Scene identifier
+ * @param {number} start - Scene start time
+ * @param {number} end - Scene end time
+ * @param {string} languageInstruction - Optional language instruction
+ * @param {Object} options - { promptTemplate, context }
+ */
+const describeScene = async (framePaths, sceneId, start, end, languageInstruction = null, options = {}) => {
+  const { promptTemplate = null, context = null } = options;
+  const images = readImages(framePaths);
+
+  const prompt = buildScenePrompt(promptTemplate, {
+    frameCount: images.length,
+    sceneId,
+    start,
+    end,
+    languageInstruction,
+  });
+
+  return runWithFallback('describe', `describe scene ${sceneId}`, (provider) => {
+    return provider.generateWithImages(prompt, images, { maxTokens: 300 });
+  }, context);
 };
 
 /**
@@ -237,9 +140,10 @@ Do NOT start with phrases like "In this scene" or "This scene shows".`;
  * @param {string} visualDescription - Scene visual description
  * @param {string} dialogue - Scene dialogue transcript (optional)
  * @param {string} language - Language for the title
+ * @param {Object} options - { context }
  * @returns {Promise<string>} Concise one-line title
  */
-const generateSceneTitle = async (visualDescription, dialogue = null, language = 'English') => {
+const generateSceneTitle = async (visualDescription, dialogue = null, language = 'English', options = {}) => {
   try {
     const dialoguePart = dialogue ? `\n\nDialogue:\n${dialogue}` : '';
     const languageInstruction = language.toLowerCase() !== 'english' 
@@ -261,36 +165,10 @@ Requirements:
 
 Return ONLY the title text, nothing else.`;
 
-    if (currentProvider === 'azure') {
-      if (!azureClient) {
-        return 'Untitled Scene';
-      }
-      
-      const response = await azureClient.chat.completions.create({
-        model: config.azureOpenAI.deploymentName,
-        messages: [{ role: 'user', content: prompt }],
-        max_completion_tokens: 50,
-        temperature: 0.4,
-      });
-      
-      return response.choices[0].message.content.trim().replace(/^["']|["']$/g, '');
-    } else {
-      if (!geminiClient) {
-        return 'Untitled Scene';
-      }
-      
-      const model = geminiClient.getGenerativeModel({ 
-        model: config.geminiModel,
-        generationConfig: {
-          temperature: 0.4,
-          maxOutputTokens: 50,
-        }
-      });
-      
-      const result = await model.generateContent(prompt);
-      const response = await result.response;
-      return response.text().trim().replace(/^["']|["']$/g, '');
-    }
+    const title = await runWithFallback('title', 'generate scene title', (provider) => {
+      return provider.generateText(prompt, { maxTokens: 50, temperature: 0.4 });
+    }, options.context);
+    return title.trim().replace(/^["']|["']$/g, '');
   } catch (error) {
     console.error(`Error generating scene title: ${error.message}`);
     return 'Untitled Scene';
@@ -301,9 +179,10 @@ Return ONLY the title text, nothing else.`;
  * Generate an overall video title based on all scenes
  * @param {Array} scenes - Array of scene objects with descriptions and transcripts
  * @param {string} language - Language for the title
+ * @param {Object} options - { context }
  * @returns {Promise<string>} Concise one-line video title
  */
-const generateVideoTitle = async (scenes, language = 'English') => {
+const generateVideoTitle = async (scenes, language = 'English', options = {}) => {
   try {
     const summaries = scenes.map((s, i) => {
       const desc = s.description || '';
@@ -330,36 +209,10 @@ Requirements:
 
 Return ONLY the title text, nothing else.`;
 
-    if (currentProvider === 'azure') {
-      if (!azureClient) {
-        return 'Untitled Video';
-      }
-      
-      const response = await azureClient.chat.completions.create({
-        model: config.azureOpenAI.deploymentName,
-        messages: [{ role: 'user', content: prompt }],
-        max_completion_tokens: 50,
-        temperature: 0.4,
-      });
-      
-      return response.choices[0].message.content.trim().replace(/^["']|["']$/g, '');
-    } else {
-      if (!geminiClient) {
-        return 'Untitled Video';
-      }
-      
-      const model = geminiClient.getGenerativeModel({ 
-        model: config.geminiModel,
-        generationConfig: {
-          temperature: 0.4,
-          maxOutputTokens: 50,
-        }
-      });
-      
-      const result = await model.generateContent(prompt);
-      const response = await result.response;
-      return response.text().trim().replace(/^["']|["']$/g, '');
-    }
+    const title = await runWithFallback('title', 'generate video title', (provider) => {
+      return provider.generateText(prompt, { maxTokens: 50, temperature: 0.4 });
+    }, options.context);
+    return title.trim().replace(/^["']|["']$/g, '');
   } catch (error) {
     console.error(`Error generating video title: ${error.message}`);
     return 'Untitled Video';
@@ -371,9 +224,10 @@ Return ONLY the title text, nothing else.`;
  * Adds proper punctuation, capitalization, paragraph breaks, and emphasis
  * @param {string} text - Raw transcript text
  * @param {string} language - Language of the text (e.g., "Russian", "English")
+ * @param {Object} options - { context }
  * @returns {Promise<string>} Formatted text with markdown
  */
-const formatTranscript = async (text, language = 'English') => {
+const formatTranscript = async (text, language = 'English', options = {}) => {
   if (!text || text.length < 10) {
     return text;
   }
@@ -398,42 +252,11 @@ ${text}
 
 Return ONLY the formatted text with markdown. No explanations or metadata.`;
 
-    if (currentProvider === 'azure') {
-      if (!azureClient) {
-        return text; // Fallback to original if Azure not available
-      }
-      
-      const response = await azureClient.chat.completions.create({
-        model: config.azureOpenAI.deploymentName,
-        messages: [
-          {
-            role: 'user',
-            content: prompt,
-          },
-        ],
-        max_completion_tokens: 1000,
-        temperature: 0.3, // Lower temperature for more consistent formatting
-      });
-      
-      return response.choices[0].message.content.trim();
-    } else {
-      // Use Gemini
-      if (!geminiClient) {
-        return text; // Fallback to original if Gemini not available
-      }
-      
-      const model = geminiClient.getGenerativeModel({ 
-        model: config.geminiModel,
-        generationConfig: {
-          temperature: 0.3,
-          maxOutputTokens: 1000,
-        }
-      });
-      
-      const result = await model.generateContent(prompt);
-      const response = await result.response;
-      return response.text().trim();
-    }
+    const formatted = await runWithFallback('format', 'format transcript', (provider) => {
+      // Lower temperature for more consistent formatting
+      return provider.generateText(prompt, { maxTokens: 1000, temperature: 0.3 });
+    }, options.context);
+    return formatted.trim();
   } catch (error) {
     console.error(`Error formatting transcript: ${error.message}`);
     return text; // Return original text on error
@@ -441,79 +264,187 @@ Return ONLY the formatted text with markdown. No explanations or metadata.`;
 };
 
 /**
- * Generate embeddings using hash-based similarity
- * (No real embeddings to keep it simple)
+ * Generate text with a task's provider chain (text-only, optionally with a few images)
+ * @param {string} prompt - Prompt text
+ * @param {Object} options - { task, system, imagePaths, json, maxTokens, temperature, context }
+ * @returns {Promise<string>} Model output
+ */
+const generateText = async (prompt, options = {}) => {
+  const {
+    task = 'text',
+    system = null,
+    imagePaths = [],
+    json = false,
+    maxTokens = 1000,
+    temperature = 0.2,
+    context = null,
+  } = options;
+  const images = readImages(imagePaths);
+  const generationOptions = { system, json, maxTokens, temperature };
+
+  return runWithFallback(task, 'generate text', (provider) => {
+    return images.length > 0
+      ? provider.generateWithImages(prompt, images, generationOptions)
+      : provider.generateText(prompt, generationOptions);
+  }, context);
+};
+
+// JSON schema of a video-article match result (included in rating prompts)
+const MATCH_RESULT_SCHEMA = {
+  type: 'object',
+  required: ['score', 'explanation', 'perSceneRelevance'],
+  properties: {
+    score: { type: 'number', minimum: 0, maximum: 100 },
+    explanation: { type: 'string', minLength: 1 },
+    perSceneRelevance: {
+      type: 'array',
+      items: {
+        type: 'object',
+        required: ['sceneId', 'relevance'],
+        properties: {
+          sceneId: { type: 'integer' },
+          relevance: { type: 'number', minimum: 0, maximum: 1 },
+          reason: { type: 'string' },
+        },
+      },
+    },
+  },
+};
+
+/**
+ * Extract a JSON object from model output (tolerates code fences and surrounding text)
+ * @returns {object|null} Parsed object or null
  */
-const generateEmbedding = async (text) => {
-  // Use simple hash-based representation
-  let hash = 0;
-  for (let i = 0; i < text.length; i++) {
-    hash = ((hash << 5) - hash) + text.charCodeAt(i);
-    hash = hash & hash;
+const extractJson = (text) => {
+  const cleaned = String(text || '').replace(/```(?:json)?/gi, '').trim();
+  const start = cleaned.indexOf('{');
+  const end = cleaned.lastIndexOf('}');
+  if (start === -1 || end <= start) {
+    return null;
   }
-  
-  // Convert to array of pseudo-embeddings
-  const embedding = [];
-  for (let i = 0; i < 10; i++) {
-    embedding.push((hash >> i) % 100 / 100);
+  try {
+    return JSON.parse(cleaned.substring(start, end + 1));
+  } catch (error) {
+    return null;
   }
-  
-  return embedding;
 };
 
 /**
- * Calculate cosine similarity between two embeddings
+ * Validate a match result against MATCH_RESULT_SCHEMA
+ * @param {object} result - Parsed model output
+ * @param {Array<number>} sceneIds - Scene ids the result must cover (optional)
+ * @returns {Array<string>} Validation errors (empty when valid)
  */
-const cosineSimilarity = (a, b) => {
-  if (a.length !== b.length) {
-    throw new Error('Embeddings must have the same length');
+const validateMatchResult = (result, sceneIds = []) => {
+  if (!result || typeof result !== 'object' || Array.isArray(result)) {
+    return ['response is not a JSON object'];
   }
 
-  let dotProduct = 0;
-  let normA = 0;
-  let normB = 0;
-
-  for (let i = 0; i < a.length; i++) {
-    dotProduct += a[i] * b[i];
-    normA += a[i] * a[i];
-    normB += b[i] * b[i];
+  const errors = [];
+  if (typeof result.score !== 'number' || !Number.isFinite(result.score) || result.score < 0 || result.score > 100) {
+    errors.push('score must be a number between 0 and 100');
+  }
+  if (typeof result.explanation !== 'string' || result.explanation.trim().length === 0) {
+    errors.push('explanation must be a non-empty string');
+  }
+  if (!Array.isArray(result.perSceneRelevance)) {
+    errors.push('perSceneRelevance must be an array');
+    return errors;
   }
 
-  if (normA === 0 || normB === 0) {
-    return 0;
+  result.perSceneRelevance.forEach((entry, index) => {
+    if (!entry || !Number.isInteger(entry.sceneId)) {
+      errors.push(`perSceneRelevance[${index}].sceneId must be an integer`);
+    }
+    if (!entry || typeof entry.relevance !== 'number' || entry.relevance < 0 || entry.relevance > 1) {
+      errors.push(`perSceneRelevance[${index}].relevance must be a number between 0 and 1`);
+    }
+    if (entry && entry.reason !== undefined && typeof entry.reason !== 'string') {
+      errors.push(`perSceneRelevance[${index}].reason must be a string`);
+    }
+  });
+
+  const covered = new Set(result.perSceneRelevance.map(entry => entry?.sceneId));
+  const missing = sceneIds.filter(sceneId => !covered.has(sceneId));
+  if (missing.length > 0) {
+    errors.push(`perSceneRelevance is missing scenes: ${missing.join(', ')}`);
   }
 
-  return dotProduct / (Math.sqrt(normA) * Math.sqrt(normB));
+  return errors;
 };
 
 /**
- * Get current AI provider
+ * Rate how well a video matches an article
+ * Sends the rating prompt as text (plus optional keyframes), validates the JSON
+ * result against MATCH_RESULT_SCHEMA and asks the model to repair invalid output.
+ * @param {string} prompt - Rating prompt (article, scene analysis, instructions)
+ * @param {Object} options - { sceneIds, imagePaths, maxAttempts, context }
+ * @returns {Promise<{score: number, explanation: string, perSceneRelevance: Array, attempts: number, raw: string}>}
  */
-const getCurrentProvider = () => currentProvider;
+const rateMatch = async (prompt, options = {}) => {
+  const { sceneIds = [], imagePaths = [], maxAttempts = 3, context = null } = options;
+  const schemaPrompt = `${prompt}
+
+Respond with ONLY a JSON object matching this JSON schema:
+${JSON.stringify(MATCH_RESULT_SCHEMA, null, 2)}
+${sceneIds.length > 0 ? `\nInclude one perSceneRelevance entry for each scene id: ${sceneIds.join(', ')}.` : ''}`;
+
+  let currentPrompt = schemaPrompt;
+  let raw = '';
+  let errors = [];
+
+  for (let attempt = 1; attempt <= maxAttempts; attempt++) {
+    raw = await generateText(currentPrompt, {
+      task: 'rating',
+      imagePaths: attempt === 1 ? imagePaths : [],
+      json: true,
+      maxTokens: 1500,
+      context,
+    });
 
-/**
- * Set AI provider
- */
-const setProvider = (provider) => {
-  if (provider !== 'azure' && provider !== 'gemini') {
-    throw new Error('Provider must be "azure" or "gemini"');
+    const result = extractJson(raw);
+    errors = validateMatchResult(result, sceneIds);
+    if (errors.length === 0) {
+      return {
+        score: Math.round(result.score),
+        explanation: result.explanation.trim(),
+        perSceneRelevance: result.perSceneRelevance.map(entry => ({
+          sceneId: entry.sceneId,
+          relevance: entry.relevance,
+          ...(entry.reason ? { reason: entry.reason } : {}),
+        })),
+        attempts: attempt,
+        raw,
+      };
+    }
+
+    console.log(`   ⚠ Invalid match result (attempt ${attempt}/${maxAttempts}): ${errors.join('; ')}`);
+
+    // Ask the model to repair its own output
+    currentPrompt = `${schemaPrompt}
+
+Your previous response was invalid:
+${raw}
+
+Problems:
+${errors.map(err => `- ${err}`).join('\n')}
+
+Return the corrected JSON object only.`;
   }
-  currentProvider = provider;
-  const timestamp = new Date().toISOString().replace('T', ' ').substring(0, 19);
-  console.log(`✓  ${timestamp} AI Provider switched to: ${currentProvider}`);
-};
 
-// Initialize on module load
-initClients();
+  throw new Error(`Match rating failed schema validation after ${maxAttempts} attempts: ${errors.join('; ')}`);
+};
 
 module.exports = {
   describeImage,
   describeScene,
+  renderPromptTemplate,
+  buildScenePrompt,
+  generateText,
+  rateMatch,
+  validateMatchResult,
+  MATCH_RESULT_SCHEMA,
   generateSceneTitle,
   generateVideoTitle,
   formatTranscript,
-  generateEmbedding,
-  cosineSimilarity,
-  getCurrentProvider,
-  setProvider,
 };
@@ -0,0 +1,348 @@
+/**
+ * Video-article match prompt population
+ * Second FPO population (`video-article-match`), stored in data/match-prompts.json
+ * alongside the scene description population in data/prompts.json.
+ *
+ * Templates are rating instructions only; article text and scene analysis are
+ * added around them and rateMatch() enforces the JSON output schema, so evolved
+ * templates can't break parsing.
+ * Templates are evaluated against human-provided match scores (article
+ * `humanMatchScore`) and the labelled set in data/match-labels.json.
+ */
+
+const fs = require('fs');
+const path = require('path');
+const config = require('../config');
+const { rateMatch } = require('./gemini');
+const { listArticles, getArticleDetails } = require('./articleWorkflow');
+const { getPromptVersion, summarizeScores } = require('./promptOptimizer');
+const {
+  ensurePosterior,
+  updatePosterior,
+  getPosteriorSummary,
+  selectTemplates,
+  updateGlobalPrompt,
+} = require('./promptSelection');
+const { evolvePopulation } = require('./promptEvolution');
+const { invalidOption } = require('../utils/errors');
+const { logFPOIteration } = require('./weave');
+
+const MATCH_POPULATION = 'video-article-match';
+const MATCH_PROMPTS_PATH = path.join(config.dataDir, 'match-prompts.json');
+
+// Characters of scene analysis in a rating prompt, shared by the scenes
+const SCENE_ANALYSIS_CHARS = 1500;
+// Each scene keeps at least this much text, even if the total runs over
+const MIN_SCENE_CHARS = 80;
+const MATCH_LABELS_PATH = path.join(config.dataDir, 'match-labels.json');
+
+// Seed templates that are never removed by evolution
+const BASE_TEMPLATE_IDS = ['baseline', 'entity-focus', 'coverage'];
+
+const MATCH_EVOLUTION_TASK = {
+  subject: 'video-article match rating prompts',
+  goal: 'Produce 0-100 match ratings that agree with human judgement of how well a video illustrates a news article',
+};
+
+/**
+ * Load the match prompt population
+ */
+const loadMatchPrompts = () => {
+  if (!fs.existsSync(MATCH_PROMPTS_PATH)) {
+    throw new Error('Match prompts file not found');
+  }
+  return JSON.parse(fs.readFileSync(MATCH_PROMPTS_PATH, 'utf8'));
+};
+
+/**
+ * Save the match prompt population
+ */
+const saveMatchPrompts = (prompts) => {
+  fs.writeFileSync(MATCH_PROMPTS_PATH, JSON.stringify(prompts, null, 2));
+};
+
+/**
+ * Resolve the prompt used for video-article rating
+ * Uses the population's global prompt unless a promptId override is given.
+ * @param {string|null} promptId - Optional template id override
+ * @returns {object} { id, name, generation, version, template }
+ */
+const getMatchPrompt = (promptId = null) => {
+  const prompts = loadMatchPrompts();
+  const selected = promptId
+    ? prompts.templates.find(t => t.id === promptId)
+    : prompts.templates.find(t => t.id === prompts.global_prompt) || prompts.templates[0];
+
+  if (!selected) {
+    throw invalidOption(`Invalid promptId: ${promptId}`);
+  }
+
+  return {
+    id: selected.id,
+    name: selected.name,
+    generation: selected.generation || 0,
+    version: getPromptVersion(selected.template),
+    template: selected.template,
+  };
+};
+
+const truncate = (text, maxLength) => {
+  return text.length > maxLength ? `${text.substring(0, maxLength)}...` : text;
+};
+
+/**
+ * Scenes a rating prompt shows (those with a description or transcript)
+ */
+const getRatedScenes = (scenes) => scenes.filter(s => s.description || s.transcript);
+
+/**
+ * Build the full rating prompt for an article from a template
+ * Every rated scene is included, its text shortened so the scene analysis
+ * stays around SCENE_ANALYSIS_CHARS.
+ * @param {string} template - Rating instructions
+ * @param {object} articleDetails - Article with sceneData
+ */
+const buildRatingPrompt = (template, articleDetails) => {
+  const articleText = articleDetails.text || articleDetails.description || '';
+  const scenes = articleDetails.sceneData?.scenes || [];
+  const ratedScenes = getRatedScenes(scenes);
+  const sceneChars = Math.max(MIN_SCENE_CHARS, Math.floor(SCENE_ANALYSIS_CHARS / Math.max(ratedScenes.length, 1)));
+
+  const sceneAnalysis = ratedScenes
+    .map(s => {
+      // Visual and dialogue share the scene's budget
+      const maxLength = s.description && s.transcript ? Math.floor(sceneChars / 2) : sceneChars;
+      let analysis = `Scene ${s.sceneId}:`;
+      if (s.description) {
+        analysis += `\nVisual: ${truncate(s.description, maxLength)}`;
+      }
+      if (s.transcript) {
+        analysis += `\nDialogue: "${truncate(s.transcript.text || '', maxLength)}"`;
+      }
+      return analysis;
+    })
+    .join('\n\n');
+
+  const hasAudio = scenes.some(s => s.transcript?.text);
+
+  return `${template}
+
+Article Title: ${articleDetails.title}
+
+Article Text:
+${articleText.substring(0, 1000)}${articleText.length > 1000 ? '...' : ''}
+
+Video Analysis (${scenes.length} scenes):
+${sceneAnalysis}
+${hasAudio ? `\nNote: This video contains dialogue/narration, which provides additional context for matching.` : ''}
+
+Give an overall score (0-100), a brief explanation, and a relevance (0-1) for each scene above.`;
+};
+
+/**
+ * Pick up to `count` keyframes spread evenly across scenes (first frame of each)
+ */
+const pickKeyframes = (scenes, count) => {
+  const withFrames = scenes.filter(s => s.frames && s.frames.length > 0);
+  if (count <= 0 || withFrames.length === 0) {
+    return [];
+  }
+
+  const step = withFrames.length / Math.min(count, withFrames.length);
+  const picked = [];
+  for (let i = 0; i < Math.min(count, withFrames.length); i++) {
+    picked.push(withFrames[Math.floor(i * step)].frames[0].path);
+  }
+  return picked;
+};
+
+/**
+ * Rate an article's video with a match template
+ * Text-only by default; MATCH_KEYFRAMES adds a few scene keyframes.
+ * @param {Object} options - { context } (provider context)
+ * @returns {Promise<{matchScore: number, explanation: string, perSceneRelevance: Array, attempts: number, rating: string}>}
+ */
+const rateWithTemplate = async (template, articleDetails, options = {}) => {
+  const scenes = articleDetails.sceneData?.scenes || [];
+  const ratingPrompt = buildRatingPrompt(template, articleDetails);
+
+  const result = await rateMatch(ratingPrompt, {
+    sceneIds: getRatedScenes(scenes).map(s => s.sceneId).filter(Number.isInteger),
+    imagePaths: pickKeyframes(scenes, config.matchPrompts.keyframes),
+    context: options.context,
+  });
+
+  return {
+    matchScore: result.score,
+    explanation: result.explanation,
+    perSceneRelevance: result.perSceneRelevance,
+    attempts: result.attempts,
+    rating: result.raw,
+  };
+};
+
+/**
+ * Articles with a reference match score
+ * Human scores on articles take precedence over the labelled set.
+ * @returns {Array} [{ articleId, score, source }]
+ */
+const getLabelledArticles = () => {
+  const labels = new Map();
+
+  if (fs.existsSync(MATCH_LABELS_PATH)) {
+    const labelled = JSON.parse(fs.readFileSync(MATCH_LABELS_PATH, 'utf8'));
+    for (const label of labelled) {
+      labels.set(label.articleId, { articleId: label.articleId, score: label.score, source: 'labelled-set' });
+    }
+  }
+
+  for (const article of listArticles()) {
+    const articleDetails = getArticleDetails(article.articleId);
+    const humanScore = articleDetails?.humanMatchScore?.score;
+    if (typeof humanScore === 'number') {
+      labels.set(article.articleId, { articleId: article.articleId, score: humanScore, source: 'human' });
+    }
+  }
+
+  return [...labels.values()];
+};
+
+/**
+ * Run one optimization iteration of the match prompt population
+ * Templates chosen by the bandit rate a sample of labelled articles; the reward
+ * is agreement with the reference score (1 - |predicted - reference| / 100).
+ */
+const runMatchIteration = async (iterationNumber, options = {}) => {
+  const {
+    enableEvolution = true,
+    evolutionInterval = 2,
+    sampleArticles = config.matchPrompts.sampleArticles,
+    strategy = config.fpo.selection.strategy,
+    armsPerRound = config.fpo.selection.armsPerRound,
+  } = options;
+
+  console.log(`\n${'='.repeat(60)}`);
+  console.log(`🎯 Match Prompt Iteration ${iterationNumber}`);
+  console.log(`${'='.repeat(60)}`);
+
+  const prompts = loadMatchPrompts();
+
+  // Labelled articles that have scene descriptions to rate
+  const labelled = getLabelledArticles()
+    .map(label => ({ ...label, articleDetails: getArticleDetails(label.articleId) }))
+    .filter(label => label.articleDetails?.sceneData?.scenes?.length > 0);
+
+  if (labelled.length === 0) {
+    throw new Error('No labelled articles with scene descriptions found');
+  }
+
+  // Draw a fresh sample without replacement each iteration
+  const shuffled = [...labelled];
+  for (let i = shuffled.length - 1; i > 0; i--) {
+    const j = Math.floor(Math.random() * (i + 1));
+    [shuffled[i], shuffled[j]] = [shuffled[j], shuffled[i]];
+  }
+  const sample = shuffled.slice(0, sampleArticles);
+  const selected = selectTemplates(prompts.templates, { strategy, armsPerRound });
+  console.log(`   Selection (${strategy}): ${selected.map(t => t.id).join(', ')}`);
+  console.log(`   Articles: ${sample.map(label => `${label.articleId} (${label.score})`).join(', ')}`);
+
+  for (const template of selected) {
+    const rewards = [];
+
+    for (const label of sample) {
+      try {
+        const { matchScore } = await rateWithTemplate(template.template, label.articleDetails);
+        rewards.push(1 - Math.abs(matchScore - label.score) / 100);
+        console.log(`   ✓ ${template.id} @ ${label.articleId}: ${matchScore} (reference ${label.score})`);
+      } catch (error) {
+        console.log(`   ✗ ${template.id} @ ${label.articleId}: ${error.message}`);
+      }
+    }
+
+    const stats = summarizeScores(rewards);
+    ensurePosterior(template);
+    if (!template.performance) {
+      template.performance = [];
+    }
+    if (stats.n === 0) {
+      continue;
+    }
+
+    updatePosterior(template, stats);
+    const posterior = getPosteriorSummary(template);
+    template.performance.push({
+      score: stats.mean,
+      variance: stats.variance,
+      ci95: stats.ci95,
+      samples: stats.n,
+      posteriorMean: posterior.posteriorMean,
+      posteriorStdDev: posterior.posteriorStdDev,
+      timestamp: new Date().toISOString(),
+    });
+    template.weight = posterior.posteriorMean;
+  }
+
+  updateGlobalPrompt(prompts);
+  prompts.selection = {
+    strategy,
+    armsPerRound,
+    lastSelected: selected.map(t => t.id),
+    updatedAt: new Date().toISOString(),
+  };
+
+  let evolutionResult = null;
+  if (enableEvolution && iterationNumber % evolutionInterval === 0 && iterationNumber > 1) {
+    console.log(`\n🧬 EVOLUTION PHASE - ${MATCH_POPULATION}`);
+    evolutionResult = await evolvePopulation(prompts, {
+      maxPopulation: 10,
+      enableCrossover: true,
+      enableMutation: false,
+      protectedIds: BASE_TEMPLATE_IDS,
+      task: MATCH_EVOLUTION_TASK,
+    });
+    console.log(`   ✓ Evolved ${evolutionResult.evolved.length} new prompt(s)`);
+  }
+
+  saveMatchPrompts(prompts);
+
+  console.log(`\n📊 Match iteration ${iterationNumber} complete, global prompt: ${prompts.global_prompt}`);
+
+  await logFPOIteration({
+    iteration: iterationNumber,
+    population: MATCH_POPULATION,
+    globalPrompt: prompts.global_prompt,
+    strategy,
+    selected: selected.map(t => t.id),
+    populationSize: prompts.templates.length,
+    evolved: evolutionResult ? evolutionResult.evolved.length : 0,
+    generation: evolutionResult ? evolutionResult.generation : 0,
+    prompts: prompts.templates.map(t => ({
+      id: t.id,
+      weight: t.weight,
+      generation: t.generation || 0,
+      avgScore: t.performance[t.performance.length - 1]?.score,
+    })),
+  });
+
+  return {
+    iteration: iterationNumber,
+    population: MATCH_POPULATION,
+    globalPrompt: prompts.global_prompt,
+    strategy,
+    selected: selected.map(t => t.id),
+    labelledArticles: sample.length,
+    evolution: evolutionResult,
+  };
+};
+
+module.exports = {
+  MATCH_POPULATION,
+  loadMatchPrompts,
+  saveMatchPrompts,
+  getMatchPrompt,
+  buildRatingPrompt,
+  rateWithTemplate,
+  getLabelledArticles,
+  runMatchIteration,
+};
@@ -41,7 +41,7 @@ const cleanArticleText = (text) => {
   return cleaned;
 };
 
-const { ArticleStatus } = require('./articleWorkflow');
+const { ArticleStatus, updateArticleStatus } = require('./articleWorkflow');
 
 /**
  * Fetch latest news articles using Tavily API
@@ -521,14 +521,6 @@ const fetchNewsArticle = async (query = 'latest news video', initialMaxResults =
           published: article.published_date || null,
           fetchedAt: new Date().toISOString(),
           images: article.images || [],
-          workflow: {
-            status: ArticleStatus.FETCHED,
-            updatedAt: new Date().toISOString(),
-          },
-          statusHistory: [{
-            status: ArticleStatus.FETCHED,
-            timestamp: new Date().toISOString(),
-          }],
         };
 
         // Save article metadata
@@ -544,7 +536,8 @@ const fetchNewsArticle = async (query = 'latest news video', initialMaxResults =
         const source = usedRSS ? 'RSS feeds' : 'Tavily';
         log.info(`✓ Success! Found video after checking ${totalChecked} articles (source: ${source})`);
 
-        return articleData;
+        // Sets workflow/statusHistory and fires article.fetched
+        return updateArticleStatus(articleId, ArticleStatus.FETCHED);
       } else {
         log.warn('No video found in article');
         log.debug(`  Checked video tags, iframes, JSON-LD, and meta tags`);
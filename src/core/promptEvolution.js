@@ -1,17 +1,22 @@
-const { describeImage } = require('./gemini');
-const config = require('../config');
+const { generateText } = require('./gemini');
+
+// What the evolved prompts are for, per prompt population
+const DEFAULT_TASK = {
+  subject: 'video frame description prompts',
+  goal: 'Work well for describing video frames across different content types (news, sports, social media)',
+};
 
 /**
  * Perform genetic crossover between two prompts
  * Uses LLM to intelligently combine the best aspects of both
  */
-const crossoverPrompts = async (parent1, parent2) => {
+const crossoverPrompts = async (parent1, parent2, task = DEFAULT_TASK) => {
   console.log(`\n🧬 Evolving new prompt from:`);
   console.log(`   Parent 1: ${parent1.name} (weight: ${parent1.weight.toFixed(4)})`);
   console.log(`   Parent 2: ${parent2.name} (weight: ${parent2.weight.toFixed(4)})`);
 
-  // Use Azure GPT to create a hybrid prompt
-  const evolutionPrompt = `You are a prompt engineer optimizing video frame description prompts.
+  // Ask the evolution provider chain for a hybrid prompt
+  const evolutionPrompt = `You are a prompt engineer optimizing ${task.subject}.
 
 Given these two high-performing prompts:
 
@@ -25,42 +30,20 @@ Create a NEW prompt that combines the best aspects of both. The new prompt shoul
 1. Merge effective instruction patterns from both parents
 2. Keep the most successful elements from each
 3. Be concise and clear
-4. Work well for describing video frames across different content types (news, sports, social media)
+4. ${task.goal}
 
 Return ONLY the new prompt text, nothing else.`;
 
   try {
     // Use the AI to generate the hybrid prompt
-    // We'll use a simple text prompt here since we don't need image analysis
-    const { AzureOpenAI } = require('openai');
-    
-    if (!config.azureOpenAI.apiKey) {
-      throw new Error('Azure OpenAI required for prompt evolution');
-    }
-
-    const azureClient = new AzureOpenAI({
-      apiKey: config.azureOpenAI.apiKey,
-      endpoint: config.azureOpenAI.endpoint,
-      apiVersion: config.azureOpenAI.apiVersion,
-    });
-
-    const response = await azureClient.chat.completions.create({
-      model: config.azureOpenAI.deploymentName,
-      messages: [
-        {
-          role: 'system',
-          content: 'You are a prompt engineering expert. Create hybrid prompts by combining the best elements of given examples.',
-        },
-        {
-          role: 'user',
-          content: evolutionPrompt,
-        },
-      ],
-      max_completion_tokens: 200,
+    const response = await generateText(evolutionPrompt, {
+      task: 'evolution',
+      system: 'You are a prompt engineering expert. Create hybrid prompts by combining the best elements of given examples.',
+      maxTokens: 200,
       temperature: 0.7, // Some creativity, but not too wild
     });
 
-    const newPromptText = response.choices[0].message.content.trim();
+    const newPromptText = response.trim();
     
     // Remove quotes if the LLM wrapped the response
     const cleanPrompt = newPromptText.replace(/^["']|["']$/g, '');
@@ -97,10 +80,10 @@ Return ONLY the new prompt text, nothing else.`;
 /**
  * Perform prompt mutation - slight variations of a winning prompt
  */
-const mutatePrompt = async (prompt) => {
+const mutatePrompt = async (prompt, task = DEFAULT_TASK) => {
   console.log(`\n🔬 Mutating prompt: ${prompt.name}`);
 
-  const mutationPrompt = `You are a prompt engineer creating variations of successful prompts.
+  const mutationPrompt = `You are a prompt engineer creating variations of successful ${task.subject}.
 
 Given this high-performing prompt (weight: ${prompt.weight.toFixed(4)}):
 "${prompt.template}"
@@ -114,35 +97,14 @@ Create a SLIGHTLY IMPROVED version by:
 Return ONLY the new prompt text, nothing else.`;
 
   try {
-    const { AzureOpenAI } = require('openai');
-    
-    if (!config.azureOpenAI.apiKey) {
-      throw new Error('Azure OpenAI required for prompt mutation');
-    }
-
-    const azureClient = new AzureOpenAI({
-      apiKey: config.azureOpenAI.apiKey,
-      endpoint: config.azureOpenAI.endpoint,
-      apiVersion: config.azureOpenAI.apiVersion,
-    });
-
-    const response = await azureClient.chat.completions.create({
-      model: config.azureOpenAI.deploymentName,
-      messages: [
-        {
-          role: 'system',
-          content: 'You are a prompt engineering expert. Create improved variations of successful prompts.',
-        },
-        {
-          role: 'user',
-          content: mutationPrompt,
-        },
-      ],
-      max_completion_tokens: 200,
+    const response = await generateText(mutationPrompt, {
+      task: 'evolution',
+      system: 'You are a prompt engineering expert. Create improved variations of successful prompts.',
+      maxTokens: 200,
       temperature: 0.5, // Less creative than crossover
     });
 
-    const newPromptText = response.choices[0].message.content.trim();
+    const newPromptText = response.trim();
     const cleanPrompt = newPromptText.replace(/^["']|["']$/g, '');
 
     const generation = (prompt.generation || 0) + 1;
@@ -181,6 +143,8 @@ const evolvePopulation = async (prompts, options = {}) => {
     maxPopulation = 10,  // Keep population size manageable
     enableMutation = false,
     enableCrossover = true,
+    protectedIds = ['baseline', 'structured', 'narrative', 'technical', 'comprehensive'],
+    task = DEFAULT_TASK,
   } = options;
 
   // Sort by weight (best first)
@@ -193,7 +157,7 @@ const evolvePopulation = async (prompts, options = {}) => {
     const parent1 = sorted[0];
     const parent2 = sorted[1];
     
-    const child = await crossoverPrompts(parent1, parent2);
+    const child = await crossoverPrompts(parent1, parent2, task);
     if (child) {
       evolved.push(child);
     }
@@ -201,7 +165,7 @@ const evolvePopulation = async (prompts, options = {}) => {
 
   // Optional: Mutate the best prompt
   if (enableMutation && sorted.length >= 1) {
-    const mutated = await mutatePrompt(sorted[0]);
+    const mutated = await mutatePrompt(sorted[0], task);
     if (mutated) {
       evolved.push(mutated);
     }
@@ -211,13 +175,11 @@ const evolvePopulation = async (prompts, options = {}) => {
   const newPopulation = [...prompts.templates, ...evolved];
 
   // If population too large, remove worst performers
-  // But keep original 5 baseline prompts
+  // But keep the population's original baseline prompts
   if (newPopulation.length > maxPopulation) {
-    const originalIds = ['baseline', 'structured', 'narrative', 'technical', 'comprehensive'];
-    
     // Separate originals and evolved
-    const originals = newPopulation.filter(p => originalIds.includes(p.id));
-    const evolvedOnly = newPopulation.filter(p => !originalIds.includes(p.id));
+    const originals = newPopulation.filter(p => protectedIds.includes(p.id));
+    const evolvedOnly = newPopulation.filter(p => !protectedIds.includes(p.id));
     
     // Sort evolved by weight and keep best ones
     evolvedOnly.sort((a, b) => b.weight - a.weight);
@@ -1,9 +1,19 @@
 const fs = require('fs');
 const path = require('path');
+const crypto = require('crypto');
 const config = require('../config');
-const { describeImage, generateEmbedding, cosineSimilarity } = require('./gemini');
+const { describeImage, describeScene } = require('./gemini');
+const { textSimilarity } = require('./embeddings');
 const { logPromptEvaluation, logFPOIteration } = require('./weave');
 const { evolvePopulation } = require('./promptEvolution');
+const { invalidOption } = require('../utils/errors');
+const {
+  ensurePosterior,
+  updatePosterior,
+  getPosteriorSummary,
+  selectTemplates,
+  updateGlobalPrompt,
+} = require('./promptSelection');
 
 /**
  * Load prompt templates from file
@@ -24,6 +34,60 @@ const savePrompts = (prompts) => {
   fs.writeFileSync(promptsPath, JSON.stringify(prompts, null, 2));
 };
 
+/**
+ * Short content hash identifying the exact text of a template
+ */
+const getPromptVersion = (template) => {
+  return crypto.createHash('sha1').update(template).digest('hex').substring(0, 12);
+};
+
+/**
+ * Resolve the prompt used for scene descriptions
+ * Uses the FPO-selected global prompt unless a promptId override is given.
+ * @param {string|null} promptId - Optional template id override
+ * @returns {object|null} { id, name, generation, version, template } or null if no prompts file
+ */
+const getScenePrompt = (promptId = null) => {
+  let prompts;
+  try {
+    prompts = loadPrompts();
+  } catch (error) {
+    if (promptId) {
+      throw invalidOption(`Invalid promptId: ${promptId}`);
+    }
+    return null;
+  }
+
+  const selected = promptId
+    ? prompts.templates.find(t => t.id === promptId)
+    : prompts.templates.find(t => t.id === prompts.global_prompt) || prompts.templates[0];
+
+  if (!selected) {
+    if (promptId) {
+      throw invalidOption(`Invalid promptId: ${promptId}`);
+    }
+    return null;
+  }
+
+  return {
+    id: selected.id,
+    name: selected.name,
+    generation: selected.generation || 0,
+    version: getPromptVersion(selected.template),
+    template: selected.template,
+  };
+};
+
+/**
+ * Whether an article belongs to the held-out FPO evaluation pool
+ * Assignment is a stable hash of the article id, so it never changes between runs.
+ */
+const isHeldOutArticle = (articleId) => {
+  const hash = crypto.createHash('sha1').update(String(articleId)).digest('hex');
+  const bucket = parseInt(hash.substring(0, 8), 16) / 0xffffffff;
+  return bucket < config.fpo.holdoutFraction;
+};
+
 /**
  * Evaluate a single prompt on an image
  */
@@ -38,17 +102,19 @@ const evaluatePrompt = async (promptTemplate, imagePath, referenceText = null) =
     const latency = endTime - startTime;
     
     let score = 0.5; // Default score if no reference
+    let embeddingProvider = null;
     
-    // If reference text provided, calculate similarity
+    // If reference text provided, calculate semantic similarity
     if (referenceText) {
-      const descEmbedding = await generateEmbedding(description);
-      const refEmbedding = await generateEmbedding(referenceText);
-      score = cosineSimilarity(descEmbedding, refEmbedding);
+      const similarity = await textSimilarity(description, referenceText);
+      score = similarity.score;
+      embeddingProvider = similarity.provider;
     }
     
     return {
       description,
       score,
+      embeddingProvider,
       latency,
       timestamp: new Date().toISOString(),
     };
@@ -63,122 +129,324 @@ const evaluatePrompt = async (promptTemplate, imagePath, referenceText = null) =
   }
 };
 
+// Two-sided 95% t critical values for 1-30 degrees of freedom
+const T_CRITICAL_95 = [
+  12.706, 4.303, 3.182, 2.776, 2.571, 2.447, 2.365, 2.306, 2.262, 2.228,
+  2.201, 2.179, 2.160, 2.145, 2.131, 2.120, 2.110, 2.101, 2.093, 2.086,
+  2.080, 2.074, 2.069, 2.064, 2.060, 2.056, 2.052, 2.048, 2.045, 2.042,
+];
+
+const getTCritical = (degreesOfFreedom) => {
+  return degreesOfFreedom <= T_CRITICAL_95.length ? T_CRITICAL_95[degreesOfFreedom - 1] : 1.96;
+};
+
 /**
- * Simulate federated prompt evaluation
- * Each domain evaluates all prompts locally
+ * Build a summary (n, mean, variance, 95% CI) from sample statistics
+ * Variance is the unbiased sample variance; CI is null with fewer than 2 samples.
  */
-const federatedEvaluation = async (prompts, testData) => {
-  const results = [];
-  
-  // Calculate total requests for progress tracking
-  const totalRequests = prompts.domains.length * prompts.templates.length;
-  let completedRequests = 0;
+const buildSummary = (n, mean, variance) => {
+  if (n === 0) {
+    return { n: 0, mean: 0, variance: 0, stdDev: 0, ci95: null };
+  }
+
+  const stdDev = Math.sqrt(variance);
+  let ci95 = null;
+  if (n >= 2) {
+    const margin = getTCritical(n - 1) * stdDev / Math.sqrt(n);
+    ci95 = [mean - margin, mean + margin];
+  }
+
+  return { n, mean, variance, stdDev, ci95 };
+};
+
+/**
+ * Summarize a list of scores
+ */
+const summarizeScores = (scores) => {
+  const n = scores.length;
+  if (n === 0) {
+    return buildSummary(0, 0, 0);
+  }
+
+  const mean = scores.reduce((a, b) => a + b, 0) / n;
+  const variance = n > 1
+    ? scores.reduce((sum, score) => sum + (score - mean) ** 2, 0) / (n - 1)
+    : 0;
+
+  return buildSummary(n, mean, variance);
+};
+
+/**
+ * Pool several summaries into one, as if all underlying scores were combined
+ */
+const combineSummaries = (summaries) => {
+  const valid = summaries.filter(summary => summary && summary.n > 0);
+  const n = valid.reduce((sum, summary) => sum + summary.n, 0);
+  if (n === 0) {
+    return buildSummary(0, 0, 0);
+  }
+
+  const mean = valid.reduce((sum, summary) => sum + summary.n * summary.mean, 0) / n;
+  const sumSquares = valid.reduce((sum, summary) => (
+    sum + (summary.n - 1) * summary.variance + summary.n * (summary.mean - mean) ** 2
+  ), 0);
+
+  return buildSummary(n, mean, n > 1 ? sumSquares / (n - 1) : 0);
+};
+
+/**
+ * Evaluate a prompt on a scene sample (all of its frames via describeScene)
+ * @param {string} promptTemplate - Prompt template text
+ * @param {object} sample - { framePaths, sceneId, start, end, reference }
+ */
+const evaluatePromptOnScene = async (promptTemplate, sample) => {
+  try {
+    const startTime = Date.now();
+
+    const description = await describeScene(
+      sample.framePaths,
+      sample.sceneId,
+      sample.start,
+      sample.end,
+      null,
+      { promptTemplate }
+    );
+
+    const latency = Date.now() - startTime;
+    const similarity = await textSimilarity(description, sample.reference);
+
+    return {
+      description,
+      score: similarity.score,
+      embeddingProvider: similarity.provider,
+      latency,
+      timestamp: new Date().toISOString(),
+    };
+  } catch (error) {
+    console.error('Error evaluating prompt on scene:', error.message);
+    return {
+      description: '',
+      score: 0,
+      latency: 0,
+      error: error.message,
+    };
+  }
+};
+
+/**
+ * Split a shared sample pool across domains (round-robin)
+ * Used when no domain-specific samples are provided, so each sample is evaluated once.
+ */
+const partitionSamples = (samples, domains) => {
+  const partitions = Object.fromEntries(domains.map(domain => [domain, []]));
+  samples.forEach((sample, index) => {
+    partitions[domains[index % domains.length]].push(sample);
+  });
+  return partitions;
+};
+
+/**
+ * Run one federated client round
+ * The client scores every template on its own scene samples. Per-sample scores and
+ * descriptions stay here; only per-template summaries are returned to the aggregator.
+ * @param {string} domain - Client domain
+ * @param {Array} templates - Prompt templates to evaluate
+ * @param {Array} samples - The client's scene samples
+ * @param {object} progress - Shared { completed, total } request counter
+ * @returns {object} { domain, sampleCount, promptScores, promptStats }
+ */
+const runClientRound = async (domain, templates, samples, progress) => {
+  const clientResult = {
+    domain,
+    sampleCount: samples.length,
+    promptScores: {},
+    promptStats: {},
+  };
   
-  console.log(`\n🔄 Starting evaluation: ${totalRequests} total API requests`);
-  console.log(`   Domains: ${prompts.domains.length}, Prompts: ${prompts.templates.length}\n`);
+  if (samples.length === 0) {
+    console.log(`\n⊘ No test data available for client: ${domain}`);
+  }
   
-  for (const domain of prompts.domains) {
-    const domainResults = {
-      domain,
-      promptScores: {},
-    };
+  // Evaluate each prompt template on every scene sample
+  for (const template of templates) {
+    const scores = [];
     
-    // Evaluate each prompt template
-    for (const template of prompts.templates) {
-      const scores = [];
-      
+    for (const sample of samples) {
       // Progress indicator
-      completedRequests++;
-      const progress = ((completedRequests / totalRequests) * 100).toFixed(1);
-      console.log(`\n[${completedRequests}/${totalRequests}] (${progress}%) Evaluating: ${template.id} @ ${domain}`);
+      progress.completed++;
+      const percent = ((progress.completed / progress.total) * 100).toFixed(1);
+      console.log(`\n[${progress.completed}/${progress.total}] (${percent}%) Evaluating: ${template.id} @ ${domain} on ${sample.key}`);
       
-      // Evaluate on test images (simulate)
-      // In real implementation, would use domain-specific test data
-      const testImage = testData[domain] || testData.default;
+      const result = await evaluatePromptOnScene(template.template, sample);
       
-      if (testImage) {
-        const result = await evaluatePrompt(
-          template.template,
-          testImage.path,
-          testImage.reference
-        );
-        
-        scores.push(result.score);
-        console.log(`   ✓ Score: ${result.score.toFixed(4)}, Latency: ${result.latency}ms`);
-        
-        // Log to Weave
-        await logPromptEvaluation({
-          domain,
-          promptId: template.id,
-          score: result.score,
-          latency: result.latency,
-          description: result.description,
-        });
-      } else {
-        console.log(`   ⊘ No test data available`);
+      if (result.error) {
+        console.log(`   ✗ Skipped: ${result.error}`);
+        continue;
       }
       
-      // Calculate average score
-      const avgScore = scores.length > 0
-        ? scores.reduce((a, b) => a + b, 0) / scores.length
-        : 0;
+      scores.push(result.score);
+      console.log(`   ✓ Score: ${result.score.toFixed(4)}, Latency: ${result.latency}ms`);
       
-      domainResults.promptScores[template.id] = avgScore;
+      // Log to Weave
+      await logPromptEvaluation({
+        domain,
+        promptId: template.id,
+        sample: sample.key,
+        score: result.score,
+        latency: result.latency,
+        description: result.description,
+      });
     }
     
-    results.push(domainResults);
+    const stats = summarizeScores(scores);
+    clientResult.promptScores[template.id] = stats.mean;
+    clientResult.promptStats[template.id] = stats;
+  }
+  
+  return clientResult;
+};
+
+/**
+ * Federated prompt evaluation
+ * Each domain is a client that evaluates all prompts locally on its own samples
+ * @param {object} prompts - Prompt population
+ * @param {object} testData - { [domain]: samples[] } or { default: samples[] }
+ */
+const federatedEvaluation = async (prompts, testData) => {
+  const results = [];
+  const sharedPartitions = testData.default
+    ? partitionSamples(testData.default, prompts.domains)
+    : {};
+  const domainSamples = Object.fromEntries(prompts.domains.map(domain => [
+    domain,
+    testData[domain] || sharedPartitions[domain] || [],
+  ]));
+  
+  // Calculate total requests for progress tracking
+  const totalSamples = Object.values(domainSamples).reduce((sum, samples) => sum + samples.length, 0);
+  const progress = { completed: 0, total: totalSamples * prompts.templates.length };
+  
+  console.log(`\n🔄 Starting evaluation: ${progress.total} total API requests`);
+  console.log(`   Clients: ${prompts.domains.map(domain => `${domain} (${domainSamples[domain].length})`).join(', ')}, Prompts: ${prompts.templates.length}\n`);
+  
+  for (const domain of prompts.domains) {
+    results.push(await runClientRound(domain, prompts.templates, domainSamples[domain], progress));
   }
   
   return results;
 };
 
+const AGGREGATION_STRATEGIES = ['mean', 'weighted', 'median', 'trimmed'];
+
 /**
- * Aggregate results from federated clients
- * Update prompt weights based on performance
+ * Aggregate per-client summaries of one template into a global summary
+ * - mean: unweighted mean of client means
+ * - weighted: mean weighted by client sample count (pooled)
+ * - median: median of client means
+ * - trimmed: mean of client means after dropping trimFraction from each end
+ * n and variance are always those of the pooled scene scores, so sample counts
+ * and posterior pulls are in scenes whatever the strategy; `clients` is the
+ * number of clients with scores. For the unweighted strategies the CI uses the
+ * larger of the pooled standard error and that of the client means, so spread
+ * between clients widens it. With a single client all strategies give its own
+ * summary.
+ * @param {Array} summaries - Client summaries { n, mean, variance }
+ * @param {string} strategy - Aggregation strategy
+ * @param {object} options - { trimFraction }
  */
-const aggregateResults = (prompts, federatedResults) => {
-  const globalScores = {};
+const aggregateClientSummaries = (summaries, strategy = config.fpo.aggregation, options = {}) => {
+  const { trimFraction = config.fpo.trimFraction } = options;
+  if (!AGGREGATION_STRATEGIES.includes(strategy)) {
+    throw new Error(`Unsupported aggregation "${strategy}". Supported: ${AGGREGATION_STRATEGIES.join(', ')}`);
+  }
   
-  // Initialize scores
-  prompts.templates.forEach(t => {
-    globalScores[t.id] = [];
-  });
+  const pooled = combineSummaries(summaries);
+  const clientMeans = summaries
+    .filter(summary => summary && summary.n > 0)
+    .map(summary => summary.mean)
+    .sort((a, b) => a - b);
+  if (strategy === 'weighted' || clientMeans.length < 2) {
+    return { ...pooled, clients: clientMeans.length };
+  }
   
-  // Collect scores from all domains
-  federatedResults.forEach(domainResult => {
-    Object.entries(domainResult.promptScores).forEach(([promptId, score]) => {
-      globalScores[promptId].push(score);
-    });
-  });
+  let estimate;
+  let observed = clientMeans;
+  if (strategy === 'mean') {
+    estimate = summarizeScores(clientMeans).mean;
+  } else if (strategy === 'median') {
+    const middle = Math.floor(clientMeans.length / 2);
+    estimate = clientMeans.length % 2
+      ? clientMeans[middle]
+      : (clientMeans[middle - 1] + clientMeans[middle]) / 2;
+  } else {
+    const trim = Math.floor(clientMeans.length * trimFraction);
+    observed = clientMeans.length - 2 * trim > 0 ? clientMeans.slice(trim, clientMeans.length - trim) : clientMeans;
+    estimate = summarizeScores(observed).mean;
+  }
+  
+  const between = summarizeScores(observed);
+  const standardError = Math.max(pooled.stdDev / Math.sqrt(pooled.n), between.stdDev / Math.sqrt(between.n));
+  const margin = getTCritical(pooled.n - 1) * standardError;
+  return {
+    ...buildSummary(pooled.n, estimate, pooled.variance),
+    ci95: [estimate - margin, estimate + margin],
+    clients: clientMeans.length,
+  };
+};
+
+/**
+ * Aggregate results from federated clients
+ * Fold this round's scores into each evaluated template's posterior and
+ * update weights (weight = posterior mean score over all rounds).
+ *
+ * The global prompt only changes when a challenger is significantly better
+ * (see updateGlobalPrompt), so one lucky round can't take over.
+ * @param {object} prompts - Prompt population
+ * @param {Array} federatedResults - Client results from federatedEvaluation()
+ * @param {object} options - { aggregation, trimFraction }
+ */
+const aggregateResults = (prompts, federatedResults, options = {}) => {
+  const { aggregation = config.fpo.aggregation, trimFraction = config.fpo.trimFraction } = options;
   
-  // Update weights based on average performance
   prompts.templates = prompts.templates.map(template => {
-    const scores = globalScores[template.id];
-    const avgScore = scores.length > 0
-      ? scores.reduce((a, b) => a + b, 0) / scores.length
-      : 0.5;
-    
-    // Update performance history
+    ensurePosterior(template);
     if (!template.performance) {
       template.performance = [];
     }
+    
+    // Templates without budget this round keep their posterior unchanged
+    const clientStats = federatedResults.map(clientResult => clientResult.promptStats?.[template.id]);
+    const stats = aggregateClientSummaries(clientStats, aggregation, { trimFraction });
+    if (stats.n === 0) {
+      return template;
+    }
+    
+    updatePosterior(template, stats);
+    const posterior = getPosteriorSummary(template);
+    
+    // Update performance history
     template.performance.push({
-      score: avgScore,
+      score: stats.mean,
+      variance: stats.variance,
+      ci95: stats.ci95,
+      samples: stats.n,
+      clientCount: stats.clients,
+      aggregation,
+      clients: Object.fromEntries(federatedResults
+        .filter(clientResult => clientResult.promptStats?.[template.id]?.n > 0)
+        .map(clientResult => [clientResult.domain, clientResult.promptScores[template.id]])),
+      posteriorMean: posterior.posteriorMean,
+      posteriorStdDev: posterior.posteriorStdDev,
       timestamp: new Date().toISOString(),
     });
     
-    // Update weight (simple approach: weight = score)
-    template.weight = avgScore;
+    // Update weight (weight = posterior mean over all evaluated rounds)
+    template.weight = posterior.posteriorMean;
     
     return template;
   });
   
-  // Select best performing prompt as global
-  const bestPrompt = prompts.templates.reduce((best, current) => {
-    return current.weight > best.weight ? current : best;
-  });
-  
-  prompts.global_prompt = bestPrompt.id;
+  updateGlobalPrompt(prompts);
   
   return prompts;
 };
@@ -187,7 +455,13 @@ const aggregateResults = (prompts, federatedResults) => {
  * Run one iteration of Federated Prompt Optimization
  */
 const runFPOIteration = async (iterationNumber, testData, options = {}) => {
-  const { enableEvolution = true, evolutionInterval = 2 } = options;
+  const {
+    enableEvolution = true,
+    evolutionInterval = 2,
+    aggregation = config.fpo.aggregation,
+    strategy = config.fpo.selection.strategy,
+    armsPerRound = config.fpo.selection.armsPerRound,
+  } = options;
   
   console.log(`\n${'='.repeat(60)}`);
   console.log(`🎯 FPO Iteration ${iterationNumber}`);
@@ -196,11 +470,21 @@ const runFPOIteration = async (iterationNumber, testData, options = {}) => {
   // Load current prompts
   let prompts = loadPrompts();
   
+  // Bandit selection decides which templates get evaluation budget
+  const selected = selectTemplates(prompts.templates, { strategy, armsPerRound });
+  console.log(`   Selection (${strategy}): ${selected.map(t => t.id).join(', ')}`);
+  prompts.selection = {
+    strategy,
+    armsPerRound,
+    lastSelected: selected.map(t => t.id),
+    updatedAt: new Date().toISOString(),
+  };
+  
   // Run federated evaluation
-  const federatedResults = await federatedEvaluation(prompts, testData);
+  const federatedResults = await federatedEvaluation({ ...prompts, templates: selected }, testData);
   
   // Aggregate and update prompts
-  prompts = aggregateResults(prompts, federatedResults);
+  prompts = aggregateResults(prompts, federatedResults, { aggregation });
   
   // Evolve prompts (genetic crossover) after gathering performance data
   let evolutionResult = null;
@@ -228,13 +512,18 @@ const runFPOIteration = async (iterationNumber, testData, options = {}) => {
   console.log(`\n${'─'.repeat(60)}`);
   console.log(`📊 Iteration ${iterationNumber} Complete`);
   console.log(`   Global prompt: ${prompts.global_prompt}`);
+  console.log(`   Aggregation: ${aggregation}, selection: ${strategy}`);
   console.log(`   Population size: ${prompts.templates.length}`);
   console.log(`   Prompt weights:`);
   prompts.templates
     .sort((a, b) => b.weight - a.weight)
     .forEach(t => {
       const gen = t.generation ? ` [Gen ${t.generation}]` : '';
-      console.log(`      ${t.id.padEnd(25)} weight: ${t.weight.toFixed(4)}${gen}`);
+      const latest = t.performance[t.performance.length - 1];
+      const ci = latest?.ci95 ? ` 95% CI [${latest.ci95[0].toFixed(4)}, ${latest.ci95[1].toFixed(4)}]` : '';
+      const samples = latest?.samples !== undefined ? ` n=${latest.samples}` : '';
+      const pulls = ` pulls=${t.posterior?.pulls || 0}`;
+      console.log(`      ${t.id.padEnd(25)} weight: ${t.weight.toFixed(4)}${pulls}${samples}${ci}${gen}`);
     });
   console.log(`${'─'.repeat(60)}\n`);
   
@@ -242,6 +531,9 @@ const runFPOIteration = async (iterationNumber, testData, options = {}) => {
   await logFPOIteration({
     iteration: iterationNumber,
     globalPrompt: prompts.global_prompt,
+    aggregation,
+    strategy,
+    selected: selected.map(t => t.id),
     populationSize: prompts.templates.length,
     evolved: evolutionResult ? evolutionResult.evolved.length : 0,
     generation: evolutionResult ? evolutionResult.generation : 0,
@@ -250,14 +542,38 @@ const runFPOIteration = async (iterationNumber, testData, options = {}) => {
       weight: t.weight,
       generation: t.generation || 0,
       avgScore: t.performance[t.performance.length - 1]?.score,
+      variance: t.performance[t.performance.length - 1]?.variance,
+      ci95: t.performance[t.performance.length - 1]?.ci95,
     })),
   });
   
   console.log(`Best prompt: ${prompts.global_prompt}`);
   
+  const selectedIds = new Set(selected.map(t => t.id));
+  const templateStats = prompts.templates
+    .filter(t => selectedIds.has(t.id) && t.performance.length > 0 && t.performance[t.performance.length - 1].samples !== undefined)
+    .map(t => {
+      const latest = t.performance[t.performance.length - 1];
+      const posterior = getPosteriorSummary(t);
+      return {
+        id: t.id,
+        mean: latest.score,
+        variance: latest.variance,
+        ci95: latest.ci95,
+        samples: latest.samples,
+        pulls: posterior.pulls,
+        posteriorMean: posterior.posteriorMean,
+        posteriorStdDev: posterior.posteriorStdDev,
+      };
+    });
+  
   return {
     iteration: iterationNumber,
     globalPrompt: prompts.global_prompt,
+    aggregation,
+    strategy,
+    selected: selected.map(t => t.id),
+    templateStats,
     results: federatedResults,
     evolution: evolutionResult,
   };
@@ -266,7 +582,15 @@ const runFPOIteration = async (iterationNumber, testData, options = {}) => {
 module.exports = {
   loadPrompts,
   savePrompts,
+  getPromptVersion,
+  getScenePrompt,
+  isHeldOutArticle,
   evaluatePrompt,
+  evaluatePromptOnScene,
+  summarizeScores,
+  combineSummaries,
+  aggregateClientSummaries,
+  runClientRound,
   federatedEvaluation,
   aggregateResults,
   runFPOIteration,
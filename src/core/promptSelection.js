@@ -0,0 +1,252 @@
+/**
+ * Bandit-based prompt selection for FPO
+ * Treats each prompt template as an arm: per-template posterior state lives in
+ * prompts.json (`template.posterior`) and accumulates across iterations, so
+ * selection uses the whole evaluation history and its uncertainty.
+ *
+ * Strategies:
+ * - ucb1: mean + c * sqrt(2 ln N / n), untried templates first
+ * - thompson-beta: sample from Beta(alpha, beta) over scores clamped to [0, 1]
+ * - thompson-gaussian: sample from a Normal posterior over the mean score
+ * - epsilon-greedy: best posterior mean, random template with probability epsilon
+ *
+ * The strategy decides which templates get evaluation budget each iteration.
+ */
+
+const config = require('../config');
+
+const SELECTION_STRATEGIES = ['ucb1', 'thompson-beta', 'thompson-gaussian', 'epsilon-greedy'];
+
+// Gaussian prior over a template's mean score, and observation noise when unknown
+const PRIOR_MEAN = 0.5;
+const PRIOR_VARIANCE = 0.0625;
+const DEFAULT_NOISE_VARIANCE = 0.04;
+const MIN_NOISE_VARIANCE = 0.0025;
+
+const emptyPosterior = () => ({
+  pulls: 0,
+  rounds: 0,
+  rewardSum: 0,
+  rewardSquares: 0,
+  alpha: 1,
+  beta: 1,
+  updatedAt: null,
+});
+
+/**
+ * Get a template's posterior state, creating the prior if missing
+ */
+const ensurePosterior = (template) => {
+  if (!template.posterior) {
+    template.posterior = emptyPosterior();
+  }
+  return template.posterior;
+};
+
+/**
+ * Fold one round of aggregated scores into a template's posterior
+ * @param {object} template - Prompt template (mutated)
+ * @param {object} stats - Aggregated summary { n, mean, variance }
+ */
+const updatePosterior = (template, stats) => {
+  const posterior = ensurePosterior(template);
+  if (!stats || stats.n === 0) {
+    return posterior;
+  }
+
+  const clamped = Math.min(1, Math.max(0, stats.mean));
+  posterior.pulls += stats.n;
+  posterior.rounds += 1;
+  posterior.rewardSum += stats.n * stats.mean;
+  posterior.rewardSquares += (stats.n - 1) * stats.variance + stats.n * stats.mean ** 2;
+  posterior.alpha += stats.n * clamped;
+  posterior.beta += stats.n * (1 - clamped);
+  posterior.updatedAt = new Date().toISOString();
+
+  return posterior;
+};
+
+/**
+ * Derived view of a template's posterior
+ * @returns {object} { pulls, mean, posteriorMean, posteriorStdDev, alpha, beta }
+ */
+const getPosteriorSummary = (template) => {
+  const posterior = template.posterior || emptyPosterior();
+  const { pulls } = posterior;
+  const mean = pulls > 0 ? posterior.rewardSum / pulls : 0;
+
+  let noiseVariance = DEFAULT_NOISE_VARIANCE;
+  if (pulls > 1) {
+    const sampleVariance = (posterior.rewardSquares - pulls * mean ** 2) / (pulls - 1);
+    noiseVariance = Math.max(sampleVariance, MIN_NOISE_VARIANCE);
+  }
+
+  const precision = 1 / PRIOR_VARIANCE + pulls / noiseVariance;
+  const posteriorMean = (PRIOR_MEAN / PRIOR_VARIANCE + posterior.rewardSum / noiseVariance) / precision;
+
+  return {
+    pulls,
+    rounds: posterior.rounds,
+    mean,
+    posteriorMean,
+    posteriorStdDev: Math.sqrt(1 / precision),
+    alpha: posterior.alpha,
+    beta: posterior.beta,
+  };
+};
+
+/**
+ * Standard normal sample (Box-Muller)
+ */
+const sampleNormal = () => {
+  const u = 1 - Math.random();
+  const v = Math.random();
+  return Math.sqrt(-2 * Math.log(u)) * Math.cos(2 * Math.PI * v);
+};
+
+/**
+ * Gamma(shape, 1) sample (Marsaglia-Tsang)
+ */
+const sampleGamma = (shape) => {
+  if (shape < 1) {
+    return sampleGamma(shape + 1) * Math.pow(Math.random(), 1 / shape);
+  }
+
+  const d = shape - 1 / 3;
+  const c = 1 / Math.sqrt(9 * d);
+  for (;;) {
+    let x;
+    let v;
+    do {
+      x = sampleNormal();
+      v = 1 + c * x;
+    } while (v <= 0);
+    v = v ** 3;
+    const u = Math.random();
+    if (Math.log(u) < 0.5 * x ** 2 + d - d * v + d * Math.log(v)) {
+      return d * v;
+    }
+  }
+};
+
+const sampleBeta = (alpha, beta) => {
+  const x = sampleGamma(alpha);
+  const y = sampleGamma(beta);
+  return x / (x + y);
+};
+
+/**
+ * Score every template for one selection pass
+ * Higher is better; untried templates score Infinity under UCB1.
+ */
+const scoreTemplates = (templates, strategy, options) => {
+  const summaries = templates.map(getPosteriorSummary);
+
+  if (strategy === 'ucb1') {
+    const totalPulls = summaries.reduce((sum, summary) => sum + summary.pulls, 0);
+    return summaries.map(summary => (
+      summary.pulls === 0
+        ? Infinity
+        : summary.mean + options.ucbExploration * Math.sqrt(2 * Math.log(Math.max(totalPulls, 1)) / summary.pulls)
+    ));
+  }
+
+  if (strategy === 'thompson-beta') {
+    return summaries.map(summary => sampleBeta(summary.alpha, summary.beta));
+  }
+
+  if (strategy === 'thompson-gaussian') {
+    return summaries.map(summary => summary.posteriorMean + summary.posteriorStdDev * sampleNormal());
+  }
+
+  // epsilon-greedy: random scores with probability epsilon, posterior means otherwise
+  return Math.random() < options.epsilon
+    ? summaries.map(() => Math.random())
+    : summaries.map(summary => summary.posteriorMean);
+};
+
+/**
+ * Choose which templates get evaluation budget this iteration
+ * @param {Array} templates - Prompt population
+ * @param {object} options - { strategy, armsPerRound, epsilon, ucbExploration }
+ * @returns {Array} Selected templates (best first)
+ */
+const selectTemplates = (templates, options = {}) => {
+  const {
+    strategy = config.fpo.selection.strategy,
+    armsPerRound = config.fpo.selection.armsPerRound,
+    epsilon = config.fpo.selection.epsilon,
+    ucbExploration = config.fpo.selection.ucbExploration,
+  } = options;
+
+  if (!SELECTION_STRATEGIES.includes(strategy)) {
+    throw new Error(`Unsupported selection strategy "${strategy}". Supported: ${SELECTION_STRATEGIES.join(', ')}`);
+  }
+
+  if (armsPerRound >= templates.length) {
+    return [...templates];
+  }
+
+  // Epsilon-greedy explores per slot; the other strategies rank once
+  if (strategy === 'epsilon-greedy') {
+    const remaining = [...templates];
+    const selected = [];
+    while (selected.length < armsPerRound) {
+      const scores = scoreTemplates(remaining, strategy, { epsilon });
+      const best = scores.indexOf(Math.max(...scores));
+      selected.push(remaining.splice(best, 1)[0]);
+    }
+    return selected;
+  }
+
+  const scores = scoreTemplates(templates, strategy, { epsilon, ucbExploration });
+  return templates
+    .map((template, index) => ({ template, score: scores[index] }))
+    .sort((a, b) => b.score - a.score)
+    .slice(0, armsPerRound)
+    .map(entry => entry.template);
+};
+
+/**
+ * Update a population's global prompt from the template posteriors
+ * The global prompt only changes when a challenger's posterior 95% lower bound
+ * beats the incumbent's posterior mean, so one lucky round can't take over.
+ * @param {object} prompts - Prompt population ({ templates, global_prompt }), mutated
+ * @returns {string} Global prompt id
+ */
+const updateGlobalPrompt = (prompts) => {
+  const evaluated = prompts.templates.filter(template => template.posterior?.pulls > 0);
+  if (evaluated.length === 0) {
+    return prompts.global_prompt;
+  }
+
+  // Select best posterior mean as challenger
+  const bestPrompt = evaluated.reduce((best, current) => (
+    getPosteriorSummary(current).posteriorMean > getPosteriorSummary(best).posteriorMean ? current : best
+  ));
+
+  const incumbent = evaluated.find(t => t.id === prompts.global_prompt);
+
+  if (!incumbent) {
+    prompts.global_prompt = bestPrompt.id;
+  } else if (bestPrompt.id !== incumbent.id) {
+    const challenger = getPosteriorSummary(bestPrompt);
+    const challengerLowerBound = challenger.posteriorMean - 1.96 * challenger.posteriorStdDev;
+    if (challengerLowerBound > getPosteriorSummary(incumbent).posteriorMean) {
+      prompts.global_prompt = bestPrompt.id;
+    } else {
+      console.log(`   Keeping global prompt ${incumbent.id}: ${bestPrompt.id} is not significantly better`);
+    }
+  }
+
+  return prompts.global_prompt;
+};
+
+module.exports = {
+  SELECTION_STRATEGIES,
+  ensurePosterior,
+  updatePosterior,
+  getPosteriorSummary,
+  selectTemplates,
+  updateGlobalPrompt,
+};
@@ -0,0 +1,198 @@
+/**
+ * Scene ↔ paragraph alignment
+ * Splits the article into paragraphs, scores every scene (description +
+ * transcript) against every paragraph with embeddings, and finds the best
+ * in-order alignment of scenes to paragraphs.
+ *
+ * Stored in the article JSON as `alignment` so the article page can show which
+ * scenes illustrate which paragraph and which paragraphs have no visual coverage.
+ */
+
+const config = require('../config');
+const { generateEmbedding, cosineSimilarity, resolveProvider } = require('./embeddings');
+
+// Paragraphs shorter than this are merged into the next one (bylines, captions)
+const MIN_PARAGRAPH_LENGTH = 80;
+
+/**
+ * Split article text into paragraphs
+ * Blank lines separate paragraphs; single-newline text falls back to line breaks.
+ * @param {string} text - Article text
+ * @returns {Array<string>} Paragraphs (whitespace collapsed)
+ */
+const splitParagraphs = (text) => {
+  const normalized = String(text || '').replace(/\r\n/g, '\n').trim();
+  if (!normalized) {
+    return [];
+  }
+
+  const blocks = /\n\s*\n/.test(normalized)
+    ? normalized.split(/\n\s*\n/)
+    : normalized.split('\n');
+
+  const paragraphs = [];
+  let pending = '';
+  for (const block of blocks) {
+    const cleaned = block.replace(/\s+/g, ' ').trim();
+    if (!cleaned) {
+      continue;
+    }
+    pending = pending ? `${pending} ${cleaned}` : cleaned;
+    if (pending.length >= MIN_PARAGRAPH_LENGTH) {
+      paragraphs.push(pending);
+      pending = '';
+    }
+  }
+
+  if (pending) {
+    if (paragraphs.length > 0) {
+      paragraphs[paragraphs.length - 1] += ` ${pending}`;
+    } else {
+      paragraphs.push(pending);
+    }
+  }
+
+  return paragraphs.slice(0, config.alignment.maxParagraphs);
+};
+
+/**
+ * Text used to represent a scene: visual description plus dialogue
+ */
+const getSceneText = (scene) => {
+  return [scene.description, scene.transcript?.text].filter(Boolean).join('\n');
+};
+
+/**
+ * Embed texts with one provider so all vectors are comparable
+ * If any remote embedding falls back to local, everything is embedded locally.
+ */
+const embedAll = async (texts, provider = resolveProvider()) => {
+  const results = [];
+  for (const text of texts) {
+    results.push(await generateEmbedding(text, { provider }));
+  }
+
+  if (results.some(result => result.provider !== provider)) {
+    return embedAll(texts, 'local');
+  }
+
+  return {
+    vectors: results.map(result => result.embedding),
+    provider,
+    model: results[0]?.model || null,
+  };
+};
+
+/**
+ * Best monotonic alignment of scenes to paragraphs
+ * Scenes keep their order and each maps to a paragraph at or after the previous
+ * scene's paragraph, maximizing total similarity (dynamic programming).
+ * @param {Array<Array<number>>} matrix - matrix[scene][paragraph] similarities
+ * @returns {Array<number>} Paragraph index per scene
+ */
+const findBestPath = (matrix) => {
+  const sceneCount = matrix.length;
+  const paragraphCount = sceneCount > 0 ? matrix[0].length : 0;
+  if (sceneCount === 0 || paragraphCount === 0) {
+    return [];
+  }
+
+  // best[s][p]: best total for scenes 0..s with scene s on paragraph p
+  const best = matrix.map(() => new Array(paragraphCount).fill(-Infinity));
+  const from = matrix.map(() => new Array(paragraphCount).fill(-1));
+
+  for (let p = 0; p < paragraphCount; p++) {
+    best[0][p] = matrix[0][p];
+  }
+
+  for (let s = 1; s < sceneCount; s++) {
+    let runningBest = -Infinity;
+    let runningIndex = -1;
+    for (let p = 0; p < paragraphCount; p++) {
+      if (best[s - 1][p] > runningBest) {
+        runningBest = best[s - 1][p];
+        runningIndex = p;
+      }
+      best[s][p] = runningBest + matrix[s][p];
+      from[s][p] = runningIndex;
+    }
+  }
+
+  const last = best[sceneCount - 1];
+  let paragraph = last.indexOf(Math.max(...last));
+  const path = new Array(sceneCount);
+  for (let s = sceneCount - 1; s >= 0; s--) {
+    path[s] = paragraph;
+    paragraph = from[s][paragraph];
+  }
+
+  return path;
+};
+
+/**
+ * Compute the scene ↔ paragraph alignment for an article
+ * @param {object} articleDetails - Article with text and sceneData
+ * @returns {Promise<object|null>} Alignment, or null without paragraphs or described scenes
+ */
+const alignArticle = async (articleDetails) => {
+  const paragraphs = splitParagraphs(articleDetails.text || articleDetails.description);
+  const scenes = (articleDetails.sceneData?.scenes || [])
+    .map(scene => ({ sceneId: scene.sceneId, start: scene.start, end: scene.end, text: getSceneText(scene) }))
+    .filter(scene => scene.text);
+
+  if (paragraphs.length === 0 || scenes.length === 0) {
+    return null;
+  }
+
+  const { vectors, provider, model } = await embedAll([
+    ...paragraphs,
+    ...scenes.map(scene => scene.text),
+  ]);
+  const paragraphVectors = vectors.slice(0, paragraphs.length);
+  const sceneVectors = vectors.slice(paragraphs.length);
+
+  const matrix = sceneVectors.map(sceneVector => (
+    paragraphVectors.map(paragraphVector => Number(cosineSimilarity(sceneVector, paragraphVector).toFixed(4)))
+  ));
+
+  // Scenes below the threshold illustrate nothing in particular
+  const minSimilarity = config.alignment.minSimilarity;
+  const bestPath = findBestPath(matrix);
+  const path = scenes.map((scene, s) => {
+    const similarity = matrix[s][bestPath[s]];
+    return {
+      sceneId: scene.sceneId,
+      paragraphIndex: similarity >= minSimilarity ? bestPath[s] : null,
+      similarity,
+    };
+  });
+
+  const paragraphCoverage = paragraphs.map((text, p) => {
+    const aligned = path.filter(step => step.paragraphIndex === p);
+    return {
+      index: p,
+      sceneIds: aligned.map(step => step.sceneId),
+      maxSimilarity: Math.max(...matrix.map(row => row[p])),
+      covered: aligned.length > 0,
+    };
+  });
+
+  return {
+    paragraphs: paragraphs.map((text, index) => ({ index, text })),
+    scenes: scenes.map(({ sceneId, start, end }) => ({ sceneId, start, end })),
+    matrix,
+    path,
+    paragraphCoverage,
+    uncoveredParagraphs: paragraphCoverage.filter(coverage => !coverage.covered).map(coverage => coverage.index),
+    minSimilarity,
+    provider,
+    model,
+    computedAt: new Date().toISOString(),
+  };
+};
+
+module.exports = {
+  splitParagraphs,
+  findBestPath,
+  alignArticle,
+};
@@ -0,0 +1,449 @@
+/**
+ * Scene detection benchmark
+ * Runs detectScenes over a suite of annotated videos for every combination in
+ * a parameter grid and scores the detected boundaries against the annotated
+ * ones (precision / recall / F1 within a tolerance window).
+ *
+ * A suite is a directory of annotation files (`<name>.json`):
+ * {
+ *   video: 'clip.mp4',            // Relative to the annotation file
+ *   cuts: [4.0, { time: 9.5, type: 'dissolve' }],
+ *   notes: '...'
+ * }
+ *
+ * generateSyntheticSuite() renders videos with known cuts, dissolves, fades and
+ * wipes from ffmpeg test sources, so the benchmark also runs offline.
+ * Deliberately does not load ../config (no API keys needed).
+ */
+
+const { spawn } = require('child_process');
+const fs = require('fs');
+const path = require('path');
+const { detectScenes } = require('./sceneDetection');
+
+const DEFAULT_TOLERANCE = 0.5;
+const DEFAULT_GRID = {
+  splitMode: ['cut', 'motion', 'visual', 'hybrid'],
+};
+const SYNTHETIC_SIZE = '320x180';
+const SYNTHETIC_FPS = 25;
+
+// xfade transition → annotated transition type
+const XFADE_TYPES = {
+  fade: 'dissolve',
+  dissolve: 'dissolve',
+  fadeblack: 'fade',
+  wipeleft: 'wipe',
+  wiperight: 'wipe',
+  wipeup: 'wipe',
+  wipedown: 'wipe',
+};
+
+// Each segment is an ffmpeg lavfi source; `transition` blends it in from the
+// previous segment with xfade, otherwise it starts with a hard cut
+const SYNTHETIC_VIDEOS = {
+  'hard-cuts': [
+    { source: 'color=c=red', duration: 4 },
+    { source: 'testsrc', duration: 4 },
+    { source: 'color=c=navy', duration: 4 },
+    { source: 'testsrc2', duration: 4 },
+    { source: 'smptebars', duration: 4 },
+  ],
+  crossfades: [
+    { source: 'testsrc', duration: 5 },
+    { source: 'color=c=darkgreen', duration: 5, transition: { type: 'fade', duration: 1 } },
+    { source: 'smptebars', duration: 5, transition: { type: 'fade', duration: 1.5 } },
+    { source: 'testsrc2', duration: 5, transition: { type: 'fade', duration: 0.75 } },
+  ],
+  'fades-and-wipes': [
+    { source: 'smptebars', duration: 5 },
+    { source: 'testsrc', duration: 5, transition: { type: 'fadeblack', duration: 1.5 } },
+    { source: 'color=c=orange', duration: 5, transition: { type: 'wipeleft', duration: 1 } },
+    { source: 'testsrc2', duration: 5, transition: { type: 'wipedown', duration: 1 } },
+  ],
+  // Continuous motion with no cuts in the first segment (false-positive check)
+  'motion-and-cuts': [
+    { source: 'mandelbrot', duration: 8 },
+    { source: 'testsrc2', duration: 4 },
+    { source: 'rgbtestsrc', duration: 4, transition: { type: 'fade', duration: 1 } },
+  ],
+};
+
+/**
+ * Normalize annotated cuts to sorted [{ time, type }]
+ */
+const normalizeCuts = (cuts, label) => {
+  if (!Array.isArray(cuts)) {
+    throw new Error(`${label}: cuts must be an array`);
+  }
+
+  return cuts
+    .map((cut) => {
+      const entry = typeof cut === 'number' ? { time: cut, type: 'cut' } : { type: 'cut', ...cut };
+      if (!Number.isFinite(entry.time) || entry.time <= 0) {
+        throw new Error(`${label}: every cut needs a positive time in seconds`);
+      }
+      return { time: entry.time, type: entry.type };
+    })
+    .sort((left, right) => left.time - right.time);
+};
+
+/**
+ * Load the annotated videos of a suite directory
+ * @param {string} suiteDir - Directory of annotation files
+ * @returns {Array} [{ name, videoPath, cuts: [{ time, type }], notes }]
+ */
+const loadSuite = (suiteDir) => {
+  if (!fs.existsSync(suiteDir)) {
+    throw new Error(`Benchmark suite not found: ${suiteDir}`);
+  }
+
+  const entries = fs.readdirSync(suiteDir)
+    .filter(file => file.endsWith('.json'))
+    .sort()
+    .map((file) => {
+      const annotationPath = path.join(suiteDir, file);
+      const annotation = JSON.parse(fs.readFileSync(annotationPath, 'utf8'));
+      if (!annotation.video) {
+        throw new Error(`${file}: video is required`);
+      }
+
+      const videoPath = path.resolve(suiteDir, annotation.video);
+      if (!fs.existsSync(videoPath)) {
+        throw new Error(`${file}: video not found: ${videoPath}`);
+      }
+
+      return {
+        name: path.basename(file, '.json'),
+        videoPath,
+        cuts: normalizeCuts(annotation.cuts, file),
+        notes: annotation.notes || null,
+      };
+    });
+
+  if (entries.length === 0) {
+    throw new Error(`No annotation files (*.json) in ${suiteDir}`);
+  }
+
+  return entries;
+};
+
+/**
+ * Expand a parameter grid into every combination
+ * @param {object} grid - { option: [values] } (scalars count as one value)
+ * @returns {Array<object>} Detection options
+ */
+const expandGrid = (grid = DEFAULT_GRID) => {
+  return Object.entries(grid).reduce((combinations, [option, values]) => {
+    const list = Array.isArray(values) ? values : [values];
+    return combinations.flatMap(combination => list.map(value => ({ ...combination, [option]: value })));
+  }, [{}]);
+};
+
+/**
+ * Match detected boundaries to annotated cuts one-to-one, closest pairs first
+ * @param {Array<number>} detected - Detected boundary times
+ * @param {Array} expected - Annotated cuts [{ time, type }]
+ * @param {number} tolerance - Max distance in seconds for a match
+ * @returns {object} { truePositives, falsePositives, falseNegatives, precision, recall, f1, meanOffset, missed, extra, byType }
+ */
+const scoreBoundaries = (detected, expected, tolerance = DEFAULT_TOLERANCE) => {
+  const pairs = [];
+  detected.forEach((time, detectedIndex) => {
+    expected.forEach((cut, expectedIndex) => {
+      const distance = Math.abs(time - cut.time);
+      if (distance <= tolerance) {
+        pairs.push({ detectedIndex, expectedIndex, distance });
+      }
+    });
+  });
+
+  const matchedDetected = new Set();
+  const matchedExpected = new Set();
+  let offsetSum = 0;
+  for (const pair of pairs.sort((left, right) => left.distance - right.distance)) {
+    if (matchedDetected.has(pair.detectedIndex) || matchedExpected.has(pair.expectedIndex)) {
+      continue;
+    }
+    matchedDetected.add(pair.detectedIndex);
+    matchedExpected.add(pair.expectedIndex);
+    offsetSum += pair.distance;
+  }
+
+  const truePositives = matchedExpected.size;
+  const falsePositives = detected.length - truePositives;
+  const falseNegatives = expected.length - truePositives;
+
+  const byType = {};
+  expected.forEach((cut, index) => {
+    byType[cut.type] = byType[cut.type] || { expected: 0, found: 0 };
+    byType[cut.type].expected++;
+    if (matchedExpected.has(index)) {
+      byType[cut.type].found++;
+    }
+  });
+
+  return {
+    truePositives,
+    falsePositives,
+    falseNegatives,
+    ...computeMetrics(truePositives, falsePositives, falseNegatives),
+    meanOffset: truePositives > 0 ? offsetSum / truePositives : null,
+    missed: expected.filter((_, index) => !matchedExpected.has(index)),
+    extra: detected.filter((_, index) => !matchedDetected.has(index)),
+    byType,
+  };
+};
+
+/**
+ * Precision/recall/F1 from counts (an empty prediction or empty truth set scores 1)
+ */
+const computeMetrics = (truePositives, falsePositives, falseNegatives) => {
+  const precision = truePositives + falsePositives > 0 ? truePositives / (truePositives + falsePositives) : 1;
+  const recall = truePositives + falseNegatives > 0 ? truePositives / (truePositives + falseNegatives) : 1;
+  const f1 = precision + recall > 0 ? (2 * precision * recall) / (precision + recall) : 0;
+  return { precision, recall, f1 };
+};
+
+/**
+ * Run the benchmark
+ * @param {object} options - { suiteDir, grid, tolerance }
+ * @returns {Promise<object>} Report: configurations ranked by F1 over all videos
+ */
+const runBenchmark = async ({ suiteDir, grid = DEFAULT_GRID, tolerance = DEFAULT_TOLERANCE }) => {
+  const videos = loadSuite(suiteDir);
+  const combinations = expandGrid(grid);
+
+  console.log(`🧪 Scene benchmark: ${videos.length} video(s) × ${combinations.length} configuration(s), tolerance ±${tolerance}s`);
+
+  const results = [];
+  for (const detectionOptions of combinations) {
+    const label = formatOptions(detectionOptions);
+    console.log(`\n▶️  ${label}`);
+
+    const perVideo = [];
+    for (const video of videos) {
+      const startTime = Date.now();
+      try {
+        const scenes = await detectScenes(video.videoPath, detectionOptions);
+        const detected = scenes.slice(1).map(scene => scene.start);
+        perVideo.push({
+          name: video.name,
+          detected,
+          expected: video.cuts,
+          ...scoreBoundaries(detected, video.cuts, tolerance),
+          durationMs: Date.now() - startTime,
+          error: null,
+        });
+      } catch (error) {
+        console.error(`   ✗ ${video.name}: ${error.message}`);
+        perVideo.push({ name: video.name, error: error.message, durationMs: Date.now() - startTime });
+      }
+    }
+
+    const scored = perVideo.filter(video => !video.error);
+    const totals = scored.reduce((sum, video) => ({
+      truePositives: sum.truePositives + video.truePositives,
+      falsePositives: sum.falsePositives + video.falsePositives,
+      falseNegatives: sum.falseNegatives + video.falseNegatives,
+    }), { truePositives: 0, falsePositives: 0, falseNegatives: 0 });
+
+    results.push({
+      options: detectionOptions,
+      label,
+      ...totals,
+      ...computeMetrics(totals.truePositives, totals.falsePositives, totals.falseNegatives),
+      meanVideoF1: scored.length > 0 ? scored.reduce((sum, video) => sum + video.f1, 0) / scored.length : 0,
+      errors: perVideo.length - scored.length,
+      durationMs: perVideo.reduce((sum, video) => sum + video.durationMs, 0),
+      videos: perVideo,
+    });
+  }
+
+  results.sort((left, right) => right.f1 - left.f1 || left.durationMs - right.durationMs);
+
+  return {
+    createdAt: new Date().toISOString(),
+    suiteDir: path.resolve(suiteDir),
+    tolerance,
+    grid,
+    videos: videos.map(({ name, videoPath, cuts }) => ({ name, videoPath, cutCount: cuts.length })),
+    results,
+  };
+};
+
+const formatOptions = (options) => {
+  const entries = Object.entries(options);
+  return entries.length > 0 ? entries.map(([key, value]) => `${key}=${value}`).join(' ') : 'defaults';
+};
+
+const formatPercent = (value) => `${(value * 100).toFixed(1)}%`;
+
+/**
+ * Write the report as JSON plus a Markdown summary
+ * @returns {object} { jsonPath, markdownPath }
+ */
+const writeReport = (report, outputDir) => {
+  if (!fs.existsSync(outputDir)) {
+    fs.mkdirSync(outputDir, { recursive: true });
+  }
+
+  const baseName = `scene-benchmark-${report.createdAt.replace(/[:.]/g, '-')}`;
+  const jsonPath = path.join(outputDir, `${baseName}.json`);
+  const markdownPath = path.join(outputDir, `${baseName}.md`);
+
+  const lines = [
+    `# Scene detection benchmark (${report.createdAt})`,
+    '',
+    `Suite: \`${report.suiteDir}\` (${report.videos.length} videos), tolerance ±${report.tolerance}s`,
+    '',
+    '| Rank | Configuration | Precision | Recall | F1 | TP | FP | FN | Time |',
+    '|---:|---|---:|---:|---:|---:|---:|---:|---:|',
+    ...report.results.map((result, index) => (
+      `| ${index + 1} | ${result.label}${result.errors ? ` (${result.errors} errors)` : ''} | `
+      + `${formatPercent(result.precision)} | ${formatPercent(result.recall)} | ${formatPercent(result.f1)} | `
+      + `${result.truePositives} | ${result.falsePositives} | ${result.falseNegatives} | ${(result.durationMs / 1000).toFixed(1)}s |`
+    )),
+  ];
+
+  const best = report.results[0];
+  if (best) {
+    lines.push('', `## Best: ${best.label}`, '');
+    for (const video of best.videos) {
+      if (video.error) {
+        lines.push(`- **${video.name}**: error: ${video.error}`);
+        continue;
+      }
+      const types = Object.entries(video.byType)
+        .map(([type, counts]) => `${type} ${counts.found}/${counts.expected}`)
+        .join(', ');
+      lines.push(
+        `- **${video.name}**: F1 ${formatPercent(video.f1)}`
+        + (types ? ` (${types})` : '')
+        + (video.missed.length ? `; missed ${video.missed.map(cut => `${cut.time}s`).join(', ')}` : '')
+        + (video.extra.length ? `; extra ${video.extra.map(time => `${time}s`).join(', ')}` : '')
+      );
+    }
+  }
+
+  fs.writeFileSync(jsonPath, JSON.stringify(report, null, 2));
+  fs.writeFileSync(markdownPath, `${lines.join('\n')}\n`);
+
+  return { jsonPath, markdownPath };
+};
+
+/**
+ * Render a synthetic video from lavfi sources with ffmpeg
+ * @param {string} outputPath - Output .mp4 path
+ * @param {Array} segments - [{ source, duration, transition?: { type, duration } }]
+ * @returns {Promise<object>} { duration, cuts: [{ time, type }] } - the ground truth
+ */
+const generateSyntheticVideo = (outputPath, segments) => {
+  const inputs = [];
+  const filters = [];
+  const cuts = [];
+  let label = 's0';
+  let length = 0;
+
+  segments.forEach((segment, index) => {
+    inputs.push('-f', 'lavfi', '-t', String(segment.duration), '-i', `${segment.source}:size=${SYNTHETIC_SIZE}:rate=${SYNTHETIC_FPS}`);
+    filters.push(`[${index}:v]format=yuv420p,setsar=1,fps=${SYNTHETIC_FPS},settb=AVTB[s${index}]`);
+
+    if (index === 0) {
+      length = segment.duration;
+      return;
+    }
+
+    const { transition } = segment;
+    if (transition) {
+      if (!XFADE_TYPES[transition.type]) {
+        throw new Error(`Unsupported synthetic transition: ${transition.type}`);
+      }
+      const offset = length - transition.duration;
+      filters.push(`[${label}][s${index}]xfade=transition=${transition.type}:duration=${transition.duration}:offset=${offset}[v${index}]`);
+      cuts.push({ time: offset + transition.duration / 2, type: XFADE_TYPES[transition.type] });
+      length = offset + segment.duration;
+    } else {
+      filters.push(`[${label}][s${index}]concat=n=2:v=1:a=0,settb=AVTB[v${index}]`);
+      cuts.push({ time: length, type: 'cut' });
+      length += segment.duration;
+    }
+    label = `v${index}`;
+  });
+
+  return new Promise((resolve, reject) => {
+    const ffmpeg = spawn('ffmpeg', [
+      '-y',
+      '-v', 'error',
+      ...inputs,
+      '-filter_complex', filters.join(';'),
+      '-map', `[${label}]`,
+      '-c:v', 'libx264',
+      '-preset', 'veryfast',
+      '-pix_fmt', 'yuv420p',
+      outputPath,
+    ]);
+
+    let stderr = '';
+
+    ffmpeg.stderr.on('data', (data) => {
+      stderr += data.toString();
+    });
+
+    ffmpeg.on('close', (code) => {
+      if (code !== 0) {
+        reject(new Error(`ffmpeg exited with code ${code}: ${stderr}`));
+      } else {
+        resolve({ duration: length, cuts });
+      }
+    });
+
+    ffmpeg.on('error', (error) => {
+      reject(error);
+    });
+  });
+};
+
+/**
+ * Render the built-in synthetic videos and their annotation files
+ * Existing videos are kept unless `force` is set.
+ * @param {string} suiteDir - Target directory
+ * @returns {Promise<Array<string>>} Names of the videos
+ */
+const generateSyntheticSuite = async (suiteDir, { force = false } = {}) => {
+  if (!fs.existsSync(suiteDir)) {
+    fs.mkdirSync(suiteDir, { recursive: true });
+  }
+
+  for (const [name, segments] of Object.entries(SYNTHETIC_VIDEOS)) {
+    const videoPath = path.join(suiteDir, `${name}.mp4`);
+    const annotationPath = path.join(suiteDir, `${name}.json`);
+    if (!force && fs.existsSync(videoPath) && fs.existsSync(annotationPath)) {
+      continue;
+    }
+
+    console.log(`🎞️  Generating synthetic video: ${name}`);
+    const { duration, cuts } = await generateSyntheticVideo(videoPath, segments);
+    fs.writeFileSync(annotationPath, JSON.stringify({
+      video: `${name}.mp4`,
+      duration,
+      cuts,
+      synthetic: true,
+      notes: segments.map(segment => segment.source).join(' → '),
+    }, null, 2));
+  }
+
+  return Object.keys(SYNTHETIC_VIDEOS);
+};
+
+module.exports = {
+  DEFAULT_GRID,
+  DEFAULT_TOLERANCE,
+  loadSuite,
+  expandGrid,
+  scoreBoundaries,
+  runBenchmark,
+  writeReport,
+  generateSyntheticVideo,
+  generateSyntheticSuite,
+};
@@ -0,0 +1,104 @@
+/**
+ * Scene description with near-duplicate suppression
+ * Shared by the /detect-scenes route, the describe worker and re-processing:
+ * frames are hashed first, near-duplicate frames are left out of each
+ * describeScene request and, with `reuseSimilarScenes`, a near-identical
+ * scene reuses an earlier description instead of another model call.
+ */
+
+const { describeScene } = require('./gemini');
+const {
+  hashSceneFrames,
+  getDistinctFrames,
+  findNearIdenticalScene,
+} = require('./frameDedup');
+
+/**
+ * Describe every scene with frames (updated in place)
+ * @param {Array} scenes - Scenes with extracted frames
+ * @param {Object} options
+ * @param {Object} options.dedup - Normalized dedup options
+ * @param {Object} options.scenePrompt - Scene prompt from getScenePrompt() (default template when null)
+ * @param {string} options.languageInstruction - Optional language instruction
+ * @param {Object} options.context - Provider context from createProviderContext()
+ * @param {boolean} options.skipDescribed - Keep existing descriptions
+ * @param {boolean} options.continueOnError - Leave a failed scene's description null instead of throwing
+ * @param {Function} options.onCompareFrames - Called before frames are hashed
+ * @param {Function} options.onScene - Called with (scene, index, similarScene) before each scene
+ * @returns {Promise<Object>} Dedup options with duplicateFrames, reusedDescriptions and modelCallsSaved
+ */
+const describeScenesWithDedup = async (scenes, options) => {
+  const {
+    dedup,
+    scenePrompt = null,
+    languageInstruction = null,
+    context = null,
+    skipDescribed = false,
+    continueOnError = false,
+    onCompareFrames = null,
+    onScene = null,
+  } = options;
+
+  const deduplication = { ...dedup, duplicateFrames: 0, reusedDescriptions: 0 };
+  if (dedup.dedupeFrames || dedup.reuseSimilarScenes) {
+    if (onCompareFrames) {
+      onCompareFrames();
+    }
+    deduplication.duplicateFrames = await hashSceneFrames(scenes, dedup);
+    console.log(`  ✓ ${deduplication.duplicateFrames} near-duplicate frames skipped`);
+  }
+
+  for (const [index, scene] of scenes.entries()) {
+    if (!scene.frames || scene.frames.length === 0 || (skipDescribed && scene.description)) {
+      continue;
+    }
+
+    const similarScene = dedup.reuseSimilarScenes
+      ? findNearIdenticalScene(scene, scenes.slice(0, index), dedup)
+      : null;
+    if (onScene) {
+      onScene(scene, index, similarScene);
+    }
+
+    if (similarScene) {
+      scene.description = similarScene.description;
+      scene.descriptionReusedFrom = similarScene.sceneId;
+      scene.promptId = similarScene.promptId;
+      scene.promptVersion = similarScene.promptVersion;
+      deduplication.reusedDescriptions++;
+      console.log(`  ♻️ Scene ${scene.sceneId}: reusing description of scene ${similarScene.sceneId}`);
+      continue;
+    }
+
+    try {
+      console.log(`  Describing scene ${scene.sceneId}...`);
+      const description = await describeScene(
+        getDistinctFrames(scene).map(frame => frame.path),
+        scene.sceneId,
+        scene.start,
+        scene.end,
+        languageInstruction,
+        { promptTemplate: scenePrompt?.template, context }
+      );
+
+      scene.description = description;
+      delete scene.descriptionReusedFrom;
+      scene.promptId = scenePrompt?.id || null;
+      scene.promptVersion = scenePrompt?.version || null;
+      console.log(`  ✓ Scene ${scene.sceneId}: ${description.substring(0, 60)}...`);
+    } catch (error) {
+      if (!continueOnError) {
+        throw error;
+      }
+      console.error(`  ✗ Failed to describe scene ${scene.sceneId}:`, error.message);
+      scene.description = null;
+    }
+  }
+
+  deduplication.modelCallsSaved = deduplication.reusedDescriptions;
+  return deduplication;
+};
+
+module.exports = {
+  describeScenesWithDedup,
+};
@@ -1,6 +1,7 @@
 const { spawn } = require('child_process');
 const path = require('path');
 const fs = require('fs');
+const { invalidOption } = require('../utils/errors');
 
 const DEFAULT_SPLIT_MODE = 'hybrid';
 const DEFAULT_THRESHOLD = 0.4;
@@ -12,8 +13,36 @@ const DEFAULT_VISUAL_WINDOW_SECONDS = 3;
 const DEFAULT_VISUAL_MIN_BOUNDARY_SPACING = 4.5;
 const VISUAL_FRAME_WIDTH = 64;
 const VISUAL_FRAME_HEIGHT = 36;
+const VISUAL_HISTOGRAM_BINS = 64;
+const DEFAULT_TRANSITION_SAMPLE_FPS = 4;
+const TRANSITION_BLACK_LUMA = 0.08;
+const TRANSITION_BLACK_SHARE = 0.9;
+const TRANSITION_LUMA_STEP = 0.01;
+const TRANSITION_MIN_STEP = 0.05;
+const TRANSITION_MIN_CHANGE = 0.35;
+const TRANSITION_MAX_SECONDS = 3;
+const TRANSITION_MIN_CLEAN_SECONDS = 0.2;
+const DEFAULT_AUDIO_SILENCE_THRESHOLD = -35;
+const DEFAULT_AUDIO_MIN_SILENCE_DURATION = 0.5;
+const DEFAULT_AUDIO_CHANGE_THRESHOLD = 0.2;
+const DEFAULT_AUDIO_WINDOW_SECONDS = 2;
+const DEFAULT_AUDIO_MIN_BOUNDARY_SPACING = 4.5;
+const AUDIO_SAMPLE_RATE = 8000;
+const AUDIO_FFT_SIZE = 512;
+const AUDIO_HOP_SECONDS = 0.1;
+const AUDIO_BANDS = 16;
+const DEFAULT_AUTO_TARGET_SCENE_LENGTH = 6;
+const AUTO_SCORE_FLOOR = 0.04;
+const AUTO_MIN_THRESHOLD = 0.05;
+const AUTO_MAX_HYBRID_CANDIDATES = 30;
 const DEFAULT_MIN_FRAMES_PER_SCENE = 3;
-const SUPPORTED_SPLIT_MODES = new Set(['cut', 'motion', 'visual', 'hybrid']);
+const FRAME_STRATEGIES = ['keyframes', 'fps', 'best'];
+const DEFAULT_BEST_FRAME_COUNT = 3;
+const DEFAULT_BEST_CANDIDATE_FPS = 4;
+const BEST_FRAME_WIDTH = 160;
+const BEST_FRAME_HEIGHT = 90;
+const BEST_FRAME_MIN_DIFFERENCE = 0.08;
+const SUPPORTED_SPLIT_MODES = new Set(['cut', 'motion', 'visual', 'audio', 'hybrid']);
 
 const roundTimestamp = (value) => parseFloat(value.toFixed(3));
 const clamp = (value, min, max) => Math.min(Math.max(value, min), max);
@@ -25,7 +54,7 @@ const parseFraction = (value, fallback, label) => {
 
   const parsed = Number(value);
   if (!Number.isFinite(parsed) || parsed <= 0 || parsed > 1) {
-    throw new Error(`${label} must be a number greater than 0 and at most 1`);
+    throw invalidOption(`${label} must be a number greater than 0 and at most 1`);
   }
 
   return parsed;
@@ -38,7 +67,7 @@ const parseNonNegativeNumber = (value, fallback, label) => {
 
   const parsed = Number(value);
   if (!Number.isFinite(parsed) || parsed < 0) {
-    throw new Error(`${label} must be a number greater than or equal to 0`);
+    throw invalidOption(`${label} must be a number greater than or equal to 0`);
   }
 
   return parsed;
@@ -51,12 +80,39 @@ const parsePositiveNumber = (value, fallback, label) => {
 
   const parsed = Number(value);
   if (!Number.isFinite(parsed) || parsed <= 0) {
-    throw new Error(`${label} must be a number greater than 0`);
+    throw invalidOption(`${label} must be a number greater than 0`);
   }
 
   return parsed;
 };
 
+const parseDecibels = (value, fallback, label) => {
+  if (value === undefined || value === null || value === '') {
+    return fallback;
+  }
+
+  const parsed = Number(value);
+  if (!Number.isFinite(parsed) || parsed < -100 || parsed >= 0) {
+    throw invalidOption(`${label} must be a number of decibels from -100 up to (not including) 0`);
+  }
+
+  return parsed;
+};
+
+const parseBoolean = (value, fallback, label) => {
+  if (value === undefined || value === null || value === '') {
+    return fallback;
+  }
+  if (value === true || value === 'true' || value === 1 || value === '1') {
+    return true;
+  }
+  if (value === false || value === 'false' || value === 0 || value === '0') {
+    return false;
+  }
+
+  throw invalidOption(`${label} must be true or false`);
+};
+
 const parsePositiveInteger = (value, fallback, label) => {
   if (value === undefined || value === null || value === '') {
     return fallback;
@@ -64,7 +120,7 @@ const parsePositiveInteger = (value, fallback, label) => {
 
   const parsed = Number(value);
   if (!Number.isInteger(parsed) || parsed <= 0) {
-    throw new Error(`${label} must be a positive integer`);
+    throw invalidOption(`${label} must be a positive integer`);
   }
 
   return parsed;
@@ -73,7 +129,7 @@ const parsePositiveInteger = (value, fallback, label) => {
 const normalizeSplitMode = (value) => {
   const splitMode = typeof value === 'string' ? value.trim().toLowerCase() : DEFAULT_SPLIT_MODE;
   if (!SUPPORTED_SPLIT_MODES.has(splitMode)) {
-    throw new Error(`Unsupported splitMode "${value}". Supported modes: cut, motion, visual, hybrid`);
+    throw invalidOption(`Unsupported splitMode "${value}". Supported modes: cut, motion, visual, audio, hybrid`);
   }
   return splitMode;
 };
@@ -115,6 +171,48 @@ const normalizeDetectionOptions = (optionsOrThreshold = DEFAULT_THRESHOLD) => {
     DEFAULT_VISUAL_MIN_BOUNDARY_SPACING,
     'visualMinBoundarySpacing'
   );
+  const includeAudio = parseBoolean(options.includeAudio, false, 'includeAudio');
+  const audioSilenceThreshold = parseDecibels(
+    options.audioSilenceThreshold,
+    DEFAULT_AUDIO_SILENCE_THRESHOLD,
+    'audioSilenceThreshold'
+  );
+  const audioMinSilenceDuration = parsePositiveNumber(
+    options.audioMinSilenceDuration,
+    DEFAULT_AUDIO_MIN_SILENCE_DURATION,
+    'audioMinSilenceDuration'
+  );
+  const audioChangeThreshold = parsePositiveNumber(
+    options.audioChangeThreshold,
+    DEFAULT_AUDIO_CHANGE_THRESHOLD,
+    'audioChangeThreshold'
+  );
+  const audioWindowSeconds = parsePositiveNumber(
+    options.audioWindowSeconds,
+    DEFAULT_AUDIO_WINDOW_SECONDS,
+    'audioWindowSeconds'
+  );
+  const audioMinBoundarySpacing = parsePositiveNumber(
+    options.audioMinBoundarySpacing,
+    DEFAULT_AUDIO_MIN_BOUNDARY_SPACING,
+    'audioMinBoundarySpacing'
+  );
+  const transitionSampleFps = parsePositiveNumber(
+    options.transitionSampleFps,
+    DEFAULT_TRANSITION_SAMPLE_FPS,
+    'transitionSampleFps'
+  );
+  const auto = parseBoolean(options.auto, false, 'auto');
+  const autoTargetSceneLength = parsePositiveNumber(
+    options.autoTargetSceneLength,
+    DEFAULT_AUTO_TARGET_SCENE_LENGTH,
+    'autoTargetSceneLength'
+  );
+  const autoMinScenes = parsePositiveInteger(options.autoMinScenes, null, 'autoMinScenes');
+  const autoMaxScenes = parsePositiveInteger(options.autoMaxScenes, null, 'autoMaxScenes');
+  if (autoMinScenes !== null && autoMaxScenes !== null && autoMinScenes > autoMaxScenes) {
+    throw invalidOption('autoMinScenes must not be greater than autoMaxScenes');
+  }
 
   return {
     threshold,
@@ -125,19 +223,49 @@ const normalizeDetectionOptions = (optionsOrThreshold = DEFAULT_THRESHOLD) => {
     visualSampleFps,
     visualWindowSeconds,
     visualMinBoundarySpacing,
+    includeAudio,
+    audioSilenceThreshold,
+    audioMinSilenceDuration,
+    audioChangeThreshold,
+    audioWindowSeconds,
+    audioMinBoundarySpacing,
+    transitionSampleFps,
+    auto,
+    autoTargetSceneLength,
+    autoMinScenes,
+    autoMaxScenes,
+    // Set by autoTuneDetectionOptions(); detectScenes() doesn't tune again
+    autoTuning: auto ? options.autoTuning || null : null,
   };
 };
 
 const normalizeFrameExtractionOptions = (options = {}) => {
   const source = typeof options === 'object' && options !== null ? options : {};
+  const frameFps = parsePositiveNumber(source.frameFps ?? source.fps, null, 'frameFps');
+
+  // Without an explicit strategy, frameFps selects fps sampling as before
+  const strategy = source.frameStrategy || (frameFps ? 'fps' : 'keyframes');
+  if (!FRAME_STRATEGIES.includes(strategy)) {
+    throw invalidOption(`Unsupported frameStrategy "${strategy}". Supported strategies: ${FRAME_STRATEGIES.join(', ')}`);
+  }
+  if (strategy === 'fps' && !frameFps) {
+    throw invalidOption('frameFps is required for the fps frameStrategy');
+  }
 
   return {
-    frameFps: parsePositiveNumber(source.frameFps ?? source.fps, null, 'frameFps'),
+    strategy,
+    frameFps: strategy === 'fps' ? frameFps : null,
     minFramesPerScene: parsePositiveInteger(
       source.minFramesPerScene,
       DEFAULT_MIN_FRAMES_PER_SCENE,
       'minFramesPerScene'
     ),
+    bestFrameCount: parsePositiveInteger(source.bestFrameCount, DEFAULT_BEST_FRAME_COUNT, 'bestFrameCount'),
+    bestCandidateFps: parsePositiveNumber(
+      source.bestCandidateFps,
+      DEFAULT_BEST_CANDIDATE_FPS,
+      'bestCandidateFps'
+    ),
   };
 };
 
@@ -240,6 +368,20 @@ const buildFpsTimestamps = (start, end, frameFps, minFramesPerScene) => {
   )];
 };
 
+/**
+ * Part of a scene outside its incoming and outgoing transitions
+ * Falls back to the whole scene when the transitions leave too little.
+ */
+const getTransitionFreeRange = (scene) => {
+  const start = scene.transitionIn ? Math.max(scene.start, scene.transitionIn.end) : scene.start;
+  const end = scene.transitionOut ? Math.min(scene.end, scene.transitionOut.start) : scene.end;
+
+  if (end - start < TRANSITION_MIN_CLEAN_SECONDS) {
+    return { start: scene.start, end: scene.end };
+  }
+  return { start, end };
+};
+
 /**
  * Detect scene changes in a video using ffmpeg.
  * Returns array of scenes with start/end timestamps.
@@ -248,7 +390,18 @@ const buildFpsTimestamps = (start, end, frameFps, minFramesPerScene) => {
  * - cut: existing hard-cut behavior
  * - motion: lower-threshold visual change detection for movement-heavy shots
  * - visual: sampled-frame window comparison for gradual transitions
- * - hybrid: combine hard cuts, motion-sensitive boundaries, and visual-window changes
+ * - audio: narration pauses (silencedetect) and loudness/spectral changes
+ *   (speaker or music changes) for continuous B-roll
+ * - hybrid: combine hard cuts, motion-sensitive boundaries and visual-window
+ *   changes; audio boundaries too when `includeAudio` is set
+ *
+ * With `auto`, the thresholds are first tuned to the video (see
+ * autoTuneDetectionOptions).
+ *
+ * visual and hybrid also detect gradual transitions (fade-to-black,
+ * fade-from-black, dissolve, wipe): the boundary is placed in the middle of the
+ * transition and the scenes on either side get `transitionOut`/`transitionIn`
+ * ({ type, start, end, duration }). Scenes without one have null.
  *
  * @param {string} videoPath - Path to video file
  * @param {number|Object} optionsOrThreshold - Threshold or detailed options
@@ -259,10 +412,18 @@ const detectScenes = async (videoPath, optionsOrThreshold = DEFAULT_THRESHOLD) =
     throw new Error(`Video file not found: ${videoPath}`);
   }
 
-  const options = normalizeDetectionOptions(optionsOrThreshold);
+  let options = normalizeDetectionOptions(optionsOrThreshold);
+  const duration = await getVideoDuration(videoPath);
+  if (options.auto && !options.autoTuning) {
+    options = await autoTuneDetectionOptions(videoPath, options, duration);
+  }
 
   console.log(`🎬 Detecting scenes in: ${path.basename(videoPath)}`);
   console.log(`   Split mode: ${options.splitMode}`);
+  if (options.autoTuning) {
+    const { min, max } = options.autoTuning.targetSceneCount;
+    console.log(`   Auto thresholds: target ${min}-${max} scenes, expecting ${options.autoTuning.expectedSceneCount}`);
+  }
   console.log(`   Cut threshold: ${options.threshold}`);
   if (options.splitMode !== 'cut') {
     console.log(`   Motion threshold: ${options.motionThreshold}`);
@@ -272,12 +433,19 @@ const detectScenes = async (videoPath, optionsOrThreshold = DEFAULT_THRESHOLD) =
     console.log(`   Visual threshold: ${options.visualThreshold}`);
     console.log(`   Visual sample FPS: ${options.visualSampleFps}`);
     console.log(`   Visual window: ${options.visualWindowSeconds}s`);
+    console.log(`   Transition sample FPS: ${options.transitionSampleFps}`);
+  }
+  const useAudio = options.splitMode === 'audio' || (options.splitMode === 'hybrid' && options.includeAudio);
+  if (useAudio) {
+    console.log(`   Audio silence: ${options.audioSilenceThreshold}dB for ${options.audioMinSilenceDuration}s`);
+    console.log(`   Audio change threshold: ${options.audioChangeThreshold}`);
+    console.log(`   Audio window: ${options.audioWindowSeconds}s`);
   }
 
-  const duration = await getVideoDuration(videoPath);
   console.log(`   Duration: ${duration.toFixed(2)}s`);
 
   let sceneTimestamps = [];
+  let transitions = [];
   if (options.splitMode === 'cut') {
     sceneTimestamps = await runSceneDetection(videoPath, options.threshold);
     sceneTimestamps = consolidateSceneTimestamps(sceneTimestamps, duration, options.minSceneDuration);
@@ -285,21 +453,42 @@ const detectScenes = async (videoPath, optionsOrThreshold = DEFAULT_THRESHOLD) =
     sceneTimestamps = await runSceneDetection(videoPath, options.motionThreshold);
     sceneTimestamps = consolidateSceneTimestamps(sceneTimestamps, duration, options.minSceneDuration);
   } else if (options.splitMode === 'visual') {
-    sceneTimestamps = await runVisualSceneDetection(videoPath, duration, options);
+    const [visualTimestamps, detectedTransitions] = await Promise.all([
+      runVisualSceneDetection(videoPath, duration, options),
+      runTransitionDetection(videoPath, duration, options),
+    ]);
+    transitions = detectedTransitions;
+    sceneTimestamps = consolidateSceneTimestamps(
+      applyTransitionBoundaries(visualTimestamps, transitions, options),
+      duration,
+      options.minSceneDuration
+    );
+  } else if (options.splitMode === 'audio') {
+    sceneTimestamps = await runAudioSceneDetection(videoPath, duration, options);
     sceneTimestamps = consolidateSceneTimestamps(sceneTimestamps, duration, options.minSceneDuration);
   } else {
-    const [cutTimestamps, motionTimestamps, visualTimestamps] = await Promise.all([
+    const [cutTimestamps, motionTimestamps, visualTimestamps, audioTimestamps, detectedTransitions] = await Promise.all([
       runSceneDetection(videoPath, options.threshold),
       runSceneDetection(videoPath, options.motionThreshold),
       runVisualSceneDetection(videoPath, duration, options),
+      useAudio ? runAudioSceneDetection(videoPath, duration, options) : [],
+      runTransitionDetection(videoPath, duration, options),
     ]);
+    transitions = detectedTransitions;
 
     console.log(`   Hard-cut boundaries: ${cutTimestamps.length}`);
     console.log(`   Motion-sensitive boundaries: ${motionTimestamps.length}`);
     console.log(`   Visual-window boundaries: ${visualTimestamps.length}`);
+    if (useAudio) {
+      console.log(`   Audio boundaries: ${audioTimestamps.length}`);
+    }
 
     sceneTimestamps = consolidateSceneTimestamps(
-      [...cutTimestamps, ...motionTimestamps, ...visualTimestamps],
+      applyTransitionBoundaries(
+        [...cutTimestamps, ...motionTimestamps, ...visualTimestamps, ...audioTimestamps],
+        transitions,
+        options
+      ),
       duration,
       options.minSceneDuration
     );
@@ -307,25 +496,25 @@ const detectScenes = async (videoPath, optionsOrThreshold = DEFAULT_THRESHOLD) =
 
   console.log(`   Found ${sceneTimestamps.length} scene boundaries`);
 
-  const scenes = createScenesFromTimestamps(sceneTimestamps, duration);
+  const scenes = attachTransitions(
+    createScenesFromTimestamps(sceneTimestamps, duration),
+    transitions,
+    Math.max(options.minSceneDuration, 1 / options.transitionSampleFps)
+  );
   console.log(`   ✓ Created ${scenes.length} scene segments`);
 
   return scenes;
 };
 
 const runVisualSceneDetection = async (videoPath, duration, options) => {
-  const frames = await extractVisualFeatures(videoPath, options.visualSampleFps);
-  const windowFrames = Math.max(1, Math.round(options.visualWindowSeconds * options.visualSampleFps));
-
-  if (frames.length < windowFrames * 2 + 1) {
-    console.log(`   Visual-window analysis skipped: only ${frames.length} sampled frames`);
+  const { frames, scores } = await getVisualWindowScores(videoPath, options);
+  if (scores.length === 0) {
     return [];
   }
 
-  const scores = buildVisualWindowScores(frames, options.visualSampleFps, windowFrames);
-  const scoreThreshold = getVisualScoreThreshold(scores, options.visualThreshold);
-  const candidates = findVisualBoundaryCandidates(scores, scoreThreshold, duration, options.minSceneDuration);
-  const selected = selectSpacedVisualBoundaries(candidates, options.visualMinBoundarySpacing);
+  const scoreThreshold = getAdaptiveScoreThreshold(scores, options.visualThreshold);
+  const candidates = findBoundaryCandidates(scores, scoreThreshold, duration, options.minSceneDuration);
+  const selected = selectSpacedBoundaries(candidates, options.visualMinBoundarySpacing);
 
   console.log(`   Visual-window sampled frames: ${frames.length}`);
   console.log(`   Visual-window score threshold: ${scoreThreshold.toFixed(3)}`);
@@ -334,6 +523,22 @@ const runVisualSceneDetection = async (videoPath, duration, options) => {
   return selected.map(candidate => candidate.timestamp);
 };
 
+/**
+ * Sample frames and score each point by how much the windows before and after differ
+ * @returns {Promise<Object>} { frames, scores } - scores is empty for too short videos
+ */
+const getVisualWindowScores = async (videoPath, options) => {
+  const frames = await extractVisualFeatures(videoPath, options.visualSampleFps);
+  const windowFrames = Math.max(1, Math.round(options.visualWindowSeconds * options.visualSampleFps));
+
+  if (frames.length < windowFrames * 2 + 1) {
+    console.log(`   Visual-window analysis skipped: only ${frames.length} sampled frames`);
+    return { frames, scores: [] };
+  }
+
+  return { frames, scores: buildWindowScores(frames, options.visualSampleFps, windowFrames) };
+};
+
 const extractVisualFeatures = (videoPath, sampleFps) => {
   return new Promise((resolve, reject) => {
     const width = VISUAL_FRAME_WIDTH;
@@ -381,7 +586,7 @@ const extractVisualFeatures = (videoPath, sampleFps) => {
 };
 
 const extractVisualFrameFeature = (buffer, offset, width, height) => {
-  const histogram = new Array(64).fill(0);
+  const histogram = new Array(VISUAL_HISTOGRAM_BINS).fill(0);
   const cellsX = 4;
   const cellsY = 3;
   const cellSums = Array.from({ length: cellsX * cellsY }, () => [0, 0, 0, 0]);
@@ -417,7 +622,7 @@ const extractVisualFrameFeature = (buffer, offset, width, height) => {
   return feature;
 };
 
-const buildVisualWindowScores = (frames, sampleFps, windowFrames) => {
+const buildWindowScores = (frames, sampleFps, windowFrames) => {
   const scores = [];
 
   for (let index = windowFrames; index < frames.length - windowFrames; index++) {
@@ -456,7 +661,7 @@ const featureDistance = (left, right) => {
   return Math.sqrt(sum);
 };
 
-const getVisualScoreThreshold = (scores, floor) => {
+const getAdaptiveScoreThreshold = (scores, floor) => {
   if (scores.length === 0) {
     return floor;
   }
@@ -471,7 +676,7 @@ const getVisualScoreThreshold = (scores, floor) => {
   return Math.max(floor, median + mad * 0.75);
 };
 
-const findVisualBoundaryCandidates = (scores, threshold, duration, minSceneDuration) => {
+const findBoundaryCandidates = (scores, threshold, duration, minSceneDuration) => {
   const candidates = [];
 
   for (let index = 0; index < scores.length; index++) {
@@ -493,7 +698,7 @@ const findVisualBoundaryCandidates = (scores, threshold, duration, minSceneDurat
   return candidates;
 };
 
-const selectSpacedVisualBoundaries = (candidates, minBoundarySpacing) => {
+const selectSpacedBoundaries = (candidates, minBoundarySpacing) => {
   const selected = [];
 
   for (const candidate of [...candidates].sort((left, right) => right.score - left.score)) {
@@ -505,6 +710,894 @@ const selectSpacedVisualBoundaries = (candidates, minBoundarySpacing) => {
   return selected.sort((left, right) => left.timestamp - right.timestamp);
 };
 
+/**
+ * Detect gradual transitions on frames sampled at `transitionSampleFps`
+ * @returns {Promise<Array>} [{ boundary, transitionOut, transitionIn }] - an
+ *   intro fade has boundary 0 and an outro fade the video duration
+ */
+const runTransitionDetection = async (videoPath, duration, options) => {
+  const fps = options.transitionSampleFps;
+  const frames = await extractVisualFeatures(videoPath, fps);
+  if (frames.length < 3) {
+    return [];
+  }
+
+  const fades = findFadeTransitions(frames, fps, duration);
+  const gradual = findGradualTransitions(frames, fps)
+    .filter(transition => fades.every(fade => !transitionsOverlap(fade, transition)));
+  const transitions = [...fades, ...gradual].sort((left, right) => left.boundary - right.boundary);
+
+  console.log(`   Transitions: ${transitions.length}${transitions.length > 0
+    ? ` (${transitions.map(t => (t.transitionOut || t.transitionIn).type).join(', ')})`
+    : ''}`);
+
+  return transitions;
+};
+
+const buildTransition = (type, start, end, extra = {}) => ({
+  type,
+  start: roundTimestamp(start),
+  end: roundTimestamp(end),
+  duration: roundTimestamp(end - start),
+  ...extra,
+});
+
+const getTransitionSpan = (transition) => ({
+  start: (transition.transitionOut || transition.transitionIn).start,
+  end: (transition.transitionIn || transition.transitionOut).end,
+});
+
+const transitionsOverlap = (left, right) => {
+  const a = getTransitionSpan(left);
+  const b = getTransitionSpan(right);
+  return a.start <= b.end && b.start <= a.end;
+};
+
+/**
+ * Mean luma of a frame feature, from its cell colour means
+ */
+const getFrameLuma = (feature) => {
+  const cells = feature.slice(VISUAL_HISTOGRAM_BINS);
+  let sum = 0;
+  for (let index = 0; index < cells.length; index += 3) {
+    sum += 0.299 * cells[index] + 0.587 * cells[index + 1] + 0.114 * cells[index + 2];
+  }
+  return sum / (cells.length / 3);
+};
+
+/**
+ * Find dips to black: a run of black frames plus the luma ramps around it.
+ * A black run in the middle becomes a boundary with a fade-to-black before it
+ * and a fade-from-black after it; black at the very start or end of the video
+ * is only an intro or outro fade.
+ */
+const findFadeTransitions = (frames, fps, duration) => {
+  const lumas = frames.map(getFrameLuma);
+  const isBlack = frames.map((feature, index) => (
+    lumas[index] < TRANSITION_BLACK_LUMA && feature[0] >= TRANSITION_BLACK_SHARE
+  ));
+  const maxRampFrames = Math.round(TRANSITION_MAX_SECONDS * fps);
+  const lastIndex = frames.length - 1;
+  const toTime = (index) => Math.min(duration, index / fps);
+  const transitions = [];
+
+  for (let index = 0; index <= lastIndex; index++) {
+    if (!isBlack[index]) {
+      continue;
+    }
+
+    const blackStart = index;
+    while (index < lastIndex && isBlack[index + 1]) {
+      index++;
+    }
+    const blackEnd = index;
+
+    let rampStart = blackStart;
+    while (
+      rampStart > 0 &&
+      blackStart - rampStart < maxRampFrames &&
+      lumas[rampStart - 1] > lumas[rampStart] + TRANSITION_LUMA_STEP
+    ) {
+      rampStart--;
+    }
+
+    let rampEnd = blackEnd;
+    while (
+      rampEnd < lastIndex &&
+      rampEnd - blackEnd < maxRampFrames &&
+      lumas[rampEnd + 1] > lumas[rampEnd] + TRANSITION_LUMA_STEP
+    ) {
+      rampEnd++;
+    }
+
+    if (blackStart === 0 && blackEnd === lastIndex) {
+      continue;
+    }
+
+    if (blackStart === 0) {
+      transitions.push({
+        boundary: 0,
+        transitionOut: null,
+        transitionIn: buildTransition('fade-from-black', 0, toTime(rampEnd)),
+      });
+    } else if (blackEnd === lastIndex) {
+      transitions.push({
+        boundary: roundTimestamp(duration),
+        transitionOut: buildTransition('fade-to-black', toTime(rampStart), duration),
+        transitionIn: null,
+      });
+    } else {
+      const boundary = roundTimestamp(toTime((blackStart + blackEnd) / 2));
+      transitions.push({
+        boundary,
+        transitionOut: buildTransition('fade-to-black', toTime(rampStart), boundary),
+        transitionIn: buildTransition('fade-from-black', boundary, toTime(rampEnd)),
+      });
+    }
+  }
+
+  return transitions;
+};
+
+/**
+ * Find dissolves and wipes: runs of two or more consecutive elevated frame
+ * changes (a hard cut is a single one) between clearly different shots.
+ * - dissolve: every cell colour moves together along the line between the
+ *   two shots (the in-between frames are blends)
+ * - wipe: cells switch one after another along the x or y axis
+ * Other runs (camera or subject motion) are ignored.
+ */
+const findGradualTransitions = (frames, fps) => {
+  const steps = frames.slice(1).map((feature, index) => featureDistance(frames[index], feature));
+  const sortedSteps = [...steps].sort((left, right) => left - right);
+  const medianStep = sortedSteps[Math.floor(sortedSteps.length / 2)] || 0;
+  const stepThreshold = Math.max(TRANSITION_MIN_STEP, medianStep * 3);
+  const maxFrames = Math.round(TRANSITION_MAX_SECONDS * fps);
+  const transitions = [];
+
+  for (let index = 0; index < steps.length; index++) {
+    if (steps[index] < stepThreshold) {
+      continue;
+    }
+
+    const runStart = index;
+    while (index < steps.length - 1 && steps[index + 1] >= stepThreshold) {
+      index++;
+    }
+    const first = runStart;
+    const last = index + 1;
+
+    if (last - first < 2 || last - first > maxFrames) {
+      continue;
+    }
+    if (featureDistance(frames[first], frames[last]) < TRANSITION_MIN_CHANGE) {
+      continue;
+    }
+
+    const run = frames.slice(first, last + 1).map(feature => feature.slice(VISUAL_HISTOGRAM_BINS));
+    const start = first / fps;
+    const end = last / fps;
+    const boundary = roundTimestamp((start + end) / 2);
+
+    let transition = null;
+    if (isLinearBlend(run)) {
+      transition = buildTransition('dissolve', start, end);
+    } else {
+      const direction = getWipeDirection(run);
+      if (direction) {
+        transition = buildTransition('wipe', start, end, { direction });
+      }
+    }
+
+    if (transition) {
+      transitions.push({ boundary, transitionOut: transition, transitionIn: transition });
+    }
+  }
+
+  return transitions;
+};
+
+/**
+ * Check whether in-between cell colours are blends of the first and last frame
+ * with a blend factor that only moves forward
+ */
+const isLinearBlend = (cells) => {
+  const first = cells[0];
+  const last = cells[cells.length - 1];
+  const span = last.map((value, index) => value - first[index]);
+  const spanLengthSquared = span.reduce((sum, value) => sum + value * value, 0);
+  if (spanLengthSquared < 0.01) {
+    return false;
+  }
+
+  let previousAlpha = 0;
+  let residualSum = 0;
+  for (const cell of cells.slice(1, -1)) {
+    const offset = cell.map((value, index) => value - first[index]);
+    const alpha = offset.reduce((sum, value, index) => sum + value * span[index], 0) / spanLengthSquared;
+    if (alpha < previousAlpha - 0.05 || alpha < -0.1 || alpha > 1.1) {
+      return false;
+    }
+    previousAlpha = alpha;
+    residualSum += featureDistance(offset, span.map(value => value * alpha));
+  }
+
+  return residualSum / (cells.length - 2) <= 0.25 * Math.sqrt(spanLengthSquared);
+};
+
+/**
+ * Detect a wipe from the order in which cells change
+ * @returns {string|null} left-to-right | right-to-left | top-to-bottom | bottom-to-top
+ */
+const getWipeDirection = (cells) => {
+  const cellsX = 4;
+  const cellsY = 3;
+  const changeTimes = [];
+
+  for (let cell = 0; cell < cellsX * cellsY; cell++) {
+    const channel = (frame) => frame.slice(cell * 3, cell * 3 + 3);
+    const total = featureDistance(channel(cells[0]), channel(cells[cells.length - 1]));
+    if (total < 0.05) {
+      continue;
+    }
+
+    // Centroid of the cell's frame-to-frame change
+    let weightSum = 0;
+    let timeSum = 0;
+    for (let step = 1; step < cells.length; step++) {
+      const weight = featureDistance(channel(cells[step - 1]), channel(cells[step]));
+      weightSum += weight;
+      timeSum += weight * step;
+    }
+    changeTimes.push({ x: cell % cellsX, y: Math.floor(cell / cellsX), time: timeSum / weightSum });
+  }
+
+  if (changeTimes.length < (cellsX * cellsY) / 2) {
+    return null;
+  }
+
+  const times = changeTimes.map(entry => entry.time);
+  if (Math.max(...times) - Math.min(...times) < 1) {
+    return null;
+  }
+
+  const xCorrelation = correlation(changeTimes.map(entry => entry.x), times);
+  const yCorrelation = correlation(changeTimes.map(entry => entry.y), times);
+  if (Math.abs(xCorrelation) >= Math.abs(yCorrelation) && Math.abs(xCorrelation) >= 0.8) {
+    return xCorrelation > 0 ? 'left-to-right' : 'right-to-left';
+  }
+  if (Math.abs(yCorrelation) >= 0.8) {
+    return yCorrelation > 0 ? 'top-to-bottom' : 'bottom-to-top';
+  }
+  return null;
+};
+
+const correlation = (left, right) => {
+  const mean = (values) => values.reduce((sum, value) => sum + value, 0) / values.length;
+  const leftMean = mean(left);
+  const rightMean = mean(right);
+  let covariance = 0;
+  let leftVariance = 0;
+  let rightVariance = 0;
+
+  for (let index = 0; index < left.length; index++) {
+    covariance += (left[index] - leftMean) * (right[index] - rightMean);
+    leftVariance += (left[index] - leftMean) ** 2;
+    rightVariance += (right[index] - rightMean) ** 2;
+  }
+
+  return leftVariance > 0 && rightVariance > 0
+    ? covariance / Math.sqrt(leftVariance * rightVariance)
+    : 0;
+};
+
+/**
+ * Use transition midpoints as boundaries: other detectors' boundaries inside a
+ * transition (within one visual sample of it) describe the same change
+ */
+const applyTransitionBoundaries = (timestamps, transitions, options) => {
+  const tolerance = 1 / options.visualSampleFps;
+  const spans = transitions.map(getTransitionSpan);
+
+  return [
+    ...timestamps.filter(timestamp => spans.every(span => (
+      timestamp < span.start - tolerance || timestamp > span.end + tolerance
+    ))),
+    ...transitions.map(transition => transition.boundary),
+  ];
+};
+
+/**
+ * Set transitionIn/transitionOut on the scenes around each transition boundary
+ * (nearest boundary within `tolerance`, as consolidation may have moved it)
+ */
+const attachTransitions = (scenes, transitions, tolerance) => {
+  const result = scenes.map(scene => ({ ...scene, transitionIn: null, transitionOut: null }));
+  // boundaries[i] is the start of scene i; the last entry is the end of the video
+  const boundaries = [...result.map(scene => scene.start), result[result.length - 1].end];
+
+  for (const transition of transitions) {
+    let nearest = -1;
+    boundaries.forEach((boundary, index) => {
+      const distance = Math.abs(boundary - transition.boundary);
+      if (distance <= tolerance && (nearest === -1 || distance < Math.abs(boundaries[nearest] - transition.boundary))) {
+        nearest = index;
+      }
+    });
+
+    if (nearest === -1) {
+      continue;
+    }
+    if (nearest > 0 && transition.transitionOut) {
+      result[nearest - 1].transitionOut = transition.transitionOut;
+    }
+    if (nearest < result.length && transition.transitionIn) {
+      result[nearest].transitionIn = transition.transitionIn;
+    }
+  }
+
+  return result;
+};
+
+const runAudioSceneDetection = async (videoPath, duration, options) => {
+  if (!(await hasAudioStream(videoPath))) {
+    console.log('   Audio analysis skipped: no audio stream');
+    return [];
+  }
+
+  const [silences, samples] = await Promise.all([
+    runSilenceDetection(videoPath, options.audioSilenceThreshold, options.audioMinSilenceDuration),
+    extractAudioSamples(videoPath),
+  ]);
+
+  // A pause splits at its midpoint; leading and trailing silence are not boundaries
+  const pauseCandidates = silences
+    .filter(silence => silence.start > 0.05 && silence.end < duration - 0.05)
+    .map(silence => ({
+      timestamp: (silence.start + silence.end) / 2,
+      score: silence.end - silence.start,
+    }))
+    .filter(candidate => (
+      candidate.timestamp >= options.minSceneDuration - 0.0001 &&
+      duration - candidate.timestamp >= options.minSceneDuration - 0.0001
+    ));
+
+  const features = buildAudioFeatures(samples);
+  const windowFrames = Math.max(1, Math.round(options.audioWindowSeconds / AUDIO_HOP_SECONDS));
+  let changeCandidates = [];
+  let scoreThreshold = options.audioChangeThreshold;
+  if (features.length >= windowFrames * 2 + 1) {
+    const scores = buildWindowScores(features, 1 / AUDIO_HOP_SECONDS, windowFrames);
+    scoreThreshold = getAdaptiveScoreThreshold(scores, options.audioChangeThreshold);
+    changeCandidates = findBoundaryCandidates(scores, scoreThreshold, duration, options.minSceneDuration);
+  }
+
+  // Pauses win over spectral changes that fall within the spacing of one
+  const pauses = selectSpacedBoundaries(pauseCandidates, options.audioMinBoundarySpacing);
+  const changes = selectSpacedBoundaries(
+    changeCandidates.filter(candidate => pauses.every(pause => (
+      Math.abs(pause.timestamp - candidate.timestamp) >= options.audioMinBoundarySpacing
+    ))),
+    options.audioMinBoundarySpacing
+  );
+
+  console.log(`   Audio pauses: ${silences.length} (${pauses.length} boundaries)`);
+  console.log(`   Audio change score threshold: ${scoreThreshold.toFixed(3)}`);
+  console.log(`   Audio change candidates: ${changeCandidates.length} (${changes.length} boundaries)`);
+
+  return [...pauses, ...changes].map(candidate => candidate.timestamp).sort((left, right) => left - right);
+};
+
+/**
+ * Check whether a video has an audio stream using ffprobe
+ */
+const hasAudioStream = (videoPath) => {
+  return new Promise((resolve) => {
+    const ffprobe = spawn('ffprobe', [
+      '-v', 'error',
+      '-select_streams', 'a',
+      '-show_entries', 'stream=index',
+      '-of', 'csv=p=0',
+      videoPath,
+    ]);
+
+    let output = '';
+
+    ffprobe.stdout.on('data', (data) => {
+      output += data.toString();
+    });
+
+    ffprobe.on('close', (code) => {
+      resolve(code === 0 && output.trim().length > 0);
+    });
+
+    ffprobe.on('error', () => {
+      resolve(false);
+    });
+  });
+};
+
+/**
+ * Run ffmpeg silencedetect and return the silent intervals
+ */
+const runSilenceDetection = (videoPath, noiseDb, minSilenceDuration) => {
+  return new Promise((resolve, reject) => {
+    const ffmpeg = spawn('ffmpeg', [
+      '-i', videoPath,
+      '-vn',
+      '-af', `silencedetect=noise=${noiseDb}dB:d=${minSilenceDuration}`,
+      '-f', 'null',
+      '-',
+    ]);
+
+    let stderrOutput = '';
+
+    ffmpeg.stderr.on('data', (data) => {
+      stderrOutput += data.toString();
+    });
+
+    ffmpeg.on('close', (code) => {
+      if (code !== 0) {
+        // stderr also holds the full silencedetect log; keep the tail with the error
+        reject(new Error(`ffmpeg silence detection exited with code ${code}: ${stderrOutput.slice(-500)}`));
+        return;
+      }
+
+      resolve(parseSilenceDetectOutput(stderrOutput));
+    });
+
+    ffmpeg.on('error', (error) => {
+      reject(new Error(`ffmpeg error: ${error.message}`));
+    });
+  });
+};
+
+/**
+ * Parse silencedetect output into [{ start, end }]
+ * Lines look like: [silencedetect @ ...] silence_start: 12.3 / silence_end: 13.9 | silence_duration: 1.6
+ * A silence still open at the end of the file has no end and is dropped.
+ */
+const parseSilenceDetectOutput = (output) => {
+  const silences = [];
+  let start = null;
+
+  for (const line of output.split('\n')) {
+    const startMatch = line.match(/silence_start:\s*(-?[\d.]+)/);
+    if (startMatch) {
+      start = Math.max(0, parseFloat(startMatch[1]));
+      continue;
+    }
+
+    const endMatch = line.match(/silence_end:\s*([\d.]+)/);
+    if (endMatch && start !== null) {
+      const end = parseFloat(endMatch[1]);
+      if (Number.isFinite(start) && Number.isFinite(end) && end > start) {
+        silences.push({ start: roundTimestamp(start), end: roundTimestamp(end) });
+      }
+      start = null;
+    }
+  }
+
+  return silences;
+};
+
+/**
+ * Decode the audio track to mono 16-bit PCM at AUDIO_SAMPLE_RATE
+ * @returns {Promise<Int16Array>} Samples
+ */
+const extractAudioSamples = (videoPath) => {
+  return new Promise((resolve, reject) => {
+    const ffmpeg = spawn('ffmpeg', [
+      '-v', 'error',
+      '-i', videoPath,
+      '-vn',
+      '-ac', '1',
+      '-ar', String(AUDIO_SAMPLE_RATE),
+      '-f', 's16le',
+      '-',
+    ]);
+
+    const chunks = [];
+    let stderr = '';
+
+    ffmpeg.stdout.on('data', (chunk) => {
+      chunks.push(chunk);
+    });
+
+    ffmpeg.stderr.on('data', (data) => {
+      stderr += data.toString();
+    });
+
+    ffmpeg.on('close', (code) => {
+      if (code !== 0) {
+        reject(new Error(`ffmpeg audio analysis exited with code ${code}: ${stderr}`));
+        return;
+      }
+
+      const buffer = Buffer.concat(chunks);
+      const samples = new Int16Array(Math.floor(buffer.length / 2));
+      for (let index = 0; index < samples.length; index++) {
+        samples[index] = buffer.readInt16LE(index * 2);
+      }
+
+      resolve(samples);
+    });
+
+    ffmpeg.on('error', (error) => {
+      reject(error);
+    });
+  });
+};
+
+/**
+ * Build one feature vector per AUDIO_HOP_SECONDS: the share of spectral energy
+ * in each of AUDIO_BANDS frequency bands (timbre: voice vs. music, speaker
+ * changes) plus loudness scaled to 0-1 over a 60dB range
+ */
+const buildAudioFeatures = (samples) => {
+  const hopSize = Math.round(AUDIO_SAMPLE_RATE * AUDIO_HOP_SECONDS);
+  const binsPerBand = AUDIO_FFT_SIZE / 2 / AUDIO_BANDS;
+  const window = Array.from(
+    { length: AUDIO_FFT_SIZE },
+    (_, index) => 0.5 - 0.5 * Math.cos((2 * Math.PI * index) / (AUDIO_FFT_SIZE - 1))
+  );
+  const features = [];
+
+  for (let offset = 0; offset + AUDIO_FFT_SIZE <= samples.length; offset += hopSize) {
+    const real = new Float64Array(AUDIO_FFT_SIZE);
+    const imaginary = new Float64Array(AUDIO_FFT_SIZE);
+    let sumSquares = 0;
+
+    for (let index = 0; index < AUDIO_FFT_SIZE; index++) {
+      const sample = samples[offset + index] / 32768;
+      sumSquares += sample * sample;
+      real[index] = sample * window[index];
+    }
+
+    fft(real, imaginary);
+
+    const bands = new Array(AUDIO_BANDS).fill(0);
+    for (let bin = 1; bin < AUDIO_FFT_SIZE / 2; bin++) {
+      bands[Math.floor(bin / binsPerBand)] += real[bin] * real[bin] + imaginary[bin] * imaginary[bin];
+    }
+
+    const totalEnergy = bands.reduce((sum, value) => sum + value, 0);
+    const loudnessDb = 10 * Math.log10(sumSquares / AUDIO_FFT_SIZE + 1e-10);
+
+    features.push([
+      ...bands.map(value => (totalEnergy > 0 ? value / totalEnergy : 0)),
+      clamp((loudnessDb + 60) / 60, 0, 1),
+    ]);
+  }
+
+  return features;
+};
+
+/**
+ * In-place iterative radix-2 FFT (length must be a power of two)
+ */
+const fft = (real, imaginary) => {
+  const size = real.length;
+
+  for (let index = 1, reversed = 0; index < size; index++) {
+    let bit = size >> 1;
+    for (; reversed & bit; bit >>= 1) {
+      reversed ^= bit;
+    }
+    reversed ^= bit;
+    if (index < reversed) {
+      [real[index], real[reversed]] = [real[reversed], real[index]];
+      [imaginary[index], imaginary[reversed]] = [imaginary[reversed], imaginary[index]];
+    }
+  }
+
+  for (let length = 2; length <= size; length <<= 1) {
+    const angle = (-2 * Math.PI) / length;
+    for (let start = 0; start < size; start += length) {
+      for (let offset = 0; offset < length / 2; offset++) {
+        const cos = Math.cos(angle * offset);
+        const sin = Math.sin(angle * offset);
+        const evenIndex = start + offset;
+        const oddIndex = evenIndex + length / 2;
+        const oddReal = real[oddIndex] * cos - imaginary[oddIndex] * sin;
+        const oddImaginary = real[oddIndex] * sin + imaginary[oddIndex] * cos;
+        real[oddIndex] = real[evenIndex] - oddReal;
+        imaginary[oddIndex] = imaginary[evenIndex] - oddImaginary;
+        real[evenIndex] += oddReal;
+        imaginary[evenIndex] += oddImaginary;
+      }
+    }
+  }
+};
+
+/**
+ * Pick thresholds for a video automatically
+ * Scores every frame once (ffmpeg scene scores above a low floor and/or the
+ * visual window scores), then tries the thresholds between neighbouring
+ * scores and keeps the one whose boundary count gives a scene count in the
+ * target range, preferring the widest gap in the score distribution (the most
+ * natural break). Tunes `threshold` (cut), `motionThreshold` (motion),
+ * `visualThreshold` (visual) or motionThreshold + visualThreshold together
+ * (hybrid). Each count uses the same merged boundary set detectScenes()
+ * builds: transitions (visual, hybrid) and audio boundaries (hybrid with
+ * `includeAudio`) are detected once and added to every candidate.
+ *
+ * Target range: autoMinScenes..autoMaxScenes, or ±25% around
+ * duration / autoTargetSceneLength.
+ *
+ * @param {string} videoPath - Path to video file
+ * @param {Object} optionsOrThreshold - Detection options
+ * @param {number} duration - Video duration (probed when omitted)
+ * @returns {Promise<Object>} Detection options with the chosen thresholds and an `autoTuning` summary
+ */
+const autoTuneDetectionOptions = async (videoPath, optionsOrThreshold, duration = null) => {
+  const options = normalizeDetectionOptions({ ...optionsOrThreshold, auto: true, autoTuning: null });
+  const videoDuration = duration ?? await getVideoDuration(videoPath);
+  const targetSceneCount = getTargetSceneCount(videoDuration, options);
+  const boundaryRange = { min: targetSceneCount.min - 1, max: targetSceneCount.max - 1 };
+
+  const usesCutScores = ['cut', 'motion', 'hybrid'].includes(options.splitMode);
+  const usesVisualScores = ['visual', 'hybrid'].includes(options.splitMode);
+  const usesAudio = options.splitMode === 'hybrid' && options.includeAudio;
+  const [cutScores, visualScores, audioTimestamps, transitions] = await Promise.all([
+    usesCutScores ? runSceneScoreAnalysis(videoPath, AUTO_SCORE_FLOOR) : [],
+    usesVisualScores ? getVisualWindowScores(videoPath, options).then(result => result.scores) : [],
+    usesAudio ? runAudioSceneDetection(videoPath, videoDuration, options) : [],
+    usesVisualScores ? runTransitionDetection(videoPath, videoDuration, options) : [],
+  ]);
+
+  const cutBoundaries = (threshold) => cutScores
+    .filter(entry => entry.score > threshold)
+    .map(entry => entry.timestamp);
+  const visualBoundaries = (floor) => selectSpacedBoundaries(
+    findBoundaryCandidates(
+      visualScores,
+      getAdaptiveScoreThreshold(visualScores, floor),
+      videoDuration,
+      options.minSceneDuration
+    ),
+    options.visualMinBoundarySpacing
+  ).map(candidate => candidate.timestamp);
+  // Same merge as detectScenes(); cut and motion have no audio or transitions
+  const countBoundaries = (timestamps) => (
+    consolidateSceneTimestamps(
+      applyTransitionBoundaries([...timestamps, ...audioTimestamps], transitions, options),
+      videoDuration,
+      options.minSceneDuration
+    ).length
+  );
+
+  const cutCandidates = buildThresholdCandidates(cutScores, AUTO_MIN_THRESHOLD, 1);
+  const visualCandidates = buildThresholdCandidates(visualScores, AUTO_MIN_THRESHOLD, Infinity);
+
+  let best = null;
+  let tuned = {};
+  let tunable = true;
+  if (options.splitMode === 'cut' || options.splitMode === 'motion') {
+    best = pickThresholds(cutCandidates.map(candidate => ({
+      thresholds: [candidate.threshold],
+      gap: candidate.gap,
+      count: countBoundaries(cutBoundaries(candidate.threshold)),
+    })), boundaryRange);
+    if (best) {
+      tuned = options.splitMode === 'cut'
+        ? { threshold: best.thresholds[0] }
+        : { motionThreshold: best.thresholds[0] };
+    }
+  } else if (options.splitMode === 'visual') {
+    best = pickThresholds(visualCandidates.map(candidate => ({
+      thresholds: [candidate.threshold],
+      gap: candidate.gap,
+      count: countBoundaries(visualBoundaries(candidate.threshold)),
+    })), boundaryRange);
+    if (best) {
+      tuned = { visualThreshold: best.thresholds[0] };
+    }
+  } else if (options.splitMode === 'hybrid') {
+    const evaluations = [];
+    const visualOptions = limitCandidates(visualCandidates, AUTO_MAX_HYBRID_CANDIDATES)
+      .map(candidate => ({ ...candidate, boundaries: visualBoundaries(candidate.threshold) }));
+    for (const motion of limitCandidates(cutCandidates, AUTO_MAX_HYBRID_CANDIDATES)) {
+      const motionBoundaries = cutBoundaries(motion.threshold);
+      for (const visual of visualOptions) {
+        evaluations.push({
+          thresholds: [motion.threshold, visual.threshold],
+          gap: motion.gap + visual.gap,
+          count: countBoundaries([...motionBoundaries, ...visual.boundaries]),
+        });
+      }
+    }
+    best = pickThresholds(evaluations, boundaryRange);
+    // Hard cuts must stay a subset of the motion boundaries for the count to hold
+    if (best) {
+      tuned = {
+        motionThreshold: best.thresholds[0],
+        visualThreshold: best.thresholds[1],
+        threshold: Math.max(options.threshold, best.thresholds[0]),
+      };
+    }
+  } else {
+    tunable = false;
+    console.log(`   Auto thresholds: nothing to tune for ${options.splitMode} mode`);
+  }
+
+  // No candidates (static video, or too short for the visual window): keep the given thresholds
+  if (tunable && !best) {
+    console.log('   Auto thresholds: no scores above the floor, keeping the given thresholds');
+  }
+
+  const expectedSceneCount = best ? best.count + 1 : null;
+  const autoTuning = {
+    targetSceneLength: options.autoTargetSceneLength,
+    targetSceneCount,
+    duration: roundTimestamp(videoDuration),
+    tuned,
+    expectedSceneCount,
+    inRange: expectedSceneCount === null
+      ? !tunable
+      : expectedSceneCount >= targetSceneCount.min && expectedSceneCount <= targetSceneCount.max,
+    scoreStats: {
+      cut: usesCutScores ? getScoreStats(cutScores) : null,
+      visual: usesVisualScores ? getScoreStats(visualScores) : null,
+    },
+  };
+
+  console.log(`🎚️  Auto thresholds for ${path.basename(videoPath)}: ${Object.entries(tuned)
+    .map(([key, value]) => `${key}=${value}`).join(', ') || 'unchanged'}`
+    + (expectedSceneCount !== null ? ` (~${expectedSceneCount} scenes, target ${targetSceneCount.min}-${targetSceneCount.max})` : ''));
+
+  return { ...options, ...tuned, autoTuning };
+};
+
+/**
+ * Target scene count range for auto tuning
+ */
+const getTargetSceneCount = (duration, options) => {
+  const target = Math.max(1, Math.round(duration / options.autoTargetSceneLength));
+  const min = options.autoMinScenes ?? Math.max(1, Math.floor(target * 0.75));
+  const max = options.autoMaxScenes ?? Math.max(min, Math.ceil(target * 1.25));
+  return { min: Math.min(min, max), max };
+};
+
+/**
+ * Thresholds halfway between neighbouring distinct scores, each with the
+ * width of its gap relative to the score range
+ * @returns {Array} [{ threshold, gap }] from most to least sensitive
+ */
+const buildThresholdCandidates = (scores, min, max) => {
+  const values = [...new Set(scores.map(entry => entry.score))].sort((left, right) => left - right);
+  if (values.length === 0) {
+    return [];
+  }
+
+  const range = values[values.length - 1] - values[0] || 1;
+  const candidates = [{ threshold: min, gap: 0 }];
+  for (let index = 0; index < values.length; index++) {
+    const next = index < values.length - 1 ? values[index + 1] : values[index] + range * 0.1;
+    candidates.push({
+      threshold: (values[index] + next) / 2,
+      gap: (next - values[index]) / range,
+    });
+  }
+
+  const seen = new Set();
+  return candidates
+    .map(candidate => ({
+      threshold: parseFloat(clamp(candidate.threshold, min, max).toFixed(4)),
+      gap: candidate.gap,
+    }))
+    .filter(candidate => !seen.has(candidate.threshold) && seen.add(candidate.threshold));
+};
+
+/**
+ * Reduce candidates to the widest gaps plus an even spread over the range
+ */
+const limitCandidates = (candidates, limit) => {
+  if (candidates.length <= limit) {
+    return candidates;
+  }
+
+  const widest = [...candidates].sort((left, right) => right.gap - left.gap).slice(0, Math.floor(limit / 2));
+  const spread = Array.from(
+    { length: limit - widest.length },
+    (_, index) => candidates[Math.round((index * (candidates.length - 1)) / (limit - widest.length - 1 || 1))]
+  );
+
+  return [...new Set([...widest, ...spread])].sort((left, right) => left.threshold - right.threshold);
+};
+
+/**
+ * Choose among evaluated thresholds: in range with the widest gap, else the
+ * count closest to the range; ties go to the less sensitive thresholds
+ * @returns {Object|null} Best evaluation, or null when there are none
+ */
+const pickThresholds = (evaluations, range) => {
+  const distance = (count) => (count < range.min ? range.min - count : Math.max(0, count - range.max));
+  const sum = (values) => values.reduce((total, value) => total + value, 0);
+
+  return [...evaluations].sort((left, right) => (
+    distance(left.count) - distance(right.count)
+    || (distance(left.count) === 0 ? right.gap - left.gap : 0)
+    || sum(right.thresholds) - sum(left.thresholds)
+  ))[0] || null;
+};
+
+const getScoreStats = (scores) => {
+  const values = scores.map(entry => entry.score).sort((left, right) => left - right);
+  if (values.length === 0) {
+    return { count: 0, median: null, mad: null, p90: null, max: null };
+  }
+
+  const median = values[Math.floor(values.length / 2)];
+  const deviations = values.map(value => Math.abs(value - median)).sort((left, right) => left - right);
+  const round = (value) => parseFloat(value.toFixed(4));
+
+  return {
+    count: values.length,
+    median: round(median),
+    mad: round(deviations[Math.floor(deviations.length / 2)]),
+    p90: round(values[Math.min(values.length - 1, Math.floor(values.length * 0.9))]),
+    max: round(values[values.length - 1]),
+  };
+};
+
+/**
+ * Get ffmpeg scene scores of all frames above `floor`
+ * @returns {Promise<Array>} [{ timestamp, score }]
+ */
+const runSceneScoreAnalysis = (videoPath, floor) => {
+  return new Promise((resolve, reject) => {
+    const ffmpeg = spawn('ffmpeg', [
+      '-i', videoPath,
+      '-filter:v', `select='gt(scene,${floor})',metadata=print`,
+      '-f', 'null',
+      '-',
+    ]);
+
+    let stderrOutput = '';
+
+    ffmpeg.stderr.on('data', (data) => {
+      stderrOutput += data.toString();
+    });
+
+    ffmpeg.on('close', () => {
+      resolve(parseSceneScoreOutput(stderrOutput));
+    });
+
+    ffmpeg.on('error', (error) => {
+      reject(new Error(`ffmpeg error: ${error.message}`));
+    });
+  });
+};
+
+/**
+ * Parse metadata=print output: a `pts_time:` line per frame followed by its
+ * `lavfi.scene_score=` line
+ */
+const parseSceneScoreOutput = (output) => {
+  const scores = [];
+  let timestamp = null;
+
+  for (const line of output.split('\n')) {
+    const timeMatch = line.match(/pts_time:([\d.]+)/);
+    if (timeMatch) {
+      timestamp = parseFloat(timeMatch[1]);
+      continue;
+    }
+
+    const scoreMatch = line.match(/lavfi\.scene_score=([\d.]+)/);
+    if (scoreMatch && timestamp !== null) {
+      const score = parseFloat(scoreMatch[1]);
+      if (Number.isFinite(timestamp) && timestamp > 0 && Number.isFinite(score)) {
+        scores.push({ timestamp, score });
+      }
+      timestamp = null;
+    }
+  }
+
+  return scores;
+};
+
 /**
  * Get video duration using ffprobe
  */
@@ -604,8 +1697,11 @@ const parseShowinfoOutput = (output) => {
 
 /**
  * Extract representative frames for each scene.
- * By default this keeps the original keyframe strategy (first-ish, middle, last-ish).
- * If frameFps is provided, the scene is sampled at least that densely across its duration.
+ * Strategies:
+ * - keyframes (default): first-ish, middle, last-ish
+ * - fps: at least `frameFps` frames per second across the scene
+ * - best: candidates sampled at `bestCandidateFps`, keeping the `bestFrameCount`
+ *   sharpest, best exposed frames that differ from each other
  *
  * @param {string} videoPath - Path to video file
  * @param {Array} scenes - Array of scene objects
@@ -615,9 +1711,11 @@ const parseShowinfoOutput = (output) => {
  */
 const extractSceneFrames = async (videoPath, scenes, outputDir, options = {}) => {
   const frameOptions = normalizeFrameExtractionOptions(options);
-  const samplingLabel = frameOptions.frameFps
-    ? `minimum ${frameOptions.frameFps} fps`
-    : 'keyframes (first/middle/last)';
+  const samplingLabel = {
+    keyframes: 'keyframes (first/middle/last)',
+    fps: `minimum ${frameOptions.frameFps} fps`,
+    best: `best ${frameOptions.bestFrameCount} of candidates at ${frameOptions.bestCandidateFps} fps`,
+  }[frameOptions.strategy];
 
   console.log(`\n📸 Extracting frames for ${scenes.length} scenes...`);
   console.log(`   Sampling: ${samplingLabel}`);
@@ -629,10 +1727,22 @@ const extractSceneFrames = async (videoPath, scenes, outputDir, options = {}) =>
   const updatedScenes = [];
 
   for (const scene of scenes) {
-    const { sceneId, start, end, duration } = scene;
-    const timestamps = frameOptions.frameFps
-      ? buildFpsTimestamps(start, end, frameOptions.frameFps, frameOptions.minFramesPerScene)
-      : buildKeyframeTimestamps(start, end);
+    const { sceneId, duration } = scene;
+    // Blended frames inside fades/dissolves/wipes make poor samples
+    const { start, end } = getTransitionFreeRange(scene);
+    let candidateCount = null;
+    let timestamps;
+    let frameScores = [];
+    if (frameOptions.strategy === 'best') {
+      const selection = await selectBestFrames(videoPath, start, end, frameOptions);
+      candidateCount = selection.candidateCount;
+      timestamps = selection.frames.map(frame => frame.timestamp);
+      frameScores = selection.frames.map(frame => frame.scores);
+    } else {
+      timestamps = frameOptions.strategy === 'fps'
+        ? buildFpsTimestamps(start, end, frameOptions.frameFps, frameOptions.minFramesPerScene)
+        : buildKeyframeTimestamps(start, end);
+    }
 
     const frames = [];
 
@@ -648,6 +1758,7 @@ const extractSceneFrames = async (videoPath, scenes, outputDir, options = {}) =>
           timestamp: parseFloat(timestamp.toFixed(3)),
           path: framePath,
           relativePath: path.relative(process.cwd(), framePath),
+          ...(frameScores[i] ? { scores: frameScores[i] } : {}),
         });
       } catch (error) {
         console.error(`   ✗ Failed to extract frame ${i + 1} for scene ${sceneId}: ${error.message}`);
@@ -658,10 +1769,14 @@ const extractSceneFrames = async (videoPath, scenes, outputDir, options = {}) =>
       ...scene,
       duration,
       frameSampling: {
-        strategy: frameOptions.frameFps ? 'fps' : 'keyframes',
+        strategy: frameOptions.strategy,
         fps: frameOptions.frameFps || null,
         minFramesPerScene: frameOptions.minFramesPerScene,
+        ...(frameOptions.strategy === 'best'
+          ? { bestFrameCount: frameOptions.bestFrameCount, candidateFps: frameOptions.bestCandidateFps, candidateCount }
+          : {}),
         frameCount: frames.length,
+        range: { start: roundTimestamp(start), end: roundTimestamp(end) },
       },
       frames,
     });
@@ -674,6 +1789,198 @@ const extractSceneFrames = async (videoPath, scenes, outputDir, options = {}) =>
   return updatedScenes;
 };
 
+/**
+ * Pick the best frames of a scene range
+ * Candidates are decoded as small grayscale images and scored for sharpness
+ * (variance of the Laplacian, relative to the sharpest candidate) and exposure
+ * (mid-grey mean, few clipped pixels). Frames are then chosen greedily by
+ * quality, scaled down for candidates that look like an already chosen frame.
+ * Falls back to the keyframe timestamps if decoding fails.
+ * @returns {Promise<Object>} { frames: [{ timestamp, scores }], candidateCount }
+ */
+const selectBestFrames = async (videoPath, start, end, frameOptions) => {
+  let candidates = [];
+  try {
+    candidates = await extractGrayFrames(videoPath, start, end, frameOptions.bestCandidateFps);
+  } catch (error) {
+    console.error(`   ✗ Frame scoring failed (${error.message}), using keyframes`);
+  }
+
+  if (candidates.length === 0) {
+    return {
+      frames: buildKeyframeTimestamps(start, end).map(timestamp => ({ timestamp, scores: null })),
+      candidateCount: 0,
+    };
+  }
+
+  const measured = candidates.map(candidate => ({
+    timestamp: getSafeFrameTimestamp(candidate.timestamp, start, end),
+    sharpness: getLaplacianVariance(candidate.pixels, BEST_FRAME_WIDTH, BEST_FRAME_HEIGHT),
+    exposure: getExposureScore(candidate.pixels),
+    thumbnail: downscaleGray(candidate.pixels, BEST_FRAME_WIDTH, BEST_FRAME_HEIGHT, 16, 9),
+  }));
+  const maxSharpness = Math.max(...measured.map(candidate => candidate.sharpness)) || 1;
+  for (const candidate of measured) {
+    candidate.quality = 0.7 * (candidate.sharpness / maxSharpness) + 0.3 * candidate.exposure;
+  }
+
+  const chosen = [];
+  const remaining = [...measured];
+  while (chosen.length < frameOptions.bestFrameCount && remaining.length > 0) {
+    let bestIndex = 0;
+    let bestScore = -Infinity;
+    remaining.forEach((candidate, index) => {
+      const difference = chosen.length === 0
+        ? 1
+        : Math.min(...chosen.map(frame => thumbnailDifference(frame.thumbnail, candidate.thumbnail)));
+      const score = candidate.quality * Math.min(1, difference / BEST_FRAME_MIN_DIFFERENCE);
+      if (score > bestScore) {
+        bestScore = score;
+        bestIndex = index;
+      }
+    });
+    chosen.push(remaining.splice(bestIndex, 1)[0]);
+  }
+
+  const round = (value) => parseFloat(value.toFixed(3));
+  return {
+    frames: chosen
+      .sort((left, right) => left.timestamp - right.timestamp)
+      .filter((frame, index, frames) => index === 0 || frame.timestamp !== frames[index - 1].timestamp)
+      .map(frame => ({
+        timestamp: frame.timestamp,
+        scores: {
+          sharpness: round(frame.sharpness / maxSharpness),
+          exposure: round(frame.exposure),
+          quality: round(frame.quality),
+        },
+      })),
+    candidateCount: candidates.length,
+  };
+};
+
+/**
+ * Decode a time range as BEST_FRAME_WIDTH×BEST_FRAME_HEIGHT grayscale frames
+ * @returns {Promise<Array>} [{ timestamp, pixels: Buffer }]
+ */
+const extractGrayFrames = (videoPath, start, end, sampleFps) => {
+  return new Promise((resolve, reject) => {
+    const frameSize = BEST_FRAME_WIDTH * BEST_FRAME_HEIGHT;
+    const ffmpeg = spawn('ffmpeg', [
+      '-v', 'error',
+      '-ss', start.toString(),
+      '-t', Math.max(0.001, end - start).toString(),
+      '-i', videoPath,
+      '-vf', `fps=${sampleFps},scale=${BEST_FRAME_WIDTH}:${BEST_FRAME_HEIGHT},format=gray`,
+      '-f', 'rawvideo',
+      '-',
+    ]);
+
+    const chunks = [];
+    let stderr = '';
+
+    ffmpeg.stdout.on('data', (chunk) => {
+      chunks.push(chunk);
+    });
+
+    ffmpeg.stderr.on('data', (data) => {
+      stderr += data.toString();
+    });
+
+    ffmpeg.on('close', (code) => {
+      if (code !== 0) {
+        reject(new Error(`ffmpeg frame scoring exited with code ${code}: ${stderr}`));
+        return;
+      }
+
+      const buffer = Buffer.concat(chunks);
+      const frames = [];
+      for (let offset = 0; offset + frameSize <= buffer.length; offset += frameSize) {
+        frames.push({
+          timestamp: start + frames.length / sampleFps,
+          pixels: buffer.subarray(offset, offset + frameSize),
+        });
+      }
+
+      resolve(frames);
+    });
+
+    ffmpeg.on('error', (error) => {
+      reject(error);
+    });
+  });
+};
+
+/**
+ * Variance of the 4-neighbour Laplacian: low for blurred frames
+ */
+const getLaplacianVariance = (pixels, width, height) => {
+  let sum = 0;
+  let sumSquares = 0;
+  let count = 0;
+
+  for (let y = 1; y < height - 1; y++) {
+    for (let x = 1; x < width - 1; x++) {
+      const index = y * width + x;
+      const laplacian = pixels[index - width] + pixels[index + width]
+        + pixels[index - 1] + pixels[index + 1] - 4 * pixels[index];
+      sum += laplacian;
+      sumSquares += laplacian * laplacian;
+      count++;
+    }
+  }
+
+  if (count === 0) {
+    return 0;
+  }
+  const mean = sum / count;
+  return sumSquares / count - mean * mean;
+};
+
+/**
+ * 1 for a mid-grey mean with no clipped pixels, towards 0 for dark, blown-out
+ * or heavily clipped frames
+ */
+const getExposureScore = (pixels) => {
+  let sum = 0;
+  let clipped = 0;
+  for (const value of pixels) {
+    sum += value;
+    if (value <= 8 || value >= 247) {
+      clipped++;
+    }
+  }
+
+  const mean = sum / pixels.length / 255;
+  return clamp(1 - Math.abs(mean - 0.5) * 2, 0, 1) * (1 - clipped / pixels.length);
+};
+
+const downscaleGray = (pixels, width, height, targetWidth, targetHeight) => {
+  const result = new Array(targetWidth * targetHeight).fill(0);
+  const counts = new Array(targetWidth * targetHeight).fill(0);
+
+  for (let y = 0; y < height; y++) {
+    for (let x = 0; x < width; x++) {
+      const index = Math.floor((y * targetHeight) / height) * targetWidth + Math.floor((x * targetWidth) / width);
+      result[index] += pixels[y * width + x];
+      counts[index]++;
+    }
+  }
+
+  return result.map((value, index) => value / counts[index] / 255);
+};
+
+/**
+ * Mean absolute difference of two thumbnails (0 = identical, 1 = inverted)
+ */
+const thumbnailDifference = (left, right) => {
+  let sum = 0;
+  for (let index = 0; index < left.length; index++) {
+    sum += Math.abs(left[index] - right[index]);
+  }
+  return sum / left.length;
+};
+
 /**
  * Extract a single frame at specific timestamp
  */
@@ -710,6 +2017,7 @@ const extractFrame = (videoPath, timestamp, outputPath) => {
 
 module.exports = {
   detectScenes,
+  autoTuneDetectionOptions,
   extractSceneFrames,
   normalizeDetectionOptions,
   normalizeFrameExtractionOptions,
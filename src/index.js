@@ -40,6 +40,8 @@ app.use('/output', express.static(path.join(__dirname, '..', config.outputDir)))
 
 // Health check endpoint
 app.get('/health', (req, res) => {
+  const { listProviders, getChains, getProviderStates } = require('./providers');
+  const { getCacheStats } = require('./providers/cache');
   res.json({
     status: 'healthy',
     service: 'prompt-reels',
@@ -53,7 +55,11 @@ app.get('/health', (req, res) => {
       hasGeminiKey: !!config.googleApiKey,
       hasAzureKey: !!config.azureOpenAI.apiKey,
       hasWandbKey: !!config.wandbApiKey,
+      providers: listProviders(),
+      providerChains: getChains(),
+      providerHealth: getProviderStates(),
     },
+    modelCache: getCacheStats(),
   });
 });
 
@@ -983,7 +989,9 @@ app.get('/videos', (req, res) => {
 // Dashboard HTML page
 app.get('/', (req, res) => {
   const { listArticles } = require('./core/articleWorkflow');
+  const { listSchedules } = require('./utils/scheduler');
   const allArticles = listArticles();
+  const schedules = listSchedules();
   
   // Filter to only show articles with local videos
   const articles = allArticles.filter(article => article.hasLocalVideo);
@@ -1144,6 +1152,23 @@ app.get('/', (req, res) => {
         .score.high { color: #10b981; }
         .score.medium { color: #f59e0b; }
         .score.low { color: #ef4444; }
+        .jobs-panel {
+            background: #16181c;
+            border: 1px solid #2f3336;
+            border-radius: 12px;
+            padding: 15px 20px;
+            margin-bottom: 30px;
+        }
+        .jobs-panel h3 { font-size: 14px; color: #71767b; margin-bottom: 10px; text-transform: uppercase; }
+        .job-row { display: flex; align-items: center; gap: 12px; padding: 6px 0; font-size: 13px; }
+        .job-type { width: 70px; color: #71767b; }
+        .job-id { width: 280px; overflow: hidden; text-overflow: ellipsis; white-space: nowrap; }
+        .job-progress { flex: 1; height: 6px; background: #2f3336; border-radius: 3px; overflow: hidden; }
+        .job-progress-fill { height: 100%; background: #1d9bf0; transition: width 0.3s; }
+        .job-message { width: 200px; color: #71767b; overflow: hidden; text-overflow: ellipsis; white-space: nowrap; }
+        .job-queued { color: #71767b; font-size: 13px; margin-top: 8px; }
+        .schedule-cron { width: 120px; font-family: monospace; color: #e7e9ea; }
+        .schedule-next { flex: 1; }
     </style>
 </head>
 <body>
@@ -1182,6 +1207,23 @@ app.get('/', (req, res) => {
             </div>
         </div>
         
+        <div id="jobsPanel" class="jobs-panel" style="display: none;"></div>
+        
+        ${schedules.length > 0 ? `
+        <div class="jobs-panel">
+            <h3>Schedules${config.scheduler.enabled ? '' : ' (scheduler disabled)'}</h3>
+            ${schedules.map(schedule => `
+            <div class="job-row">
+                <span class="job-type">${schedule.type}</span>
+                <span class="job-id" title="${schedule.id}">${schedule.id}</span>
+                <span class="schedule-cron">${schedule.cron}</span>
+                <span class="schedule-next">${schedule.nextRunAt ? `Next: ${new Date(schedule.nextRunAt).toLocaleString()}` : 'Disabled'}</span>
+                <span class="job-message" title="${schedule.lastError || ''}">${schedule.lastRunAt ? `Last: ${schedule.lastResult} ${new Date(schedule.lastRunAt).toLocaleString()}` : 'Not run yet'}</span>
+            </div>
+            `).join('')}
+        </div>
+        ` : ''}
+        
         ${articles.length === 0 ? `
         <div class="empty">
             <h2>No articles yet</h2>
@@ -1259,28 +1301,101 @@ app.get('/', (req, res) => {
             try {
                 const res = await fetch('/api/flags/status');
                 const data = await res.json();
+                const queueRes = await fetch('/api/queue/status');
+                const queues = await queueRes.json();
                 
                 const btn = document.getElementById('addArticlesBtn');
                 const status = document.getElementById('addingStatus');
                 
-                if (data.batchAdding) {
+                // A batch add is pending from the moment its fetch job is queued
+                if (data.batchAdding || queues.fetch.running > 0 || queues.fetch.queued > 0) {
                     btn.style.display = 'none';
                     status.style.display = 'flex';
                 } else {
                     btn.style.display = 'inline-block';
                     status.style.display = 'none';
                 }
+                
+                renderJobs(queues);
             } catch (err) {
                 console.error('Error checking flags:', err);
             }
         }
         
+        // Running jobs with progress, and queued counts
+        function renderJobs(queues) {
+            const panel = document.getElementById('jobsPanel');
+            const running = [];
+            const queued = [];
+            
+            for (const [type, queue] of Object.entries(queues)) {
+                queue.processing.forEach(job => running.push({ type, job }));
+                if (queue.queued > 0) {
+                    queued.push(\`\${type}: \${queue.queued}\`);
+                }
+            }
+            
+            if (running.length === 0 && queued.length === 0) {
+                panel.style.display = 'none';
+                return;
+            }
+            
+            panel.style.display = 'block';
+            panel.innerHTML = '<h3>Jobs</h3>' + running.map(({ type, job }) => {
+                const percent = job.progress ? job.progress.percent : 0;
+                const message = job.cancelRequested ? 'Cancelling...' : (job.progress ? job.progress.message : 'Starting...');
+                return \`
+                <div class="job-row">
+                    <span class="job-type">\${type}</span>
+                    <span class="job-id" title="\${job.id}">\${job.articleId || job.id}</span>
+                    <div class="job-progress"><div class="job-progress-fill" style="width: \${percent}%"></div></div>
+                    <span>\${percent}%</span>
+                    <span class="job-message">\${message}</span>
+                    \${job.cancelRequested ? '' : \`<button class="btn" onclick="cancelJob('\${type}', '\${job.id}')">Cancel</button>\`}
+                </div>\`;
+            }).join('') + (queued.length > 0 ? \`<div class="job-queued">Queued: \${queued.join(', ')}</div>\` : '');
+        }
+        
+        async function cancelJob(type, jobId) {
+            if (!confirm('Cancel this job? Running jobs stop at their next step.')) return;
+            
+            try {
+                const res = await fetch(\`/api/queue/\${type}/\${jobId}\`, { method: 'DELETE' });
+                const data = await res.json();
+                if (!data.success) {
+                    alert('Error: ' + (data.error || 'Unknown error'));
+                }
+                checkFlagStatus();
+            } catch (err) {
+                alert('Error: ' + err.message);
+            }
+        }
+        
         // Check on page load
         checkFlagStatus();
         
         // Check every 3 seconds
         setInterval(checkFlagStatus, 3000);
         
+        // Poll the queues until a job is no longer queued or running
+        function waitForJob(jobId, onDone) {
+            const timer = setInterval(async () => {
+                try {
+                    const res = await fetch('/api/queue/status');
+                    const queues = await res.json();
+                    const pending = Object.values(queues).some(queue =>
+                        [...queue.processing, ...queue.items].some(item => item.id === jobId)
+                    );
+                    if (!pending) {
+                        clearInterval(timer);
+                        onDone();
+                    }
+                } catch (err) {
+                    console.error('Error checking queue status:', err);
+                }
+            }, 3000);
+        }
+        
         async function describeArticle(articleId) {
             if (!confirm('Describe scenes for this article? This may take a few minutes.')) return;
             
@@ -1288,8 +1403,8 @@ app.get('/', (req, res) => {
                 const res = await fetch(\`/api/articles/\${articleId}/describe\`, { method: 'POST' });
                 const data = await res.json();
                 if (data.success) {
-                    alert(\`Success! Found \${data.sceneCount} scenes.\`);
-                    location.reload();
+                    alert(\`Describe queued (position \${data.position}). The page will refresh when it finishes.\`);
+                    waitForJob(data.jobId, () => location.reload());
                 } else {
                     alert('Error: ' + (data.error || 'Unknown error'));
                 }
@@ -1305,8 +1420,8 @@ app.get('/', (req, res) => {
                 const res = await fetch(\`/api/articles/\${articleId}/rate\`, { method: 'POST' });
                 const data = await res.json();
                 if (data.success) {
-                    alert(\`Rated: \${data.matchScore}/100\`);
-                    location.reload();
+                    alert(\`Rating queued (position \${data.position}). The page will refresh when it finishes.\`);
+                    waitForJob(data.jobId, () => location.reload());
                 } else {
                     alert('Error: ' + (data.error || 'Unknown error'));
                 }
@@ -1351,13 +1466,16 @@ app.get('/', (req, res) => {
                     body: JSON.stringify({ count: 10 })
                 });
                 
-                clearInterval(refreshInterval);
                 const data = await res.json();
                 
                 if (data.success) {
-                    alert(\`Success! Added \${data.added} new articles (checked \${data.attempts} total)\`);
-                    location.reload();
+                    // Keep refreshing while the fetch job runs; articles are described and rated in the background
+                    waitForJob(data.jobId, () => {
+                        clearInterval(refreshInterval);
+                        location.reload();
+                    });
                 } else {
+                    clearInterval(refreshInterval);
                     alert('Error: ' + (data.error || 'Unknown error'));
                     // Show button again on error
                     btn.style.display = 'inline-block';
@@ -1366,9 +1484,10 @@ app.get('/', (req, res) => {
                 }
             } catch (err) {
                 clearInterval(refreshInterval);
-                // Don't show error if it's just a timeout - articles are still being added
-                console.log('Batch add in progress, page will auto-refresh...');
-                // Keep button disabled and keep refreshing
+                alert('Error: ' + err.message);
+                btn.style.display = 'inline-block';
+                status.style.display = 'none';
+                isAddingArticles = false;
             }
         }
     </script>
@@ -1409,6 +1528,30 @@ app.get('/articles/:articleId', (req, res) => {
       .replace(/\r/g, '\\r');
   };
   
+  // Scene ↔ paragraph alignment (computed when the article is rated)
+  const alignment = article.alignment;
+  const alignmentHtml = alignment ? `
+        <div class="content-section">
+            <h2>Scene ↔ Paragraph Alignment</h2>
+            <p class="alignment-summary">
+                ${alignment.paragraphs.length - alignment.uncoveredParagraphs.length} of ${alignment.paragraphs.length} paragraphs illustrated by the video
+                · ${alignment.uncoveredParagraphs.length} without visual coverage
+            </p>
+            ${alignment.paragraphs.map(paragraph => {
+              const coverage = alignment.paragraphCoverage[paragraph.index];
+              const chips = coverage.sceneIds.map(sceneId => {
+                const step = alignment.path.find(s => s.sceneId === sceneId);
+                return `<a href="/api/scenes/${article.articleId}#scene-${sceneId}" class="scene-chip" title="similarity ${step.similarity.toFixed(2)}">🎬 Scene ${sceneId}</a>`;
+              }).join('');
+              return `
+            <div class="alignment-paragraph ${coverage.covered ? 'covered' : 'uncovered'}">
+                <div class="alignment-scenes">${coverage.covered ? chips : '<span class="no-coverage">No visual coverage</span>'}</div>
+                <p>${escapeHtml(paragraph.text)}</p>
+            </div>`;
+            }).join('')}
+        </div>
+  ` : '';
+  
   const html = `
 <!DOCTYPE html>
 <html lang="en">
@@ -1599,6 +1742,28 @@ app.get('/articles/:articleId', (req, res) => {
             font-weight: 600;
         }
         .scenes-link:hover { text-decoration: underline; }
+        .alignment-summary { color: #71767b; font-size: 14px; margin-bottom: 15px; }
+        .alignment-paragraph {
+            border-left: 3px solid #059669;
+            padding: 10px 15px;
+            margin-bottom: 12px;
+            background: #0f1419;
+            border-radius: 0 8px 8px 0;
+        }
+        .alignment-paragraph.uncovered { border-left-color: #dc2626; }
+        .alignment-paragraph p { font-size: 14px; line-height: 1.7; }
+        .alignment-scenes { display: flex; flex-wrap: wrap; gap: 6px; margin-bottom: 8px; }
+        .scene-chip {
+            display: inline-block;
+            padding: 2px 10px;
+            border-radius: 12px;
+            font-size: 12px;
+            background: #064e3b;
+            color: #d1fae5;
+            text-decoration: none;
+        }
+        .scene-chip:hover { background: #059669; }
+        .no-coverage { font-size: 12px; color: #fca5a5; }
     </style>
 </head>
 <body>
@@ -1691,6 +1856,8 @@ app.get('/articles/:articleId', (req, res) => {
             </div>
         </div>
         
+        ${alignmentHtml}
+        
         ${article.sceneData ? `
         <div class="content-section">
             <h2>Scene Analysis</h2>
@@ -1721,11 +1888,12 @@ app.get('/articles/:articleId', (req, res) => {
         if (rateBtn && ratingStatus) {
             async function checkRatingStatus() {
                 try {
-                    const res = await fetch('/api/flags/status');
-                    const data = await res.json();
+                    const res = await fetch('/api/queue/status');
+                    const queues = await res.json();
                     
-                    // Check if this specific article is being rated
-                    const isRating = data.batchAddingData || false; // Simplified check
+                    // Check if this specific article has a queued or running rate job
+                    const isRating = [...queues.rate.processing, ...queues.rate.items]
+                        .some(job => job.articleId === '${article.articleId}');
                     
                     if (isRating) {
                         rateBtn.style.display = 'none';
@@ -1743,6 +1911,25 @@ app.get('/articles/:articleId', (req, res) => {
             setInterval(checkRatingStatus, 3000);
         }
         
+        // Poll the queues until a job is no longer queued or running
+        function waitForJob(jobId, onDone) {
+            const timer = setInterval(async () => {
+                try {
+                    const res = await fetch('/api/queue/status');
+                    const queues = await res.json();
+                    const pending = Object.values(queues).some(queue =>
+                        [...queue.processing, ...queue.items].some(item => item.id === jobId)
+                    );
+                    if (!pending) {
+                        clearInterval(timer);
+                        onDone();
+                    }
+                } catch (err) {
+                    console.error('Error checking queue status:', err);
+                }
+            }, 3000);
+        }
+        
         async function describeArticle() {
             if (!confirm('Describe scenes for this article? This may take a few minutes.')) return;
             
@@ -1750,8 +1937,8 @@ app.get('/articles/:articleId', (req, res) => {
                 const res = await fetch('/api/articles/${article.articleId}/describe', { method: 'POST' });
                 const data = await res.json();
                 if (data.success) {
-                    alert(\`Success! Found \${data.sceneCount} scenes.\`);
-                    location.reload();
+                    alert(\`Describe queued (position \${data.position}). The page will refresh when it finishes.\`);
+                    waitForJob(data.jobId, () => location.reload());
                 } else {
                     alert('Error: ' + (data.error || 'Unknown error'));
                 }
@@ -1775,8 +1962,8 @@ app.get('/articles/:articleId', (req, res) => {
                 const res = await fetch('/api/articles/${article.articleId}/rate', { method: 'POST' });
                 const data = await res.json();
                 if (data.success) {
-                    alert(\`Rated: \${data.matchScore}/100\`);
-                    location.reload();
+                    // Rating runs in the background; reload once the job leaves the queue
+                    waitForJob(data.jobId, () => location.reload());
                 } else {
                     alert('Error: ' + (data.error || 'Unknown error'));
                     // Show button again on error
@@ -2047,7 +2234,7 @@ app.get('/prompts', (req, res) => {
             <h3>How Prompt Ranking Works</h3>
             <p><strong>Score = Semantic Similarity</strong> between AI output and ground truth (0-1 scale, shown as 0-100).</p>
             <p style="margin-top: 10px;">
-                <strong>Same Prompts, Different Tasks:</strong> The prompts below are used for both scene description and video-article matching. During FPO evaluation, each prompt is tested on actual article data (video frames + article text) to measure how well it performs at generating accurate descriptions and match ratings.
+                <strong>Two Populations:</strong> The prompts below are used for scene description. During FPO evaluation, each prompt is tested on actual article data (video frames + article text) to measure how well it performs at generating accurate descriptions. Video-article match ratings use a separate population (<code>data/match-prompts.json</code>), optimized against human match scores.
             </p>
             <p style="margin-top: 10px;">
                 <strong>Scene Description:</strong> AI describes what's happening in video frames. Compared to article text via semantic similarity.<br>
@@ -2314,17 +2501,26 @@ app.use((err, req, res, next) => {
  * Processes queued jobs every 5 seconds
  */
 const startQueueProcessing = () => {
-  const { processQueues } = require('./utils/queue');
+  const { processQueues, reclaimExpiredLeases } = require('./utils/queue');
+  const { cleanupStaleFlags } = require('./utils/flags');
+  const { processFetchJob } = require('./workers/fetchWorker');
+  const { processDescribeJob } = require('./workers/describeWorker');
+  const { processRateJob } = require('./workers/rateWorker');
   const { processFPOJob } = require('./workers/fpoWorker');
   
   const processors = {
+    fetch: processFetchJob,
+    describe: processDescribeJob,
+    rate: processRateJob,
     fpo: processFPOJob,
-    // Add other processors here as needed
-    // fetch: processFetchJob,
-    // describe: processDescribeJob,
-    // rate: processRateJob,
   };
   
+  // Jobs of the previous server process are re-queued right away; other dead workers' jobs once their lease expires
+  reclaimExpiredLeases();
+  
+  // Flags left behind by a crashed process would otherwise block their operation
+  cleanupStaleFlags();
+  
   // Process queues every 5 seconds
   setInterval(async () => {
     try {
@@ -2352,11 +2548,20 @@ const startServer = async () => {
     startQueueProcessing();
     log.info('Queue processing started');
 
+    // Start scheduled recurring jobs
+    if (config.scheduler.enabled) {
+      const { startScheduler } = require('./utils/scheduler');
+      startScheduler();
+      log.info('Scheduler started');
+    }
+
     // Start server
     server = app.listen(config.port, () => {
       log.info(`Prompt Reels API running on port ${config.port}`);
       log.info(`Environment: ${config.nodeEnv}`);
-      log.info(`Primary AI: ${config.aiProvider === 'azure' ? `Azure ${config.azureOpenAI.deploymentName}` : `Gemini ${config.geminiModel}`}`);
+      const { getProvider, getPrimaryProvider } = require('./providers');
+      const primary = getProvider(getPrimaryProvider());
+      log.info(`Primary AI: ${primary.label} ${primary.getModel()}`);
       log.info(`Weave project: ${config.wandbProject}`);
       log.info(`Health check: http://localhost:${config.port}/health`);
     });
@@ -0,0 +1,56 @@
+/**
+ * Azure OpenAI provider
+ * Chat deployment AZURE_DEPLOYMENT_NAME, embeddings deployment
+ * AZURE_EMBEDDING_DEPLOYMENT_NAME (optional).
+ */
+
+const { AzureOpenAI } = require('openai');
+const config = require('../config');
+const { createChatCompletion } = require('./openaiChat');
+
+let client = null;
+
+const getClient = () => {
+  if (!config.azureOpenAI.apiKey) {
+    throw new Error('Azure OpenAI client not initialized');
+  }
+  if (!client) {
+    client = new AzureOpenAI({
+      apiKey: config.azureOpenAI.apiKey,
+      endpoint: config.azureOpenAI.endpoint,
+      apiVersion: config.azureOpenAI.apiVersion,
+    });
+  }
+  return client;
+};
+
+module.exports = {
+  name: 'azure',
+  label: 'Azure OpenAI',
+
+  isConfigured: () => !!(config.azureOpenAI.apiKey && config.azureOpenAI.endpoint),
+
+  getModel: () => config.azureOpenAI.deploymentName,
+
+  getEmbeddingModel: () => config.embeddings.azureDeploymentName || null,
+
+  generateText: (prompt, options = {}) => {
+    return createChatCompletion(getClient(), config.azureOpenAI.deploymentName, prompt, [], options);
+  },
+
+  generateWithImages: (prompt, images, options = {}) => {
+    return createChatCompletion(getClient(), config.azureOpenAI.deploymentName, prompt, images, options);
+  },
+
+  embed: async (text) => {
+    if (!config.embeddings.azureDeploymentName) {
+      throw new Error('AZURE_EMBEDDING_DEPLOYMENT_NAME is not configured');
+    }
+
+    const response = await getClient().embeddings.create({
+      model: config.embeddings.azureDeploymentName,
+      input: text,
+    });
+    return response.data[0].embedding;
+  },
+};
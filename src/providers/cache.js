@@ -0,0 +1,314 @@
+/**
+ * Record-and-replay cache of model calls
+ *
+ * generateText / generateWithImages results are stored in data/model-cache/,
+ * keyed by a hash of provider, model, method, prompt, generation options and
+ * image hashes, so re-processing a video or re-running FPO doesn't repeat
+ * identical paid calls. Modes (MODEL_CACHE_MODE):
+ *   off          - no caching (default)
+ *   read-write   - serve hits, call the provider and store on a miss
+ *   replay-only  - serve hits, fail on a miss without calling (tests); ignores the TTL
+ *   record       - always call the provider and overwrite the entry
+ * Embeddings have their own cache (src/core/embeddings.js).
+ */
+
+const fs = require('fs');
+const path = require('path');
+const crypto = require('crypto');
+const config = require('../config');
+const { writeJsonAtomic } = require('../utils/jsonFile');
+
+const CACHE_MODES = ['off', 'read-write', 'replay-only', 'record'];
+const CACHE_DIR = path.join(config.dataDir, 'model-cache');
+
+const stats = {
+  hits: 0,
+  misses: 0,
+  writes: 0,
+  expired: 0,
+  evictions: 0,
+};
+
+// key -> { path, size, usedAt } of the entries on disk (built on first use)
+let entries = null;
+let totalBytes = 0;
+
+/**
+ * Error for a call that has no recorded output (no provider was called, so it
+ * doesn't count against the provider's circuit)
+ */
+const cacheMiss = (message) => {
+  const error = new Error(message);
+  error.code = 'CACHE_MISS';
+  return error;
+};
+
+const sha256 = (value) => crypto.createHash('sha256').update(value).digest('hex');
+
+/**
+ * Cache key of a call
+ * @param {object} provider - Provider
+ * @param {string} method - generateText or generateWithImages
+ * @param {string} prompt - Prompt
+ * @param {Array} images - [{ data, mimeType }]
+ * @param {Object} options - { system, maxTokens, temperature, json }
+ * @returns {string} Hex key
+ */
+const getCacheKey = (provider, method, prompt, images = [], options = {}) => {
+  const { system = null, maxTokens = null, temperature = null, json = false } = options;
+  return sha256(JSON.stringify({
+    provider: provider.name,
+    model: provider.getModel(),
+    method,
+    prompt,
+    options: { system, maxTokens, temperature, json },
+    images: images.map(image => `${image.mimeType}:${sha256(image.data)}`),
+  }));
+};
+
+const getEntryPath = (key) => path.join(CACHE_DIR, key.substring(0, 2), `${key}.json`);
+
+/**
+ * Index the entries on disk (sizes and last use, for the size limit)
+ */
+const loadEntries = () => {
+  if (entries) {
+    return entries;
+  }
+
+  entries = new Map();
+  totalBytes = 0;
+  if (!fs.existsSync(CACHE_DIR)) {
+    return entries;
+  }
+
+  for (const shard of fs.readdirSync(CACHE_DIR)) {
+    const shardDir = path.join(CACHE_DIR, shard);
+    if (!fs.statSync(shardDir).isDirectory()) {
+      continue;
+    }
+    for (const file of fs.readdirSync(shardDir).filter(f => f.endsWith('.json'))) {
+      const entryPath = path.join(shardDir, file);
+      const { size, mtimeMs } = fs.statSync(entryPath);
+      entries.set(path.basename(file, '.json'), { path: entryPath, size, usedAt: mtimeMs });
+      totalBytes += size;
+    }
+  }
+  return entries;
+};
+
+const removeEntry = (key) => {
+  const entry = loadEntries().get(key);
+  if (!entry) {
+    return;
+  }
+  try {
+    fs.unlinkSync(entry.path);
+  } catch (error) {
+    // Already gone
+  }
+  entries.delete(key);
+  totalBytes -= entry.size;
+};
+
+/**
+ * Evict least recently used entries until the cache fits its size limit
+ */
+const enforceSizeLimit = () => {
+  const { maxBytes } = config.modelCache;
+  if (!maxBytes || totalBytes <= maxBytes) {
+    return;
+  }
+
+  // Evict down to 90% so every write doesn't trigger another pass
+  const target = maxBytes * 0.9;
+  const oldestFirst = [...loadEntries().entries()].sort((a, b) => a[1].usedAt - b[1].usedAt);
+  for (const [key] of oldestFirst) {
+    if (totalBytes <= target) {
+      break;
+    }
+    removeEntry(key);
+    stats.evictions++;
+  }
+};
+
+/**
+ * Cached entry for a key, or null on a miss
+ * @param {boolean} ignoreTtl - Serve expired entries (replay-only)
+ */
+const readEntry = (key, ignoreTtl = false) => {
+  const indexed = loadEntries().get(key);
+  if (!indexed) {
+    return null;
+  }
+
+  try {
+    const entry = JSON.parse(fs.readFileSync(indexed.path, 'utf8'));
+    const age = Date.now() - new Date(entry.createdAt).getTime();
+    if (!ignoreTtl && config.modelCache.ttlMs && age > config.modelCache.ttlMs) {
+      stats.expired++;
+      removeEntry(key);
+      return null;
+    }
+
+    // Mark as recently used for the size limit
+    const now = new Date();
+    fs.utimesSync(indexed.path, now, now);
+    indexed.usedAt = now.getTime();
+    return entry;
+  } catch (error) {
+    console.error(`Error reading model cache entry ${key}: ${error.message}`);
+    removeEntry(key);
+    return null;
+  }
+};
+
+const writeEntry = (key, entry) => {
+  try {
+    const entryPath = getEntryPath(key);
+    const previous = loadEntries().get(key);
+    fs.mkdirSync(path.dirname(entryPath), { recursive: true });
+    const size = writeJsonAtomic(entryPath, entry, { indent: 0 });
+
+    if (previous) {
+      totalBytes -= previous.size;
+    }
+    entries.set(key, { path: entryPath, size, usedAt: Date.now() });
+    totalBytes += size;
+    stats.writes++;
+    enforceSizeLimit();
+  } catch (error) {
+    console.error(`Error writing model cache entry: ${error.message}`);
+  }
+};
+
+/**
+ * Run a model call through the cache
+ * @param {object} provider - Provider
+ * @param {string} method - generateText or generateWithImages
+ * @param {Array} args - [prompt, images, options]
+ * @param {Function} call - async () => output (the actual provider call)
+ * @returns {Promise<string>} Output
+ * @throws {Error} On a miss in replay-only mode
+ */
+const cachedCall = async (provider, method, [prompt, images, options], call) => {
+  const { mode } = config.modelCache;
+  const key = getCacheKey(provider, method, prompt, images, options);
+
+  if (mode !== 'record') {
+    const entry = readEntry(key, mode === 'replay-only');
+    if (entry) {
+      stats.hits++;
+      return entry.output;
+    }
+    stats.misses++;
+    if (mode === 'replay-only') {
+      throw cacheMiss(`Model cache miss in replay-only mode (${provider.name} ${method}, key ${key.substring(0, 12)})`);
+    }
+  }
+
+  const output = await call();
+  writeEntry(key, {
+    provider: provider.name,
+    model: provider.getModel(),
+    method,
+    promptPreview: prompt.substring(0, 200),
+    imageCount: images.length,
+    output,
+    createdAt: new Date().toISOString(),
+  });
+  return output;
+};
+
+/**
+ * Provider whose generateText / generateWithImages go through the cache
+ * (the provider itself when the cache is off)
+ */
+const withCache = (provider) => {
+  if (config.modelCache.mode === 'off') {
+    return provider;
+  }
+
+  return {
+    ...provider,
+    generateText: (prompt, options = {}) => {
+      return cachedCall(provider, 'generateText', [prompt, [], options], () => provider.generateText(prompt, options));
+    },
+    generateWithImages: (prompt, images, options = {}) => {
+      return cachedCall(provider, 'generateWithImages', [prompt, images, options], () => {
+        return provider.generateWithImages(prompt, images, options);
+      });
+    },
+  };
+};
+
+/**
+ * Provider that only serves recorded calls, or null when the cache doesn't
+ * serve entries (off, record)
+ * generateText / generateWithImages return the cached output; a miss, and any
+ * other call that would reach the provider, throws a CACHE_MISS error. Misses
+ * aren't counted here, the provider call that follows counts them.
+ */
+const withCacheOnly = (provider) => {
+  const { mode } = config.modelCache;
+  if (mode === 'off' || mode === 'record') {
+    return null;
+  }
+
+  const replay = (method, prompt, images, options) => {
+    const key = getCacheKey(provider, method, prompt, images, options);
+    const entry = readEntry(key, mode === 'replay-only');
+    if (!entry) {
+      return Promise.reject(cacheMiss(`No recorded ${method} call for ${provider.name}`));
+    }
+    stats.hits++;
+    return Promise.resolve(entry.output);
+  };
+
+  return {
+    ...Object.fromEntries(Object.entries(provider).map(([name, value]) => [
+      name,
+      typeof value === 'function'
+        ? () => Promise.reject(cacheMiss(`${provider.name} ${name} is not cached`))
+        : value,
+    ])),
+    isConfigured: provider.isConfigured,
+    getModel: provider.getModel,
+    getEmbeddingModel: provider.getEmbeddingModel,
+    generateText: (prompt, options = {}) => replay('generateText', prompt, [], options),
+    generateWithImages: (prompt, images, options = {}) => replay('generateWithImages', prompt, images, options),
+  };
+};
+
+/**
+ * Cache mode, limits, size and hit/miss counters (for /health)
+ */
+const getCacheStats = () => {
+  const { mode, ttlMs, maxBytes } = config.modelCache;
+  if (mode === 'off') {
+    return { mode };
+  }
+
+  const lookups = stats.hits + stats.misses;
+  return {
+    mode,
+    ttlHours: ttlMs ? ttlMs / 3600000 : null,
+    maxMB: maxBytes ? maxBytes / 1048576 : null,
+    entries: loadEntries().size,
+    sizeBytes: totalBytes,
+    ...stats,
+    hitRate: lookups > 0 ? Math.round((stats.hits / lookups) * 1000) / 1000 : null,
+  };
+};
+
+if (!CACHE_MODES.includes(config.modelCache.mode)) {
+  throw new Error(`MODEL_CACHE_MODE must be one of: ${CACHE_MODES.join(', ')}`);
+}
+
+module.exports = {
+  CACHE_MODES,
+  getCacheKey,
+  withCache,
+  withCacheOnly,
+  getCacheStats,
+};
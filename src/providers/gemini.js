@@ -0,0 +1,63 @@
+/**
+ * Google Gemini provider
+ * Chat model GEMINI_MODEL, embeddings model GEMINI_EMBEDDING_MODEL.
+ */
+
+const { GoogleGenerativeAI } = require('@google/generative-ai');
+const config = require('../config');
+
+let client = null;
+
+const getClient = () => {
+  if (!config.googleApiKey) {
+    throw new Error('Gemini client not initialized');
+  }
+  if (!client) {
+    client = new GoogleGenerativeAI(config.googleApiKey);
+  }
+  return client;
+};
+
+const getModelClient = ({ system = null, maxTokens = null, temperature, json = false } = {}) => {
+  return getClient().getGenerativeModel({
+    model: config.geminiModel,
+    ...(system ? { systemInstruction: system } : {}),
+    generationConfig: {
+      ...(temperature !== undefined ? { temperature } : {}),
+      ...(maxTokens ? { maxOutputTokens: maxTokens } : {}),
+      ...(json ? { responseMimeType: 'application/json' } : {}),
+    },
+  });
+};
+
+const generate = async (content, options) => {
+  const result = await getModelClient(options).generateContent(content);
+  const response = await result.response;
+  return response.text();
+};
+
+module.exports = {
+  name: 'gemini',
+  label: 'Google Gemini',
+
+  isConfigured: () => !!config.googleApiKey,
+
+  getModel: () => config.geminiModel,
+
+  getEmbeddingModel: () => config.embeddings.geminiModel || null,
+
+  generateText: (prompt, options = {}) => generate(prompt, options),
+
+  generateWithImages: (prompt, images, options = {}) => {
+    return generate([
+      prompt,
+      ...images.map(image => ({ inlineData: { data: image.data, mimeType: image.mimeType } })),
+    ], options);
+  },
+
+  embed: async (text) => {
+    const model = getClient().getGenerativeModel({ model: config.embeddings.geminiModel });
+    const result = await model.embedContent(text);
+    return result.embedding.values;
+  },
+};
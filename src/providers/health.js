@@ -0,0 +1,131 @@
+/**
+ * Provider health: a circuit breaker per provider
+ *
+ * Every call outcome is counted. After PROVIDER_FAILURE_THRESHOLD consecutive
+ * failures the circuit opens and fallback chains skip the provider for
+ * PROVIDER_COOLDOWN_SECONDS. Then it is half-open: one call is let through as
+ * a probe (others keep skipping it). A successful probe closes the circuit, a
+ * failed one opens it for another cooldown. Rate limit errors (429) are left
+ * to the limiter (./rateLimit.js) and don't count as failures.
+ */
+
+const config = require('../config');
+
+const CLOSED = 'closed';
+const OPEN = 'open';
+const HALF_OPEN = 'half-open';
+
+// name -> { state, successes, failures, consecutiveFailures, lastError, lastFailureAt, lastSuccessAt, openUntil, probing }
+const health = new Map();
+
+const getEntry = (name) => {
+  if (!health.has(name)) {
+    health.set(name, {
+      state: CLOSED,
+      successes: 0,
+      failures: 0,
+      consecutiveFailures: 0,
+      lastError: null,
+      lastFailureAt: null,
+      lastSuccessAt: null,
+      openUntil: 0,
+      probing: false,
+    });
+  }
+  return health.get(name);
+};
+
+/**
+ * Current state (an open circuit whose cooldown has passed is half-open)
+ */
+const getState = (name) => {
+  const entry = getEntry(name);
+  if (entry.state === OPEN && entry.openUntil <= Date.now()) {
+    entry.state = HALF_OPEN;
+    entry.probing = false;
+  }
+  return entry.state;
+};
+
+const openCircuit = (name, entry) => {
+  entry.state = OPEN;
+  entry.openUntil = Date.now() + config.providers.health.cooldownMs;
+  entry.probing = false;
+  console.warn(`⚠️  Provider ${name} circuit open for ${config.providers.health.cooldownMs / 1000}s after ${entry.consecutiveFailures} consecutive failures`);
+};
+
+/**
+ * Whether a call may go to the provider now; claims the probe of a half-open circuit
+ * Call recordSuccess, recordFailure or releaseProbe afterwards.
+ */
+const allowRequest = (name) => {
+  const state = getState(name);
+  if (state === CLOSED) {
+    return true;
+  }
+  const entry = getEntry(name);
+  if (state === HALF_OPEN && !entry.probing) {
+    entry.probing = true;
+    console.log(`🔁 Probing provider ${name} (circuit half-open)`);
+    return true;
+  }
+  return false;
+};
+
+const recordSuccess = (name) => {
+  const entry = getEntry(name);
+  if (entry.state !== CLOSED) {
+    console.log(`✓ Provider ${name} circuit closed`);
+  }
+  entry.state = CLOSED;
+  entry.successes++;
+  entry.consecutiveFailures = 0;
+  entry.lastSuccessAt = new Date().toISOString();
+  entry.openUntil = 0;
+  entry.probing = false;
+};
+
+const recordFailure = (name, error) => {
+  const entry = getEntry(name);
+  entry.failures++;
+  entry.consecutiveFailures++;
+  entry.lastError = error.message;
+  entry.lastFailureAt = new Date().toISOString();
+
+  if (getState(name) === HALF_OPEN
+    || (entry.state === CLOSED && entry.consecutiveFailures >= config.providers.health.failureThreshold)) {
+    openCircuit(name, entry);
+  }
+};
+
+/**
+ * Give back a half-open probe that ended without an outcome (e.g. rate limited)
+ */
+const releaseProbe = (name) => {
+  getEntry(name).probing = false;
+};
+
+const isHealthy = (name) => getState(name) === CLOSED;
+
+/**
+ * Circuit state and counters of a provider (for status endpoints)
+ */
+const getCircuitState = (name) => {
+  const state = getState(name);
+  const { openUntil, probing, ...counters } = getEntry(name);
+  return {
+    ...counters,
+    state,
+    healthy: state === CLOSED,
+    openUntil: state === OPEN ? new Date(openUntil).toISOString() : null,
+  };
+};
+
+module.exports = {
+  allowRequest,
+  recordSuccess,
+  recordFailure,
+  releaseProbe,
+  isHealthy,
+  getCircuitState,
+};
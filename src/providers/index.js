@@ -0,0 +1,282 @@
+/**
+ * AI provider registry
+ *
+ * Every module in this directory that exports a provider is registered under
+ * its `name`, so adding a provider is one module. A provider implements:
+ *   name, label, isConfigured(), getModel(), getEmbeddingModel(),
+ *   generateText(prompt, options), generateWithImages(prompt, images, options),
+ *   embed(text)
+ * with options { system, maxTokens, temperature, json } and images
+ * [{ data (base64), mimeType }].
+ *
+ * Calls run through the fallback chain of their task (config.providers):
+ * a task chain if configured, else the primary provider (AI_PROVIDER, or the
+ * one set with setPrimaryProvider / POST /api/provider) followed by
+ * PROVIDER_CHAIN or the other providers. Providers that aren't configured or
+ * whose circuit is open (./health.js) are skipped, ones waiting out a 429 are
+ * tried last. A per-call context (createProviderContext) can put a provider
+ * first for one request without touching the primary provider. Calls are
+ * kept within each provider's rate limits (./rateLimit.js), and text and image
+ * calls go through the record-and-replay cache (./cache.js) when it is enabled.
+ */
+
+const fs = require('fs');
+const path = require('path');
+const config = require('../config');
+const { withCache, withCacheOnly } = require('./cache');
+const { allowRequest, recordSuccess, recordFailure, releaseProbe, isHealthy, getCircuitState } = require('./health');
+const { withRateLimit, getBlockedMs, getRateLimitState } = require('./rateLimit');
+const { invalidOption } = require('../utils/errors');
+
+const PROVIDER_METHODS = ['isConfigured', 'getModel', 'getEmbeddingModel', 'generateText', 'generateWithImages', 'embed'];
+const TASKS = Object.keys(config.providers.tasks);
+// Errors raised before or instead of a provider call; they don't count against its circuit
+const LOCAL_ERROR_CODES = ['CACHE_MISS', 'INVALID_OPTION'];
+
+const providers = new Map();
+let primaryProvider = config.aiProvider;
+
+const isProvider = (candidate) => {
+  return !!candidate
+    && typeof candidate.name === 'string'
+    && PROVIDER_METHODS.every(method => typeof candidate[method] === 'function');
+};
+
+/**
+ * Register a provider (replaces one with the same name)
+ */
+const registerProvider = (provider) => {
+  if (!isProvider(provider)) {
+    throw new Error(`A provider needs a name and ${PROVIDER_METHODS.join(', ')}`);
+  }
+  providers.set(provider.name, provider);
+};
+
+/**
+ * Register the provider modules of this directory
+ */
+const loadProviders = () => {
+  for (const file of fs.readdirSync(__dirname).sort()) {
+    if (!file.endsWith('.js') || file === 'index.js') {
+      continue;
+    }
+    const candidate = require(path.join(__dirname, file));
+    if (isProvider(candidate)) {
+      registerProvider(candidate);
+    }
+  }
+};
+
+/**
+ * Get a provider by name
+ * @throws {Error} For unknown providers
+ */
+const getProvider = (name) => {
+  const provider = providers.get(name);
+  if (!provider) {
+    throw invalidOption(`Unknown AI provider "${name}". Available: ${[...providers.keys()].join(', ')}`);
+  }
+  return provider;
+};
+
+const getProviderNames = () => [...providers.keys()];
+
+/**
+ * Provider names of a task's chain, configured or not
+ */
+const getChainNames = (task) => {
+  const taskChain = config.providers.tasks[task];
+  if (taskChain) {
+    return taskChain;
+  }
+  const rest = config.providers.chain || getProviderNames();
+  return [primaryProvider, ...rest.filter(name => name !== primaryProvider)];
+};
+
+/**
+ * Provider context for one request or job, passed to the model tasks as
+ * `options.context`
+ * @param {Object} options - { provider: tried first (default: chain order), fallback: false to use only that provider }
+ * @returns {object} Context
+ * @throws {Error} For unknown or unconfigured providers
+ */
+const createProviderContext = ({ provider = null, fallback = true } = {}) => {
+  if (provider && !getProvider(provider).isConfigured()) {
+    throw invalidOption(`AI provider "${provider}" is not configured`);
+  }
+  return { provider, fallback };
+};
+
+/**
+ * Configured providers of a task's fallback chain, in order
+ * @param {string} task - describe, title, format, text, rating, evolution or embedding
+ * @param {object} context - Provider context (optional)
+ * @returns {Array<object>} Providers
+ */
+const getProviderChain = (task = 'text', context = null) => {
+  const names = getChainNames(task);
+  const ordered = context?.provider
+    ? [context.provider, ...(context.fallback === false ? [] : names.filter(name => name !== context.provider))]
+    : names;
+  return ordered
+    .map(getProvider)
+    .filter(provider => provider.isConfigured());
+};
+
+/**
+ * Providers in chain order, those blocked by a 429 last (soonest available first)
+ */
+const orderByAvailability = (chain) => {
+  return chain
+    .map(provider => ({ provider, blockedMs: getBlockedMs(provider.name) }))
+    .sort((a, b) => a.blockedMs - b.blockedMs)
+    .map(({ provider }) => provider);
+};
+
+/**
+ * Run an operation with the first provider of the task's chain that succeeds
+ * Recorded calls are served from the model cache first, even while a
+ * provider's circuit is open; otherwise providers with an open circuit are
+ * skipped. A context's provider goes first.
+ * @param {string} task - Task name (selects the chain)
+ * @param {string} label - What is being done, for logs and errors (e.g. "describe scene 3")
+ * @param {Function} operation - async (provider) => result
+ * @param {object} context - Provider context (optional, see createProviderContext)
+ * @returns {Promise<*>} Result of the first successful provider
+ */
+const runWithFallback = async (task, label, operation, context = null) => {
+  const configured = getProviderChain(task, context);
+  if (configured.length === 0) {
+    throw new Error(`No configured AI provider to ${label} (chain: ${getChainNames(task).join(', ')})`);
+  }
+  const chain = context?.provider
+    ? [configured[0], ...orderByAvailability(configured.slice(1))]
+    : orderByAvailability(configured);
+
+  const tried = [];
+  let lastError = null;
+  for (const provider of chain) {
+    const cached = withCacheOnly(provider);
+    if (cached) {
+      try {
+        return await operation(cached);
+      } catch (error) {
+        if (error.code !== 'CACHE_MISS') {
+          // The recorded output itself was rejected; calling again would replay it
+          tried.push(provider.name);
+          lastError = error;
+          console.error(`Error trying to ${label} with ${provider.name} (cached):`, error.message);
+          continue;
+        }
+      }
+    }
+
+    if (!allowRequest(provider.name)) {
+      continue;
+    }
+    if (tried.length > 0) {
+      console.log(`Switching to ${provider.name} to ${label}`);
+    }
+    tried.push(provider.name);
+
+    try {
+      const result = await operation(withCache(withRateLimit(provider)));
+      recordSuccess(provider.name);
+      return result;
+    } catch (error) {
+      lastError = error;
+      // Rate limits are handled by the limiter and local errors aren't the
+      // provider's fault, so neither counts against the circuit
+      if (error.rateLimited || LOCAL_ERROR_CODES.includes(error.code)) {
+        releaseProbe(provider.name);
+      } else {
+        recordFailure(provider.name, error);
+      }
+      console.error(`Error trying to ${label} with ${provider.name}:`, error.message);
+    }
+  }
+
+  if (tried.length === 0) {
+    throw new Error(`No AI provider available to ${label}: circuit open for ${chain.map(provider => provider.name).join(', ')}`);
+  }
+  throw new Error(`Failed to ${label} after trying ${tried.join(', ')}: ${lastError.message}`);
+};
+
+const getPrimaryProvider = () => primaryProvider;
+
+/**
+ * Change the primary provider (first in every chain without a task override)
+ */
+const setPrimaryProvider = (name) => {
+  getProvider(name);
+  primaryProvider = name;
+  const timestamp = new Date().toISOString().replace('T', ' ').substring(0, 19);
+  console.log(`✓  ${timestamp} AI Provider switched to: ${primaryProvider}`);
+};
+
+/**
+ * Describe registered providers and chains (for logs and status endpoints)
+ */
+const listProviders = () => {
+  return getProviderNames().map(name => {
+    const provider = getProvider(name);
+    return {
+      name,
+      label: provider.label || name,
+      configured: provider.isConfigured(),
+      primary: name === primaryProvider,
+      healthy: isHealthy(name),
+      model: provider.getModel() || null,
+      embeddingModel: provider.getEmbeddingModel() || null,
+    };
+  });
+};
+
+/**
+ * Circuit breaker and rate limit state of the configured providers (for status endpoints)
+ */
+const getProviderStates = () => {
+  return Object.fromEntries(getProviderNames()
+    .filter(name => getProvider(name).isConfigured())
+    .map(name => [name, { ...getCircuitState(name), rateLimit: getRateLimitState(name) }]));
+};
+
+const getChains = () => Object.fromEntries(
+  ['default', ...TASKS].map(task => [task, getChainNames(task)])
+);
+
+/**
+ * Check that every configured chain only names registered providers
+ */
+const validateChains = () => {
+  getProvider(primaryProvider);
+  for (const task of ['default', ...TASKS]) {
+    getChainNames(task).forEach(getProvider);
+  }
+};
+
+loadProviders();
+validateChains();
+
+console.log(`✓ AI providers initialized (Primary: ${primaryProvider})`);
+getProviderChain('default').forEach((provider, index) => {
+  console.log(`  → ${provider.label}${index > 0 ? ' fallback' : ''}: ${provider.getModel()}`);
+});
+if (config.modelCache.mode !== 'off') {
+  console.log(`  → Model cache: ${config.modelCache.mode}`);
+}
+
+module.exports = {
+  TASKS,
+  registerProvider,
+  getProvider,
+  getProviderNames,
+  createProviderContext,
+  getProviderChain,
+  runWithFallback,
+  getPrimaryProvider,
+  setPrimaryProvider,
+  listProviders,
+  getProviderStates,
+  getChains,
+};
@@ -0,0 +1,171 @@
+/**
+ * Deterministic mock provider for offline runs and tests (AI_PROVIDER=mock)
+ * No network calls: every output is derived from a hash of the input (prompt,
+ * system message and images, or the audio bytes), so the same input always
+ * gives the same description, title, rating or transcript.
+ *
+ * Recorded outputs can be replayed instead: with MOCK_FIXTURES_DIR set, a call
+ * whose key (see fixtureKey) has a `<key>.json` file there returns its `output`.
+ */
+
+const crypto = require('crypto');
+const fs = require('fs');
+const path = require('path');
+const config = require('../config');
+
+const SUBJECTS = [
+  'a news anchor', 'a crowd of people', 'a city street', 'a football pitch', 'a mountain road',
+  'a press conference', 'a harbour', 'a laboratory', 'a classroom', 'a market square',
+];
+const ACTIONS = [
+  'moving across the frame', 'speaking to the camera', 'gathered in the centre', 'shown from above',
+  'lit by bright colours', 'seen in a wide shot', 'filmed in close-up',
+];
+const DETAILS = [
+  'bold graphics overlay the picture', 'the background is plain and static',
+  'text appears at the bottom of the screen', 'the camera pans slowly', 'colours shift between shots',
+];
+const PROMPT_ADDITIONS = [
+  'Mention any visible text.', 'Note the setting and atmosphere.', 'Name the main subjects first.',
+  'Describe the main action in one sentence.', 'Point out what changes between frames.',
+];
+
+const sha256 = (value) => crypto.createHash('sha256').update(value).digest('hex');
+
+/**
+ * Fixture key of a call: sha256 of the call kind, prompt, system message and image hashes
+ * @param {string} kind - 'text', 'images' or 'transcribe'
+ * @param {string} prompt - Prompt (for transcriptions: mode and target language)
+ * @param {Object} options - { system, images: [{ data }] }
+ * @returns {string} Hex key
+ */
+const fixtureKey = (kind, prompt, { system = null, images = [] } = {}) => {
+  return sha256(JSON.stringify({
+    kind,
+    prompt,
+    system,
+    images: images.map(image => sha256(image.data)),
+  }));
+};
+
+/**
+ * Recorded output for a key, or undefined
+ */
+const readFixture = (key) => {
+  if (!config.mock.fixturesDir) {
+    return undefined;
+  }
+  const fixturePath = path.join(config.mock.fixturesDir, `${key}.json`);
+  if (!fs.existsSync(fixturePath)) {
+    return undefined;
+  }
+  return JSON.parse(fs.readFileSync(fixturePath, 'utf8')).output;
+};
+
+// Pick an item of `list` with byte `index` of the hex key
+const pick = (list, key, index) => list[parseInt(key.substr(index * 2, 2), 16) % list.length];
+
+const capitalize = (text) => text.charAt(0).toUpperCase() + text.slice(1);
+
+const describe = (key, frameCount) => {
+  return `${capitalize(pick(SUBJECTS, key, 0))} ${pick(ACTIONS, key, 1)}; ${pick(DETAILS, key, 2)}. `
+    + `(mock ${key.substring(0, 8)}, ${frameCount} frame${frameCount === 1 ? '' : 's'})`;
+};
+
+/**
+ * Match result JSON covering the scene ids the rating prompt asks for
+ */
+const rate = (prompt, key) => {
+  const idsMatch = prompt.match(/each scene id: ([\d, ]+)/);
+  const sceneIds = idsMatch ? idsMatch[1].split(',').map(id => parseInt(id, 10)).filter(Number.isInteger) : [];
+
+  return JSON.stringify({
+    score: 20 + parseInt(key.substring(0, 2), 16) % 71,
+    explanation: `Mock rating ${key.substring(0, 8)}: ${sceneIds.length} scene(s) compared with the article.`,
+    perSceneRelevance: sceneIds.map((sceneId, index) => ({
+      sceneId,
+      relevance: Math.round(parseInt(key.substr((index % 16) * 2 + 2, 2), 16) / 255 * 100) / 100,
+      reason: `Mock relevance of scene ${sceneId}`,
+    })),
+  });
+};
+
+/**
+ * Text output by prompt kind (titles, transcript formatting, prompt evolution, ratings)
+ */
+const respond = (prompt, key, json) => {
+  if (json) {
+    return rate(prompt, key);
+  }
+
+  if (prompt.includes('Create a short, descriptive title')) {
+    return capitalize(`${pick(SUBJECTS, key, 0)} ${pick(ACTIONS, key, 1)}`);
+  }
+
+  const transcript = prompt.match(/Original transcript:\n([\s\S]*?)\n\nReturn ONLY/);
+  if (transcript) {
+    return transcript[1].trim();
+  }
+
+  if (prompt.includes('Return ONLY the new prompt text')) {
+    // Keep the first parent (and its placeholders), add one instruction
+    const parent = prompt.match(/"([^"]+)"/);
+    return `${parent ? parent[1] : 'Describe the scene.'} ${pick(PROMPT_ADDITIONS, key, 0)}`;
+  }
+
+  return `Mock response ${key.substring(0, 8)}`;
+};
+
+module.exports = {
+  name: 'mock',
+  label: 'Mock',
+
+  // Only in the fallback chains when selected, so real runs never get mock output
+  isConfigured: () => config.mock.enabled,
+
+  getModel: () => 'mock',
+
+  getEmbeddingModel: () => 'mock-embedding',
+
+  fixtureKey,
+
+  generateText: async (prompt, options = {}) => {
+    const key = fixtureKey('text', prompt, options);
+    const fixture = readFixture(key);
+    return fixture !== undefined ? fixture : respond(prompt, key, options.json);
+  },
+
+  generateWithImages: async (prompt, images, options = {}) => {
+    const key = fixtureKey('images', prompt, { ...options, images });
+    const fixture = readFixture(key);
+    if (fixture !== undefined) {
+      return fixture;
+    }
+    return options.json ? rate(prompt, key) : describe(key, images.length);
+  },
+
+  embed: async (text) => {
+    // Same deterministic bag-of-words vectors as the local embedding model
+    const { localEmbedding } = require('../core/embeddings');
+    return localEmbedding(text);
+  },
+
+  /**
+   * Transcribe an audio file (used instead of Whisper while mock is primary)
+   * @returns {Promise<Object|null>} { text, language }
+   */
+  transcribe: async (audioPath, { targetLanguage = null, mode = 'transcriptions' } = {}) => {
+    // The audio file is hashed like an image
+    const key = fixtureKey('transcribe', `${mode}:${targetLanguage || ''}`, {
+      images: [{ data: fs.readFileSync(audioPath) }],
+    });
+    const fixture = readFixture(key);
+    if (fixture !== undefined) {
+      return fixture;
+    }
+    return {
+      text: `The speaker talks about ${pick(SUBJECTS, key, 0)} ${pick(ACTIONS, key, 1)} (mock ${key.substring(0, 8)}).`,
+      language: mode === 'translations' ? 'english' : (targetLanguage || 'english').toLowerCase(),
+    };
+  },
+};
@@ -0,0 +1,62 @@
+/**
+ * Generic OpenAI-compatible provider
+ * Works with the OpenAI API and local servers exposing /v1/chat/completions
+ * (vLLM, llama.cpp, Ollama, LM Studio): set OPENAI_COMPATIBLE_BASE_URL,
+ * OPENAI_COMPATIBLE_MODEL and, for embeddings, OPENAI_COMPATIBLE_EMBEDDING_MODEL.
+ */
+
+const { OpenAI } = require('openai');
+const config = require('../config');
+const { createChatCompletion } = require('./openaiChat');
+
+let client = null;
+
+const getClient = () => {
+  if (!config.openaiCompatible.baseUrl) {
+    throw new Error('OPENAI_COMPATIBLE_BASE_URL is not configured');
+  }
+  if (!client) {
+    client = new OpenAI({
+      baseURL: config.openaiCompatible.baseUrl,
+      // Local servers usually ignore the key, but the SDK requires one
+      apiKey: config.openaiCompatible.apiKey || 'not-needed',
+    });
+  }
+  return client;
+};
+
+// Local servers don't all accept max_completion_tokens yet
+const withTokenParam = (options) => ({ ...options, maxTokensParam: 'max_tokens' });
+
+module.exports = {
+  name: 'openai',
+  label: 'OpenAI-compatible',
+
+  isConfigured: () => !!(config.openaiCompatible.baseUrl && config.openaiCompatible.model),
+
+  getModel: () => config.openaiCompatible.model,
+
+  getEmbeddingModel: () => config.openaiCompatible.embeddingModel || null,
+
+  generateText: (prompt, options = {}) => {
+    return createChatCompletion(getClient(), config.openaiCompatible.model, prompt, [], withTokenParam(options));
+  },
+
+  generateWithImages: (prompt, images, options = {}) => {
+    return createChatCompletion(getClient(), config.openaiCompatible.model, prompt, images, withTokenParam(options));
+  },
+
+  embed: async (text) => {
+    if (!config.openaiCompatible.embeddingModel) {
+      throw new Error('OPENAI_COMPATIBLE_EMBEDDING_MODEL is not configured');
+    }
+
+    const response = await getClient().embeddings.create({
+      model: config.openaiCompatible.embeddingModel,
+      input: text,
+      // The SDK defaults to base64, which local servers often don't support
+      encoding_format: 'float',
+    });
+    return response.data[0].embedding;
+  },
+};
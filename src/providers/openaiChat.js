@@ -0,0 +1,50 @@
+/**
+ * Chat completion request shared by the OpenAI-style providers (Azure and
+ * OpenAI-compatible)
+ */
+
+/**
+ * Send one chat completion
+ * @param {object} client - openai SDK client
+ * @param {string} model - Model or deployment name
+ * @param {string} prompt - User prompt
+ * @param {Array} images - [{ data (base64), mimeType }]
+ * @param {Object} options - { system, maxTokens, temperature, json, maxTokensParam }
+ * @returns {Promise<string>} Message content
+ */
+const createChatCompletion = async (client, model, prompt, images, options = {}) => {
+  const {
+    system = null,
+    maxTokens = null,
+    temperature,
+    json = false,
+    maxTokensParam = 'max_completion_tokens',
+  } = options;
+
+  const content = images.length > 0
+    ? [
+      { type: 'text', text: prompt },
+      ...images.map(image => ({
+        type: 'image_url',
+        image_url: { url: `data:${image.mimeType};base64,${image.data}` },
+      })),
+    ]
+    : prompt;
+
+  const response = await client.chat.completions.create({
+    model,
+    messages: [
+      ...(system ? [{ role: 'system', content: system }] : []),
+      { role: 'user', content },
+    ],
+    ...(maxTokens ? { [maxTokensParam]: maxTokens } : {}),
+    ...(temperature !== undefined ? { temperature } : {}),
+    ...(json ? { response_format: { type: 'json_object' } } : {}),
+  });
+
+  return response.choices[0].message.content;
+};
+
+module.exports = {
+  createChatCompletion,
+};
@@ -0,0 +1,275 @@
+/**
+ * Per-provider rate limiter
+ *
+ * Keeps each provider within its request and token budgets per minute
+ * (PROVIDER_RPM_<NAME>, PROVIDER_TPM_<NAME>) by making calls wait for room in
+ * a sliding one-minute window. Token counts are estimates (about 4 characters
+ * per token plus a flat cost per image and the requested output tokens), as
+ * providers only return text.
+ *
+ * A 429 blocks the provider until its retry-after (header, or Gemini's
+ * RetryInfo; otherwise an increasing backoff) and halves its request rate;
+ * every success after that adds one request per minute back until the
+ * budget is reached again. A call that would wait longer than
+ * PROVIDER_MAX_WAIT_SECONDS fails right away with `rateLimited` set, so the
+ * fallback chain moves on.
+ */
+
+const config = require('../config');
+
+const WINDOW_MS = 60 * 1000;
+const TOKENS_PER_IMAGE = 1000;
+const DEFAULT_OUTPUT_TOKENS = 500;
+// Waits after a 429 without retry-after, by consecutive 429s
+const RATE_LIMIT_BACKOFF_MS = [5 * 1000, 15 * 1000, 30 * 1000, 60 * 1000, 2 * 60 * 1000];
+
+// name -> { calls: [{ at, tokens }], blockedUntil, adaptiveRpm, rateLimited, consecutiveRateLimits, waits }
+const limiters = new Map();
+
+const sleep = (ms) => new Promise(resolve => setTimeout(resolve, ms));
+
+const getLimiter = (name) => {
+  if (!limiters.has(name)) {
+    limiters.set(name, {
+      calls: [],
+      blockedUntil: 0,
+      adaptiveRpm: null,
+      rateLimited: 0,
+      consecutiveRateLimits: 0,
+      waits: 0,
+    });
+  }
+  const limiter = limiters.get(name);
+  const windowStart = Date.now() - WINDOW_MS;
+  while (limiter.calls.length > 0 && limiter.calls[0].at <= windowStart) {
+    limiter.calls.shift();
+  }
+  return limiter;
+};
+
+const getLimits = (name) => config.providers.limits[name] || {};
+
+/**
+ * Requests per minute currently allowed (the adaptive rate after a 429, else the budget)
+ */
+const getEffectiveRpm = (name) => {
+  const { rpm = null } = getLimits(name);
+  const { adaptiveRpm } = getLimiter(name);
+  if (adaptiveRpm && rpm) {
+    return Math.min(adaptiveRpm, rpm);
+  }
+  return adaptiveRpm || rpm;
+};
+
+/**
+ * Rough token count of a call
+ * @param {string} prompt - Prompt or text to embed
+ * @param {Array} images - [{ data, mimeType }]
+ * @param {Object} options - { system, maxTokens }
+ */
+const estimateTokens = (prompt, images = [], options = {}) => {
+  const characters = (prompt || '').length + (options.system || '').length;
+  return Math.ceil(characters / 4) + images.length * TOKENS_PER_IMAGE + (options.maxTokens ?? DEFAULT_OUTPUT_TOKENS);
+};
+
+/**
+ * Milliseconds until a call of `tokens` fits the provider's budgets
+ */
+const getWaitMs = (name, tokens) => {
+  const limiter = getLimiter(name);
+  const now = Date.now();
+  let wait = Math.max(0, limiter.blockedUntil - now);
+
+  const rpm = getEffectiveRpm(name);
+  if (rpm && limiter.calls.length >= rpm) {
+    // Until enough calls leave the window
+    const freeing = limiter.calls[limiter.calls.length - rpm];
+    wait = Math.max(wait, freeing.at + WINDOW_MS - now);
+  }
+
+  const { tpm = null } = getLimits(name);
+  if (tpm) {
+    let used = limiter.calls.reduce((sum, call) => sum + call.tokens, 0);
+    // A call larger than the whole budget runs alone in the window
+    const budget = Math.max(tpm - Math.min(tokens, tpm), 0);
+    for (const call of limiter.calls) {
+      if (used <= budget) {
+        break;
+      }
+      used -= call.tokens;
+      wait = Math.max(wait, call.at + WINDOW_MS - now);
+    }
+  }
+
+  return wait;
+};
+
+/**
+ * Wait until a call fits the provider's budgets, then count it
+ * @param {string} name - Provider name
+ * @param {number} tokens - Estimated tokens of the call
+ * @throws {Error} With `rateLimited` when the wait would exceed PROVIDER_MAX_WAIT_SECONDS
+ */
+const acquire = async (name, tokens) => {
+  let wait = getWaitMs(name, tokens);
+  if (wait > 0) {
+    getLimiter(name).waits++;
+  }
+  while (wait > 0) {
+    if (wait > config.providers.maxWaitMs) {
+      const error = new Error(`${name} is rate limited for another ${Math.ceil(wait / 1000)}s`);
+      error.rateLimited = true;
+      throw error;
+    }
+    await sleep(wait);
+    // Other calls may have taken the room in the meantime
+    wait = getWaitMs(name, tokens);
+  }
+  getLimiter(name).calls.push({ at: Date.now(), tokens });
+};
+
+/**
+ * Whether an error is a rate limit response (HTTP 429)
+ */
+const isRateLimitError = (error) => {
+  const status = error.status ?? error.response?.status;
+  return status === 429 || /\b429\b|Too Many Requests|RESOURCE_EXHAUSTED/i.test(error.message || '');
+};
+
+const getHeader = (headers, name) => {
+  if (!headers) {
+    return null;
+  }
+  return typeof headers.get === 'function' ? headers.get(name) : headers[name];
+};
+
+/**
+ * Wait requested by a 429 (retry-after-ms / retry-after headers, or Gemini's RetryInfo), or null
+ */
+const getRetryAfterMs = (error) => {
+  const headers = error.headers || error.response?.headers;
+
+  const retryAfterMs = parseFloat(getHeader(headers, 'retry-after-ms'));
+  if (retryAfterMs > 0) {
+    return retryAfterMs;
+  }
+
+  const retryAfter = getHeader(headers, 'retry-after');
+  if (retryAfter) {
+    const seconds = parseFloat(retryAfter);
+    if (!isNaN(seconds)) {
+      return seconds * 1000;
+    }
+    // HTTP date
+    const date = Date.parse(retryAfter);
+    if (!isNaN(date)) {
+      return Math.max(0, date - Date.now());
+    }
+  }
+
+  const retryInfo = (error.errorDetails || []).find(detail => (detail['@type'] || '').includes('RetryInfo'));
+  const delay = parseFloat(retryInfo?.retryDelay);
+  return delay > 0 ? delay * 1000 : null;
+};
+
+/**
+ * Block the provider after a 429 and halve its request rate
+ */
+const recordRateLimit = (name, error) => {
+  const limiter = getLimiter(name);
+  limiter.rateLimited++;
+  limiter.consecutiveRateLimits++;
+
+  const backoffIndex = Math.min(limiter.consecutiveRateLimits, RATE_LIMIT_BACKOFF_MS.length) - 1;
+  const waitMs = getRetryAfterMs(error) ?? RATE_LIMIT_BACKOFF_MS[backoffIndex];
+  limiter.blockedUntil = Math.max(limiter.blockedUntil, Date.now() + waitMs);
+
+  const currentRpm = getEffectiveRpm(name) || Math.max(limiter.calls.length, 1);
+  limiter.adaptiveRpm = Math.max(1, Math.floor(currentRpm / 2));
+  console.warn(`⚠️  Provider ${name} rate limited: waiting ${Math.ceil(waitMs / 1000)}s, limit now ${limiter.adaptiveRpm} requests/min`);
+};
+
+/**
+ * Raise the adaptive rate again after a successful call
+ */
+const recordAllowed = (name) => {
+  const limiter = getLimiter(name);
+  limiter.consecutiveRateLimits = 0;
+  if (!limiter.adaptiveRpm) {
+    return;
+  }
+
+  limiter.adaptiveRpm++;
+  // Lift it at the budget (or, without one, once it is well above the current rate)
+  const { rpm = null } = getLimits(name);
+  if ((rpm && limiter.adaptiveRpm >= rpm) || (!rpm && limiter.adaptiveRpm > limiter.calls.length * 2)) {
+    limiter.adaptiveRpm = null;
+  }
+};
+
+/**
+ * Provider whose calls go through its limiter
+ */
+const withRateLimit = (provider) => {
+  const limited = async (tokens, call) => {
+    await acquire(provider.name, tokens);
+    try {
+      const result = await call();
+      recordAllowed(provider.name);
+      return result;
+    } catch (error) {
+      if (isRateLimitError(error)) {
+        recordRateLimit(provider.name, error);
+        error.rateLimited = true;
+      }
+      throw error;
+    }
+  };
+
+  return {
+    ...provider,
+    generateText: (prompt, options = {}) => {
+      return limited(estimateTokens(prompt, [], options), () => provider.generateText(prompt, options));
+    },
+    generateWithImages: (prompt, images, options = {}) => {
+      return limited(estimateTokens(prompt, images, options), () => {
+        return provider.generateWithImages(prompt, images, options);
+      });
+    },
+    embed: (text) => {
+      return limited(estimateTokens(text, [], { maxTokens: 0 }), () => provider.embed(text));
+    },
+  };
+};
+
+/**
+ * Milliseconds until the provider is no longer blocked by a 429
+ */
+const getBlockedMs = (name) => Math.max(0, getLimiter(name).blockedUntil - Date.now());
+
+/**
+ * Budgets and current usage of a provider (for status endpoints)
+ */
+const getRateLimitState = (name) => {
+  const limiter = getLimiter(name);
+  const { rpm = null, tpm = null } = getLimits(name);
+  return {
+    rpm,
+    tpm,
+    effectiveRpm: getEffectiveRpm(name),
+    requestsLastMinute: limiter.calls.length,
+    tokensLastMinute: limiter.calls.reduce((sum, call) => sum + call.tokens, 0),
+    blockedUntil: getBlockedMs(name) > 0 ? new Date(limiter.blockedUntil).toISOString() : null,
+    rateLimited: limiter.rateLimited,
+    waits: limiter.waits,
+  };
+};
+
+module.exports = {
+  estimateTokens,
+  isRateLimitError,
+  getRetryAfterMs,
+  withRateLimit,
+  getBlockedMs,
+  getRateLimitState,
+};
@@ -0,0 +1,322 @@
+/**
+ * Offline end-to-end test
+ *
+ * Usage:
+ *   npm test [-- --keep]
+ *
+ * First runs a few in-process checks of pure functions. Then starts the API
+ * with the mock AI provider (AI_PROVIDER=mock) in a temporary workspace,
+ * uploads an ffmpeg-generated synthetic video and runs detect-scenes,
+ * describe, rate and one FPO iteration through the HTTP API. Needs ffmpeg but
+ * no API keys or network. --keep leaves the workspace (uploads, output, data,
+ * server log) for inspection.
+ */
+
+const assert = require('assert');
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const { spawn, spawnSync } = require('child_process');
+const axios = require('axios');
+const FormData = require('form-data');
+const { generateSyntheticVideo } = require('./core/sceneBenchmark');
+
+const ROOT_DIR = path.join(__dirname, '..');
+const PORT = 16000 + Math.floor(Math.random() * 1000);
+const BASE_URL = `http://localhost:${PORT}`;
+
+// Three visually distinct segments, so scene detection finds cuts
+const SEGMENTS = [
+  { source: 'testsrc', duration: 3 },
+  { source: 'smptebars', duration: 3 },
+  { source: 'testsrc2', duration: 3 },
+];
+
+// Env vars that would send calls to a real provider or service
+const LIVE_ENV_PREFIXES = ['AZURE_', 'GOOGLE_', 'GEMINI_', 'OPENAI_COMPATIBLE_', 'PROVIDER_CHAIN', 'WHISPER_', 'WANDB_', 'EMBEDDING_'];
+
+const sleep = (ms) => new Promise(resolve => setTimeout(resolve, ms));
+
+/**
+ * Poll `check` until it returns a truthy value
+ * @returns {Promise<*>} The value
+ */
+const waitFor = async (label, check, timeoutMs = 120000, intervalMs = 1000) => {
+  const deadline = Date.now() + timeoutMs;
+  while (Date.now() < deadline) {
+    const value = await check();
+    if (value) {
+      return value;
+    }
+    await sleep(intervalMs);
+  }
+  throw new Error(`Timed out waiting for ${label}`);
+};
+
+const api = axios.create({ baseURL: BASE_URL, timeout: 300000 });
+
+/**
+ * Temporary working directory of the server (its uploads/, output/, data/)
+ */
+const createWorkspace = () => {
+  const workspace = fs.mkdtempSync(path.join(os.tmpdir(), 'prompt-reels-test-'));
+  const dataDir = path.join(workspace, 'data');
+  fs.mkdirSync(dataDir);
+  fs.copyFileSync(path.join(ROOT_DIR, 'data', 'prompts.template.json'), path.join(dataDir, 'prompts.json'));
+  fs.copyFileSync(path.join(ROOT_DIR, 'data', 'match-prompts.json'), path.join(dataDir, 'match-prompts.json'));
+  return workspace;
+};
+
+/**
+ * Synthetic video with a tone, so transcription has audio to work on
+ */
+const createVideo = async (workspace) => {
+  const silentPath = path.join(workspace, 'synthetic-silent.mp4');
+  const videoPath = path.join(workspace, 'synthetic.mp4');
+  const { duration } = await generateSyntheticVideo(silentPath, SEGMENTS);
+
+  const result = spawnSync('ffmpeg', [
+    '-y', '-v', 'error',
+    '-i', silentPath,
+    '-f', 'lavfi', '-i', `sine=frequency=440:duration=${duration}`,
+    '-c:v', 'copy', '-c:a', 'aac', '-shortest',
+    videoPath,
+  ], { encoding: 'utf8' });
+  if (result.status !== 0) {
+    throw new Error(`ffmpeg failed to add audio: ${result.stderr}`);
+  }
+  return videoPath;
+};
+
+const startServer = (workspace) => {
+  const env = Object.fromEntries(Object.entries(process.env)
+    .filter(([name]) => !LIVE_ENV_PREFIXES.some(prefix => name.startsWith(prefix))));
+
+  const logPath = path.join(workspace, 'server.log');
+  const logFd = fs.openSync(logPath, 'w');
+  const server = spawn(process.execPath, [path.join(ROOT_DIR, 'src', 'index.js')], {
+    cwd: workspace,
+    env: {
+      ...env,
+      AI_PROVIDER: 'mock',
+      PORT: String(PORT),
+      SCHEDULER_ENABLED: 'false',
+      FLAGS_DIR: path.join(workspace, 'flags'),
+      QUEUE_MAX_ATTEMPTS: '1',
+    },
+    stdio: ['ignore', logFd, logFd],
+  });
+  fs.closeSync(logFd);
+  return { server, logPath };
+};
+
+const stopServer = (server) => new Promise(resolve => {
+  if (server.exitCode !== null) {
+    return resolve();
+  }
+  const timer = setTimeout(() => server.kill('SIGKILL'), 10000);
+  server.once('exit', () => {
+    clearTimeout(timer);
+    resolve();
+  });
+  server.kill('SIGTERM');
+});
+
+/**
+ * Wait for a queued article job, failing fast if it was dead-lettered
+ */
+const waitForArticleStatus = (articleId, status, queueType) => {
+  return waitFor(`article ${status}`, async () => {
+    const { data: deadLetters } = await api.get('/api/queue/dead-letter', { params: { type: queueType } });
+    const failed = deadLetters.find(item => item.articleId === articleId);
+    if (failed) {
+      throw new Error(`${queueType} job failed: ${failed.lastError}`);
+    }
+    const { data: article } = await api.get(`/api/articles/${articleId}`);
+    return article.workflow?.status === status ? article : null;
+  });
+};
+
+// In-process checks (modules are required lazily, after AI_PROVIDER=mock is set)
+const unitTests = [
+  ['aggregation strategies count the same samples', () => {
+    const { aggregateClientSummaries } = require('./core/promptOptimizer');
+    const summaries = [
+      { n: 4, mean: 0.4, variance: 0.01 },
+      { n: 6, mean: 0.6, variance: 0.02 },
+      { n: 5, mean: 0.9, variance: 0.01 },
+    ];
+    const results = Object.fromEntries(['mean', 'weighted', 'median', 'trimmed'].map(strategy => [
+      strategy,
+      aggregateClientSummaries(summaries, strategy, { trimFraction: 0.34 }),
+    ]));
+
+    for (const [strategy, stats] of Object.entries(results)) {
+      assert.strictEqual(stats.n, 15, `${strategy} counts scenes`);
+      assert.strictEqual(stats.clients, 3, `${strategy} counts clients`);
+      assert.ok(stats.ci95[0] <= stats.mean && stats.mean <= stats.ci95[1], `${strategy} CI contains its estimate`);
+    }
+    assert.strictEqual(results.median.mean, 0.6);
+    assert.strictEqual(results.trimmed.mean, 0.6);
+    // The client means disagree more than the scenes within them
+    const width = (stats) => stats.ci95[1] - stats.ci95[0];
+    assert.ok(width(results.mean) > width(results.weighted));
+  }],
+];
+
+const tests = [
+  ['health reports the mock provider', async () => {
+    const { data } = await api.get('/health');
+    assert.strictEqual(data.config.aiProvider, 'mock');
+    assert.ok(data.config.providers.find(provider => provider.name === 'mock' && provider.configured));
+  }],
+
+  ['upload a synthetic video', async (context) => {
+    const form = new FormData();
+    form.append('video', fs.createReadStream(context.videoPath), { filename: 'synthetic.mp4', contentType: 'video/mp4' });
+    const { data } = await api.post('/api/upload', form, { headers: form.getHeaders() });
+    assert.ok(data.success);
+    context.videoId = data.videoId;
+  }],
+
+  ['detect, describe and transcribe scenes', async (context) => {
+    const body = {
+      videoId: context.videoId,
+      threshold: 0.3,
+      extractFrames: true,
+      describeScenes: true,
+      transcribeAudio: true,
+    };
+    const detect = async () => {
+      const { data } = await api.post('/api/detect-scenes', body);
+      assert.ok(data.success);
+      const { data: sceneData } = await api.get(`/api/scenes/${context.videoId}/json`);
+      return sceneData;
+    };
+
+    const sceneData = await detect();
+    assert.ok(sceneData.sceneCount >= 2, `expected at least 2 scenes, got ${sceneData.sceneCount}`);
+    assert.ok(sceneData.scenes.every(scene => scene.description), 'every scene is described');
+    assert.ok(sceneData.scenes.some(scene => scene.transcript), 'some scene is transcribed');
+    assert.notStrictEqual(sceneData.title, 'Untitled Video');
+
+    // Same input, same output
+    const again = await detect();
+    assert.deepStrictEqual(again.scenes.map(scene => scene.description), sceneData.scenes.map(scene => scene.description));
+    assert.strictEqual(again.title, sceneData.title);
+  }],
+
+  ['describe an article', async (context) => {
+    const articleId = `article-${Date.now()}-test`;
+    const articlesDir = path.join(context.workspace, 'output', 'articles');
+    fs.mkdirSync(articlesDir, { recursive: true });
+    fs.mkdirSync(path.join(context.workspace, 'uploads'), { recursive: true });
+    fs.copyFileSync(context.videoPath, path.join(context.workspace, 'uploads', `${articleId}.mp4`));
+    fs.writeFileSync(path.join(articlesDir, `${articleId}.json`), JSON.stringify({
+      articleId,
+      source: { url: 'https://example.com/news/test', domain: 'example.com' },
+      video: { url: 'https://example.com/news/test.mp4', type: 'video', platform: 'direct', localPath: `uploads/${articleId}.mp4` },
+      title: 'Test pattern broadcast',
+      description: 'A broadcast shows colour bars and test patterns.',
+      text: 'A broadcast shows colour bars and test patterns before the programme starts. Engineers use them to calibrate cameras.',
+      fetchedAt: new Date().toISOString(),
+    }, null, 2));
+    context.articleId = articleId;
+
+    const { status } = await api.post(`/api/articles/${articleId}/describe`, {});
+    assert.strictEqual(status, 202);
+    const article = await waitForArticleStatus(articleId, 'described', 'describe');
+    assert.ok(article.sceneData.scenes.length >= 2);
+    assert.ok(article.sceneData.scenes.every(scene => scene.description));
+  }],
+
+  ['rate the article', async (context) => {
+    const { status } = await api.post(`/api/articles/${context.articleId}/rate`, {});
+    assert.strictEqual(status, 202);
+    const article = await waitForArticleStatus(context.articleId, 'rated', 'rate');
+    const { matchScore } = article.workflow;
+    assert.ok(typeof matchScore === 'number' && matchScore >= 0 && matchScore <= 100, `match score ${matchScore}`);
+  }],
+
+  ['run one FPO iteration', async () => {
+    const { data: before } = await api.get('/api/fpo/status');
+    const evaluations = (status) => status.templates.reduce((sum, template) => sum + template.performanceHistory.length, 0);
+
+    const { status } = await api.post('/api/fpo/run', { iterations: 1, enableEvolution: false, sampleScenes: 2 });
+    assert.strictEqual(status, 202);
+
+    await waitFor('FPO job', async () => {
+      const { data: queue } = await api.get('/api/queue/status');
+      if (queue.fpo.deadLetter > 0) {
+        throw new Error('FPO job failed');
+      }
+      return queue.fpo.running === 0 && queue.fpo.queued === 0;
+    }, 300000);
+
+    const { data: after } = await api.get('/api/fpo/status');
+    assert.ok(evaluations(after) > evaluations(before), 'FPO recorded template evaluations');
+  }],
+];
+
+const main = async () => {
+  const keep = process.argv.includes('--keep');
+
+  process.env.AI_PROVIDER = 'mock';
+  for (const [name, test] of unitTests) {
+    try {
+      await test();
+      console.log(`✓ ${name}`);
+    } catch (error) {
+      console.error(`✗ ${name}: ${error.message}`);
+      process.exit(1);
+    }
+  }
+
+  if (spawnSync('ffmpeg', ['-version']).status !== 0) {
+    throw new Error('ffmpeg is required for the end-to-end test');
+  }
+
+  const workspace = createWorkspace();
+  console.log(`🧪 Workspace: ${workspace}`);
+  const context = { workspace };
+  context.videoPath = await createVideo(workspace);
+
+  const { server, logPath } = startServer(workspace);
+  let failed = 0;
+
+  try {
+    await waitFor('server', () => api.get('/health').then(() => true).catch(() => false), 30000, 500);
+
+    for (const [name, test] of tests) {
+      const started = Date.now();
+      try {
+        await test(context);
+        console.log(`✓ ${name} (${((Date.now() - started) / 1000).toFixed(1)}s)`);
+      } catch (error) {
+        failed++;
+        const detail = error.response?.data?.error || error.message;
+        console.error(`✗ ${name}: ${detail}`);
+        // Later steps depend on earlier ones
+        break;
+      }
+    }
+  } finally {
+    await stopServer(server);
+    if (failed > 0) {
+      console.error(`\nServer log: ${logPath}`);
+    }
+    if (!keep && failed === 0) {
+      fs.rmSync(workspace, { recursive: true, force: true });
+    }
+  }
+
+  if (failed > 0) {
+    process.exit(1);
+  }
+  console.log(`\n✓ All ${unitTests.length + tests.length} tests passed`);
+};
+
+main().catch((error) => {
+  console.error('✗ Test run failed:', error.message);
+  process.exit(1);
+});
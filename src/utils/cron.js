@@ -0,0 +1,183 @@
+/**
+ * Minimal cron expression parser
+ * Supports the standard 5 fields (minute hour day-of-month month day-of-week)
+ * with `*`, lists (`1,15`), ranges (`1-5`), steps (`*\/15`, `0-30/10`),
+ * month/day names (`jan`, `mon`) and the @hourly/@daily/@weekly/@monthly/@yearly
+ * shortcuts. Times are evaluated in the server's local timezone.
+ */
+
+const FIELDS = [
+  { name: 'minute', min: 0, max: 59 },
+  { name: 'hour', min: 0, max: 23 },
+  { name: 'dayOfMonth', min: 1, max: 31 },
+  { name: 'month', min: 1, max: 12, names: ['jan', 'feb', 'mar', 'apr', 'may', 'jun', 'jul', 'aug', 'sep', 'oct', 'nov', 'dec'] },
+  { name: 'dayOfWeek', min: 0, max: 7, names: ['sun', 'mon', 'tue', 'wed', 'thu', 'fri', 'sat'] },
+];
+
+const SHORTCUTS = {
+  '@yearly': '0 0 1 1 *',
+  '@annually': '0 0 1 1 *',
+  '@monthly': '0 0 1 * *',
+  '@weekly': '0 0 * * 0',
+  '@daily': '0 0 * * *',
+  '@midnight': '0 0 * * *',
+  '@hourly': '0 * * * *',
+};
+
+// Give up looking for a next run after this many years (e.g. "0 0 30 2 *")
+const MAX_SEARCH_YEARS = 5;
+
+/**
+ * Parse a single value, accepting names for month and day-of-week
+ */
+const parseValue = (value, field) => {
+  const nameIndex = field.names ? field.names.indexOf(value.toLowerCase()) : -1;
+  if (nameIndex !== -1) {
+    return nameIndex + field.min;
+  }
+
+  if (!/^\d+$/.test(value)) {
+    throw new Error(`Invalid ${field.name} value "${value}"`);
+  }
+
+  const number = parseInt(value, 10);
+  if (number < field.min || number > field.max) {
+    throw new Error(`${field.name} value ${number} out of range ${field.min}-${field.max}`);
+  }
+  return number;
+};
+
+/**
+ * Expand one field into the set of matching values
+ */
+const parseField = (expression, field) => {
+  const values = new Set();
+
+  for (const part of expression.split(',')) {
+    const [range, stepText] = part.split('/');
+    if (stepText !== undefined && !/^[1-9]\d*$/.test(stepText)) {
+      throw new Error(`Invalid ${field.name} step "${stepText}"`);
+    }
+    const step = stepText === undefined ? 1 : parseInt(stepText, 10);
+
+    let start;
+    let end;
+    if (range === '*') {
+      start = field.min;
+      end = field.max;
+    } else if (range.includes('-')) {
+      const bounds = range.split('-');
+      if (bounds.length !== 2) {
+        throw new Error(`Invalid ${field.name} range "${range}"`);
+      }
+      const [from, to] = bounds;
+      start = parseValue(from, field);
+      end = parseValue(to, field);
+      if (start > end) {
+        throw new Error(`Invalid ${field.name} range "${range}"`);
+      }
+    } else {
+      start = parseValue(range, field);
+      end = stepText === undefined ? start : field.max;
+    }
+
+    for (let value = start; value <= end; value += step) {
+      values.add(value);
+    }
+  }
+
+  return values;
+};
+
+/**
+ * Parse a cron expression
+ * @param {string} expression - 5-field cron expression or @shortcut
+ * @returns {object} Parsed fields (sets of values) plus day matching flags
+ * @throws {Error} If the expression is invalid
+ */
+const parseCron = (expression) => {
+  if (typeof expression !== 'string' || !expression.trim()) {
+    throw new Error('Cron expression must be a non-empty string');
+  }
+
+  const normalized = SHORTCUTS[expression.trim().toLowerCase()] || expression.trim();
+  const parts = normalized.split(/\s+/);
+  if (parts.length !== FIELDS.length) {
+    throw new Error(`Cron expression must have ${FIELDS.length} fields (minute hour day-of-month month day-of-week)`);
+  }
+
+  const parsed = {};
+  FIELDS.forEach((field, index) => {
+    parsed[field.name] = parseField(parts[index], field);
+  });
+
+  // 7 is an alias for Sunday
+  if (parsed.dayOfWeek.delete(7)) {
+    parsed.dayOfWeek.add(0);
+  }
+
+  // Like cron, a restricted day-of-month OR day-of-week matches when both are set
+  parsed.anyDayOfMonth = parts[2] === '*';
+  parsed.anyDayOfWeek = parts[4] === '*';
+
+  return parsed;
+};
+
+/**
+ * Check whether a date's day matches the day-of-month/day-of-week fields
+ */
+const matchesDay = (parsed, date) => {
+  const dayOfMonth = parsed.dayOfMonth.has(date.getDate());
+  const dayOfWeek = parsed.dayOfWeek.has(date.getDay());
+
+  if (parsed.anyDayOfMonth || parsed.anyDayOfWeek) {
+    return dayOfMonth && dayOfWeek;
+  }
+  return dayOfMonth || dayOfWeek;
+};
+
+/**
+ * Get the next time a cron expression fires, strictly after `from`
+ * @param {string} expression - Cron expression
+ * @param {Date} from - Start time (default: now)
+ * @returns {Date|null} Next run, or null if it never fires
+ */
+const getNextRun = (expression, from = new Date()) => {
+  const parsed = parseCron(expression);
+
+  const date = new Date(from.getTime());
+  date.setSeconds(0, 0);
+  date.setMinutes(date.getMinutes() + 1);
+
+  const limit = new Date(date.getTime());
+  limit.setFullYear(limit.getFullYear() + MAX_SEARCH_YEARS);
+
+  while (date < limit) {
+    if (!parsed.month.has(date.getMonth() + 1)) {
+      date.setMonth(date.getMonth() + 1, 1);
+      date.setHours(0, 0, 0, 0);
+      continue;
+    }
+    if (!matchesDay(parsed, date)) {
+      date.setDate(date.getDate() + 1);
+      date.setHours(0, 0, 0, 0);
+      continue;
+    }
+    if (!parsed.hour.has(date.getHours())) {
+      date.setHours(date.getHours() + 1, 0, 0, 0);
+      continue;
+    }
+    if (!parsed.minute.has(date.getMinutes())) {
+      date.setMinutes(date.getMinutes() + 1, 0, 0);
+      continue;
+    }
+    return date;
+  }
+
+  return null;
+};
+
+module.exports = {
+  parseCron,
+  getNextRun,
+};
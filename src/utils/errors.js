@@ -0,0 +1,21 @@
+/**
+ * Error helpers
+ */
+
+/**
+ * Error for an invalid request option (routes answer it with 400)
+ * @param {string} message - Names the option and what is wrong with it
+ * @returns {Error} With code INVALID_OPTION
+ */
+const invalidOption = (message) => {
+  const error = new Error(message);
+  error.code = 'INVALID_OPTION';
+  return error;
+};
+
+const isInvalidOption = (error) => error?.code === 'INVALID_OPTION';
+
+module.exports = {
+  invalidOption,
+  isInvalidOption,
+};
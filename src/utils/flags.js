@@ -1,13 +1,29 @@
 /**
  * Flag system for managing operation locks
- * Flags are stored in /tmp/prompt-reels-flags/ (cleared on Docker restart)
+ * Flags are stored in FLAGS_DIR (default /tmp/prompt-reels-flags/)
+ *
+ * Each flag records its owner (pid, hostname, boot id and a random id per
+ * process start) and expires after `config.flags.ttlMs` unless the owning
+ * process refreshes it; flags set by this process are refreshed by a
+ * heartbeat until cleared. A flag is stale when it expired, when its owner
+ * process is gone (same host and boot), when the owner's pid now belongs to a
+ * newer process (e.g. pid 1 after a Docker container restart) or when the host
+ * rebooted since it was set. Stale flags are removed when they are
+ * read, so a crashed worker no longer blocks an operation until restart.
+ *
+ * acquireFlag() creates the flag file with O_EXCL, so two processes can't both
+ * take the same lock.
  */
 
 const fs = require('fs');
+const os = require('os');
 const path = require('path');
+const crypto = require('crypto');
+const config = require('../config');
+const { writeJsonAtomic } = require('./jsonFile');
 
-// Use /tmp for flags (cleared on Docker restart)
-const FLAGS_DIR = '/tmp/prompt-reels-flags';
+// Flags directory (FLAGS_DIR)
+const FLAGS_DIR = config.flags.dir;
 
 // Ensure flags directory exists
 if (!fs.existsSync(FLAGS_DIR)) {
@@ -15,61 +31,361 @@ if (!fs.existsSync(FLAGS_DIR)) {
 }
 
 /**
- * Set a flag
- * @param {string} flagName - Name of the flag
- * @param {object} data - Optional data to store with flag
+ * Identify the current boot, so flags from before a reboot are recognized
+ * Uses the kernel boot id on Linux, else the boot time derived from uptime.
+ */
+const getBootId = () => {
+  try {
+    return fs.readFileSync('/proc/sys/kernel/random/boot_id', 'utf8').trim();
+  } catch (error) {
+    return `boot-${Math.round(Date.now() / 1000 - os.uptime())}`;
+  }
+};
+
+const OWNER = {
+  pid: process.pid,
+  hostname: os.hostname(),
+  bootId: getBootId(),
+  // Tells this process apart from an earlier one with the same pid
+  instanceId: crypto.randomUUID(),
+};
+
+// Heartbeat timers for flags held by this process
+const heartbeats = new Map();
+
+/**
+ * Whether a flag name is safe to use as a file name in FLAGS_DIR
+ */
+const isValidFlagName = (flagName) => {
+  return typeof flagName === 'string' && flagName.length > 0
+    && !flagName.includes('/') && !flagName.includes('\\') && !flagName.includes('..');
+};
+
+const getFlagPath = (flagName) => {
+  if (!isValidFlagName(flagName)) {
+    const error = new Error(`Invalid flag name: ${flagName}`);
+    error.code = 'INVALID_FLAG_NAME';
+    throw error;
+  }
+  return path.join(FLAGS_DIR, `${flagName}.flag`);
+};
+
+const isOwnedByUs = (flag) => {
+  return flag?.owner?.pid === OWNER.pid
+    && flag.owner.hostname === OWNER.hostname
+    && flag.owner.bootId === OWNER.bootId
+    && flag.owner.instanceId === OWNER.instanceId;
+};
+
+const isProcessAlive = (pid) => {
+  try {
+    process.kill(pid, 0);
+    return true;
+  } catch (error) {
+    // EPERM: the process exists but belongs to another user
+    return error.code === 'EPERM';
+  }
+};
+
+/**
+ * Explain why the owner of a flag (or queue lease) can no longer hold it
+ * Only owners on this host can be checked.
+ * @param {object} owner - { pid, hostname, bootId, instanceId }
+ * @returns {string|null} Reason, or null if the owner may still be running
+ */
+const getOwnerStaleReason = (owner) => {
+  if (!owner || owner.hostname !== OWNER.hostname) {
+    return null;
+  }
+  if (owner.bootId && owner.bootId !== OWNER.bootId) {
+    return 'host rebooted';
+  }
+  const sameBoot = owner.bootId === OWNER.bootId;
+  if (sameBoot && owner.pid === OWNER.pid && owner.instanceId !== OWNER.instanceId) {
+    return `owner process ${owner.pid} restarted`;
+  }
+  if (sameBoot && !isProcessAlive(owner.pid)) {
+    return `owner process ${owner.pid} is gone`;
+  }
+  return null;
+};
+
+/**
+ * Explain why a flag is stale
+ * @returns {string|null} Reason, or null if the flag is live
  */
-const setFlag = (flagName, data = {}) => {
-  const flagPath = path.join(FLAGS_DIR, `${flagName}.flag`);
-  const flagData = {
-    setAt: new Date().toISOString(),
+const getStaleReason = (flag) => {
+  if (flag.expiresAt && Date.parse(flag.expiresAt) <= Date.now()) {
+    return 'expired';
+  }
+  return getOwnerStaleReason(flag.owner);
+};
+
+/**
+ * Read a flag file
+ * Unreadable files (e.g. a crash mid-write) are treated as expired once they
+ * are older than the TTL.
+ */
+const readFlagFile = (flagPath) => {
+  try {
+    return JSON.parse(fs.readFileSync(flagPath, 'utf8'));
+  } catch (error) {
+    if (error.code === 'ENOENT') {
+      return null;
+    }
+    try {
+      const { mtimeMs } = fs.statSync(flagPath);
+      return { expiresAt: new Date(mtimeMs + config.flags.ttlMs).toISOString(), corrupt: true };
+    } catch (statError) {
+      return null;
+    }
+  }
+};
+
+const readFlag = (flagName) => readFlagFile(getFlagPath(flagName));
+
+const buildFlagData = (flagName, data, ttlMs) => {
+  const now = Date.now();
+  return {
+    setAt: new Date(now).toISOString(),
     ...data,
+    name: flagName,
+    owner: OWNER,
+    ttlMs,
+    heartbeatAt: new Date(now).toISOString(),
+    expiresAt: new Date(now + ttlMs).toISOString(),
   };
-  fs.writeFileSync(flagPath, JSON.stringify(flagData, null, 2));
+};
+
+const stopHeartbeat = (flagName) => {
+  clearInterval(heartbeats.get(flagName));
+  heartbeats.delete(flagName);
 };
 
 /**
- * Check if a flag exists
+ * Refresh a flag held by this process
+ * @returns {boolean} False if the flag is gone or now owned by someone else
+ */
+const refreshFlag = (flagName) => {
+  const flag = readFlag(flagName);
+  if (!flag || !isOwnedByUs(flag)) {
+    stopHeartbeat(flagName);
+    return false;
+  }
+
+  const now = Date.now();
+  flag.heartbeatAt = new Date(now).toISOString();
+  flag.expiresAt = new Date(now + (flag.ttlMs || config.flags.ttlMs)).toISOString();
+
+  writeJsonAtomic(getFlagPath(flagName), flag);
+  return true;
+};
+
+const startHeartbeat = (flagName, ttlMs) => {
+  stopHeartbeat(flagName);
+  const timer = setInterval(() => {
+    try {
+      refreshFlag(flagName);
+    } catch (error) {
+      console.error(`Flag heartbeat error (${flagName}):`, error.message);
+    }
+  }, Math.max(1000, Math.floor(ttlMs / 3)));
+  timer.unref();
+  heartbeats.set(flagName, timer);
+};
+
+/**
+ * Remove a flag if it is stale
+ * The file is first renamed to a private path and checked again, so a flag
+ * that another process replaced in the meantime is put back, not deleted.
+ * @returns {object|null} The live flag, or null if there is none (anymore)
+ */
+const removeIfStale = (flagName) => {
+  const flag = readFlag(flagName);
+  if (!flag) {
+    return null;
+  }
+
+  const reason = getStaleReason(flag);
+  if (!reason) {
+    return flag;
+  }
+
+  const flagPath = getFlagPath(flagName);
+  const claimPath = `${flagPath}.${process.pid}.stale`;
+  try {
+    fs.renameSync(flagPath, claimPath);
+  } catch (error) {
+    if (error.code === 'ENOENT') {
+      return null;
+    }
+    throw error;
+  }
+
+  const claimed = readFlagFile(claimPath);
+  if (claimed && !getStaleReason(claimed)) {
+    // Replaced by a live flag between the read and the rename: restore it
+    // unless yet another flag was created meanwhile
+    try {
+      fs.linkSync(claimPath, flagPath);
+    } catch (error) {
+      if (error.code !== 'EEXIST') {
+        throw error;
+      }
+    }
+    fs.unlinkSync(claimPath);
+    return readFlag(flagName);
+  }
+
+  fs.unlinkSync(claimPath);
+  console.log(`🧹 Removed stale flag ${flagName} (${reason})`);
+  return null;
+};
+
+/**
+ * Atomically take a flag (lock)
+ * The flag file is created with O_EXCL; a stale flag in the way is removed first.
+ * @param {string} flagName - Name of the flag
+ * @param {object} data - Optional data to store with flag
+ * @param {object} options - { ttlMs }
+ * @returns {boolean} False if a live flag is held by another operation
+ */
+const acquireFlag = (flagName, data = {}, { ttlMs = config.flags.ttlMs } = {}) => {
+  const flagPath = getFlagPath(flagName);
+
+  // Two tries: the second one after removing a stale flag
+  for (let attempt = 0; attempt < 2; attempt++) {
+    try {
+      const fd = fs.openSync(flagPath, 'wx');
+      try {
+        fs.writeSync(fd, JSON.stringify(buildFlagData(flagName, data, ttlMs), null, 2));
+      } finally {
+        fs.closeSync(fd);
+      }
+      startHeartbeat(flagName, ttlMs);
+      return true;
+    } catch (error) {
+      if (error.code !== 'EEXIST') {
+        throw error;
+      }
+      if (removeIfStale(flagName)) {
+        return false;
+      }
+    }
+  }
+
+  return false;
+};
+
+/**
+ * Set a flag, replacing any existing one
+ * Use acquireFlag() when the flag is a lock.
+ * @param {string} flagName - Name of the flag
+ * @param {object} data - Optional data to store with flag
+ * @param {object} options - { ttlMs }
+ */
+const setFlag = (flagName, data = {}, { ttlMs = config.flags.ttlMs } = {}) => {
+  writeJsonAtomic(getFlagPath(flagName), buildFlagData(flagName, data, ttlMs));
+  startHeartbeat(flagName, ttlMs);
+};
+
+/**
+ * Check if a live flag exists (stale flags are removed)
  * @param {string} flagName - Name of the flag
  * @returns {boolean} True if flag exists
  */
 const hasFlag = (flagName) => {
-  const flagPath = path.join(FLAGS_DIR, `${flagName}.flag`);
-  return fs.existsSync(flagPath);
+  return removeIfStale(flagName) !== null;
 };
 
 /**
  * Get flag data
  * @param {string} flagName - Name of the flag
- * @returns {object|null} Flag data or null if not exists
+ * @returns {object|null} Flag data or null if not exists (or stale)
  */
 const getFlag = (flagName) => {
-  const flagPath = path.join(FLAGS_DIR, `${flagName}.flag`);
-  if (!fs.existsSync(flagPath)) {
-    return null;
+  return removeIfStale(flagName);
+};
+
+/**
+ * Clear a flag
+ * Only the owning process clears a flag unless `force` is set, so a worker
+ * that lost its flag (force-cleared, then taken by another process) doesn't
+ * remove the new owner's flag.
+ * @param {string} flagName - Name of the flag
+ * @param {object} options - { force }
+ * @returns {boolean} True if the flag was removed
+ */
+const clearFlag = (flagName, { force = false } = {}) => {
+  stopHeartbeat(flagName);
+
+  const flag = readFlag(flagName);
+  if (!flag) {
+    return false;
+  }
+  if (!force && flag.owner && !isOwnedByUs(flag)) {
+    console.log(`Flag ${flagName} is owned by ${flag.owner.hostname}:${flag.owner.pid}, not clearing`);
+    return false;
   }
+
   try {
-    return JSON.parse(fs.readFileSync(flagPath, 'utf8'));
+    fs.unlinkSync(getFlagPath(flagName));
+    return true;
   } catch (error) {
-    return null;
+    if (error.code === 'ENOENT') {
+      return false;
+    }
+    throw error;
   }
 };
 
 /**
- * Clear a flag
- * @param {string} flagName - Name of the flag
+ * List all flags with their owner and staleness
+ * @returns {Array} Flags ({ name, owner, expiresAt, stale, staleReason, ... })
  */
-const clearFlag = (flagName) => {
-  const flagPath = path.join(FLAGS_DIR, `${flagName}.flag`);
-  if (fs.existsSync(flagPath)) {
-    fs.unlinkSync(flagPath);
+const listFlags = () => {
+  if (!fs.existsSync(FLAGS_DIR)) {
+    return [];
   }
+
+  return fs.readdirSync(FLAGS_DIR)
+    .filter(file => file.endsWith('.flag'))
+    .map(file => file.slice(0, -'.flag'.length))
+    .filter(isValidFlagName)
+    .map(name => {
+      const flag = readFlag(name);
+      if (!flag) {
+        return null;
+      }
+      const staleReason = getStaleReason(flag);
+      return {
+        ...flag,
+        name,
+        ownedByThisProcess: isOwnedByUs(flag),
+        stale: staleReason !== null,
+        staleReason,
+      };
+    })
+    .filter(Boolean);
+};
+
+/**
+ * Remove all stale flags
+ * @returns {Array<string>} Names of removed flags
+ */
+const cleanupStaleFlags = () => {
+  return listFlags()
+    .filter(flag => flag.stale && removeIfStale(flag.name) === null)
+    .map(flag => flag.name);
 };
 
 /**
  * Clear all flags
  */
 const clearAllFlags = () => {
+  for (const flagName of heartbeats.keys()) {
+    stopHeartbeat(flagName);
+  }
   if (fs.existsSync(FLAGS_DIR)) {
     const files = fs.readdirSync(FLAGS_DIR);
     for (const file of files) {
@@ -79,9 +395,16 @@ const clearAllFlags = () => {
 };
 
 module.exports = {
+  OWNER,
+  getOwnerStaleReason,
+  isValidFlagName,
+  acquireFlag,
   setFlag,
+  refreshFlag,
   hasFlag,
   getFlag,
   clearFlag,
+  listFlags,
+  cleanupStaleFlags,
   clearAllFlags,
 };
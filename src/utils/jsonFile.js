@@ -0,0 +1,25 @@
+/**
+ * JSON file helpers for the file-backed stores
+ */
+
+const fs = require('fs');
+
+/**
+ * Write JSON atomically: write a temp file next to the target, then rename it
+ * over the target, so a crash never leaves a half-written file
+ * @param {string} filePath - Target file (its directory must exist)
+ * @param {*} data - Value to serialize
+ * @param {Object} options - { indent: JSON indentation, 0 for compact (default 2) }
+ * @returns {number} Bytes written
+ */
+const writeJsonAtomic = (filePath, data, { indent = 2 } = {}) => {
+  const content = JSON.stringify(data, null, indent || undefined);
+  const tempPath = `${filePath}.${process.pid}.tmp`;
+  fs.writeFileSync(tempPath, content);
+  fs.renameSync(tempPath, filePath);
+  return Buffer.byteLength(content);
+};
+
+module.exports = {
+  writeJsonAtomic,
+};
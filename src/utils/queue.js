@@ -1,19 +1,37 @@
 /**
  * Persistent queue system for article processing actions
  * Queues persist across Docker restarts (stored in data/queues/)
- * 
+ *
  * Queue types:
  * - fetch: Article fetching
- * - describe: Scene description  
+ * - describe: Scene description
  * - rate: Article rating
  * - fpo: Prompt optimization
- * 
- * Only one action of each type runs at once, others wait in queue
+ *
+ * Each queue file holds waiting `items`, leased `processing` jobs and a
+ * `deadLetter` list. Up to `config.queue.concurrency[type]` jobs of a type run
+ * at once. A running job holds a lease that is extended by a heartbeat; if the
+ * process dies the lease expires and the job is reclaimed. A lease whose owner
+ * is known to be gone (same host: process exited, restarted or the host
+ * rebooted) is reclaimed right away and doesn't count as an attempt. Failed
+ * jobs are retried with exponential backoff and moved to the dead-letter list
+ * once they run out of attempts.
+ *
+ * Items carry a priority (high, normal, low); higher priorities are dequeued
+ * first, FIFO within a priority. Running jobs report progress and check for
+ * cancellation through reportProgress() / throwIfCancelled().
+ *
+ * Files are written atomically (temp file + rename), so a crash mid-write
+ * never leaves a truncated queue.
  */
 
 const fs = require('fs');
+const os = require('os');
 const path = require('path');
 const config = require('../config');
+const { emitEvent } = require('./webhooks');
+const { writeJsonAtomic } = require('./jsonFile');
+const { OWNER, getOwnerStaleReason } = require('./flags');
 
 // Queue storage directory (persists across restarts)
 const QUEUES_DIR = path.join(config.dataDir, 'queues');
@@ -31,6 +49,12 @@ const QUEUE_TYPES = {
   FPO: 'fpo',
 };
 
+// Priority levels, highest first
+const PRIORITIES = ['high', 'normal', 'low'];
+
+// Identifies this process as the lease owner
+const WORKER_ID = `${os.hostname()}:${process.pid}`;
+
 /**
  * Get queue file path for a type
  */
@@ -38,130 +62,406 @@ const getQueuePath = (queueType) => {
   return path.join(QUEUES_DIR, `${queueType}.json`);
 };
 
+/**
+ * Bring a queue file to the current format
+ * Older files store a single `processing` item (or null) and items may lack ids.
+ */
+const normalizeQueue = (queueType, queue) => {
+  const withId = (item) => (item.id ? item : {
+    ...item,
+    id: `${queueType}-${item.articleId || 'item'}-${Date.parse(item.queuedAt) || Date.now()}`,
+  });
+  
+  let processing = [];
+  if (Array.isArray(queue.processing)) {
+    processing = queue.processing;
+  } else if (queue.processing) {
+    processing = [queue.processing];
+  }
+  
+  return {
+    items: (queue.items || []).map(withId),
+    processing: processing.map(withId),
+    deadLetter: queue.deadLetter || [],
+  };
+};
+
 /**
  * Load queue from disk
  */
 const loadQueue = (queueType) => {
   const queuePath = getQueuePath(queueType);
   if (!fs.existsSync(queuePath)) {
-    return { items: [], processing: null };
+    return { items: [], processing: [], deadLetter: [] };
   }
   try {
-    return JSON.parse(fs.readFileSync(queuePath, 'utf8'));
+    return normalizeQueue(queueType, JSON.parse(fs.readFileSync(queuePath, 'utf8')));
   } catch (error) {
     console.error(`Error loading queue ${queueType}:`, error.message);
-    return { items: [], processing: null };
+    return { items: [], processing: [], deadLetter: [] };
   }
 };
 
 /**
- * Save queue to disk
+ * Save queue to disk atomically
  */
 const saveQueue = (queueType, queueData) => {
-  const queuePath = getQueuePath(queueType);
-  fs.writeFileSync(queuePath, JSON.stringify(queueData, null, 2));
+  writeJsonAtomic(getQueuePath(queueType), queueData);
+};
+
+/**
+ * Maximum number of jobs of a type that may run at once
+ */
+const getConcurrency = (queueType) => {
+  return Math.max(1, config.queue.concurrency[queueType] || 1);
+};
+
+/**
+ * Delay before the next attempt of a failed job (exponential backoff)
+ * @param {number} attempts - Failed attempts so far (1 = first failure)
+ * @returns {number} Delay in milliseconds
+ */
+const getRetryDelay = (attempts) => {
+  return Math.min(config.queue.retryMaxMs, config.queue.retryBaseMs * 2 ** (attempts - 1));
+};
+
+const leaseExpiry = () => new Date(Date.now() + config.queue.leaseMs).toISOString();
+
+const priorityRank = (item) => {
+  const rank = PRIORITIES.indexOf(item.priority);
+  return rank === -1 ? PRIORITIES.indexOf('normal') : rank;
+};
+
+/**
+ * Insert an item behind all items of the same or higher priority
+ * @returns {number} Index of the inserted item
+ */
+const insertByPriority = (items, item) => {
+  const index = items.findIndex(i => priorityRank(i) > priorityRank(item));
+  if (index === -1) {
+    items.push(item);
+    return items.length - 1;
+  }
+  items.splice(index, 0, item);
+  return index;
 };
 
 /**
  * Add item to queue
  * @param {string} queueType - Type of queue (fetch, describe, rate, fpo)
- * @param {object} item - Item to add to queue
- * @returns {number} Position in queue (0 = currently processing)
+ * @param {object} item - Item to add to queue (optional `id` and `priority`: high, normal or low)
+ * @returns {{jobId: string, position: number}} Job id and position in queue (0 = currently processing)
  */
 const enqueue = (queueType, item) => {
   const queue = loadQueue(queueType);
   
+  if (item.priority && !PRIORITIES.includes(item.priority)) {
+    throw new Error(`Invalid priority "${item.priority}". Supported: ${PRIORITIES.join(', ')}`);
+  }
+  
   // Check if item already exists (by id or articleId)
   const itemId = item.id || item.articleId;
   if (itemId) {
-    const exists = queue.items.some(i => (i.id || i.articleId) === itemId);
-    if (exists) {
+    const running = queue.processing.find(i => i.id === itemId);
+    if (running) {
+      console.log(`Item ${itemId} already processing in ${queueType} queue`);
+      return { jobId: running.id, position: 0 };
+    }
+    const existing = queue.items.findIndex(i => i.id === itemId || (!item.id && i.articleId === itemId));
+    if (existing !== -1) {
       console.log(`Item ${itemId} already in ${queueType} queue`);
-      return queue.items.findIndex(i => (i.id || i.articleId) === itemId) + 1;
+      return { jobId: queue.items[existing].id, position: existing + 1 };
     }
   }
   
   // Add metadata
   const queueItem = {
     ...item,
+    id: item.id || `${queueType}-${item.articleId || 'item'}-${Date.now()}`,
+    priority: item.priority || 'normal',
     queuedAt: new Date().toISOString(),
     status: 'queued',
+    attempts: 0,
   };
   
-  queue.items.push(queueItem);
+  const position = insertByPriority(queue.items, queueItem) + 1;
   saveQueue(queueType, queue);
   
-  console.log(`✓ Added to ${queueType} queue: ${itemId || 'item'} (position: ${queue.items.length})`);
-  return queue.items.length;
+  console.log(`✓ Added to ${queueType} queue: ${queueItem.id} (${queueItem.priority} priority, position: ${position})`);
+  return { jobId: queueItem.id, position };
 };
 
 /**
- * Get next item from queue and mark as processing
+ * Lease the next available item and mark it as processing
+ * Items waiting out a retry backoff are skipped.
  * @param {string} queueType - Type of queue
- * @returns {object|null} Next item or null if queue empty or already processing
+ * @returns {object|null} Leased item, or null if the queue is empty, backing off or at its concurrency limit
  */
 const dequeue = (queueType) => {
   const queue = loadQueue(queueType);
   
-  // Check if already processing something
-  if (queue.processing) {
-    console.log(`${queueType} queue already processing: ${queue.processing.id || queue.processing.articleId}`);
+  // Check if the type is already running its maximum number of jobs
+  if (queue.processing.length >= getConcurrency(queueType)) {
     return null;
   }
   
-  // Get next item
-  if (queue.items.length === 0) {
+  // Get next item whose backoff has elapsed
+  const now = Date.now();
+  const index = queue.items.findIndex(i => !i.availableAt || Date.parse(i.availableAt) <= now);
+  if (index === -1) {
     return null;
   }
   
-  const item = queue.items.shift();
-  queue.processing = {
+  const [item] = queue.items.splice(index, 1);
+  const leased = {
     ...item,
     status: 'processing',
     startedAt: new Date().toISOString(),
+    workerId: WORKER_ID,
+    owner: OWNER,
+    leaseExpiresAt: leaseExpiry(),
   };
+  queue.processing.push(leased);
   
   saveQueue(queueType, queue);
-  console.log(`▶ Processing ${queueType}: ${item.id || item.articleId}`);
+  console.log(`▶ Processing ${queueType}: ${leased.id}`);
   
-  return queue.processing;
+  return leased;
 };
 
 /**
- * Mark current item as complete and remove from processing
+ * Extend the lease of a running job
+ * @returns {boolean} False if the job no longer holds a lease (e.g. it was reclaimed)
+ */
+const heartbeat = (queueType, jobId) => {
+  const queue = loadQueue(queueType);
+  const item = queue.processing.find(i => i.id === jobId);
+  if (!item) {
+    return false;
+  }
+  
+  item.leaseExpiresAt = leaseExpiry();
+  item.heartbeatAt = new Date().toISOString();
+  saveQueue(queueType, queue);
+  return true;
+};
+
+/**
+ * Record a failed attempt: schedule a retry with backoff, or dead-letter the item
+ * Fires the job.failed webhook event. Mutates `queue`; the caller saves it.
+ */
+const failItem = (queueType, queue, item, errorMessage) => {
+  const attempts = (item.attempts || 0) + 1;
+  const { workerId, owner, leaseExpiresAt, heartbeatAt, progress, ...rest } = item;
+  const willRetry = attempts < config.queue.maxAttempts;
+  
+  emitEvent('job.failed', {
+    type: queueType,
+    jobId: item.id,
+    articleId: item.articleId || null,
+    error: errorMessage,
+    attempts,
+    maxAttempts: config.queue.maxAttempts,
+    willRetry,
+  });
+  
+  if (willRetry) {
+    const delay = getRetryDelay(attempts);
+    console.log(`  Re-queuing ${item.id} in ${Math.round(delay / 1000)}s (attempt ${attempts + 1}/${config.queue.maxAttempts})`);
+    insertByPriority(queue.items, {
+      ...rest,
+      status: 'queued',
+      attempts,
+      lastError: errorMessage,
+      availableAt: new Date(Date.now() + delay).toISOString(),
+    });
+  } else {
+    console.log(`  Max attempts reached, moving ${item.id} to dead-letter queue`);
+    const { availableAt, ...dead } = rest;
+    queue.deadLetter.push({
+      ...dead,
+      status: 'dead',
+      attempts,
+      lastError: errorMessage,
+      failedAt: new Date().toISOString(),
+    });
+  }
+};
+
+/**
+ * Mark a running item as complete and release its lease
+ * Cancelled jobs (result.cancelled) are dropped without a retry.
  * @param {string} queueType - Type of queue
+ * @param {string} jobId - Id of the processed item
  * @param {boolean} success - Whether processing was successful
- * @param {object} result - Result data
+ * @param {object} result - Result data ({ error } or { cancelled: true } on failure)
  */
-const complete = (queueType, success = true, result = {}) => {
+const complete = (queueType, jobId, success = true, result = {}) => {
   const queue = loadQueue(queueType);
   
-  if (!queue.processing) {
-    console.log(`No item being processed in ${queueType} queue`);
+  const index = queue.processing.findIndex(i => i.id === jobId);
+  if (index === -1) {
+    console.log(`${jobId} is not being processed in ${queueType} queue (lease lost?)`);
     return;
   }
   
-  const item = queue.processing;
-  queue.processing = null;
+  const [item] = queue.processing.splice(index, 1);
   
   // Log completion
-  const itemId = item.id || item.articleId || 'item';
   if (success) {
-    console.log(`✓ Completed ${queueType}: ${itemId}`);
+    console.log(`✓ Completed ${queueType}: ${jobId}`);
+  } else if (result.cancelled) {
+    console.log(`⊘ Cancelled ${queueType}: ${jobId}`);
   } else {
-    console.log(`✗ Failed ${queueType}: ${itemId}`);
+    console.log(`✗ Failed ${queueType}: ${jobId}`);
+    failItem(queueType, queue, item, result.error || 'Unknown error');
+  }
+  
+  saveQueue(queueType, queue);
+};
+
+/**
+ * Reclaim jobs whose worker is gone or whose lease expired (worker died or hung)
+ * Jobs of a worker known to be gone are re-queued without counting an attempt,
+ * so a restart doesn't push them towards the dead-letter list; an expired
+ * lease counts as a failed attempt. Called on startup and before every
+ * processing pass.
+ * @returns {number} Number of reclaimed jobs
+ */
+const reclaimExpiredLeases = () => {
+  let reclaimed = 0;
+  const now = Date.now();
+  
+  for (const queueType of Object.values(QUEUE_TYPES)) {
+    const queue = loadQueue(queueType);
+    const goneReasons = new Map(queue.processing
+      .map(item => [item, getOwnerStaleReason(item.owner)])
+      .filter(([, reason]) => reason !== null));
+    const expired = queue.processing.filter(i => (
+      !goneReasons.has(i) && (!i.leaseExpiresAt || Date.parse(i.leaseExpiresAt) <= now)
+    ));
+    if (goneReasons.size === 0 && expired.length === 0) {
+      continue;
+    }
     
-    // Re-queue failed items (max 3 attempts)
-    item.attempts = (item.attempts || 0) + 1;
-    if (item.attempts < 3) {
-      console.log(`  Re-queuing (attempt ${item.attempts + 1}/3)`);
-      queue.items.push(item);
-    } else {
-      console.log(`  Max attempts reached, discarding`);
+    queue.processing = queue.processing.filter(i => !goneReasons.has(i) && !expired.includes(i));
+    for (const [item, reason] of goneReasons) {
+      if (item.cancelRequested) {
+        console.log(`⊘ Dropping cancelled ${queueType} job ${item.id} (${reason})`);
+        continue;
+      }
+      console.log(`↺ Re-queuing ${queueType} job ${item.id} (${reason}, owner ${item.workerId || 'unknown'})`);
+      const { workerId, owner, leaseExpiresAt, heartbeatAt, progress, ...rest } = item;
+      insertByPriority(queue.items, { ...rest, status: 'queued' });
+    }
+    for (const item of expired) {
+      if (item.cancelRequested) {
+        console.log(`⊘ Dropping cancelled ${queueType} job ${item.id} (lease expired)`);
+        continue;
+      }
+      console.log(`↺ Reclaiming ${queueType} job ${item.id} (lease expired, owner ${item.workerId || 'unknown'})`);
+      failItem(queueType, queue, item, 'Lease expired');
     }
+    saveQueue(queueType, queue);
+    reclaimed += goneReasons.size + expired.length;
+  }
+  
+  return reclaimed;
+};
+
+/**
+ * Persist a running job's progress
+ * @param {string} queueType - Type of queue
+ * @param {string} jobId - Running job id
+ * @param {number} percent - 0-100
+ * @param {string} message - Short description of the current step
+ */
+const reportProgress = (queueType, jobId, percent, message = '') => {
+  const queue = loadQueue(queueType);
+  const item = queue.processing.find(i => i.id === jobId);
+  if (!item) {
+    return;
+  }
+  
+  item.progress = {
+    percent: Math.max(0, Math.min(100, Math.round(percent))),
+    message,
+    updatedAt: new Date().toISOString(),
+  };
+  saveQueue(queueType, queue);
+};
+
+/**
+ * Whether cancellation was requested for a running job
+ */
+const isCancelRequested = (queueType, jobId) => {
+  const item = loadQueue(queueType).processing.find(i => i.id === jobId);
+  return Boolean(item && item.cancelRequested);
+};
+
+/**
+ * Throw if cancellation was requested for a running job
+ * Workers call this between steps (scenes, iterations); the error has code
+ * JOB_CANCELLED and the job is dropped instead of retried.
+ */
+const throwIfCancelled = (queueType, jobId) => {
+  if (isCancelRequested(queueType, jobId)) {
+    const error = new Error(`Job ${jobId} was cancelled`);
+    error.code = 'JOB_CANCELLED';
+    throw error;
+  }
+};
+
+/**
+ * Cancel a job
+ * Queued jobs are removed right away; running jobs are flagged and stop at
+ * their next cancellation check.
+ * @returns {object|null} { jobId, state: 'removed'|'cancelling' }, or null if not found
+ */
+const cancelJob = (queueType, jobId) => {
+  const queue = loadQueue(queueType);
+  
+  const index = queue.items.findIndex(i => i.id === jobId);
+  if (index !== -1) {
+    queue.items.splice(index, 1);
+    saveQueue(queueType, queue);
+    console.log(`⊘ Removed queued ${queueType} job ${jobId}`);
+    return { jobId, state: 'removed' };
+  }
+  
+  const item = queue.processing.find(i => i.id === jobId);
+  if (item) {
+    item.cancelRequested = true;
+    item.cancelRequestedAt = new Date().toISOString();
+    saveQueue(queueType, queue);
+    console.log(`⊘ Cancellation requested for ${queueType} job ${jobId}`);
+    return { jobId, state: 'cancelling' };
+  }
+  
+  return null;
+};
+
+/**
+ * Change the priority of a queued job (moves it within the queue)
+ * @returns {object|null} { jobId, priority, position }, or null if the job is not queued
+ */
+const setPriority = (queueType, jobId, priority) => {
+  if (!PRIORITIES.includes(priority)) {
+    throw new Error(`Invalid priority "${priority}". Supported: ${PRIORITIES.join(', ')}`);
+  }
+  
+  const queue = loadQueue(queueType);
+  const index = queue.items.findIndex(i => i.id === jobId);
+  if (index === -1) {
+    return null;
   }
   
+  const [item] = queue.items.splice(index, 1);
+  const position = insertByPriority(queue.items, { ...item, priority }) + 1;
   saveQueue(queueType, queue);
+  
+  console.log(`↕ ${queueType} job ${jobId} now ${priority} priority (position ${position})`);
+  return { jobId, priority, position };
 };
 
 /**
@@ -182,70 +482,152 @@ const getStatus = (queueType = 'all') => {
   const queue = loadQueue(queueType);
   return {
     type: queueType,
+    concurrency: getConcurrency(queueType),
+    running: queue.processing.length,
     processing: queue.processing,
     queued: queue.items.length,
     items: queue.items,
+    deadLetter: queue.deadLetter.length,
   };
 };
 
 /**
- * Clear entire queue (emergency use only)
+ * List dead-lettered items
+ * @param {string} queueType - Type of queue (or 'all' for all queues)
+ * @returns {Array|object} Items, or { [type]: items } for 'all'
+ */
+const getDeadLetters = (queueType = 'all') => {
+  if (queueType === 'all') {
+    return Object.fromEntries(Object.values(QUEUE_TYPES).map(type => [type, getDeadLetters(type)]));
+  }
+  return loadQueue(queueType).deadLetter;
+};
+
+/**
+ * Move a dead-lettered item back to the queue with a fresh set of attempts
+ * @returns {object|null} Re-queued item, or null if not found
+ */
+const retryDeadLetter = (queueType, jobId) => {
+  const queue = loadQueue(queueType);
+  const index = queue.deadLetter.findIndex(i => i.id === jobId);
+  if (index === -1) {
+    return null;
+  }
+  
+  const [item] = queue.deadLetter.splice(index, 1);
+  const { failedAt, availableAt, ...rest } = item;
+  const requeued = {
+    ...rest,
+    status: 'queued',
+    attempts: 0,
+    queuedAt: new Date().toISOString(),
+    retriedFromDeadLetterAt: new Date().toISOString(),
+  };
+  insertByPriority(queue.items, requeued);
+  saveQueue(queueType, queue);
+  
+  console.log(`↻ Retrying dead-lettered ${queueType} job ${jobId}`);
+  return requeued;
+};
+
+/**
+ * Remove dead-lettered items
+ * @param {string} queueType - Type of queue
+ * @param {string|null} jobId - Item to remove, or null for all
+ * @returns {number} Number of removed items
+ */
+const purgeDeadLetters = (queueType, jobId = null) => {
+  const queue = loadQueue(queueType);
+  const before = queue.deadLetter.length;
+  queue.deadLetter = jobId ? queue.deadLetter.filter(i => i.id !== jobId) : [];
+  const removed = before - queue.deadLetter.length;
+  
+  if (removed > 0) {
+    saveQueue(queueType, queue);
+    console.log(`✓ Purged ${removed} dead-lettered ${queueType} job(s)`);
+  }
+  return removed;
+};
+
+/**
+ * Clear waiting and running items (emergency use only)
+ * Dead letters are kept; use purgeDeadLetters() for those.
  */
 const clearQueue = (queueType) => {
-  saveQueue(queueType, { items: [], processing: null });
+  const queue = loadQueue(queueType);
+  saveQueue(queueType, { items: [], processing: [], deadLetter: queue.deadLetter });
   console.log(`✓ Cleared ${queueType} queue`);
 };
 
 /**
- * Process queues automatically
- * Call this periodically to process pending items
+ * Run one leased job, keeping its lease alive while it runs
  */
-const processQueues = async (processors) => {
-  const queues = [
-    QUEUE_TYPES.FETCH,
-    QUEUE_TYPES.DESCRIBE,
-    QUEUE_TYPES.RATE,
-    QUEUE_TYPES.FPO,
-  ];
-  
-  for (const queueType of queues) {
-    const status = getStatus(queueType);
-    
-    // Skip if already processing or empty
-    if (status.processing || status.queued === 0) {
-      continue;
+const runJob = async (queueType, item, processor) => {
+  const heartbeatTimer = setInterval(() => {
+    if (!heartbeat(queueType, item.id)) {
+      console.log(`⚠️  ${queueType} job ${item.id} lost its lease`);
     }
-    
-    // Get next item
-    const item = dequeue(queueType);
-    if (!item) {
-      continue;
+  }, Math.max(1000, Math.floor(config.queue.leaseMs / 3)));
+  
+  try {
+    const result = await processor(item);
+    complete(queueType, item.id, true, result);
+  } catch (error) {
+    if (error.code === 'JOB_CANCELLED') {
+      complete(queueType, item.id, false, { cancelled: true });
+      return;
     }
-    
-    // Process item with provided processor
+    console.error(`Error processing ${queueType}:`, error.message);
+    complete(queueType, item.id, false, { error: error.message });
+  } finally {
+    clearInterval(heartbeatTimer);
+  }
+};
+
+/**
+ * Process queues automatically
+ * Call this periodically: reclaims expired leases, then starts jobs up to each
+ * type's concurrency limit. Resolves when the jobs started by this call finish.
+ */
+const processQueues = async (processors) => {
+  reclaimExpiredLeases();
+  
+  const started = [];
+  
+  for (const queueType of Object.values(QUEUE_TYPES)) {
     const processor = processors[queueType];
     if (!processor) {
-      console.error(`No processor defined for ${queueType}`);
-      complete(queueType, false);
       continue;
     }
     
-    try {
-      const result = await processor(item);
-      complete(queueType, true, result);
-    } catch (error) {
-      console.error(`Error processing ${queueType}:`, error.message);
-      complete(queueType, false);
+    // Lease items until the type reaches its concurrency limit
+    let item = dequeue(queueType);
+    while (item) {
+      started.push(runJob(queueType, item, processor));
+      item = dequeue(queueType);
     }
   }
+  
+  await Promise.all(started);
 };
 
 module.exports = {
   QUEUE_TYPES,
+  PRIORITIES,
   enqueue,
   dequeue,
+  heartbeat,
   complete,
+  reportProgress,
+  isCancelRequested,
+  throwIfCancelled,
+  cancelJob,
+  setPriority,
+  reclaimExpiredLeases,
   getStatus,
+  getDeadLetters,
+  retryDeadLetter,
+  purgeDeadLetters,
   clearQueue,
   processQueues,
 };
@@ -0,0 +1,339 @@
+/**
+ * Scheduled recurring jobs
+ * Schedule definitions live in data/schedules.json (editable by hand or via
+ * /api/schedules) and enqueue fetch/describe/rate/fpo jobs into the persistent
+ * queues on a cron schedule.
+ *
+ * Schedule:
+ * {
+ *   id: 'nightly-fetch',
+ *   cron: '0 3 * * *',
+ *   type: 'fetch' | 'describe' | 'rate' | 'fpo',
+ *   payload: { ... },            // Job options, see runSchedule()
+ *   enabled: true,
+ *   nextRunAt, lastRunAt, lastJobIds, lastResult, lastError
+ * }
+ *
+ * A run is skipped while any job of the schedule's previous run is still
+ * queued or processing. A run missed while the server was down fires once on
+ * the next tick.
+ */
+
+const fs = require('fs');
+const path = require('path');
+const config = require('../config');
+const { getNextRun, parseCron } = require('./cron');
+const { writeJsonAtomic } = require('./jsonFile');
+const { enqueue, getStatus, PRIORITIES, QUEUE_TYPES } = require('./queue');
+
+const SCHEDULES_PATH = path.join(config.dataDir, 'schedules.json');
+
+/**
+ * Load schedules from disk
+ */
+const loadSchedules = () => {
+  if (!fs.existsSync(SCHEDULES_PATH)) {
+    return { schedules: [] };
+  }
+  try {
+    const data = JSON.parse(fs.readFileSync(SCHEDULES_PATH, 'utf8'));
+    return { schedules: data.schedules || [] };
+  } catch (error) {
+    console.error('Error loading schedules:', error.message);
+    return { schedules: [] };
+  }
+};
+
+/**
+ * Save schedules to disk atomically
+ */
+const saveSchedules = (data) => {
+  writeJsonAtomic(SCHEDULES_PATH, data);
+};
+
+const invalidSchedule = (message) => {
+  const error = new Error(message);
+  error.code = 'INVALID_SCHEDULE';
+  return error;
+};
+
+/**
+ * Validate a schedule definition
+ * @throws {Error} With code INVALID_SCHEDULE
+ */
+const validateSchedule = (schedule) => {
+  if (!Object.values(QUEUE_TYPES).includes(schedule.type)) {
+    throw invalidSchedule(`type must be one of: ${Object.values(QUEUE_TYPES).join(', ')}`);
+  }
+
+  try {
+    parseCron(schedule.cron);
+  } catch (error) {
+    throw invalidSchedule(`Invalid cron expression: ${error.message}`);
+  }
+  if (!getNextRun(schedule.cron)) {
+    throw invalidSchedule(`Cron expression "${schedule.cron}" never fires`);
+  }
+
+  const payload = schedule.payload || {};
+  if (typeof payload !== 'object' || Array.isArray(payload)) {
+    throw invalidSchedule('payload must be an object');
+  }
+  if (payload.priority && !PRIORITIES.includes(payload.priority)) {
+    throw invalidSchedule(`payload.priority must be one of: ${PRIORITIES.join(', ')}`);
+  }
+  if (payload.count !== undefined && (!Number.isInteger(payload.count) || payload.count < 1 || payload.count > 100)) {
+    throw invalidSchedule('payload.count must be an integer between 1 and 100');
+  }
+  if (payload.limit !== undefined && (!Number.isInteger(payload.limit) || payload.limit < 1)) {
+    throw invalidSchedule('payload.limit must be a positive integer');
+  }
+
+  // Same checks as the routes, so a bad payload fails here instead of on every run
+  if (payload.promptId && (schedule.type === QUEUE_TYPES.DESCRIBE || schedule.type === QUEUE_TYPES.RATE)) {
+    try {
+      if (schedule.type === QUEUE_TYPES.DESCRIBE) {
+        require('../core/promptOptimizer').getScenePrompt(payload.promptId);
+      } else {
+        require('../core/matchPrompts').getMatchPrompt(payload.promptId);
+      }
+    } catch (error) {
+      throw invalidSchedule(`Invalid payload.promptId: ${payload.promptId}`);
+    }
+  }
+  if (schedule.type === QUEUE_TYPES.FPO) {
+    const { normalizeFpoOptions } = require('../workers/fpoWorker');
+    try {
+      normalizeFpoOptions(payload);
+    } catch (error) {
+      throw invalidSchedule(`payload.${error.message}`);
+    }
+  }
+};
+
+/**
+ * Check whether any job of the schedule's previous run is still queued or running
+ */
+const isPreviousRunActive = (schedule) => {
+  if (!schedule.lastJobIds?.length) {
+    return false;
+  }
+  const queue = getStatus(schedule.type);
+  return [...queue.processing, ...queue.items].some(job => schedule.lastJobIds.includes(job.id));
+};
+
+/**
+ * Enqueue the jobs for one run of a schedule
+ * - fetch: one fetch job ({ count, query })
+ * - describe: a describe job for each fetched article with a video ({ limit, threshold, promptId })
+ * - rate: a rate job for each described article ({ limit, promptId })
+ * - fpo: one FPO job (same options as POST /api/fpo/run)
+ * `payload.priority` applies to every job (default low, behind user-triggered work).
+ * @returns {object} { jobIds, skipped } - skipped holds a reason when there was nothing to do
+ */
+const runSchedule = (schedule) => {
+  const { listArticles } = require('../core/articleWorkflow');
+  const { priority = 'low', limit = 10, ...options } = schedule.payload || {};
+
+  switch (schedule.type) {
+    case QUEUE_TYPES.FETCH: {
+      const { jobId } = enqueue(QUEUE_TYPES.FETCH, {
+        id: `fetch-${Date.now()}`,
+        count: options.count || 10,
+        query: options.query,
+        priority,
+      });
+      return { jobIds: [jobId], skipped: null };
+    }
+
+    case QUEUE_TYPES.DESCRIBE:
+    case QUEUE_TYPES.RATE: {
+      const isDescribe = schedule.type === QUEUE_TYPES.DESCRIBE;
+      const articles = listArticles()
+        .filter(a => (isDescribe ? a.status === 'fetched' && a.hasLocalVideo : a.status === 'described'))
+        .slice(0, limit);
+
+      if (articles.length === 0) {
+        return { jobIds: [], skipped: `No ${isDescribe ? 'fetched' : 'described'} articles` };
+      }
+
+      const jobIds = articles.map(article => enqueue(schedule.type, {
+        articleId: article.articleId,
+        ...(isDescribe ? { threshold: options.threshold || 0.3 } : {}),
+        promptId: options.promptId || null,
+        priority,
+      }).jobId);
+      return { jobIds, skipped: null };
+    }
+
+    case QUEUE_TYPES.FPO: {
+      const described = listArticles().filter(a => a.status === 'described' || a.status === 'rated');
+      if (described.length === 0) {
+        return { jobIds: [], skipped: 'No described articles' };
+      }
+
+      const { normalizeFpoOptions } = require('../workers/fpoWorker');
+      const { jobId } = enqueue(QUEUE_TYPES.FPO, {
+        ...normalizeFpoOptions(options),
+        id: `fpo-${Date.now()}`,
+        priority,
+      });
+      return { jobIds: [jobId], skipped: null };
+    }
+
+    default:
+      throw new Error(`Unknown schedule type: ${schedule.type}`);
+  }
+};
+
+/**
+ * Run every enabled schedule that is due
+ * @param {Date} now - Current time (default: now)
+ */
+const runDueSchedules = (now = new Date()) => {
+  const data = loadSchedules();
+  let changed = false;
+
+  for (const schedule of data.schedules) {
+    if (schedule.enabled === false) {
+      continue;
+    }
+
+    // New or hand-edited schedules start counting from now
+    if (!schedule.nextRunAt) {
+      const nextRun = getNextRun(schedule.cron, now);
+      // One that never fires stays without a next run (no rewrite every tick)
+      if (nextRun) {
+        schedule.nextRunAt = nextRun.toISOString();
+        changed = true;
+      }
+      continue;
+    }
+
+    if (now < new Date(schedule.nextRunAt)) {
+      continue;
+    }
+
+    schedule.lastRunAt = now.toISOString();
+    schedule.nextRunAt = getNextRun(schedule.cron, now)?.toISOString() || null;
+    changed = true;
+
+    if (isPreviousRunActive(schedule)) {
+      console.log(`⏭️  Schedule ${schedule.id}: previous run still active, skipping`);
+      schedule.lastResult = 'skipped';
+      schedule.lastError = 'Previous run still active';
+      continue;
+    }
+
+    try {
+      const { jobIds, skipped } = runSchedule(schedule);
+      if (skipped) {
+        console.log(`⏭️  Schedule ${schedule.id}: ${skipped}, skipping`);
+        schedule.lastResult = 'skipped';
+        schedule.lastError = skipped;
+      } else {
+        console.log(`⏰ Schedule ${schedule.id}: queued ${jobIds.length} ${schedule.type} job(s)`);
+        schedule.lastJobIds = jobIds;
+        schedule.lastResult = 'enqueued';
+        schedule.lastError = null;
+      }
+    } catch (error) {
+      console.error(`✗ Schedule ${schedule.id} failed:`, error.message);
+      schedule.lastResult = 'error';
+      schedule.lastError = error.message;
+    }
+  }
+
+  if (changed) {
+    saveSchedules(data);
+  }
+};
+
+/**
+ * List schedules with their next run times
+ */
+const listSchedules = () => {
+  return loadSchedules().schedules.map(schedule => ({
+    ...schedule,
+    nextRunAt: schedule.enabled === false
+      ? null
+      : schedule.nextRunAt || getNextRun(schedule.cron)?.toISOString() || null,
+  }));
+};
+
+/**
+ * Create or replace a schedule (by id)
+ * Replacing keeps the run history; the next run is recomputed from now.
+ * @param {object} definition - { id, cron, type, payload, enabled }
+ * @returns {object} Saved schedule
+ * @throws {Error} With code INVALID_SCHEDULE
+ */
+const saveSchedule = (definition) => {
+  validateSchedule(definition);
+
+  const data = loadSchedules();
+  const id = definition.id || `${definition.type}-${Date.now()}`;
+  const existing = data.schedules.find(s => s.id === id);
+  const enabled = definition.enabled !== false;
+
+  const schedule = {
+    lastRunAt: null,
+    lastJobIds: [],
+    lastResult: null,
+    lastError: null,
+    ...existing,
+    id,
+    cron: definition.cron,
+    type: definition.type,
+    payload: definition.payload || {},
+    enabled,
+    createdAt: existing?.createdAt || new Date().toISOString(),
+    updatedAt: new Date().toISOString(),
+    nextRunAt: enabled ? getNextRun(definition.cron)?.toISOString() || null : null,
+  };
+
+  data.schedules = [...data.schedules.filter(s => s.id !== id), schedule];
+  saveSchedules(data);
+
+  console.log(`✓ Schedule saved: ${id} (${schedule.type}, "${schedule.cron}")`);
+  return schedule;
+};
+
+/**
+ * Delete a schedule
+ * @returns {boolean} False if no schedule has the id
+ */
+const deleteSchedule = (id) => {
+  const data = loadSchedules();
+  const schedules = data.schedules.filter(s => s.id !== id);
+  if (schedules.length === data.schedules.length) {
+    return false;
+  }
+  saveSchedules({ ...data, schedules });
+  console.log(`✓ Schedule deleted: ${id}`);
+  return true;
+};
+
+/**
+ * Check schedules every `config.scheduler.tickMs`
+ */
+const startScheduler = () => {
+  const tick = () => {
+    try {
+      runDueSchedules();
+    } catch (error) {
+      console.error('Scheduler error:', error.message);
+    }
+  };
+
+  tick();
+  return setInterval(tick, config.scheduler.tickMs);
+};
+
+module.exports = {
+  listSchedules,
+  saveSchedule,
+  deleteSchedule,
+  runDueSchedules,
+  startScheduler,
+};
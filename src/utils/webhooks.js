@@ -0,0 +1,304 @@
+/**
+ * Webhook notifications for pipeline events
+ * Webhooks are stored in data/webhooks/webhooks.json, each with an event
+ * filter and a secret. Deliveries are JSON POSTs signed with HMAC-SHA256
+ * (`X-Reels-Signature: sha256=<hex>` over the raw body), retried with
+ * exponential backoff and recorded in a per-webhook delivery log
+ * (data/webhooks/deliveries/<webhookId>.json, newest first).
+ *
+ * Retries are timers in the server process; a delivery still waiting for a
+ * retry when the server stops is left as `pending` in the log.
+ */
+
+const fs = require('fs');
+const path = require('path');
+const crypto = require('crypto');
+const axios = require('axios');
+const config = require('../config');
+const { writeJsonAtomic } = require('./jsonFile');
+
+const WEBHOOKS_DIR = path.join(config.dataDir, 'webhooks');
+const WEBHOOKS_PATH = path.join(WEBHOOKS_DIR, 'webhooks.json');
+const DELIVERIES_DIR = path.join(WEBHOOKS_DIR, 'deliveries');
+
+// Ensure webhook directories exist
+if (!fs.existsSync(DELIVERIES_DIR)) {
+  fs.mkdirSync(DELIVERIES_DIR, { recursive: true });
+}
+
+const WEBHOOK_EVENTS = [
+  'article.fetched',
+  'article.described',
+  'article.rated',
+  'fpo.iteration',
+  'fpo.global_prompt_changed',
+  'job.failed',
+];
+
+const readJson = (filePath, fallback) => {
+  if (!fs.existsSync(filePath)) {
+    return fallback;
+  }
+  try {
+    return JSON.parse(fs.readFileSync(filePath, 'utf8'));
+  } catch (error) {
+    console.error(`Error loading ${filePath}:`, error.message);
+    return fallback;
+  }
+};
+
+const loadWebhooks = () => readJson(WEBHOOKS_PATH, { webhooks: [] }).webhooks || [];
+
+const saveWebhooks = (webhooks) => writeJsonAtomic(WEBHOOKS_PATH, { webhooks });
+
+const getDeliveriesPath = (webhookId) => path.join(DELIVERIES_DIR, `${webhookId}.json`);
+
+/**
+ * Hide the secret in API responses
+ */
+const toPublic = ({ secret, ...webhook }) => ({
+  ...webhook,
+  secret: secret ? `${secret.slice(0, 4)}…` : null,
+});
+
+const invalidWebhook = (message) => {
+  const error = new Error(message);
+  error.code = 'INVALID_WEBHOOK';
+  return error;
+};
+
+/**
+ * Sign a raw payload
+ * @returns {string} `sha256=<hex>` signature for the X-Reels-Signature header
+ */
+const signPayload = (secret, body) => {
+  return `sha256=${crypto.createHmac('sha256', secret).update(body).digest('hex')}`;
+};
+
+/**
+ * Register a webhook
+ * @param {object} definition - { url, events: [...] or ['*'], secret?, description? }
+ * @returns {object} Webhook including its secret (only returned here)
+ * @throws {Error} With code INVALID_WEBHOOK
+ */
+const createWebhook = ({ url, events = ['*'], secret, description = null }) => {
+  let parsedUrl;
+  try {
+    parsedUrl = new URL(url);
+  } catch (error) {
+    throw invalidWebhook('url must be a valid http(s) URL');
+  }
+  if (!['http:', 'https:'].includes(parsedUrl.protocol)) {
+    throw invalidWebhook('url must be a valid http(s) URL');
+  }
+
+  if (!Array.isArray(events) || events.length === 0) {
+    throw invalidWebhook('events must be a non-empty array');
+  }
+  const unknown = events.filter(event => event !== '*' && !WEBHOOK_EVENTS.includes(event));
+  if (unknown.length > 0) {
+    throw invalidWebhook(`Unknown events: ${unknown.join(', ')}. Supported: *, ${WEBHOOK_EVENTS.join(', ')}`);
+  }
+
+  if (secret !== undefined && (typeof secret !== 'string' || secret.length < 8)) {
+    throw invalidWebhook('secret must be a string of at least 8 characters');
+  }
+
+  const webhook = {
+    id: `wh-${Date.now()}-${crypto.randomBytes(3).toString('hex')}`,
+    url,
+    events,
+    secret: secret || crypto.randomBytes(24).toString('hex'),
+    description,
+    enabled: true,
+    createdAt: new Date().toISOString(),
+  };
+
+  saveWebhooks([...loadWebhooks(), webhook]);
+  console.log(`✓ Webhook registered: ${webhook.id} → ${url} (${events.join(', ')})`);
+
+  return webhook;
+};
+
+/**
+ * List webhooks (secrets masked)
+ */
+const listWebhooks = () => loadWebhooks().map(toPublic);
+
+/**
+ * Delete a webhook and its delivery log
+ * @returns {boolean} False if no webhook has the id
+ */
+const deleteWebhook = (webhookId) => {
+  const webhooks = loadWebhooks();
+  const remaining = webhooks.filter(w => w.id !== webhookId);
+  if (remaining.length === webhooks.length) {
+    return false;
+  }
+
+  saveWebhooks(remaining);
+  const deliveriesPath = getDeliveriesPath(webhookId);
+  if (fs.existsSync(deliveriesPath)) {
+    fs.unlinkSync(deliveriesPath);
+  }
+
+  console.log(`✓ Webhook deleted: ${webhookId}`);
+  return true;
+};
+
+/**
+ * Get the delivery log of a webhook (newest first)
+ * @returns {Array|null} Deliveries, or null if the webhook does not exist
+ */
+const getDeliveries = (webhookId) => {
+  if (!loadWebhooks().some(w => w.id === webhookId)) {
+    return null;
+  }
+  return readJson(getDeliveriesPath(webhookId), []);
+};
+
+/**
+ * Insert or update a delivery in the webhook's log, keeping the newest entries
+ */
+const recordDelivery = (webhookId, delivery) => {
+  const deliveries = readJson(getDeliveriesPath(webhookId), []);
+  const index = deliveries.findIndex(d => d.id === delivery.id);
+  if (index === -1) {
+    deliveries.unshift(delivery);
+  } else {
+    deliveries[index] = delivery;
+  }
+  writeJsonAtomic(getDeliveriesPath(webhookId), deliveries.slice(0, config.webhooks.logSize));
+};
+
+/**
+ * POST one attempt of a delivery; schedules a retry with backoff on failure
+ */
+const attemptDelivery = async (webhook, delivery) => {
+  const body = JSON.stringify(delivery.payload);
+  const attempt = { attempt: delivery.attempts.length + 1, at: new Date().toISOString() };
+  const startTime = Date.now();
+
+  try {
+    const response = await axios.post(webhook.url, body, {
+      headers: {
+        'Content-Type': 'application/json',
+        'User-Agent': 'prompt-reels-webhooks',
+        'X-Reels-Event': delivery.event,
+        'X-Reels-Delivery': delivery.id,
+        'X-Reels-Signature': signPayload(webhook.secret, body),
+      },
+      timeout: config.webhooks.timeoutMs,
+      validateStatus: () => true,
+    });
+    attempt.statusCode = response.status;
+    if (response.status < 200 || response.status >= 300) {
+      attempt.error = `HTTP ${response.status}`;
+    }
+  } catch (error) {
+    attempt.error = error.message;
+  }
+
+  attempt.durationMs = Date.now() - startTime;
+  delivery.attempts.push(attempt);
+
+  if (!attempt.error) {
+    delivery.status = 'delivered';
+    delivery.deliveredAt = attempt.at;
+    delete delivery.nextAttemptAt;
+    recordDelivery(webhook.id, delivery);
+    return;
+  }
+
+  if (delivery.attempts.length >= config.webhooks.maxAttempts) {
+    delivery.status = 'failed';
+    delete delivery.nextAttemptAt;
+    recordDelivery(webhook.id, delivery);
+    console.error(`✗ Webhook ${webhook.id} delivery ${delivery.id} (${delivery.event}) failed: ${attempt.error}`);
+    return;
+  }
+
+  const delay = Math.min(
+    config.webhooks.retryMaxMs,
+    config.webhooks.retryBaseMs * 2 ** (delivery.attempts.length - 1)
+  );
+  delivery.nextAttemptAt = new Date(Date.now() + delay).toISOString();
+  recordDelivery(webhook.id, delivery);
+
+  console.warn(`⚠️  Webhook ${webhook.id} delivery ${delivery.id} failed (${attempt.error}), retrying in ${Math.round(delay / 1000)}s`);
+  setTimeout(() => {
+    // Pick up secret/URL changes and skip webhooks deleted in the meantime
+    const current = loadWebhooks().find(w => w.id === webhook.id);
+    if (current && current.enabled !== false) {
+      attemptDelivery(current, delivery).catch(err => {
+        console.error(`Webhook ${webhook.id} retry error:`, err.message);
+      });
+    }
+  }, delay).unref();
+};
+
+/**
+ * Send an event to every enabled webhook subscribed to it
+ * Never throws: delivery runs in the background and failures are logged.
+ * @param {string} event - Event name (see WEBHOOK_EVENTS, or 'ping')
+ * @param {object} data - Event data
+ * @param {Array} webhooks - Target webhooks (default: all subscribed)
+ * @returns {Array<string>} Delivery ids
+ */
+const emitEvent = (event, data, webhooks = null) => {
+  try {
+    const targets = webhooks || loadWebhooks().filter(webhook =>
+      webhook.enabled !== false && (webhook.events.includes('*') || webhook.events.includes(event))
+    );
+
+    return targets.map(webhook => {
+      const id = `dlv-${Date.now()}-${crypto.randomBytes(3).toString('hex')}`;
+      const delivery = {
+        id,
+        event,
+        status: 'pending',
+        createdAt: new Date().toISOString(),
+        attempts: [],
+        payload: {
+          id,
+          event,
+          timestamp: new Date().toISOString(),
+          data,
+        },
+      };
+      recordDelivery(webhook.id, delivery);
+
+      attemptDelivery(webhook, delivery).catch(err => {
+        console.error(`Webhook ${webhook.id} delivery error:`, err.message);
+      });
+      return id;
+    });
+  } catch (error) {
+    console.error(`Error emitting webhook event ${event}:`, error.message);
+    return [];
+  }
+};
+
+/**
+ * Send a `ping` event to one webhook
+ * @returns {string|null} Delivery id, or null if the webhook does not exist
+ */
+const pingWebhook = (webhookId) => {
+  const webhook = loadWebhooks().find(w => w.id === webhookId);
+  if (!webhook) {
+    return null;
+  }
+  const [deliveryId] = emitEvent('ping', { webhookId, events: webhook.events }, [webhook]);
+  return deliveryId || null;
+};
+
+module.exports = {
+  WEBHOOK_EVENTS,
+  createWebhook,
+  listWebhooks,
+  deleteWebhook,
+  getDeliveries,
+  emitEvent,
+  pingWebhook,
+  signPayload,
+};
@@ -0,0 +1,182 @@
+/**
+ * Describe Queue Processor
+ * Handles background scene detection and description of article videos
+ */
+
+const fs = require('fs');
+const path = require('path');
+const config = require('../config');
+const { createProviderContext } = require('../providers');
+const { getScenePrompt } = require('../core/promptOptimizer');
+const { detectScenes, extractSceneFrames } = require('../core/sceneDetection');
+const { normalizeDedupOptions } = require('../core/frameDedup');
+const { describeScenesWithDedup } = require('../core/sceneDescription');
+const { transcribeSceneAudio } = require('../core/audioTranscription');
+const { getArticleDetails, linkArticleToScenes } = require('../core/articleWorkflow');
+const { enqueue, reportProgress, throwIfCancelled, QUEUE_TYPES } = require('../utils/queue');
+const { acquireFlag, clearFlag } = require('../utils/flags');
+
+/**
+ * Process a single describe job from the queue
+ * Detects scenes, describes each one (visual + audio) and links the scene data
+ * to the article. With `rateAfter`, a rate job is queued once scenes are saved.
+ * Near-duplicate frames are left out of descriptions and, with
+ * `dedup.reuseSimilarScenes`, near-identical scenes reuse an earlier description.
+ * Cancellation is checked between scenes. `provider` puts that AI provider
+ * first for the job's model calls.
+ * @param {object} job - Job details from queue ({ id, articleId, threshold, promptId, dedup, provider, rateAfter, priority })
+ * @returns {object} - Processing result
+ */
+async function processDescribeJob(job) {
+  const {
+    id,
+    articleId,
+    threshold = 0.3,
+    promptId = null,
+    dedup = {},
+    provider = null,
+    rateAfter = false,
+    priority,
+  } = job;
+
+  console.log(`\n🎬 Starting describe job: ${id} (${articleId})`);
+
+  const articleDetails = getArticleDetails(articleId);
+  if (!articleDetails) {
+    throw new Error(`Article not found: ${articleId}`);
+  }
+
+  if (!articleDetails.video.localPath) {
+    throw new Error('Article has no local video to analyze');
+  }
+
+  const videoPath = articleDetails.video.localPath;
+  const fullVideoPath = path.join(process.cwd(), videoPath);
+
+  if (!fs.existsSync(fullVideoPath)) {
+    throw new Error(`Video file not found: ${videoPath}`);
+  }
+
+  const flagName = `describing-${articleId}`;
+  if (!acquireFlag(flagName, { jobId: id, articleId, startedAt: new Date().toISOString() })) {
+    throw new Error(`Article ${articleId} is already being described by another worker`);
+  }
+
+  try {
+    const scenePrompt = getScenePrompt(promptId);
+    const dedupOptions = normalizeDedupOptions(dedup);
+    const providerContext = createProviderContext({ provider });
+
+    // Detect scenes
+    reportProgress(QUEUE_TYPES.DESCRIBE, id, 0, 'Detecting scenes');
+    const scenes = await detectScenes(fullVideoPath, threshold);
+
+    // Extract frames and describe scenes
+    throwIfCancelled(QUEUE_TYPES.DESCRIBE, id);
+    reportProgress(QUEUE_TYPES.DESCRIBE, id, 10, 'Extracting frames');
+    const scenesDir = path.join(config.outputDir, `${articleId}_frames`);
+    const scenesWithFrames = await extractSceneFrames(fullVideoPath, scenes, scenesDir);
+
+    // Visual descriptions (reused from an earlier near-identical scene if allowed)
+    console.log(`\n🎯 Analyzing ${scenesWithFrames.length} scenes...`);
+    const deduplication = await describeScenesWithDedup(scenesWithFrames, {
+      dedup: dedupOptions,
+      scenePrompt,
+      context: providerContext,
+      onCompareFrames: () => reportProgress(QUEUE_TYPES.DESCRIBE, id, 15, 'Comparing frames'),
+      onScene: (scene, index) => {
+        throwIfCancelled(QUEUE_TYPES.DESCRIBE, id);
+        reportProgress(
+          QUEUE_TYPES.DESCRIBE,
+          id,
+          20 + (45 * index) / scenesWithFrames.length,
+          `Describing scene ${index + 1}/${scenesWithFrames.length}`
+        );
+      },
+    });
+
+    // Audio transcription
+    for (const [index, scene] of scenesWithFrames.entries()) {
+      throwIfCancelled(QUEUE_TYPES.DESCRIBE, id);
+      reportProgress(
+        QUEUE_TYPES.DESCRIBE,
+        id,
+        65 + (30 * index) / scenesWithFrames.length,
+        `Transcribing scene ${index + 1}/${scenesWithFrames.length}`
+      );
+
+      console.log(`  Scene ${scene.sceneId}: Transcribing audio...`);
+      const transcript = await transcribeSceneAudio(
+        fullVideoPath,
+        scene.sceneId,
+        scene.start,
+        scene.end,
+        scenesDir
+      );
+
+      if (transcript) {
+        scene.transcript = transcript;
+        console.log(`  Scene ${scene.sceneId}: Found dialogue (${transcript.text.length} chars)`);
+      } else {
+        console.log(`  Scene ${scene.sceneId}: No dialogue detected`);
+      }
+    }
+
+    console.log(`✓ Scene analysis complete\n`);
+    reportProgress(
+      QUEUE_TYPES.DESCRIBE,
+      id,
+      95,
+      `Saving scenes (saved ${deduplication.modelCallsSaved} describeScene calls, skipped ${deduplication.duplicateFrames} duplicate frames)`
+    );
+
+    // Save scene data
+    const sceneData = {
+      articleId,
+      videoId: articleId,  // Use same ID for now
+      videoPath: videoPath,  // Store relative path for scene viewer
+      sceneCount: scenes.length,
+      threshold,
+      deduplication,
+      detectedAt: new Date().toISOString(),
+      scenes: scenesWithFrames,
+    };
+
+    const scenesPath = path.join(config.outputDir, `${articleId}_scenes.json`);
+    fs.writeFileSync(scenesPath, JSON.stringify(sceneData, null, 2));
+
+    // Update article status
+    linkArticleToScenes(articleId, articleId, scenes.length);
+
+    clearFlag(flagName);
+
+    // Chain rating (batch add pipeline), without the per-article prompt evaluation
+    let rateJobId = null;
+    if (rateAfter) {
+      ({ jobId: rateJobId } = enqueue(QUEUE_TYPES.RATE, { articleId, evaluatePrompts: false, provider, priority }));
+    }
+
+    console.log(`✓ Describe job ${id} completed: ${scenes.length} scenes`);
+
+    return {
+      success: true,
+      articleId,
+      sceneCount: scenes.length,
+      promptId: scenePrompt?.id || null,
+      promptVersion: scenePrompt?.version || null,
+      deduplication,
+      outputPath: scenesPath,
+      rateJobId,
+    };
+  } catch (error) {
+    // Clear flag on error
+    clearFlag(flagName);
+
+    console.error(`✗ Describe job ${id} failed:`, error.message);
+    throw error;
+  }
+}
+
+module.exports = {
+  processDescribeJob,
+};
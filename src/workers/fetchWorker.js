@@ -0,0 +1,101 @@
+/**
+ * Fetch Queue Processor
+ * Handles background batch fetching of news articles
+ */
+
+const { fetchNewsArticle } = require('../core/newsFetcher');
+const { listArticles } = require('../core/articleWorkflow');
+const { enqueue, reportProgress, throwIfCancelled, QUEUE_TYPES } = require('../utils/queue');
+const { setFlag, clearFlag } = require('../utils/flags');
+
+/**
+ * Process a single fetch job from the queue
+ * Fetches articles until `count` new ones were added. Each new article with a
+ * downloaded video gets a describe job that chains into a rate job, so the
+ * slow per-article work runs on the describe/rate queues at low priority, behind
+ * user-triggered jobs. Cancellation is checked before each fetch attempt.
+ * @param {object} job - Job details from queue ({ id, count, query })
+ * @returns {object} - Processing result
+ */
+async function processFetchJob(job) {
+  const { id, count: targetCount = 10, query } = job;
+
+  console.log(`\n📦 Starting fetch job: ${id}, targeting ${targetCount} new articles`);
+
+  setFlag('batch-adding', { jobId: id, targetCount, startedAt: new Date().toISOString() });
+
+  try {
+    const initialCount = listArticles().length;
+    let attempts = 0;
+    let added = 0;
+    const maxAttempts = targetCount * 10; // Allow 10x attempts for duplicates/errors
+    const describeJobs = [];
+
+    console.log(`Initial count: ${initialCount}`);
+
+    while (added < targetCount && attempts < maxAttempts) {
+      throwIfCancelled(QUEUE_TYPES.FETCH, id);
+      reportProgress(QUEUE_TYPES.FETCH, id, (100 * added) / targetCount, `${added}/${targetCount} articles added`);
+      attempts++;
+      const beforeCount = listArticles().length;
+
+      try {
+        console.log(`[Attempt ${attempts}] Fetching article... (${added}/${targetCount} added)`);
+
+        const article = await fetchNewsArticle(query);
+
+        if (!article || !article.articleId) {
+          console.log('No article returned, skipping...');
+          continue;
+        }
+
+        // Check if article was actually added (not a duplicate)
+        if (listArticles().length <= beforeCount) {
+          console.log('Article was duplicate, skipping...');
+          continue;
+        }
+
+        console.log(`✓ Article added: ${article.articleId}`);
+        added++;
+
+        // Describe (then rate) in the background if a video was downloaded
+        if (article.video.localPath) {
+          const { jobId } = enqueue(QUEUE_TYPES.DESCRIBE, {
+            articleId: article.articleId,
+            rateAfter: true,
+            priority: 'low',
+          });
+          describeJobs.push(jobId);
+        }
+      } catch (error) {
+        console.error(`Error in batch add attempt ${attempts}: ${error.message}`);
+      }
+    }
+
+    const finalCount = listArticles().length;
+
+    clearFlag('batch-adding');
+
+    console.log(`✓ Fetch job ${id} completed: ${added} articles added in ${attempts} attempts`);
+    console.log(`Final count: ${finalCount}\n`);
+
+    return {
+      success: true,
+      added,
+      attempts,
+      initialCount,
+      finalCount,
+      describeJobs,
+    };
+  } catch (error) {
+    // Clear flag on error
+    clearFlag('batch-adding');
+
+    console.error(`✗ Fetch job ${id} failed:`, error.message);
+    throw error;
+  }
+}
+
+module.exports = {
+  processFetchJob,
+};
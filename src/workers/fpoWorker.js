@@ -3,9 +3,143 @@
  * Handles background processing of FPO (Federated Prompt Optimization) jobs
  */
 
+const config = require('../config');
 const { getArticleDetails, listArticles } = require('../core/articleWorkflow');
-const { runFPOIteration } = require('../core/promptOptimizer');
+const { loadPrompts, runFPOIteration, isHeldOutArticle } = require('../core/promptOptimizer');
+const { assignArticleDomain } = require('../core/domainClassifier');
+const { MATCH_POPULATION, loadMatchPrompts, runMatchIteration } = require('../core/matchPrompts');
+const { reportProgress, throwIfCancelled, QUEUE_TYPES } = require('../utils/queue');
 const { setFlag, clearFlag } = require('../utils/flags');
+const { emitEvent } = require('../utils/webhooks');
+
+/**
+ * Build per-client pools of scene samples
+ * Each article is assigned to one client domain; each sample is one scene with
+ * all of its frames and the article text as reference.
+ * @param {Array} articles - Articles from listArticles()
+ * @param {Array<string>} domains - Client domains
+ * @returns {object} { [domain]: samples[] }
+ */
+function buildClientPools(articles, domains) {
+  const pools = Object.fromEntries(domains.map(domain => [domain, []]));
+
+  for (const article of articles) {
+    const articleDetails = getArticleDetails(article.articleId);
+    if (!articleDetails || !articleDetails.sceneData || !Array.isArray(articleDetails.sceneData.scenes)) {
+      continue;
+    }
+
+    const articleText = articleDetails.text || articleDetails.description || articleDetails.title;
+    if (!articleText) {
+      continue;
+    }
+
+    const { domain } = assignArticleDomain(articleDetails, domains);
+
+    for (const scene of articleDetails.sceneData.scenes) {
+      if (!scene.frames || scene.frames.length === 0) {
+        continue;
+      }
+
+      pools[domain].push({
+        key: `${article.articleId}:${scene.sceneId}`,
+        articleId: article.articleId,
+        source: article.source?.domain || null,
+        sceneId: scene.sceneId,
+        start: Number(scene.start) || 0,
+        end: Number(scene.end) || 0,
+        framePaths: scene.frames.map(frame => frame.path),
+        reference: articleText.substring(0, 500),
+      });
+    }
+  }
+
+  return pools;
+}
+
+/**
+ * Draw up to `count` samples from the pool without replacement
+ */
+function sampleScenes(pool, count) {
+  const shuffled = [...pool];
+  for (let i = shuffled.length - 1; i > 0; i--) {
+    const j = Math.floor(Math.random() * (i + 1));
+    [shuffled[i], shuffled[j]] = [shuffled[j], shuffled[i]];
+  }
+  return shuffled.slice(0, count);
+}
+
+/**
+ * Fire the fpo.iteration webhook event, plus fpo.global_prompt_changed when
+ * the iteration promoted a different global prompt
+ * @returns {string} The global prompt after the iteration
+ */
+function emitIterationEvents(job, result, previousGlobalPrompt) {
+  const { id, iterations, population } = job;
+
+  emitEvent('fpo.iteration', {
+    jobId: id,
+    population,
+    iteration: result.iteration,
+    iterations,
+    globalPrompt: result.globalPrompt,
+    strategy: result.strategy,
+    selected: result.selected,
+    evolved: result.evolution ? result.evolution.evolved.length : 0,
+  });
+
+  if (result.globalPrompt !== previousGlobalPrompt) {
+    emitEvent('fpo.global_prompt_changed', {
+      jobId: id,
+      population,
+      iteration: result.iteration,
+      previousGlobalPrompt,
+      globalPrompt: result.globalPrompt,
+    });
+  }
+
+  return result.globalPrompt;
+}
+
+/**
+ * Apply defaults to FPO job options and validate them
+ * (POST /api/fpo/run and FPO schedules)
+ * @param {object} options - { sampleScenes, aggregation, strategy, armsPerRound, population, ... }
+ * @returns {object} Options with defaults
+ * @throws {Error} Naming the invalid option
+ */
+function normalizeFpoOptions(options = {}) {
+  const { SELECTION_STRATEGIES } = require('../core/promptSelection');
+  const normalized = {
+    ...options,
+    iterations: options.iterations ?? 3,
+    enableEvolution: options.enableEvolution ?? true,
+    evolutionInterval: options.evolutionInterval ?? 2,
+    sampleScenes: options.sampleScenes ?? config.fpo.sampleScenes,
+    aggregation: options.aggregation ?? config.fpo.aggregation,
+    strategy: options.strategy ?? config.fpo.selection.strategy,
+    armsPerRound: options.armsPerRound ?? config.fpo.selection.armsPerRound,
+    population: options.population ?? 'video-scene-description',
+  };
+  
+  if (!Number.isInteger(normalized.sampleScenes) || normalized.sampleScenes < 1) {
+    throw new Error('sampleScenes must be a positive integer');
+  }
+  if (!['mean', 'weighted', 'median', 'trimmed'].includes(normalized.aggregation)) {
+    throw new Error('aggregation must be one of: mean, weighted, median, trimmed');
+  }
+  if (!SELECTION_STRATEGIES.includes(normalized.strategy)) {
+    throw new Error(`strategy must be one of: ${SELECTION_STRATEGIES.join(', ')}`);
+  }
+  if (!Number.isInteger(normalized.armsPerRound) || normalized.armsPerRound < 1) {
+    throw new Error('armsPerRound must be a positive integer');
+  }
+  if (![MATCH_POPULATION, 'video-scene-description'].includes(normalized.population)) {
+    throw new Error(`population must be video-scene-description or ${MATCH_POPULATION}`);
+  }
+  
+  return normalized;
+}
 
 /**
  * Process a single FPO job from the queue
@@ -13,20 +147,65 @@ const { setFlag, clearFlag } = require('../utils/flags');
  * @returns {object} - Processing result
  */
 async function processFPOJob(job) {
-  const { id, iterations = 3, enableEvolution = true, evolutionInterval = 2 } = job;
+  const {
+    id,
+    iterations = 3,
+    enableEvolution = true,
+    evolutionInterval = 2,
+    sampleScenes: sampleCount = config.fpo.sampleScenes,
+    aggregation = config.fpo.aggregation,
+    strategy = config.fpo.selection.strategy,
+    armsPerRound = config.fpo.selection.armsPerRound,
+    population = 'video-scene-description',
+  } = job;
   
-  console.log(`\n🧠 Starting FPO job: ${id}`);
+  console.log(`\n🧠 Starting FPO job: ${id} (${population})`);
   console.log(`   Iterations: ${iterations}`);
+  console.log(`   Scenes per client per iteration: ${sampleCount}`);
+  console.log(`   Aggregation: ${aggregation}`);
+  console.log(`   Selection: ${strategy} (${armsPerRound} templates per iteration)`);
   console.log(`   Evolution: ${enableEvolution ? 'enabled' : 'disabled'}`);
   
   // Set flag to indicate FPO is running
   setFlag('fpo-running', {
     jobId: id,
     iterations,
+    population,
     startedAt: new Date().toISOString(),
   });
   
   try {
+    // Match prompts are optimized against human/labelled match scores
+    if (population === MATCH_POPULATION) {
+      const results = [];
+      let globalPrompt = loadMatchPrompts().global_prompt;
+      for (let i = 1; i <= iterations; i++) {
+        throwIfCancelled(QUEUE_TYPES.FPO, id);
+        reportProgress(QUEUE_TYPES.FPO, id, (100 * (i - 1)) / iterations, `Iteration ${i}/${iterations}`);
+        const result = await runMatchIteration(i, {
+          enableEvolution,
+          evolutionInterval,
+          strategy,
+          armsPerRound,
+        });
+        results.push(result);
+        globalPrompt = emitIterationEvents({ id, iterations, population }, result, globalPrompt);
+      }
+      
+      clearFlag('fpo-running');
+      console.log(`✓ FPO job ${id} completed: ${results.length} match iterations`);
+      
+      const lastResult = results[results.length - 1];
+      return {
+        success: true,
+        population,
+        iterations: results.length,
+        results,
+        finalPrompt: lastResult.globalPrompt,
+        strategy,
+      };
+    }
+    
     // Find described articles for testing
     const articles = listArticles();
     const describedArticles = articles.filter(a => a.status === 'described' || a.status === 'rated');
@@ -37,51 +216,52 @@ async function processFPOJob(job) {
     
     console.log(`   Found ${describedArticles.length} described articles for testing`);
     
+    // Each domain is a federated client with its own pool of held-out articles;
+    // a client with no held-out scenes falls back to all of its described articles
+    const { domains, global_prompt: initialGlobalPrompt } = loadPrompts();
+    const heldOutArticles = describedArticles.filter(a => isHeldOutArticle(a.articleId));
+    const heldOutPools = buildClientPools(heldOutArticles, domains);
+    const allPools = buildClientPools(describedArticles, domains);
+    const clientPools = Object.fromEntries(domains.map(domain => [
+      domain,
+      heldOutPools[domain].length > 0 ? heldOutPools[domain] : allPools[domain],
+    ]));
+    
+    const activeClients = domains.filter(domain => clientPools[domain].length > 0);
+    if (activeClients.length === 0) {
+      throw new Error('No described scenes with frames found');
+    }
+    
+    domains.forEach(domain => {
+      const fallback = heldOutPools[domain].length === 0 && allPools[domain].length > 0 ? ', not held out' : '';
+      console.log(`   Client ${domain}: ${clientPools[domain].length} scenes${fallback}`);
+    });
+    
     const results = [];
+    let globalPrompt = initialGlobalPrompt;
     
-    // Run iterations with RANDOM article selection for better diversity
+    // Each iteration every client draws a fresh sample from its own pool;
+    // all templates are scored on the same scenes within a client
     for (let i = 1; i <= iterations; i++) {
-      const testData = {};
+      // Cancellation takes effect between iterations
+      throwIfCancelled(QUEUE_TYPES.FPO, id);
+      reportProgress(QUEUE_TYPES.FPO, id, (100 * (i - 1)) / iterations, `Iteration ${i}/${iterations}`);
       
-      try {
-        // Select a random article for this iteration (improves diversity!)
-        const randomArticle = describedArticles[Math.floor(Math.random() * describedArticles.length)];
-        const articleDetails = getArticleDetails(randomArticle.articleId);
-        
-        if (articleDetails && articleDetails.sceneData && articleDetails.sceneData.scenes.length > 0) {
-          // Select a random scene from the article (more diversity!)
-          const randomSceneIndex = Math.floor(Math.random() * articleDetails.sceneData.scenes.length);
-          const randomScene = articleDetails.sceneData.scenes[randomSceneIndex];
-          
-          // Select a random frame from the scene
-          const randomFrameIndex = Math.floor(Math.random() * randomScene.frames.length);
-          const randomFrame = randomScene.frames[randomFrameIndex];
-          
-          const articleText = articleDetails.text || articleDetails.description || articleDetails.title;
-          
-          const domains = ['news', 'sports', 'reels'];
-          for (const domain of domains) {
-            testData[domain] = {
-              path: randomFrame.path,
-              reference: articleText.substring(0, 500),
-            };
-          }
-          
-          testData.default = testData.news;
-          
-          console.log(`   Iteration ${i}/${iterations}: article ${randomArticle.articleId}, scene ${randomSceneIndex}, frame ${randomFrameIndex}`);
-        } else {
-          console.log(`   ⚠ Iteration ${i}/${iterations}: No valid frames in article ${randomArticle.articleId}`);
-        }
-      } catch (e) {
-        console.error(`   Error preparing test data for iteration ${i}:`, e.message);
-      }
+      const testData = Object.fromEntries(domains.map(domain => [
+        domain,
+        sampleScenes(clientPools[domain], sampleCount),
+      ]));
+      console.log(`   Iteration ${i}/${iterations}: ${activeClients.map(domain => `${domain}=${testData[domain].length}`).join(', ')}`);
       
       const result = await runFPOIteration(i, testData, {
         enableEvolution,
         evolutionInterval,
+        aggregation,
+        strategy,
+        armsPerRound,
       });
       results.push(result);
+      globalPrompt = emitIterationEvents({ id, iterations, population }, result, globalPrompt);
     }
     
     const lastResult = results[results.length - 1];
@@ -93,9 +273,13 @@ async function processFPOJob(job) {
     
     return {
       success: true,
+      population,
       iterations: results.length,
       results,
       finalPrompt: lastResult.globalPrompt,
+      aggregation,
+      strategy,
+      templateStats: lastResult.templateStats,
       evolved: lastResult.evolution ? lastResult.evolution.evolved.length : 0,
       generation: lastResult.evolution ? lastResult.evolution.generation : 0,
     };
@@ -109,5 +293,8 @@ async function processFPOJob(job) {
 }
 
 module.exports = {
+  buildClientPools,
+  sampleScenes,
+  normalizeFpoOptions,
   processFPOJob,
 };
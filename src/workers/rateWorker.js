@@ -0,0 +1,161 @@
+/**
+ * Rate Queue Processor
+ * Handles background video-article match rating
+ */
+
+const { getArticleDetails, rateArticleMatch, setArticleAlignment } = require('../core/articleWorkflow');
+const { getMatchPrompt, rateWithTemplate } = require('../core/matchPrompts');
+const config = require('../config');
+const { createProviderContext } = require('../providers');
+const {
+  loadPrompts,
+  savePrompts,
+  isHeldOutArticle,
+  runClientRound,
+  aggregateResults,
+} = require('../core/promptOptimizer');
+const { buildClientPools, sampleScenes } = require('./fpoWorker');
+const { alignArticle } = require('../core/sceneAlignment');
+const { reportProgress, QUEUE_TYPES } = require('../utils/queue');
+const { acquireFlag, clearFlag } = require('../utils/flags');
+
+/**
+ * Score every scene description prompt on a newly rated article
+ * Runs one FPO client round on up to FPO_SAMPLE_SCENES of the article's scenes
+ * (all frames of each, article text as reference) and folds the scores into
+ * the templates' posteriors like an FPO iteration. Held-out articles are
+ * skipped because they are reserved for FPO iterations.
+ */
+async function evaluateScenePrompts(articleId, articleDetails) {
+  console.log(`\n🎯 Triggering FPO evaluation with article ${articleId}...`);
+
+  if (isHeldOutArticle(articleId)) {
+    console.log(`   Article ${articleId} is in the held-out FPO pool, skipping`);
+    return;
+  }
+
+  const prompts = loadPrompts();
+  const pools = buildClientPools([{ articleId, source: articleDetails.source }], prompts.domains);
+  const [domain, pool] = Object.entries(pools).find(([, samples]) => samples.length > 0) || [];
+  if (!domain) {
+    return;
+  }
+
+  const samples = sampleScenes(pool, config.fpo.sampleScenes);
+  const progress = { completed: 0, total: samples.length * prompts.templates.length };
+  const clientResult = await runClientRound(domain, prompts.templates, samples, progress);
+  aggregateResults(prompts, [clientResult]);
+
+  savePrompts(prompts);
+  console.log(`✓ FPO evaluation complete (${domain}, ${samples.length} scenes), prompts updated!\n`);
+}
+
+/**
+ * Process a single rate job from the queue
+ * Rates the match with the match population's prompt, stores the scene ↔
+ * paragraph alignment and, unless `evaluatePrompts` is false, scores the scene
+ * description prompts on the article. `provider` puts that AI provider first
+ * for the rating.
+ * @param {object} job - Job details from queue ({ id, articleId, promptId, provider, evaluatePrompts })
+ * @returns {object} - Processing result
+ */
+async function processRateJob(job) {
+  const {
+    id,
+    articleId,
+    promptId = null,
+    provider = null,
+    evaluatePrompts = true,
+  } = job;
+
+  console.log(`\n⭐ Starting rate job: ${id} (${articleId})`);
+
+  const articleDetails = getArticleDetails(articleId);
+  if (!articleDetails) {
+    throw new Error(`Article not found: ${articleId}`);
+  }
+
+  if (!articleDetails.sceneData || !articleDetails.sceneData.scenes?.length) {
+    throw new Error('Article has no scene descriptions yet. Run describe first.');
+  }
+
+  const flagName = `rating-${articleId}`;
+  if (!acquireFlag(flagName, { jobId: id, articleId, startedAt: new Date().toISOString() })) {
+    throw new Error(`Article ${articleId} is already being rated by another worker`);
+  }
+
+  try {
+    // Resolve the match prompt (population global prompt unless overridden)
+    const matchPrompt = getMatchPrompt(promptId);
+
+    // Rate video-article match using both visual and audio information
+    reportProgress(QUEUE_TYPES.RATE, id, 0, 'Rating match');
+    const result = await rateWithTemplate(matchPrompt.template, articleDetails, {
+      context: createProviderContext({ provider }),
+    });
+    const matchScore = result.matchScore;
+
+    // Update article with rating
+    rateArticleMatch(articleId, matchScore, {
+      explanation: result.explanation,
+      perSceneRelevance: result.perSceneRelevance,
+      attempts: result.attempts,
+      ratedAt: new Date().toISOString(),
+      promptId: matchPrompt.id,
+      promptVersion: matchPrompt.version,
+    });
+    console.log(`  ✓ Match rated: ${matchScore}/100`);
+
+    // Align scenes with article paragraphs
+    reportProgress(QUEUE_TYPES.RATE, id, 50, 'Aligning scenes with paragraphs');
+    let alignment = null;
+    try {
+      alignment = await alignArticle(articleDetails);
+      if (alignment) {
+        setArticleAlignment(articleId, alignment);
+      }
+    } catch (alignmentError) {
+      // Don't fail the rating if alignment fails
+      console.error('Alignment error (non-fatal):', alignmentError.message);
+    }
+
+    if (evaluatePrompts) {
+      reportProgress(QUEUE_TYPES.RATE, id, 70, 'Evaluating scene prompts');
+      try {
+        await evaluateScenePrompts(articleId, articleDetails);
+      } catch (fpoError) {
+        // Don't fail the rating if FPO fails
+        console.error('FPO evaluation error (non-fatal):', fpoError.message);
+      }
+    }
+
+    clearFlag(flagName);
+
+    console.log(`✓ Rate job ${id} completed`);
+
+    return {
+      success: true,
+      articleId,
+      matchScore,
+      explanation: result.explanation,
+      perSceneRelevance: result.perSceneRelevance,
+      promptId: matchPrompt.id,
+      promptVersion: matchPrompt.version,
+      alignment: alignment ? {
+        paragraphs: alignment.paragraphs.length,
+        path: alignment.path,
+        uncoveredParagraphs: alignment.uncoveredParagraphs,
+      } : null,
+    };
+  } catch (error) {
+    // Clear flag on error
+    clearFlag(flagName);
+
+    console.error(`✗ Rate job ${id} failed:`, error.message);
+    throw error;
+  }
+}
+
+module.exports = {
+  processRateJob,
+};